@@ -198,7 +198,7 @@ window.addEventListener("DOMContentLoaded", () => {
       if (!sel) return;
       try {
         const chart = await fetch(sel.chartUrl).then(r => r.json());
-        chart.audioUrl = sel.track.audio?.wav || sel.track.audio?.mp3;
+        chart.audioUrl = sel.track.audio?.wav || sel.track.audio?.mp3 || sel.track.audio?.ogg;
         chart.title = sel.track.title;
         chart.bpm = sel.track.bpm;
         chart.difficulty = sel.diff;
@@ -343,6 +343,17 @@ async function openEditor() {
       return;
     }
 
+    // Replay playback: start where the recording started and never post a score
+    if (runtime?.replay) {
+      runtime = { ...runtime, autoSubmit: false, startAtMs: Math.max(0, Number(runtime.replay.startAtMs) || 0) };
+    }
+    // Section loop practice (runtime.practice: { startMs, endMs }) never posts a score
+    if (runtime?.practice && !runtime.replay) {
+      runtime = { ...runtime, autoSubmit: false, startAtMs: 0 };
+    }
+    // Modifiers (runtime.mods: { mirror, random, seed, speed, hidden, sudden }); a replay always uses its own
+    if (runtime) runtime = { ...runtime, mods: runtime.replay ? (runtime.replay.mods || null) : (runtime.mods || null) };
+
     // Tear down any previous game + silence prior audio to avoid stacking
     destroyActiveGame();
     window.PF_forceSilenceAll?.();
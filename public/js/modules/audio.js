@@ -5,6 +5,7 @@ export class AudioPlayer {
       latencyHint: "interactive",
     });
     this.buffer = null;
+    this._stretched = null; // { rate, buffer } pitch-preserved copy for practice rates
     this.master = this.ctx.createGain();
     this.master.gain.value = 1;
     this.master.connect(this.ctx.destination);
@@ -49,25 +50,52 @@ export class AudioPlayer {
       arrayBuffer = await res.arrayBuffer();
     }
     this.buffer = await this.ctx.decodeAudioData(arrayBuffer);
+    this._stretched = null;
     return this.buffer.duration;
   }
 
   async loadFromArrayBuffer(arrayBuffer) {
     await this.ensureReady();
     this.buffer = await this.ctx.decodeAudioData(arrayBuffer);
+    this._stretched = null;
     return this.buffer.duration;
   }
 
+  /**
+   * Build (and cache) the pitch-preserved copy for `rate` ahead of playAt, so the
+   * stretch doesn't happen on the frame the song starts.
+   */
+  prepareRate(rate = 1, preservePitch = false) {
+    const r = Number(rate) || 1;
+    if (!this.buffer || !preservePitch || r === 1) return null;
+    if (this._stretched?.rate !== r) {
+      this._stretched = { rate: r, buffer: timeStretchBuffer(this.ctx, this.buffer, r) };
+    }
+    return this._stretched.buffer;
+  }
+
   playAt(whenSec, opts = {}) {
     if (!this.buffer) throw new Error("No buffer loaded.");
     const {
       gain = 1,
       fadeInMs = 0,
       offsetSec = 0, // NEW: start inside the buffer at this offset (seconds)
+      rate = 1,              // song rate (practice); song time runs `rate` x real time
+      preservePitch = false, // keep pitch at rate != 1 (plays a time-stretched copy at 1x)
+      loop = null            // { startSec, endSec } song seconds to loop between (practice)
     } = opts;
 
+    const r = Math.max(0.25, Math.min(2, Number(rate) || 1));
+    const stretched = this.prepareRate(r, preservePitch);
     const src = this.ctx.createBufferSource();
-    src.buffer = this.buffer;
+    src.buffer = stretched || this.buffer;
+    if (!stretched && r !== 1) src.playbackRate.value = r;
+    if (loop && loop.endSec > loop.startSec) {
+      const scale = stretched ? r : 1;
+      src.loop = true;
+      src.loopStart = loop.startSec / scale;
+      src.loopEnd = loop.endSec / scale;
+    }
 
     const g = this.ctx.createGain();
     g.gain.value = 0;
@@ -77,8 +105,8 @@ export class AudioPlayer {
     const now = this.ctx.currentTime;
     const startTime = Math.max(now, whenSec);
 
-    // start at buffer offset
-    const off = Math.max(0, Number(offsetSec) || 0);
+    // start at buffer offset (song seconds; the stretched copy is 1/rate as long)
+    const off = Math.max(0, Number(offsetSec) || 0) / (stretched ? r : 1);
     try { src.start(startTime, off); } catch { src.start(startTime); }
 
     if (fadeInMs > 0) {
@@ -110,3 +138,63 @@ export class AudioPlayer {
     this.master.gain.value = Math.max(0, Math.min(1, Number(v) || 0));
   }
 }
+
+/**
+ * Time-stretch `buffer` by `rate` keeping its pitch (WSOLA: Hann-windowed frames
+ * overlap-added at a fixed output hop, each nudged to line up with the previous one).
+ * Returns a new AudioBuffer about duration / rate long. Synchronous (around a second for a full song).
+ */
+export function timeStretchBuffer(ctx, buffer, rate) {
+  const r = Number(rate) || 1;
+  if (r === 1) return buffer;
+  const N = 2048, Hs = N >> 1, TOL = 512, STEP = 8;
+  const len = buffer.length, chCount = buffer.numberOfChannels;
+  const outLen = Math.max(1, Math.round(len / r));
+  const inputs = [], outputs = [];
+  for (let c = 0; c < chCount; c++) {
+    inputs.push(buffer.getChannelData(c));
+    outputs.push(new Float32Array(outLen + N));
+  }
+  // mono mix for alignment search
+  const mono = new Float32Array(len);
+  for (let c = 0; c < chCount; c++) {
+    const d = inputs[c];
+    for (let i = 0; i < len; i++) mono[i] += d[i] / chCount;
+  }
+  const win = new Float32Array(N);
+  for (let i = 0; i < N; i++) win[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / N);
+  const norm = new Float32Array(outLen + N);
+
+  let prevPos = 0;
+  for (let k = 0; ; k++) {
+    const outPos = k * Hs;
+    if (outPos >= outLen) break;
+    const nominal = Math.round(k * Hs * r);
+    let pos = Math.min(nominal, Math.max(0, len - N));
+    if (k > 0) {
+      // pick the offset whose start best continues the previous frame
+      const natural = prevPos + Hs;
+      let best = -Infinity;
+      const lo = Math.max(0, nominal - TOL), hi = Math.min(len - N, nominal + TOL);
+      for (let cand = lo; cand <= hi; cand += STEP) {
+        let sum = 0;
+        for (let i = 0; i < Hs && natural + i < len; i += STEP) sum += mono[natural + i] * mono[cand + i];
+        if (sum > best) { best = sum; pos = cand; }
+      }
+    }
+    for (let c = 0; c < chCount; c++) {
+      const src = inputs[c], dst = outputs[c];
+      for (let i = 0; i < N && pos + i < len; i++) dst[outPos + i] += src[pos + i] * win[i];
+    }
+    for (let i = 0; i < N; i++) norm[outPos + i] += win[i];
+    prevPos = pos;
+  }
+
+  const out = ctx.createBuffer(chCount, outLen, buffer.sampleRate);
+  for (let c = 0; c < chCount; c++) {
+    const d = outputs[c];
+    for (let i = 0; i < outLen; i++) d[i] = norm[i] > 1e-3 ? d[i] / norm[i] : 0;
+    out.copyToChannel(d.subarray(0, outLen), c);
+  }
+  return out;
+}
@@ -0,0 +1,192 @@
+// public/js/modules/autochart.js
+// Draft chart from an audio analysis (tempo.js). Pure module (no DOM).
+//
+// 1. Onsets are quantized to the chart's grid. Each is scored against the onsets around it (so quiet
+//    passages still get notes), and beat and bar positions weigh more.
+// 2. The best are kept up to the target notes-per-second, never more than twice that in any second.
+// 3. The loudest on-beat hits become chords (when the density leaves room for them).
+// 4. Lanes follow pitch (low -> left), alternate and balance hands, avoid jacks, and never repeat a
+//    lane faster than minGapMs.
+// 5. A note followed by sustained energy (no new onset, loudness held) becomes a hold.
+//
+// generateDraft(analysis, chart, opts) -> { notes, stats: { onsets, placed, chords, holds, dropped } }
+import { getTimingPoints, snapMsToGrid, beatInfoAt } from "./timing.js";
+
+export const DRAFT_DEFAULTS = Object.freeze({ nps: 3, minGapMs: 150, subdiv: 4, holds: true });
+
+const BEAT_BONUS = 0.5;
+const BAR_BONUS = 0.5;
+const LOCAL_WINDOW_MS = 1000;
+const LOCAL_CAP = 2;          // x target density inside any window
+const CHORD_SHARE = 0.08;     // top share of on-beat notes that may become chords
+const CHORD_MIN_NPS = 3;
+const TRIPLE_MIN_NPS = 6;
+const HOLD_SUSTAIN = 0.5;     // loudness must stay above this share of the attack
+const HOLD_MIN_ENERGY = 0.15; // and the attack must be at least this loud
+const HOLD_MAX_BEATS = 4;
+const RECENT_NOTES = 8;       // hand/lane balance looks at this many previous notes
+const CONTEXT_MS = 4000;      // onset strength is relative to the mean within this (each side)
+
+/**
+ * opts: { nps, minGapMs, subdiv, holds, durationMs }
+ * The chart supplies lanes and the tempo map; its notes are ignored.
+ */
+export function generateDraft(analysis, chart, opts = {}) {
+  const o = { ...DRAFT_DEFAULTS, ...opts };
+  const lanes = Math.max(1, Number(chart?.lanes) | 0 || 4);
+  const points = getTimingPoints(chart);
+  const onsets = Array.isArray(analysis?.onsets) ? analysis.onsets : [];
+  const durationMs = Number(o.durationMs) || Number(chart?.durationMs) || analysis?.durationMs || Infinity;
+  const stats = { onsets: onsets.length, placed: 0, chords: 0, holds: 0, dropped: 0 };
+  if (!onsets.length || !(o.nps > 0)) return { notes: [], stats };
+
+  // 1. Quantize; keep the best onset per grid slot
+  const strength = relativeStrength(onsets, analysis.onsetStrength);
+  const pitch = percentiles(analysis.onsetPitch, onsets.length);
+  const slots = new Map();
+  onsets.forEach((ms, i) => {
+    const t = Math.round(snapMsToGrid(points, ms, o.subdiv));
+    if (t < 0 || t > durationMs) return;
+    const beat = beatInfoAt(points, t);
+    const onBeat = Math.abs(t - beat.startMs) < 1;
+    const score = strength[i] + (onBeat ? BEAT_BONUS : 0) + (onBeat && beat.isBar ? BAR_BONUS : 0);
+    const prev = slots.get(t);
+    if (!prev || score > prev.score) {
+      slots.set(t, { t, raw: ms, score, onBeat, beatMs: beat.beatMs, pitch: pitch[i] });
+    }
+  });
+  const cands = [...slots.values()];
+  if (!cands.length) return { notes: [], stats };
+
+  // 2. Density: strongest first, capped per window
+  const first = Math.min(...cands.map(c => c.t));
+  const last = Math.max(...cands.map(c => c.t));
+  const target = Math.max(1, Math.round(o.nps * Math.max(1, (last - first) / 1000)));
+  const cap = Math.max(1, Math.ceil(o.nps * LOCAL_CAP * LOCAL_WINDOW_MS / 1000));
+  const accepted = []; // sorted times
+  const picked = [];
+  for (const c of cands.slice().sort((a, b) => b.score - a.score)) {
+    if (picked.length >= target) break;
+    const lo = lowerBound(accepted, c.t - LOCAL_WINDOW_MS / 2);
+    const hi = lowerBound(accepted, c.t + LOCAL_WINDOW_MS / 2 + 1);
+    if (hi - lo >= cap) continue;
+    accepted.splice(lowerBound(accepted, c.t), 0, c.t);
+    picked.push(c);
+  }
+
+  // 3. Chords on the loudest on-beat hits
+  if (o.nps >= CHORD_MIN_NPS && lanes > 1) {
+    const beats = picked.filter(c => c.onBeat).sort((a, b) => b.score - a.score);
+    const n = Math.floor(beats.length * CHORD_SHARE);
+    beats.slice(0, n).forEach((c, i) => {
+      c.size = o.nps >= TRIPLE_MIN_NPS && lanes > 3 && i < n / 4 ? 3 : 2;
+    });
+  }
+
+  // 4 + 5. Lanes and holds, in time order
+  picked.sort((a, b) => a.t - b.t);
+  const laneLast = new Array(lanes).fill(-Infinity);
+  const holdUntil = new Array(lanes).fill(-Infinity);
+  const hand = (l) => (l < lanes / 2 ? 0 : 1);
+  const recent = []; // lanes of the last few notes
+  let prevLane = -1;
+  const notes = [];
+
+  picked.forEach((c, idx) => {
+    const size = c.size || 1;
+    const used = [];
+    for (let k = 0; k < size; k++) {
+      let best = -1, bestScore = Infinity;
+      for (let l = 0; l < lanes; l++) {
+        if (used.includes(l)) continue;
+        if (c.t - laneLast[l] < o.minGapMs || c.t < holdUntil[l] + o.minGapMs) continue;
+        const sameHand = recent.filter(r => hand(r) === hand(l)).length;
+        let score = 2 * Math.abs((l + 0.5) / lanes - c.pitch);
+        score += 0.15 * (2 * sameHand - recent.length); // hand balance
+        score += 0.2 * recent.filter(r => r === l).length; // lane balance
+        if (prevLane >= 0 && hand(l) === hand(prevLane)) score += 0.6;
+        if (l === prevLane) score += 1.5;
+        if (used.length && used.every(u => hand(u) === hand(l))) score += 1; // chords split across hands
+        score += ((idx * 7 + l * 3) % lanes) * 0.01; // stable tie-break
+        if (score < bestScore) { bestScore = score; best = l; }
+      }
+      if (best < 0) break;
+      used.push(best);
+    }
+    if (!used.length) { stats.dropped++; return; }
+    if (used.length > 1) stats.chords++;
+
+    const holdMs = o.holds && used.length === 1 && !holdUntil.some(u => u > c.t)
+      ? holdLength(analysis, onsets, points, c, o.subdiv, picked[idx + 1]?.t)
+      : 0;
+    for (const l of used) {
+      const note = { tMs: c.t, lane: l };
+      if (holdMs > 0) { note.dMs = holdMs; holdUntil[l] = c.t + holdMs; stats.holds++; }
+      notes.push(note);
+      laneLast[l] = c.t;
+      recent.push(l);
+      if (recent.length > RECENT_NOTES) recent.shift();
+    }
+    prevLane = used[used.length - 1];
+  });
+
+  notes.sort((a, b) => (a.tMs - b.tMs) || (a.lane - b.lane));
+  stats.placed = notes.length;
+  return { notes, stats };
+}
+
+// Hold length (grid-quantized, >= one beat) when the sound keeps going after the hit, else 0
+function holdLength(analysis, onsets, points, c, subdiv, nextPickedMs) {
+  const energy = analysis.energy;
+  const values = energy?.values;
+  if (!values?.length) return 0;
+  const frameAt = (ms) => Math.max(0, Math.min(values.length - 1, Math.round((ms - energy.startMs) / energy.hopMs)));
+  const attack = values[frameAt(c.raw + 30)];
+  if (attack < HOLD_MIN_ENERGY) return 0;
+
+  // Until the next onset (any, not just kept ones) or the loudness fades
+  const nextOnset = onsets[lowerBound(onsets, c.raw + 1)] ?? Infinity;
+  const limit = Math.min(nextOnset, nextPickedMs ?? Infinity, c.t + HOLD_MAX_BEATS * c.beatMs);
+  if (limit - c.t < c.beatMs) return 0;
+  let end = c.raw;
+  for (let f = frameAt(c.raw); f < values.length; f++) {
+    const ms = energy.startMs + f * energy.hopMs;
+    if (ms >= limit || values[f] < attack * HOLD_SUSTAIN) break;
+    end = ms;
+  }
+  // Release a grid step early so the next note isn't crowded
+  const step = c.beatMs / Math.max(1, subdiv);
+  const q = Math.round(snapMsToGrid(points, end, subdiv) - step);
+  return q - c.t >= c.beatMs ? q - c.t : 0;
+}
+
+// Onset strength divided by the mean strength of the onsets around it
+function relativeStrength(onsets, strength) {
+  const raw = onsets.map((_, i) => Math.max(0.05, Number(strength?.[i]) || 1));
+  const out = new Array(onsets.length);
+  let lo = 0, hi = 0, sum = 0;
+  for (let i = 0; i < onsets.length; i++) {
+    while (hi < onsets.length && onsets[hi] <= onsets[i] + CONTEXT_MS) sum += raw[hi++];
+    while (onsets[lo] < onsets[i] - CONTEXT_MS) sum -= raw[lo++];
+    out[i] = raw[i] / (sum / (hi - lo));
+  }
+  return out;
+}
+
+// Rank of each value in 0..1 (so lanes spread evenly whatever the song's pitch range)
+function percentiles(values, n) {
+  if (!Array.isArray(values) || values.length !== n || n < 2) return new Array(n).fill(0.5);
+  const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+  const out = new Array(n);
+  order.forEach((idx, rank) => { out[idx] = rank / (n - 1); });
+  return out;
+}
+
+function lowerBound(arr, x) {
+  let lo = 0, hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (arr[mid] < x) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
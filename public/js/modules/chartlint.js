@@ -0,0 +1,282 @@
+// public/js/modules/chartlint.js
+// Playability checks for a chart, with fixes. Pure module (no DOM).
+//
+// lintChart(chart, { subdiv, minGapMs }) -> [{ key, rule, severity, tMs, lane, indices, message, fixable }]
+//   severity: "error" (breaks play), "warning" (probably a mistake), "info" (worth a look)
+//   indices:  positions in chart.notes at lint time (re-lint after any change)
+// fixIssue(chart, issue, opts) / fixRule(chart, rule, opts) mutate chart.notes and return how many
+// notes changed.
+import { getTimingPoints, snapMsToGrid } from "./timing.js";
+
+export const LINT_RULES = Object.freeze({
+  unsorted:      { severity: "warning", label: "Notes out of order", fix: "Sort" },
+  lane:          { severity: "error",   label: "Lane out of range", fix: "Remove" },
+  duplicate:     { severity: "error",   label: "Duplicate note", fix: "Remove" },
+  fastJack:      { severity: "error",   label: "Repeat faster than the minimum gap", fix: "Remove" },
+  pastEnd:       { severity: "error",   label: "Past the end of the chart", fix: "Trim" },
+  holdOverlap:   { severity: "error",   label: "Hold runs into the next note", fix: "Shorten" },
+  shortHold:     { severity: "warning", label: "Hold too short to feel", fix: "Make tap" },
+  offGrid:       { severity: "warning", label: "Off the grid", fix: "Snap" },
+  handChord:     { severity: "error",   label: "More than 2 notes on one hand", fix: "Remove extra" },
+  densityJump:   { severity: "info",    label: "Sudden density jump", fix: null }
+});
+
+const SAME_MS = 1;            // notes closer than this are "at the same time"
+const GRID_TOLERANCE_MS = 2;
+const MIN_GAP_MS = 60;        // default gap between notes in one lane (editor's minGapMs); holds release this early
+const OFF_GRID_SUMMARY = 0.5; // when more than this share of notes is off the grid, report it once
+const SHORT_HOLD_MS = 40;
+const MAX_FIX_PASSES = 64;
+const MAX_PER_HAND = 2;
+const DENSITY_WINDOW_MS = 2000;
+const DENSITY_RATIO = 2.5;    // this many times the previous window...
+const DENSITY_MIN_JUMP = 4;   // ...and at least this many more notes per second
+
+export function lintChart(chart, opts = {}) {
+  const notes = Array.isArray(chart?.notes) ? chart.notes : [];
+  const lanes = Math.max(1, Number(chart?.lanes) | 0 || 4);
+  const durationMs = Number(chart?.durationMs) || 0;
+  const subdiv = Math.max(1, Number(opts.subdiv) | 0 || 4);
+  const minGapMs = Number(opts.minGapMs) >= 0 ? Number(opts.minGapMs) : MIN_GAP_MS;
+  const points = getTimingPoints(chart);
+  let issues = [];
+  const add = (rule, tMs, lane, indices, message) => {
+    issues.push({
+      key: `${rule}@${Math.round(tMs)}:${lane ?? ""}`,
+      rule,
+      severity: LINT_RULES[rule].severity,
+      tMs,
+      lane,
+      indices,
+      message,
+      fixable: !!LINT_RULES[rule].fix
+    });
+  };
+
+  // Unsorted array (one issue: where order first breaks)
+  for (let i = 1; i < notes.length; i++) {
+    if (Number(notes[i].tMs) < Number(notes[i - 1].tMs)) {
+      add("unsorted", Number(notes[i].tMs), notes[i].lane, [i - 1, i], `Note #${i} comes before note #${i - 1} in time`);
+      break;
+    }
+  }
+
+  // Work in time order from here on
+  const order = notes.map((n, i) => i).sort((a, b) => (notes[a].tMs - notes[b].tMs) || (notes[a].lane - notes[b].lane));
+  const valid = [];
+  for (const i of order) {
+    const n = notes[i];
+    if (!Number.isInteger(n.lane) || n.lane < 0 || n.lane >= lanes) {
+      add("lane", n.tMs, n.lane, [i], `Lane ${n.lane} doesn't exist (lanes are 0-${lanes - 1})`);
+      continue;
+    }
+    valid.push(i);
+  }
+
+  const lastInLane = new Map(); // lane -> index
+  for (const i of valid) {
+    const n = notes[i];
+    const end = n.tMs + (Number(n.dMs) || 0);
+    const prevIdx = lastInLane.get(n.lane);
+    if (prevIdx != null) {
+      const p = notes[prevIdx];
+      const pEnd = p.tMs + (Number(p.dMs) || 0);
+      if (Math.abs(n.tMs - p.tMs) < SAME_MS) {
+        add("duplicate", n.tMs, n.lane, [prevIdx, i], `Two notes at the same time in lane ${n.lane}`);
+        continue;
+      }
+      if (n.tMs - p.tMs < minGapMs) {
+        add("fastJack", n.tMs, n.lane, [prevIdx, i], `Only ${Math.round(n.tMs - p.tMs)}ms after the previous note in lane ${n.lane} (min ${minGapMs}ms)`);
+      } else if (Number(p.dMs) > 0 && pEnd > n.tMs - minGapMs) {
+        add("holdOverlap", p.tMs, p.lane, [prevIdx, i], pEnd > n.tMs
+          ? `Hold in lane ${p.lane} ends ${Math.round(pEnd - n.tMs)}ms after the next note starts`
+          : `Hold in lane ${p.lane} releases only ${Math.round(n.tMs - pEnd)}ms before the next note`);
+      }
+    }
+    lastInLane.set(n.lane, i);
+
+    if (durationMs && (n.tMs > durationMs || end > durationMs)) {
+      add("pastEnd", n.tMs, n.lane, [i], n.tMs > durationMs
+        ? `Starts ${Math.round(n.tMs - durationMs)}ms after the chart ends`
+        : `Hold ends ${Math.round(end - durationMs)}ms after the chart ends`);
+    }
+    if (Number(n.dMs) > 0 && n.dMs < SHORT_HOLD_MS) {
+      add("shortHold", n.tMs, n.lane, [i], `Hold is only ${Math.round(n.dMs)}ms long`);
+    }
+    const snapped = snapMsToGrid(points, n.tMs, subdiv);
+    if (Math.abs(snapped - n.tMs) > GRID_TOLERANCE_MS) {
+      add("offGrid", n.tMs, n.lane, [i], `${Math.round(Math.abs(snapped - n.tMs))}ms off the 1/${subdiv} grid`);
+    }
+  }
+
+  // Per-hand load: notes starting together plus holds still down
+  const hand = (l) => (l < lanes / 2 ? 0 : 1);
+  const holding = [[], []]; // per hand: holds from earlier groups that may still be down
+  for (let a = 0; a < valid.length;) {
+    const t = notes[valid[a]].tMs;
+    let b = a;
+    while (b < valid.length && notes[valid[b]].tMs - t < SAME_MS) b++;
+    const group = valid.slice(a, b);
+    for (const h of [0, 1]) {
+      holding[h] = holding[h].filter(i => notes[i].tMs + Number(notes[i].dMs) > t + SAME_MS);
+      const starting = group.filter(i => hand(notes[i].lane) === h);
+      if (!starting.length) continue;
+      const held = holding[h];
+      const lanesUsed = new Set([...starting, ...held].map(i => notes[i].lane));
+      if (lanesUsed.size > MAX_PER_HAND) {
+        add("handChord", t, null, starting,
+          `${lanesUsed.size} notes on the ${h ? "right" : "left"} hand${held.length ? ` (${held.length} held)` : ""}`);
+      }
+    }
+    for (const i of group) if (Number(notes[i].dMs) > 0) holding[hand(notes[i].lane)].push(i);
+    a = b;
+  }
+
+  // Density jumps between consecutive windows
+  if (valid.length) {
+    const counts = new Map();
+    for (const i of valid) {
+      const w = Math.floor(notes[i].tMs / DENSITY_WINDOW_MS);
+      counts.set(w, (counts.get(w) || 0) + 1);
+    }
+    const lastW = Math.floor(notes[valid[valid.length - 1]].tMs / DENSITY_WINDOW_MS);
+    const nps = (w) => (counts.get(w) || 0) * 1000 / DENSITY_WINDOW_MS;
+    for (let w = 1; w <= lastW; w++) {
+      const before = nps(w - 1), now = nps(w);
+      if (now - before >= DENSITY_MIN_JUMP && now >= before * DENSITY_RATIO) {
+        add("densityJump", w * DENSITY_WINDOW_MS, null, [],
+          `Density jumps from ${before.toFixed(1)} to ${now.toFixed(1)} notes/sec`);
+      }
+    }
+  }
+
+  // A chart that's mostly off the grid has a tempo/offset problem, not hundreds of stray notes
+  const offGrid = issues.filter(x => x.rule === "offGrid");
+  if (offGrid.length > 16 && offGrid.length > valid.length * OFF_GRID_SUMMARY) {
+    issues = issues.filter(x => x.rule !== "offGrid");
+    issues.push({
+      key: "offGrid@all",
+      rule: "offGrid",
+      severity: "warning",
+      tMs: offGrid[0].tMs,
+      lane: null,
+      indices: offGrid.flatMap(x => x.indices),
+      message: `${offGrid.length} of ${valid.length} notes are off the 1/${subdiv} grid; check the BPM and first-beat offset`,
+      fixable: false
+    });
+  }
+
+  const rank = { error: 0, warning: 1, info: 2 };
+  issues.sort((x, y) => (x.tMs - y.tMs) || (rank[x.severity] - rank[y.severity]));
+  return issues;
+}
+
+/** Apply the fix for one issue (from a fresh lintChart). Returns the number of notes changed. */
+export function fixIssue(chart, issue, opts = {}) {
+  const removed = new Set();
+  const changed = applyFix(chart, issue, opts, removed);
+  if (removed.size) chart.notes = chart.notes.filter(n => !removed.has(n));
+  return changed;
+}
+
+/**
+ * Fix every issue of one rule. Each pass lints once and fixes every issue whose notes no earlier fix
+ * in that pass touched; overlapping issues (e.g. a run of fast jacks) are re-checked on the next pass.
+ * Returns notes changed.
+ */
+export function fixRule(chart, rule, opts = {}) {
+  let changed = 0;
+  for (let pass = 0; pass < MAX_FIX_PASSES; pass++) {
+    const notes = chart.notes;
+    const touched = new Set();
+    const removed = new Set();
+    let n = 0;
+    for (const issue of lintChart(chart, opts)) {
+      if (issue.rule !== rule || !issue.fixable) continue;
+      const refs = issue.indices.map(i => notes[i]);
+      if (refs.some(r => touched.has(r))) continue;
+      for (const r of refs) touched.add(r);
+      n += applyFix(chart, issue, opts, removed);
+    }
+    if (removed.size) chart.notes = chart.notes.filter(x => !removed.has(x));
+    changed += n;
+    if (!n) break;
+  }
+  return changed;
+}
+
+// Fix one issue in place; notes to delete go into `removed` (so indices stay valid for the caller)
+function applyFix(chart, issue, opts, removed) {
+  const notes = chart.notes;
+  const subdiv = Math.max(1, Number(opts.subdiv) | 0 || 4);
+  const minGapMs = Number(opts.minGapMs) >= 0 ? Number(opts.minGapMs) : MIN_GAP_MS;
+  if (!issue.fixable) return 0;
+  const remove = (idx) => {
+    for (const i of idx) removed.add(notes[i]);
+    return idx.length;
+  };
+  switch (issue.rule) {
+    case "unsorted":
+      sortNotes(chart);
+      return notes.length;
+    case "lane":
+      return remove(issue.indices);
+    case "duplicate": {
+      // Keep the longer of the two
+      const [a, b] = issue.indices;
+      return remove([(Number(notes[a].dMs) || 0) >= (Number(notes[b].dMs) || 0) ? b : a]);
+    }
+    case "fastJack":
+      return remove([issue.indices[1]]);
+    case "pastEnd": {
+      const i = issue.indices[0];
+      const n = notes[i];
+      const end = Number(chart.durationMs) || 0;
+      if (n.tMs > end) return remove([i]);
+      n.dMs = Math.max(0, end - n.tMs);
+      if (n.dMs < SHORT_HOLD_MS) delete n.dMs;
+      return 1;
+    }
+    case "holdOverlap": {
+      const [h, next] = issue.indices;
+      const hold = notes[h];
+      const len = notes[next].tMs - minGapMs - hold.tMs;
+      if (len >= SHORT_HOLD_MS) hold.dMs = Math.round(len);
+      else delete hold.dMs;
+      return 1;
+    }
+    case "shortHold":
+      delete notes[issue.indices[0]].dMs;
+      return 1;
+    case "offGrid": {
+      const n = notes[issue.indices[0]];
+      n.tMs = Math.max(0, Math.round(snapMsToGrid(getTimingPoints(chart), n.tMs, subdiv)));
+      return 1;
+    }
+    case "handChord": {
+      // Drop the notes starting here beyond what the hand can take, outer lanes last
+      const lanes = Math.max(1, Number(chart.lanes) | 0 || 4);
+      const inner = (i) => Math.abs(notes[i].lane + 0.5 - lanes / 2);
+      const starting = issue.indices.slice().sort((a, b) => inner(a) - inner(b));
+      const keep = Math.max(0, MAX_PER_HAND - (lintHeld(chart, issue, removed) || 0));
+      return remove(starting.slice(keep));
+    }
+    default:
+      return 0;
+  }
+}
+
+export function sortNotes(chart) {
+  chart.notes.sort((a, b) => (a.tMs - b.tMs) || (a.lane - b.lane));
+}
+
+// Holds still down on the issue's hand when its chord starts (ignoring notes already removed)
+function lintHeld(chart, issue, removed) {
+  const lanes = Math.max(1, Number(chart.lanes) | 0 || 4);
+  const first = chart.notes[issue.indices[0]];
+  if (!first) return 0;
+  const h = first.lane < lanes / 2 ? 0 : 1;
+  return new Set(chart.notes
+    .filter(n => !removed.has(n) && (n.lane < lanes / 2 ? 0 : 1) === h && Number(n.dMs) > 0 && n.tMs < issue.tMs - SAME_MS && n.tMs + n.dMs > issue.tMs + SAME_MS)
+    .map(n => n.lane)).size;
+}
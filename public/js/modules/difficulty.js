@@ -0,0 +1,131 @@
+// public/js/modules/difficulty.js
+// Difficulty rating for a chart. Pure module so the server catalog, Solo and the editor agree.
+//
+// Every note adds strain to its own lane (fast jacks pile up there) and to an overall pool
+// (streams, trills, chords); both decay with time, so idle stretches cost nothing and dense bursts
+// dominate. Notes tapped while another lane is held weigh more, and a section that leans on one
+// hand is harder than the same notes split across both. Each section keeps its peak strain; the
+// rating is a weighted sum of the hardest sections (hardest counts most).
+//
+// rateChart(chart) -> {
+//   rating,                                   // ~2 easy, ~5 hard, 8+ extreme
+//   sections: [{ startMs, endMs, strain, notes, pattern }], // pattern: stream|jack|trill|chord|hold|null
+//   patterns: { jack, trill, chord, hold }    // how many notes fell into each pattern
+// }
+
+export const SECTION_MS = 1000;
+
+const LANE_DECAY = 0.125;    // per-lane strain left after one second
+const OVERALL_DECAY = 0.3;   // shared strain left after one second
+const LANE_WEIGHT = 2.0;
+const OVERALL_WEIGHT = 1.0;
+const HOLD_BONUS = 0.25;     // extra weight per note tapped while another lane is held
+const CHORD_MS = 3;          // notes this close start together
+const CHORD_TAIL = 0.5;      // later notes of a chord add this much overall strain (one motion, not several)
+const JACK_MS = 250;         // same lane again within this = jack
+const TRILL_MS = 200;        // alternating two lanes this fast = trill
+const BALANCE_WEIGHT = 0.35; // a one-handed section is up to this much harder
+const BALANCE_MIN_NOTES = 6;
+const SECTION_FALLOFF = 0.9; // weight of the n-th hardest section = FALLOFF^n
+const RATING_SCALE = 0.05;
+
+/** Rate a chart; see the header for the result shape. */
+export function rateChart(chart) {
+  const lanes = Math.max(1, Number(chart?.lanes) | 0 || 4);
+  const notes = (Array.isArray(chart?.notes) ? chart.notes : [])
+    .filter(n => Number.isFinite(Number(n?.tMs)) && (n.lane | 0) >= 0 && (n.lane | 0) < lanes)
+    .map(n => ({ t: Number(n.tMs), lane: n.lane | 0, end: Number(n.tMs) + Math.max(0, Number(n.dMs) || 0) }))
+    .sort((a, b) => (a.t - b.t) || (a.lane - b.lane));
+  const empty = { rating: 0, sections: [], patterns: { jack: 0, trill: 0, chord: 0, hold: 0 } };
+  if (!notes.length) return empty;
+
+  const laneStrain = new Array(lanes).fill(0);
+  const laneLast = new Array(lanes).fill(-Infinity);
+  const holdEnd = new Array(lanes).fill(-Infinity);
+  const leftHand = (lane) => lane < lanes / 2;
+  let overall = 0;
+  let prevT = notes[0].t;
+  let prevLane = -1;
+  let prevPrevLane = -1;
+  const patterns = { jack: 0, trill: 0, chord: 0, hold: 0 };
+
+  const sections = new Map(); // index -> { strain, notes, left, right, counts }
+  for (let i = 0; i < notes.length; i++) {
+    const n = notes[i];
+    const elapsed = Math.max(0, n.t - prevT) / 1000;
+    if (elapsed > 0) {
+      const ld = Math.pow(LANE_DECAY, elapsed);
+      for (let l = 0; l < lanes; l++) laneStrain[l] *= ld;
+      overall *= Math.pow(OVERALL_DECAY, elapsed);
+    }
+
+    // Pattern the note belongs to (for weighting holds and for the section summary)
+    const chordTail = i > 0 && n.t - notes[i - 1].t <= CHORD_MS;
+    const inChord = chordTail || (i + 1 < notes.length && notes[i + 1].t - n.t <= CHORD_MS);
+    const held = holdEnd.some((end, l) => l !== n.lane && end > n.t + CHORD_MS);
+    let pattern = "stream";
+    if (n.t - laneLast[n.lane] < JACK_MS) pattern = "jack";
+    else if (inChord) pattern = "chord";
+    else if (held) pattern = "hold";
+    else if (prevPrevLane === n.lane && prevLane !== n.lane && n.t - prevT < TRILL_MS) pattern = "trill";
+    if (pattern !== "stream") patterns[pattern]++;
+
+    const weight = held ? 1 + HOLD_BONUS : 1;
+    laneStrain[n.lane] += LANE_WEIGHT * weight;
+    overall += OVERALL_WEIGHT * weight * (chordTail ? CHORD_TAIL : 1);
+    const strain = laneStrain[n.lane] + overall;
+
+    const idx = Math.floor(n.t / SECTION_MS);
+    let s = sections.get(idx);
+    if (!s) { s = { strain: 0, notes: 0, left: 0, right: 0, counts: {} }; sections.set(idx, s); }
+    s.strain = Math.max(s.strain, strain);
+    s.notes++;
+    if (leftHand(n.lane)) s.left++; else s.right++;
+    s.counts[pattern] = (s.counts[pattern] || 0) + 1;
+
+    laneLast[n.lane] = n.t;
+    if (n.end > n.t) holdEnd[n.lane] = n.end;
+    if (!inChord || n.lane !== prevLane) { prevPrevLane = prevLane; prevLane = n.lane; }
+    prevT = n.t;
+  }
+
+  const out = [...sections.entries()].sort((a, b) => a[0] - b[0]).map(([idx, s]) => {
+    const imbalance = s.notes >= BALANCE_MIN_NOTES ? Math.abs(s.left - s.right) / s.notes : 0;
+    return {
+      startMs: idx * SECTION_MS,
+      endMs: (idx + 1) * SECTION_MS,
+      strain: round2(s.strain * (1 + BALANCE_WEIGHT * imbalance)),
+      notes: s.notes,
+      pattern: dominantPattern(s.counts)
+    };
+  });
+
+  const ranked = out.map(s => s.strain).sort((a, b) => b - a);
+  let weighted = 0;
+  for (let i = 0; i < ranked.length; i++) weighted += ranked[i] * Math.pow(SECTION_FALLOFF, i);
+  return { rating: round2(weighted * RATING_SCALE), sections: out, patterns };
+}
+
+/** The `count` hardest sections, hardest first. */
+export function hardestSections(result, count = 3) {
+  return (result?.sections || []).slice().sort((a, b) => b.strain - a.strain).slice(0, count);
+}
+
+/** "★★★" for a rating of ~3 (1..cap stars). */
+export function ratingStars(rating, cap = 7) {
+  const r = Number(rating) || 0;
+  if (r <= 0) return "";
+  return "★".repeat(Math.max(1, Math.min(cap, Math.round(r))));
+}
+
+function dominantPattern(counts) {
+  let best = null, bestN = 0;
+  for (const [k, n] of Object.entries(counts)) {
+    if (n > bestN) { best = k; bestN = n; }
+  }
+  return best;
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
@@ -0,0 +1,77 @@
+// public/js/modules/easing.js
+// CSS-style cubic-bezier easing shared by the game and the editor. Pure module (no DOM).
+//
+// A bezier keyframe stores its control points in the easing string: "bezier:x1,y1,x2,y2"
+// (same "curve:style" shape as "quad:inOut"). A bare "bezier" means DEFAULT_BEZIER.
+
+export const DEFAULT_BEZIER = Object.freeze([0.25, 0.1, 0.25, 1]); // CSS "ease"
+
+// Handles may overshoot vertically (back-style curves); x must stay in 0..1 for t -> x to be a function
+const Y_MIN = -1;
+const Y_MAX = 2;
+
+/** Parse "x1,y1,x2,y2" (or an array) into clamped control points, or null when it isn't one. */
+export function parseBezier(v) {
+  const parts = Array.isArray(v) ? v : String(v ?? "").split(",");
+  if (parts.length !== 4) return null;
+  const n = parts.map(Number);
+  if (!n.every(Number.isFinite)) return null;
+  return clampBezier(n);
+}
+
+export function clampBezier([x1, y1, x2, y2]) {
+  const cx = (x) => Math.max(0, Math.min(1, x));
+  const cy = (y) => Math.max(Y_MIN, Math.min(Y_MAX, y));
+  return [cx(x1), cy(y1), cx(x2), cy(y2)];
+}
+
+export function formatBezier(pts) {
+  const p = parseBezier(pts) || DEFAULT_BEZIER;
+  return p.map(v => String(Math.round(v * 1000) / 1000)).join(",");
+}
+
+/**
+ * Easing function for the curve from (0,0) to (1,1) through (x1,y1), (x2,y2).
+ * Solves x(s) = t for the curve parameter s (Newton, then bisection), returns y(s).
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+  const cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+  const cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+  const sampleX = (s) => ((ax * s + bx) * s + cx) * s;
+  const sampleY = (s) => ((ay * s + by) * s + cy) * s;
+  const slopeX = (s) => (3 * ax * s + 2 * bx) * s + cx;
+
+  const solve = (t) => {
+    let s = t;
+    for (let i = 0; i < 8; i++) {
+      const err = sampleX(s) - t;
+      if (Math.abs(err) < 1e-6) return s;
+      const d = slopeX(s);
+      if (Math.abs(d) < 1e-6) break;
+      s -= err / d;
+    }
+    // Flat spots: fall back to bisection (x(s) is monotonic for x1, x2 in 0..1)
+    let lo = 0, hi = 1;
+    s = t;
+    for (let i = 0; i < 40; i++) {
+      const x = sampleX(s);
+      if (Math.abs(x - t) < 1e-6) break;
+      if (x < t) lo = s; else hi = s;
+      s = (lo + hi) / 2;
+    }
+    return s;
+  };
+
+  if (x1 === y1 && x2 === y2) return (t) => t;
+  return (t) => {
+    if (t <= 0) return 0;
+    if (t >= 1) return 1;
+    return sampleY(solve(t));
+  };
+}
+
+/** Easing function for the style part of a "bezier:..." easing (defaults when missing/invalid). */
+export function bezierEasing(style) {
+  const [x1, y1, x2, y2] = parseBezier(style) || DEFAULT_BEZIER;
+  return cubicBezier(x1, y1, x2, y2);
+}
@@ -1,6 +1,20 @@
 // public/js/modules/editor.js
 // PulseForge Chart Editor — metronome, playtest, center-follow, true zoom scaling, Undo/Redo, QoL tools
 import { audioStore, sha256Hex } from './idb.js?v=19';
+import { validateManifest, validateChart, validateVfx, formatSchemaErrors, CHART_LANES_MAX, PLAYABLE_LANES } from './schema.js?v=19';
+import { rateChart, hardestSections, ratingStars } from './difficulty.js?v=19';
+import { parseOsuMania, chartToOsuMania, looksLikeOsu } from './osumania.js?v=19';
+import { importSimfile, simfileReportText } from './stepmania.js?v=19';
+import { WaveformView, AUDIO_VIEW_MODES } from './waveform.js?v=19';
+import { analyzeAudioBuffer, nearestOnset } from './tempo.js?v=19';
+import { generateDraft, DRAFT_DEFAULTS } from './autochart.js?v=19';
+import { lintChart, fixIssue, fixRule, LINT_RULES } from './chartlint.js?v=19';
+import { DEFAULT_BEZIER, parseBezier, clampBezier, formatBezier, bezierEasing } from './easing.js?v=19';
+import { LANE_VFX_PROPS, LANE_VFX_MAX_LANES, laneVfxProperty, parseLaneVfxProperty, clampLaneVfx, laneVfxValue, laneVfxState } from './lanevfx.js?v=19';
+import { POST_FX_PROPS, postFxDefaults, postFxProperty, postFxSpec, clampPostFx, postFxState } from './postfx.js?v=19';
+import { TRIGGER_TARGETS, TRIGGER_MAX, makeTrigger, normalizeTriggers, triggerLabel } from './triggers.js?v=19';
+import { OVERLAY_PROPS, OVERLAY_FONTS, OVERLAY_REF_HEIGHT, overlayProperty, parseOverlayProperty, clampOverlayValue, makeOverlay, normalizeOverlays, isOverlayActive, overlayLabel, overlayImageUrl, overlayState } from './overlays.js?v=19';
+import { getTimingPoints, timingPointIndexAt, beatInfoAt, nextBeatAtOrAfter, snapMsToGrid, forEachBeat, getScrollVelocities, scrollMultiplierAt } from './timing.js?v=19';
 export class Editor {
   constructor(opts) {
     this.canvas = document.getElementById(opts.canvasId);
@@ -21,6 +35,7 @@ export class Editor {
       followToggle: "ed-follow",
       zoomIndicator: "ed-zoom-indicator",
       metroToggle: "ed-metro",
+      audioView: "ed-audio-view",
       testBtn: "ed-test",
       undoBtn: "ed-undo",
       redoBtn: "ed-redo",
@@ -32,16 +47,34 @@ export class Editor {
       audioUseFileBtn: "ed-audio-use-file",
       audioApplyManifest: "ed-audio-apply-manifest",
       audioHint: "ed-audio-hint",
+      tempoDetect: "ed-tempo-detect",
+      tempoResult: "ed-tempo-result",
+      snapOnsets: "ed-snap-onsets",
+      draftNps: "ed-draft-nps",
+      draftGap: "ed-draft-gap",
+      draftHolds: "ed-draft-holds",
+      draftGenerate: "ed-draft-generate",
+      lintRun: "ed-lint-run",
+      lintFixAll: "ed-lint-fix-all",
+      lintSummary: "ed-lint-summary",
+      lintList: "ed-lint-list",
 
       // File toolbar
       fileOpenUrl: "ed-open-url",
       fileOpenFileInput: "ed-open-file",
       fileOpenUseBtn: "ed-open-use-file",
       fileSaveAs: "ed-save-as",
+      fileExportOsu: "ed-export-osu",
+      filePublish: "ed-publish",
       fileLoadManifestUrl: "ed-manifest-url",
       fileDifficulty: "ed-diff",
       fileClearNotes: "ed-clear-notes",
 
+      // Timing points (tempo map)
+      meter: "ed-meter",
+      timingAdd: "ed-tp-add",
+      timingDel: "ed-tp-del",
+
       // Transport buttons in the HTML
       playBtn: "ed-play",
       pauseBtn: "ed-pause",
@@ -99,6 +132,13 @@ export class Editor {
     // Follow playhead
     this.follow = false;
 
+    // Detected tempo/onsets for the loaded audio (see tempo.js)
+    this.tempo = { analysis: null, snapOnsets: false };
+
+    // Waveform / spectrogram column beside the lanes
+    this.waveform = new WaveformView();
+    this.waveform.setMode(this._getSavedAudioView());
+
     // Style palette
     this.colors = {
       bg: "#0a0c10",
@@ -222,6 +262,7 @@ export class Editor {
   currentProperty: "background.gradient",
         easingCurve: "linear",   // linear|quad|cubic|quart|quint|sine|expo|circ|back|elastic|bounce|bezier|instant
         easingStyle: "inOut",    // in|out|inOut (ignored for instant/linear/bezier)
+        bezier: [...DEFAULT_BEZIER], // control points for new "bezier" keyframes (x1,y1,x2,y2)
   zoom: 1.0,
         selectedKeyframe: null,
         playheadTime: 0,
@@ -256,7 +297,10 @@ export class Editor {
   camera: { x: 0, y: 0, z: 0, rotateX: 0, rotateY: 0, rotateZ: 0, shakeAmp: 0, shakeFreq: 5 },
   // Removed 3D Depth slider; 2.5D comes from Rotate X/Y only
   notes: { colors: ["#19cdd0", "#8A5CFF", "#C8FF4D", "#FFA94D"], glow: 0, size: 1.0 },
-  lanes: { opacity: 100 }
+  lanes: { opacity: 100 },
+  overlays: [],
+  post: postFxDefaults(),
+  triggers: []
     });
     const makeDefaultSet = () => ({ data: makeDefaultData(), keyframes: {} });
     vfx._sets = {
@@ -461,6 +505,10 @@ export class Editor {
   // Camera shake
   this._wireVFXProperty("vfx-camera-shake-amp", "camera.shakeAmp", vfx, "vfx-camera-shake-amp-value", "px");
   this._wireVFXProperty("vfx-camera-shake-freq", "camera.shakeFreq", vfx, "vfx-camera-shake-freq-value", "Hz");
+  // Post-processing strengths (post.<key>)
+  for (const spec of POST_FX_PROPS) {
+    this._wireVFXProperty(`vfx-post-${spec.key}`, postFxProperty(spec.key), vfx, `vfx-post-${spec.key}-value`, spec.unit);
+  }
 
     // Camera preview toggle in editor
     try {
@@ -483,6 +531,9 @@ export class Editor {
     
 
   this._wireVFXProperty("vfx-lane-opacity", "lanes.opacity", vfx, "vfx-lane-opacity-value", "%");
+    this._wireVFXLaneControls(vfx);
+    this._wireVFXOverlays(vfx);
+    this._wireVFXTriggers(vfx);
 
     // Wire timeline controls
     this._wireVFXTimelineControls(vfx);
@@ -498,6 +549,7 @@ export class Editor {
     if (prop.startsWith('view.')) return 'camera'; // view mode grouped with camera category
     if (prop.startsWith('notes.')) return 'notes';
   if (prop.startsWith('lanes.')) return 'lanes';
+    if (prop.startsWith('post.')) return 'post';
     return 'background';
   }
 
@@ -627,6 +679,614 @@ export class Editor {
     element.addEventListener("change", onChange);
   }
 
+  // Per-lane transform controls (lanes.<key>.<lane>): one set of sliders for the lane picked in the select
+  _wireVFXLaneControls(vfx) {
+    const laneSel = document.getElementById("vfx-lane-select");
+    if (!laneSel) return;
+    if (!Number.isInteger(vfx.timeline.lane)) vfx.timeline.lane = 0;
+
+    laneSel.addEventListener("change", () => {
+      vfx.timeline.lane = Math.max(0, Number(laneSel.value) | 0);
+      // Follow the lane on the timeline when a lane property is active
+      const cur = parseLaneVfxProperty(vfx.timeline.currentProperty);
+      if (cur) {
+        const prop = laneVfxProperty(cur.key, vfx.timeline.lane);
+        vfx.timeline.currentProperty = prop;
+        vfx.timeline.lastChangedProperty = prop;
+        try { const ap = document.getElementById('vfx-active-prop'); if (ap) ap.textContent = `Active: ${prop}`; } catch {}
+        this._updateVFXTimeline(vfx);
+      }
+      this._syncVFXLaneUI(vfx);
+    });
+
+    for (const spec of LANE_VFX_PROPS) {
+      const element = document.getElementById(`vfx-lane-${spec.key}`);
+      if (!element) continue;
+      const onChange = () => {
+        const prop = laneVfxProperty(spec.key, vfx.timeline.lane || 0);
+        const value = clampLaneVfx(spec, element.value);
+        this._setVFXLaneValue(vfx, prop, value);
+        this._setVFXActiveProperty(vfx, prop, value);
+        const display = document.getElementById(`vfx-lane-${spec.key}-value`);
+        if (display) display.textContent = this._fmtVfxSpecValue(spec, value);
+        this._updateVFXTimeline(vfx);
+        this._markDirtyAndAutosave("vfx-lane-property");
+      };
+      element.addEventListener("input", onChange);
+      element.addEventListener("change", onChange);
+    }
+    this._syncVFXLaneUI(vfx);
+  }
+
+  // A control for `prop` changed to `value`: make it the active property and auto-keyframe it if enabled
+  _setVFXActiveProperty(vfx, prop, value) {
+    vfx.timeline.currentProperty = prop;
+    if (vfx.keyframes?.[prop]?.length) vfx.timeline.lastChangedProperty = prop;
+    if (vfx.timeline.autoKeyframe) {
+      const easing = this._packEasing(vfx.timeline.easingCurve, vfx.timeline.easingStyle);
+      if (!vfx.keyframes[prop]) vfx.keyframes[prop] = [];
+      let time = this.playStartMs;
+      const scrub = document.getElementById(this.ids.scrub);
+      if (scrub) {
+        const v = Number(scrub.value);
+        if (Number.isFinite(v)) time = v;
+      }
+      const idx = vfx.keyframes[prop].findIndex(kf => Math.abs(kf.time - time) < 10);
+      if (idx >= 0) {
+        vfx.keyframes[prop][idx] = { time, value, easing };
+        vfx.timeline.selectedKeyframe = { property: prop, index: idx };
+      } else {
+        vfx.keyframes[prop].push({ time, value, easing });
+        vfx.keyframes[prop].sort((a,b)=>a.time-b.time);
+        const newIdx = vfx.keyframes[prop].findIndex(kf => Math.abs(kf.time - time) < 1e-3);
+        if (newIdx >= 0) vfx.timeline.selectedKeyframe = { property: prop, index: newIdx };
+      }
+      vfx.timeline.lastChangedProperty = prop;
+    }
+    try { const ap = document.getElementById('vfx-active-prop'); if (ap) ap.textContent = `Active: ${vfx.timeline.currentProperty}`; } catch {}
+  }
+
+  _setVFXLaneValue(vfx, property, value) {
+    const lp = parseLaneVfxProperty(property);
+    if (!lp) return;
+    if (!vfx.data.lanes) vfx.data.lanes = { opacity: 100 };
+    let arr = vfx.data.lanes[lp.key];
+    if (!Array.isArray(arr)) arr = vfx.data.lanes[lp.key] = [];
+    while (arr.length <= lp.lane) arr.push(lp.spec.def);
+    arr[lp.lane] = clampLaneVfx(lp.spec, value);
+  }
+
+  _fmtVfxSpecValue(spec, v) {
+    return (spec.step < 1 ? Number(v).toFixed(2) : String(Math.round(v))) + spec.unit;
+  }
+
+  _vfxLaneCount() {
+    return Math.max(1, Math.min(LANE_VFX_MAX_LANES, Number(this.chart?.lanes) || 4));
+  }
+
+  // Lane select options, slider values and reset targets for the selected lane
+  _syncVFXLaneUI(vfx) {
+    const laneSel = document.getElementById("vfx-lane-select");
+    if (!laneSel) return;
+    const count = this._vfxLaneCount();
+    const lane = Math.max(0, Math.min(count - 1, vfx.timeline.lane | 0));
+    vfx.timeline.lane = lane;
+    if (laneSel.options.length !== count) {
+      laneSel.innerHTML = "";
+      for (let i = 0; i < count; i++) {
+        const o = document.createElement("option");
+        o.value = String(i);
+        o.textContent = `Lane ${i + 1}`;
+        laneSel.appendChild(o);
+      }
+    }
+    laneSel.value = String(lane);
+    for (const spec of LANE_VFX_PROPS) {
+      const v = laneVfxValue(vfx.data?.lanes, spec.key, lane);
+      const el = document.getElementById(`vfx-lane-${spec.key}`);
+      if (el) el.value = v;
+      const display = document.getElementById(`vfx-lane-${spec.key}-value`);
+      if (display) display.textContent = this._fmtVfxSpecValue(spec, v);
+      const reset = document.querySelector(`[data-vfx-lane-reset="${spec.key}"]`);
+      if (reset) reset.setAttribute("data-vfx-reset", laneVfxProperty(spec.key, lane));
+    }
+  }
+
+  // ===== Trigger rules (triggers.js): beat/event pulses, played by the game =====
+  _vfxTriggers(vfx) {
+    if (!vfx?.data) return [];
+    if (!Array.isArray(vfx.data.triggers)) vfx.data.triggers = [];
+    return vfx.data.triggers;
+  }
+
+  _selectedVFXTrigger(vfx) {
+    const id = vfx?.timeline?.triggerId;
+    return id ? this._vfxTriggers(vfx).find(r => r.id === id) || null : null;
+  }
+
+  // Pulse targets for the property select: camera and lane-wide, each lane's transform, post FX
+  _vfxTriggerTargets() {
+    const groups = [{ label: "Camera & Lanes", items: TRIGGER_TARGETS.map(t => ({ value: t.prop, label: t.label })) }];
+    for (let i = 0; i < this._vfxLaneCount(); i++) {
+      groups.push({ label: `Lane ${i + 1}`, items: LANE_VFX_PROPS.map(spec => ({ value: laneVfxProperty(spec.key, i), label: `Lane ${i + 1} ${spec.label}` })) });
+    }
+    groups.push({ label: "Post FX", items: POST_FX_PROPS.map(spec => ({ value: postFxProperty(spec.key), label: spec.label })) });
+    return groups;
+  }
+
+  _wireVFXTriggers(vfx) {
+    const sel = document.getElementById("vfx-tr-select");
+    if (!sel) return;
+    const $ = (id) => document.getElementById(id);
+
+    $("vfx-tr-add")?.addEventListener("click", () => {
+      const list = this._vfxTriggers(vfx);
+      if (list.length >= TRIGGER_MAX) return;
+      this._pushVfxUndo("Add trigger");
+      const r = makeTrigger(list);
+      list.push(r);
+      vfx.timeline.triggerId = r.id;
+      this._syncVFXTriggerUI(vfx);
+      this._markDirtyAndAutosave("vfx-trigger-add");
+    });
+
+    $("vfx-tr-delete")?.addEventListener("click", () => {
+      const r = this._selectedVFXTrigger(vfx);
+      if (!r) return;
+      this._pushVfxUndo("Delete trigger");
+      const list = this._vfxTriggers(vfx);
+      const idx = list.indexOf(r);
+      list.splice(idx, 1);
+      vfx.timeline.triggerId = list[Math.min(idx, list.length - 1)]?.id || null;
+      this._syncVFXTriggerUI(vfx);
+      this._markDirtyAndAutosave("vfx-trigger-delete");
+    });
+
+    sel.addEventListener("change", () => {
+      vfx.timeline.triggerId = sel.value || null;
+      this._syncVFXTriggerUI(vfx);
+    });
+
+    // Field edits are re-normalized so the rule stays valid
+    const edit = (apply) => {
+      const r = this._selectedVFXTrigger(vfx);
+      if (!r) return;
+      const prevOn = r.on;
+      apply(r);
+      // "every" means beats for one event and combo count for the other; start from a sensible value
+      if ((r.on === "combo") !== (prevOn === "combo")) r.every = r.on === "combo" ? 50 : 1;
+      Object.assign(r, normalizeTriggers([r])[0]);
+      this._syncVFXTriggerUI(vfx);
+      this._markDirtyAndAutosave("vfx-trigger-edit");
+    };
+    $("vfx-tr-on")?.addEventListener("change", (e) => edit(r => { r.on = e.target.value; }));
+    $("vfx-tr-every")?.addEventListener("change", (e) => edit(r => { r.every = Number(e.target.value); }));
+    $("vfx-tr-lane")?.addEventListener("change", (e) => edit(r => { r.lane = Number(e.target.value); }));
+    $("vfx-tr-target")?.addEventListener("change", (e) => edit(r => { r.target = e.target.value; }));
+    $("vfx-tr-amount")?.addEventListener("change", (e) => edit(r => { r.amount = Number(e.target.value); }));
+    $("vfx-tr-attack")?.addEventListener("change", (e) => edit(r => { r.attackMs = Number(e.target.value); }));
+    $("vfx-tr-release")?.addEventListener("change", (e) => edit(r => { r.releaseMs = Number(e.target.value); }));
+    this._syncVFXTriggerUI(vfx);
+  }
+
+  _syncVFXTriggerUI(vfx) {
+    const sel = document.getElementById("vfx-tr-select");
+    if (!sel) return;
+    const $ = (id) => document.getElementById(id);
+    const list = this._vfxTriggers(vfx);
+    if (vfx.timeline.triggerId && !list.some(r => r.id === vfx.timeline.triggerId)) vfx.timeline.triggerId = null;
+    if (!vfx.timeline.triggerId && list.length) vfx.timeline.triggerId = list[0].id;
+    const r = this._selectedVFXTrigger(vfx);
+    const groups = this._vfxTriggerTargets();
+    const targetLabel = (prop) => {
+      for (const g of groups) {
+        const item = g.items.find(i => i.value === prop);
+        if (item) return item.label;
+      }
+      return prop;
+    };
+
+    sel.innerHTML = "";
+    if (!list.length) {
+      const opt = document.createElement("option");
+      opt.value = "";
+      opt.textContent = "No trigger rules";
+      sel.appendChild(opt);
+    }
+    for (const item of list) {
+      const opt = document.createElement("option");
+      opt.value = item.id;
+      opt.textContent = triggerLabel(item, targetLabel(item.target));
+      sel.appendChild(opt);
+    }
+    sel.value = r ? r.id : "";
+    sel.disabled = !list.length;
+
+    const fields = $("vfx-tr-fields");
+    if (fields) fields.style.display = r ? "" : "none";
+    const del = $("vfx-tr-delete");
+    if (del) del.disabled = !r;
+    const add = $("vfx-tr-add");
+    if (add) add.disabled = list.length >= TRIGGER_MAX;
+    if (!r) return;
+
+    // Lane and property choices follow the chart's lane count
+    const count = this._vfxLaneCount();
+    const laneSel = $("vfx-tr-lane");
+    if (laneSel && laneSel.options.length !== count + 1) {
+      laneSel.innerHTML = "";
+      for (let i = -1; i < count; i++) {
+        const o = document.createElement("option");
+        o.value = String(i);
+        o.textContent = i < 0 ? "Any lane" : `Lane ${i + 1}`;
+        laneSel.appendChild(o);
+      }
+    }
+    const targetSel = $("vfx-tr-target");
+    if (targetSel && targetSel.dataset.lanes !== String(count)) {
+      targetSel.innerHTML = "";
+      for (const g of groups) {
+        const og = document.createElement("optgroup");
+        og.label = g.label;
+        for (const item of g.items) {
+          const o = document.createElement("option");
+          o.value = item.value;
+          o.textContent = item.label;
+          og.appendChild(o);
+        }
+        targetSel.appendChild(og);
+      }
+      targetSel.dataset.lanes = String(count);
+    }
+
+    const setVal = (id, v) => { const el = $(id); if (el && document.activeElement !== el) el.value = v; };
+    setVal("vfx-tr-on", r.on);
+    setVal("vfx-tr-every", r.every);
+    setVal("vfx-tr-lane", String(r.lane));
+    setVal("vfx-tr-target", r.target);
+    setVal("vfx-tr-amount", r.amount);
+    setVal("vfx-tr-attack", r.attackMs);
+    setVal("vfx-tr-release", r.releaseMs);
+    const everyField = $("vfx-tr-every-field");
+    if (everyField) everyField.style.display = (r.on === "beat" || r.on === "combo") ? "" : "none";
+    const everyUnit = $("vfx-tr-every-unit");
+    if (everyUnit) everyUnit.textContent = r.on === "combo" ? "combo" : "beats";
+    const laneField = $("vfx-tr-lane-field");
+    if (laneField) laneField.style.display = (r.on === "note" || r.on === "perfect" || r.on === "miss") ? "" : "none";
+  }
+
+  // ===== Post-processing (postfx.js) =====
+  _vfxPost(vfx) {
+    if (!vfx?.data) return postFxDefaults();
+    if (!vfx.data.post || typeof vfx.data.post !== "object") vfx.data.post = postFxDefaults();
+    return vfx.data.post;
+  }
+
+  // Strengths at t in shader units; static values come from data.post when a property has no keyframes
+  _postFxPreviewAt(t) {
+    const post = this._vfxPost(this.vfx);
+    return postFxState((p) => this.vfx.keyframes?.[p]?.length ? this._getVFXPropertyAtTime(p, t, this.vfx) : post[postFxSpec(p).key]);
+  }
+
+  // Approximation of the game's chain: saturation/invert/blur as a CSS filter on the canvas element and
+  // a drawn vignette. Chromatic aberration, bloom and pixelate need the shader (Test in Game).
+  _applyPostFxPreview(ctx, w, h, fx) {
+    const css = fx ? [
+      fx.saturation !== 1 ? `saturate(${fx.saturation.toFixed(2)})` : "",
+      fx.invert > 0 ? `invert(${fx.invert.toFixed(2)})` : "",
+      fx.blur > 0 ? `blur(${fx.blur.toFixed(1)}px)` : ""
+    ].filter(Boolean).join(" ") : "";
+    if (css !== this._postFxCss) {
+      this._postFxCss = css;
+      this.canvas.style.filter = css;
+    }
+    if (!fx || fx.vignette <= 0) return;
+    ctx.save();
+    ctx.translate(w / 2, h / 2);
+    ctx.scale(w, h);
+    const g = ctx.createRadialGradient(0, 0, 0.3, 0, 0, 0.8);
+    g.addColorStop(0, "rgba(0,0,0,0)");
+    g.addColorStop(1, `rgba(0,0,0,${fx.vignette.toFixed(3)})`);
+    ctx.fillStyle = g;
+    ctx.fillRect(-0.5, -0.5, 1, 1);
+    ctx.restore();
+  }
+
+  // ===== Overlay track (overlays.js): timed text/image elements =====
+  _vfxOverlays(vfx) {
+    if (!vfx?.data) return [];
+    if (!Array.isArray(vfx.data.overlays)) vfx.data.overlays = [];
+    return vfx.data.overlays;
+  }
+
+  _selectedVFXOverlay(vfx) {
+    const id = vfx?.timeline?.overlayId;
+    return id ? this._vfxOverlays(vfx).find(o => o.id === id) || null : null;
+  }
+
+  // Plain image names resolve in the published track's folder
+  _vfxOverlayBase() {
+    const id = this.manifest?.trackId;
+    return id ? `/tracks/${encodeURIComponent(id)}/` : "";
+  }
+
+  _wireVFXOverlays(vfx) {
+    const sel = document.getElementById("vfx-ov-select");
+    if (!sel) return;
+    const $ = (id) => document.getElementById(id);
+
+    const add = (type) => {
+      this._pushVfxUndo("Add overlay");
+      const list = this._vfxOverlays(vfx);
+      const o = makeOverlay(type, this.currentTimeMs(), list);
+      list.push(o);
+      this._selectVFXOverlay(vfx, o.id);
+      this._markDirtyAndAutosave("vfx-overlay-add");
+      if (type === "text") $("vfx-ov-text")?.focus();
+      else $("vfx-ov-src")?.focus();
+    };
+    $("vfx-ov-add-text")?.addEventListener("click", () => add("text"));
+    $("vfx-ov-add-image")?.addEventListener("click", () => add("image"));
+
+    $("vfx-ov-delete")?.addEventListener("click", () => {
+      const o = this._selectedVFXOverlay(vfx);
+      if (!o) return;
+      this._pushVfxUndo("Delete overlay");
+      const list = this._vfxOverlays(vfx);
+      const idx = list.indexOf(o);
+      list.splice(idx, 1);
+      // Its keyframes go with it
+      const prefix = `overlays.${o.id}.`;
+      for (const prop of Object.keys(vfx.keyframes || {})) {
+        if (prop.startsWith(prefix)) delete vfx.keyframes[prop];
+      }
+      if (vfx.timeline.selectedKeyframe?.property?.startsWith(prefix)) vfx.timeline.selectedKeyframe = null;
+      const next = list[Math.min(idx, list.length - 1)];
+      this._selectVFXOverlay(vfx, next ? next.id : null);
+      this._markDirtyAndAutosave("vfx-overlay-delete");
+    });
+
+    sel.addEventListener("change", () => this._selectVFXOverlay(vfx, sel.value || null));
+
+    // Content fields (not keyframed); re-normalized so times and sizes stay valid
+    const edit = (apply, reason) => {
+      const o = this._selectedVFXOverlay(vfx);
+      if (!o) return;
+      apply(o);
+      Object.assign(o, normalizeOverlays([o])[0]);
+      this._syncVFXOverlayUI(vfx);
+      this._updateVFXTimeline(vfx);
+      this._markDirtyAndAutosave(reason);
+    };
+    const playhead = () => Math.max(0, Math.round(this.currentTimeMs()));
+    $("vfx-ov-start")?.addEventListener("change", (e) => edit(o => {
+      const len = o.end - o.start;
+      o.start = Math.max(0, Math.round(Number(e.target.value) || 0));
+      if (o.end <= o.start) o.end = o.start + len;
+    }, "vfx-overlay-time"));
+    $("vfx-ov-end")?.addEventListener("change", (e) => edit(o => { o.end = Math.round(Number(e.target.value) || 0); }, "vfx-overlay-time"));
+    $("vfx-ov-start-here")?.addEventListener("click", () => edit(o => {
+      const len = o.end - o.start;
+      o.start = playhead();
+      if (o.end <= o.start) o.end = o.start + len;
+    }, "vfx-overlay-time"));
+    $("vfx-ov-end-here")?.addEventListener("click", () => edit(o => { o.end = playhead(); }, "vfx-overlay-time"));
+    $("vfx-ov-text")?.addEventListener("input", (e) => edit(o => { o.text = e.target.value; }, "vfx-overlay-text"));
+    $("vfx-ov-font")?.addEventListener("change", (e) => edit(o => { o.font = e.target.value; }, "vfx-overlay-text"));
+    $("vfx-ov-size")?.addEventListener("change", (e) => edit(o => { o.size = Number(e.target.value); }, "vfx-overlay-text"));
+    $("vfx-ov-color")?.addEventListener("input", (e) => edit(o => { o.color = e.target.value; }, "vfx-overlay-text"));
+    $("vfx-ov-src")?.addEventListener("change", (e) => {
+      edit(o => { o.src = e.target.value; }, "vfx-overlay-image");
+      if (e.target.value.trim() && !overlayImageUrl(e.target.value, this._vfxOverlayBase())) {
+        this._help("Overlay images must be files in the track folder or /paths on this site; other URLs aren't loaded.");
+      }
+    });
+
+    // Transform/alpha: keyframeable like any other VFX property
+    for (const spec of OVERLAY_PROPS) {
+      const element = $(`vfx-ov-${spec.key}`);
+      if (!element) continue;
+      const onChange = () => {
+        const o = this._selectedVFXOverlay(vfx);
+        if (!o) return;
+        const value = clampOverlayValue(spec, element.value);
+        o[spec.key] = value;
+        this._setVFXActiveProperty(vfx, overlayProperty(o.id, spec.key), value);
+        const display = $(`vfx-ov-${spec.key}-value`);
+        if (display) display.textContent = this._fmtVfxSpecValue(spec, value);
+        this._updateVFXTimeline(vfx);
+        this._markDirtyAndAutosave("vfx-overlay-property");
+      };
+      element.addEventListener("input", onChange);
+      element.addEventListener("change", onChange);
+    }
+    this._syncVFXOverlayUI(vfx);
+  }
+
+  _selectVFXOverlay(vfx, id) {
+    vfx.timeline.overlayId = id || null;
+    const o = this._selectedVFXOverlay(vfx);
+    if (o) {
+      // Keep the timeline on the same property of the newly selected element
+      const cur = parseOverlayProperty(vfx.timeline.currentProperty);
+      const prop = overlayProperty(o.id, cur ? cur.key : "alpha");
+      vfx.timeline.currentProperty = prop;
+      vfx.timeline.lastChangedProperty = prop;
+      if (!vfx.timeline.lastPropByCategory) vfx.timeline.lastPropByCategory = {};
+      vfx.timeline.lastPropByCategory.overlays = prop;
+      try { const ap = document.getElementById('vfx-active-prop'); if (ap) ap.textContent = `Active: ${prop}`; } catch {}
+    }
+    try { this._ensureVfxPropChooser(vfx); } catch {}
+    this._syncVFXOverlayUI(vfx);
+    this._updateVFXTimeline(vfx);
+  }
+
+  _syncVFXOverlayUI(vfx) {
+    const sel = document.getElementById("vfx-ov-select");
+    if (!sel) return;
+    const $ = (id) => document.getElementById(id);
+    const list = this._vfxOverlays(vfx);
+    if (vfx.timeline.overlayId && !list.some(o => o.id === vfx.timeline.overlayId)) vfx.timeline.overlayId = null;
+    if (!vfx.timeline.overlayId && list.length) vfx.timeline.overlayId = list[0].id;
+    const o = this._selectedVFXOverlay(vfx);
+
+    sel.innerHTML = "";
+    if (!list.length) {
+      const opt = document.createElement("option");
+      opt.value = "";
+      opt.textContent = "No overlays";
+      sel.appendChild(opt);
+    }
+    for (const item of list) {
+      const opt = document.createElement("option");
+      opt.value = item.id;
+      opt.textContent = `${item.type === "image" ? "Image" : "Text"}: ${overlayLabel(item)} (${this._fmtTimeMsShort(item.start)}–${this._fmtTimeMsShort(item.end)})`;
+      sel.appendChild(opt);
+    }
+    sel.value = o ? o.id : "";
+    sel.disabled = !list.length;
+
+    const fields = $("vfx-ov-fields");
+    if (fields) fields.style.display = o ? "" : "none";
+    const del = $("vfx-ov-delete");
+    if (del) del.disabled = !o;
+    if (!o) return;
+
+    const setVal = (id, v) => { const el = $(id); if (el && document.activeElement !== el) el.value = v; };
+    setVal("vfx-ov-start", o.start);
+    setVal("vfx-ov-end", o.end);
+    const textFields = $("vfx-ov-text-fields");
+    const imageFields = $("vfx-ov-image-fields");
+    if (textFields) textFields.style.display = o.type === "text" ? "" : "none";
+    if (imageFields) imageFields.style.display = o.type === "image" ? "" : "none";
+    if (o.type === "text") {
+      setVal("vfx-ov-text", o.text);
+      const font = $("vfx-ov-font");
+      if (font) {
+        // Fonts from imported files that aren't in the list still show up
+        if (![...font.options].some(opt => opt.value === o.font)) {
+          const opt = document.createElement("option");
+          opt.value = opt.textContent = o.font;
+          font.appendChild(opt);
+        }
+        font.value = o.font;
+      }
+      setVal("vfx-ov-size", o.size);
+      setVal("vfx-ov-color", o.color);
+    } else {
+      setVal("vfx-ov-src", o.src);
+    }
+    for (const spec of OVERLAY_PROPS) {
+      const v = clampOverlayValue(spec, o[spec.key]);
+      setVal(`vfx-ov-${spec.key}`, v);
+      const display = $(`vfx-ov-${spec.key}-value`);
+      if (display) display.textContent = this._fmtVfxSpecValue(spec, v);
+    }
+  }
+
+  // Row along the bottom of the VFX timeline: one bar per element from enter to exit
+  _vfxOverlayRowGeom(rect, vfx) {
+    const duration = this.chart?.durationMs || 180000;
+    const pixelsPerMs = ((rect.width - 40) / duration) * vfx.timeline.zoom;
+    const leftTime = vfx.timeline.offsetMs || 0;
+    return { y: rect.height - 18, h: 14, xAt: (t) => 20 + (t - leftTime) * pixelsPerMs };
+  }
+
+  _drawVFXOverlayRow(ctx, rect, vfx) {
+    const list = vfx.data?.overlays;
+    if (!Array.isArray(list) || !list.length) return;
+    const { y, h, xAt } = this._vfxOverlayRowGeom(rect, vfx);
+    ctx.save();
+    ctx.fillStyle = "rgba(11,17,29,0.9)";
+    ctx.fillRect(20, y - 2, rect.width - 40, h + 4);
+    ctx.font = "10px Inter";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    for (const o of list) {
+      const x0 = Math.max(20, xAt(o.start));
+      const x1 = Math.min(rect.width - 20, xAt(o.end));
+      if (x1 - x0 < 1) continue;
+      const selected = o.id === vfx.timeline.overlayId;
+      ctx.fillStyle = o.type === "image" ? "rgba(255,169,77,0.55)" : "rgba(37,244,238,0.45)";
+      this._roundRect(ctx, x0, y, x1 - x0, h, 4, true);
+      if (selected) {
+        ctx.strokeStyle = "#ffffff";
+        ctx.lineWidth = 1.5;
+        this._roundRect(ctx, x0, y, x1 - x0, h, 4, false);
+      }
+      if (x1 - x0 > 24) {
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x0, y, x1 - x0, h);
+        ctx.clip();
+        ctx.fillStyle = "#e7f0ff";
+        ctx.fillText(overlayLabel(o), x0 + 4, y + h / 2 + 0.5);
+        ctx.restore();
+      }
+    }
+    ctx.restore();
+  }
+
+  // Topmost overlay bar under (x, y) on the timeline, or null
+  _vfxOverlayRowHit(x, y, rect, vfx) {
+    const list = vfx.data?.overlays;
+    if (!Array.isArray(list) || !list.length) return null;
+    const g = this._vfxOverlayRowGeom(rect, vfx);
+    if (y < g.y - 2 || y > g.y + g.h + 2) return null;
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (x >= g.xAt(list[i].start) && x <= g.xAt(list[i].end)) return list[i];
+    }
+    return null;
+  }
+
+  // Editor preview of the overlay track (sizes relative to a 720px-high screen, like the game)
+  _drawEditorOverlays(ctx, w, h, t) {
+    const list = this.vfx?.data?.overlays;
+    if (!Array.isArray(list) || !list.length) return;
+    const k = h / OVERLAY_REF_HEIGHT;
+    for (const o of list) {
+      if (!isOverlayActive(o, t)) continue;
+      const s = overlayState(o, (p) => this.vfx.keyframes?.[p]?.length ? this._getVFXPropertyAtTime(p, t, this.vfx) : null);
+      if (s.alpha <= 0 || s.scale <= 0) continue;
+      let img = null;
+      if (o.type === "image") {
+        img = this._overlayImage(overlayImageUrl(o.src, this._vfxOverlayBase()));
+        if (!img) continue;
+      }
+      ctx.save();
+      ctx.translate(s.x / 100 * w, s.y / 100 * h);
+      ctx.rotate(s.rotate);
+      ctx.scale(s.scale * k, s.scale * k);
+      ctx.globalAlpha *= s.alpha;
+      if (img) {
+        ctx.drawImage(img, -img.naturalWidth / 2, -img.naturalHeight / 2);
+      } else {
+        const lines = String(o.text || "").split("\n");
+        ctx.font = `${o.size}px ${JSON.stringify(o.font)}, sans-serif`;
+        ctx.fillStyle = o.color;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        const lh = o.size * 1.2;
+        lines.forEach((line, i) => ctx.fillText(line, 0, (i - (lines.length - 1) / 2) * lh));
+      }
+      ctx.restore();
+    }
+  }
+
+  // Loaded image for a URL (null until it has loaded, or when it failed)
+  _overlayImage(url) {
+    if (!url) return null;
+    if (!this._overlayImages) this._overlayImages = new Map();
+    let img = this._overlayImages.get(url);
+    if (!img) {
+      img = new Image();
+      img.onerror = () => console.warn("[PF] Overlay image failed to load:", url);
+      img.src = url;
+      this._overlayImages.set(url, img);
+    }
+    return img.complete && img.naturalWidth > 0 ? img : null;
+  }
+
   _wireVFXTimelineControls(vfx) {
   const currentPropertySelect = null; // property dropdown removed
   const easingCurveSelect = document.getElementById("vfx-easing-curve");
@@ -636,11 +1296,14 @@ export class Editor {
 
     // property selection is automatic now (lastChangedProperty)
 
+    try { this._wireBezierEditor(vfx); } catch {}
+
     if (easingCurveSelect) {
       easingCurveSelect.value = vfx.timeline.easingCurve;
       easingCurveSelect.addEventListener("change", () => {
         vfx.timeline.easingCurve = easingCurveSelect.value;
         this._updateVFXTimeline(vfx);
+        vfx._redrawBezier?.();
       });
     }
     if (easingStyleSelect) {
@@ -648,6 +1311,7 @@ export class Editor {
       easingStyleSelect.addEventListener("change", () => {
         vfx.timeline.easingStyle = easingStyleSelect.value;
         this._updateVFXTimeline(vfx);
+        vfx._redrawBezier?.();
       });
     }
 
@@ -801,6 +1465,10 @@ export class Editor {
   'notes.size': 1,
   'lanes.opacity': 100,
     };
+    const lp = parseLaneVfxProperty(property);
+    if (lp) return lp.spec.def;
+    const pp = postFxSpec(property);
+    if (pp) return pp.def;
     // Return a fresh copy for objects to avoid accidental mutation of shared defaults
     const v = defaults[property];
     if (v && typeof v === 'object') return JSON.parse(JSON.stringify(v));
@@ -811,6 +1479,15 @@ export class Editor {
     if (!property) return;
     const def = this._defaultVFXFor(property);
     if (def === undefined) return;
+    if (parseLaneVfxProperty(property)) {
+      this._setVFXLaneValue(vfx, property, def);
+      this._syncVFXLaneUI(vfx);
+      vfx.timeline.lastChangedProperty = property;
+      vfx.timeline.currentProperty = property;
+      this._updateVFXTimeline(vfx);
+      this._markDirtyAndAutosave("vfx-move-keyframe");
+      return;
+    }
     // Set value in vfx.data
     const keys = property.split('.')
     let target = vfx.data;
@@ -1033,6 +1710,13 @@ export class Editor {
   // Property tabs removed
 
   _getCurrentVFXPropertyValue(property, vfx) {
+    const lp = parseLaneVfxProperty(property);
+    if (lp) return laneVfxValue(vfx.data?.lanes, lp.key, lp.lane);
+    const op = parseOverlayProperty(property);
+    if (op) {
+      const o = this._vfxOverlays(vfx).find(e => e.id === op.id);
+      return o ? clampOverlayValue(op.spec, o[op.key]) : op.spec.def;
+    }
     const keys = property.split(".");
     let value = vfx.data;
     for (let i = 0; i < keys.length; i++) {
@@ -1069,6 +1753,11 @@ export class Editor {
     if (!property) return;
     const def = this._defaultVFXFor(property);
     if (def === undefined) return;
+    if (parseLaneVfxProperty(property)) {
+      this._setVFXLaneValue(vfx, property, def);
+      this._syncVFXToUI(vfx);
+      return;
+    }
     const keys = property.split('.');
     let target = vfx.data;
     for (let i = 0; i < keys.length - 1; i++) {
@@ -1102,6 +1791,7 @@ export class Editor {
     const ctx = vfx.timelineCtx;
     const rect = canvas.getBoundingClientRect();
     if (rect.width === 0 || rect.height === 0) return; // hidden
+    vfx._redrawBezier?.(); // the curve editor follows the selected keyframe
     
     // Follow: keep the playhead centered when follow is enabled
     try {
@@ -1125,6 +1815,9 @@ export class Editor {
     
   // Draw keyframes for current property
   this._drawVFXKeyframes(ctx, rect, vfx);
+
+    // Overlay track row (enter -> exit bars)
+    this._drawVFXOverlayRow(ctx, rect, vfx);
     
     // Draw playhead and current value at playhead
     this._drawVFXPlayhead(ctx, rect, vfx);
@@ -1167,10 +1860,22 @@ export class Editor {
           { value: "notes.glow", label: "Note Glow" },
           { value: "notes.size", label: "Note Size" },
         ];
-      case "lanes":
-        return [
-          { value: "lanes.opacity", label: "Lane Opacity" },
-        ];
+      case "lanes": {
+        const out = [{ value: "lanes.opacity", label: "Lane Opacity" }];
+        for (let i = 0; i < this._vfxLaneCount(); i++) {
+          for (const spec of LANE_VFX_PROPS) out.push({ value: laneVfxProperty(spec.key, i), label: `Lane ${i + 1} ${spec.label}` });
+        }
+        return out;
+      }
+      case "triggers":
+        return []; // rules are not keyframed
+      case "post":
+        return POST_FX_PROPS.map(spec => ({ value: postFxProperty(spec.key), label: spec.label }));
+      case "overlays": {
+        const o = this._selectedVFXOverlay(this.vfx);
+        if (!o) return [];
+        return OVERLAY_PROPS.map(spec => ({ value: overlayProperty(o.id, spec.key), label: `${overlayLabel(o)} ${spec.label}` }));
+      }
       default:
         return [];
     }
@@ -1485,6 +2190,13 @@ export class Editor {
       ctx.lineTo(x1, y2); ctx.lineTo(x2, y2);
     } else if (curve === "linear") {
       ctx.lineTo(x2, y2);
+    } else if (curve === "bezier") {
+      const [p1x, p1y, p2x, p2y] = parseBezier(style) || DEFAULT_BEZIER;
+      ctx.bezierCurveTo(
+        x1 + (x2 - x1) * p1x, y1 + (y2 - y1) * p1y,
+        x1 + (x2 - x1) * p2x, y1 + (y2 - y1) * p2y,
+        x2, y2
+      );
     } else {
       const map = {
         in:  [[0.42,0.0],[1.0,1.0]],
@@ -1510,7 +2222,7 @@ export class Editor {
     let fn;
     if (curve === "linear") fn = this._easingFunctions.linear();
     else if (curve === "instant") fn = () => 0; // renders flat to start; still shows step-like line
-    else if (curve === "bezier") fn = this._easingFunctions.bezier();
+    else if (curve === "bezier") fn = this._easingFunctions.bezier(style);
     else fn = this._easingFunctions[curve]?.[style || "inOut"] || this._easingFunctions.cubic.inOut;
 
     // Sample N points between tStart..tEnd and map to screen x-range
@@ -1670,6 +2382,13 @@ export class Editor {
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
 
+    // Clicking an overlay bar selects that element
+    const hitOverlay = this._vfxOverlayRowHit(x, y, rect, vfx);
+    if (hitOverlay) {
+      this._selectVFXOverlay(vfx, hitOverlay.id);
+      return;
+    }
+
   // Check if clicking on a keyframe
   const property = vfx.timeline.lastChangedProperty || vfx.timeline.currentProperty;
     const keyframes = vfx.keyframes[property] || [];
@@ -1829,6 +2548,24 @@ export class Editor {
     const { property, index } = sel;
     const kf = vfx.keyframes?.[property]?.[index];
     if (!kf) return;
+    // Lane properties share one set of sliders: switch to the keyframe's lane and show its value
+    const lp = parseLaneVfxProperty(property);
+    if (lp) {
+      vfx.timeline.lane = lp.lane;
+      this._setVFXLaneValue(vfx, property, kf.value);
+      this._syncVFXLaneUI(vfx);
+      return;
+    }
+    // Overlay keyframes select their element and show the value on its transform sliders
+    const op = parseOverlayProperty(property);
+    if (op) {
+      const o = this._vfxOverlays(vfx).find(e => e.id === op.id);
+      if (!o) return;
+      vfx.timeline.overlayId = o.id;
+      o[op.key] = clampOverlayValue(op.spec, kf.value);
+      this._syncVFXOverlayUI(vfx);
+      return;
+    }
     // Map property to element id like other wiring
     const id = this._vfxElementIdForProperty(property);
     if (!id) return;
@@ -1875,9 +2612,173 @@ export class Editor {
       'notes.size': 'vfx-note-size',
       'lanes.opacity': 'vfx-lane-opacity'
     };
+    const pp = postFxSpec(prop);
+    if (pp) return `vfx-post-${pp.key}`;
     return map[prop] || null;
   }
 
+  // Cubic-bezier curve editor beside the easing selects. Edits the selected keyframe's curve when it is
+  // a bezier keyframe, otherwise the curve that new "Custom Bezier" keyframes get.
+  _wireBezierEditor(vfx) {
+    const canvas = document.getElementById("vfx-bezier-canvas");
+    if (!canvas) return;
+    const valueEl = document.getElementById("vfx-bezier-value");
+    const targetEl = document.getElementById("vfx-bezier-target");
+    const resetBtn = document.getElementById("vfx-bezier-reset");
+    const Y_LO = -0.5, Y_HI = 1.5; // visible value range; leaves room for overshoot
+    const PAD = 12;
+    const HIT_R = 9;
+    let lastKey = "";
+    let drag = null;
+    let hover = -1;
+
+    const target = () => {
+      const sel = vfx.timeline.selectedKeyframe;
+      const kf = sel ? vfx.keyframes?.[sel.property]?.[sel.index] : null;
+      if (kf && this._unpackEasing(kf.easing || "linear").curve === "bezier") return { kf, easing: kf.easing };
+      return { kf: null, easing: this._packEasing(vfx.timeline.easingCurve, vfx.timeline.easingStyle) };
+    };
+    const pointsOf = (easing) => {
+      const ez = this._unpackEasing(easing || "linear");
+      return ez.curve === "bezier" ? (parseBezier(ez.style) || [...DEFAULT_BEZIER]) : null;
+    };
+    const geom = () => {
+      const rect = canvas.getBoundingClientRect();
+      const iw = Math.max(1, rect.width - PAD * 2), ih = Math.max(1, rect.height - PAD * 2);
+      return {
+        rect,
+        toX: (x) => PAD + x * iw,
+        toY: (y) => rect.height - PAD - (y - Y_LO) / (Y_HI - Y_LO) * ih,
+        fromX: (px) => (px - PAD) / iw,
+        fromY: (py) => Y_LO + (rect.height - PAD - py) / ih * (Y_HI - Y_LO)
+      };
+    };
+
+    const redraw = (force = false) => {
+      const g = geom();
+      const { width: w, height: h } = g.rect;
+      if (!w || !h) return; // VFX tab hidden
+      const { kf, easing } = target();
+      const key = `${easing}|${kf ? "kf" : "new"}|${hover}|${w}x${h}`;
+      if (!force && key === lastKey) return;
+      lastKey = key;
+      const dpr = window.devicePixelRatio || 1;
+      canvas.width = Math.floor(w * dpr);
+      canvas.height = Math.floor(h * dpr);
+      const ctx = canvas.getContext("2d");
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, w, h);
+
+      // 0..1 box and the linear reference
+      ctx.strokeStyle = "#2a3142";
+      ctx.lineWidth = 1;
+      ctx.strokeRect(g.toX(0), g.toY(1), g.toX(1) - g.toX(0), g.toY(0) - g.toY(1));
+      ctx.save();
+      ctx.setLineDash([4, 4]);
+      ctx.strokeStyle = "rgba(255,255,255,0.12)";
+      ctx.beginPath();
+      ctx.moveTo(g.toX(0), g.toY(0));
+      ctx.lineTo(g.toX(1), g.toY(1));
+      ctx.stroke();
+      ctx.restore();
+
+      ctx.save();
+      this._drawEasingCurve(ctx, g.toX(0), g.toY(0), g.toX(1), g.toY(1), easing);
+      ctx.restore();
+
+      const pts = pointsOf(easing);
+      if (pts) {
+        const anchors = [[0, 0], [1, 1]];
+        for (let i = 0; i < 2; i++) {
+          const ax = g.toX(anchors[i][0]), ay = g.toY(anchors[i][1]);
+          const hx = g.toX(pts[i * 2]), hy = g.toY(pts[i * 2 + 1]);
+          ctx.strokeStyle = "rgba(200,255,77,0.6)";
+          ctx.lineWidth = 1.5;
+          ctx.beginPath();
+          ctx.moveTo(ax, ay);
+          ctx.lineTo(hx, hy);
+          ctx.stroke();
+          ctx.fillStyle = hover === i || drag?.handle === i ? "#C8FF4D" : "#e7f0ff";
+          ctx.strokeStyle = "#0b111d";
+          ctx.lineWidth = 2;
+          ctx.beginPath();
+          ctx.arc(hx, hy, 6, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.stroke();
+        }
+      }
+
+      const ez = this._unpackEasing(easing || "linear");
+      if (valueEl) valueEl.textContent = pts ? `cubic-bezier(${formatBezier(pts).split(",").join(", ")})` : (ez.curve === "linear" || ez.curve === "instant" ? ez.curve : `${ez.curve} • ${ez.style}`);
+      if (targetEl) targetEl.textContent = kf ? "Editing the selected keyframe" : (pts ? "Editing new keyframes" : "Choose Custom Bezier to shape your own curve");
+      if (resetBtn) resetBtn.disabled = !pts;
+    };
+    vfx._redrawBezier = redraw;
+
+    const handleAt = (x, y) => {
+      const pts = pointsOf(target().easing);
+      if (!pts) return -1;
+      const g = geom();
+      for (let i = 0; i < 2; i++) {
+        if (Math.hypot(g.toX(pts[i * 2]) - x, g.toY(pts[i * 2 + 1]) - y) <= HIT_R) return i;
+      }
+      return -1;
+    };
+    const setPoints = (pts) => {
+      const t = target();
+      const clamped = clampBezier(pts);
+      if (t.kf) t.kf.easing = `bezier:${formatBezier(clamped)}`;
+      else vfx.timeline.bezier = clamped;
+      redraw(true);
+      this._updateVFXTimeline(vfx);
+    };
+
+    canvas.addEventListener("mousedown", (e) => {
+      const rect = canvas.getBoundingClientRect();
+      const i = handleAt(e.clientX - rect.left, e.clientY - rect.top);
+      if (i < 0) return;
+      const { kf } = target();
+      if (kf) this._pushVfxUndo("Edit Bezier Curve");
+      drag = { handle: i, keyframe: !!kf };
+      e.preventDefault();
+    });
+    canvas.addEventListener("mousemove", (e) => {
+      if (drag) return;
+      const rect = canvas.getBoundingClientRect();
+      const i = handleAt(e.clientX - rect.left, e.clientY - rect.top);
+      canvas.style.cursor = i >= 0 ? "grab" : "default";
+      if (i !== hover) { hover = i; redraw(); }
+    });
+    canvas.addEventListener("mouseleave", () => {
+      if (!drag && hover !== -1) { hover = -1; redraw(); }
+    });
+    window.addEventListener("mousemove", (e) => {
+      if (!drag) return;
+      const pts = pointsOf(target().easing);
+      if (!pts) { drag = null; return; }
+      const g = geom();
+      pts[drag.handle * 2] = Math.max(0, Math.min(1, g.fromX(e.clientX - g.rect.left)));
+      pts[drag.handle * 2 + 1] = Math.max(Y_LO, Math.min(Y_HI, g.fromY(e.clientY - g.rect.top)));
+      setPoints(pts);
+    });
+    window.addEventListener("mouseup", () => {
+      if (!drag) return;
+      if (drag.keyframe) this._markDirtyAndAutosave("vfx-bezier-edit");
+      drag = null;
+      redraw(true);
+    });
+
+    resetBtn?.addEventListener("click", () => {
+      const { kf, easing } = target();
+      if (!pointsOf(easing)) return;
+      if (kf) this._pushVfxUndo("Reset Bezier Curve");
+      setPoints([...DEFAULT_BEZIER]);
+      if (kf) this._markDirtyAndAutosave("vfx-bezier-edit");
+    });
+
+    redraw(true);
+  }
+
   // ===== Gradient Editor (Background) =====
   _wireGradientEditor(vfx) {
     const typeSel = document.getElementById("vfx-bg-grad-type");
@@ -2285,6 +3186,9 @@ export class Editor {
     if (typeof value === "boolean") return value ? "On" : "Off";
     // Strings
     if (typeof value === "string") return value;
+    // Per-lane, overlay and post-processing properties carry their own units
+    const spec = parseLaneVfxProperty(property)?.spec || parseOverlayProperty(property)?.spec || postFxSpec(property);
+    if (spec) return this._fmtVfxSpecValue(spec, Number(value));
 
     // Numbers with units based on property
     const unit = (() => {
@@ -2353,17 +3257,14 @@ export class Editor {
         in: (t) => 1 - this._easingFunctions.bounce.out(1 - t),
         inOut: (t) => t < 0.5 ? (1 - this._easingFunctions.bounce.out(1 - 2*t)) / 2 : (1 + this._easingFunctions.bounce.out(2*t - 1)) / 2
       },
-      bezier: (p1x=0.25,p1y=0.1,p2x=0.25,p2y=1.0) => (t) => {
-        const cx = 3 * p1x, bx = 3 * (p2x - p1x) - cx, ax = 1 - cx - bx;
-        const cy = 3 * p1y, by = 3 * (p2y - p1y) - cy, ay = 1 - cy - by;
-        const y = ((ay * t + by) * t + cy) * t; // assuming x≈t for editor preview
-        return y;
-      }
+      // style of a "bezier:x1,y1,x2,y2" easing carries the control points
+      bezier: (pts) => bezierEasing(pts)
     };
 
-    _packEasing(curve, style) {
+    _packEasing(curve, style, bezier = this.vfx?.timeline?.bezier) {
       if (!curve) return "linear";
-      if (curve === "instant" || curve === "linear" || curve === "bezier") return curve;
+      if (curve === "bezier") return `bezier:${formatBezier(parseBezier(style) || bezier || DEFAULT_BEZIER)}`;
+      if (curve === "instant" || curve === "linear") return curve;
       return `${curve}:${style || "inOut"}`;
     }
     _unpackEasing(easing) {
@@ -2392,7 +3293,7 @@ export class Editor {
         const t = Math.max(0, Math.min(1, time / dur));
   const ez = this._unpackEasing(first.easing || 'linear');
   const isGrad = this._isGradientSnapshot(startVal) && this._isGradientSnapshot(first.value);
-  const fn = (ez.curve === 'linear' || (isGrad && ez.curve === 'instant')) ? this._easingFunctions.linear() : (ez.curve === 'instant' ? (()=>0) : (ez.curve === 'bezier' ? this._easingFunctions.bezier() : (this._easingFunctions[ez.curve]?.[ez.style || 'inOut'] || this._easingFunctions.cubic.inOut)));
+  const fn = (ez.curve === 'linear' || (isGrad && ez.curve === 'instant')) ? this._easingFunctions.linear() : (ez.curve === 'instant' ? (()=>0) : (ez.curve === 'bezier' ? this._easingFunctions.bezier(ez.style) : (this._easingFunctions[ez.curve]?.[ez.style || 'inOut'] || this._easingFunctions.cubic.inOut)));
         const f = fn(t);
         if (typeof startVal === 'number' && typeof first.value === 'number') return startVal + (first.value - startVal) * f;
         if (typeof startVal === 'string' && /^#/.test(startVal) && typeof first.value === 'string') return this._interpolateColor(startVal, first.value, f);
@@ -2425,7 +3326,7 @@ export class Editor {
   const isGrad = this._isGradientSnapshot(startKf.value) && this._isGradientSnapshot(endKf.value);
   if (ez.curve === "linear" || (isGrad && ez.curve === "instant")) fn = this._easingFunctions.linear();
   else if (ez.curve === "instant") fn = () => 0;
-  else if (ez.curve === "bezier") fn = this._easingFunctions.bezier();
+  else if (ez.curve === "bezier") fn = this._easingFunctions.bezier(ez.style);
   else fn = this._easingFunctions[ez.curve]?.[ez.style || "inOut"] || this._easingFunctions.cubic.inOut;
       const factor = fn(t);
 
@@ -2538,7 +3439,7 @@ export class Editor {
         let fn;
         if (ez.curve === "linear") fn = this._easingFunctions.linear();
         else if (ez.curve === "instant") fn = this._easingFunctions.linear(); // force visible morph for gradients
-        else if (ez.curve === "bezier") fn = this._easingFunctions.bezier();
+        else if (ez.curve === "bezier") fn = this._easingFunctions.bezier(ez.style);
         else fn = this._easingFunctions[ez.curve]?.[ez.style || "inOut"] || this._easingFunctions.cubic.inOut;
         const factor = fn(t);
 
@@ -2574,13 +3475,15 @@ export class Editor {
       const notes = Array.isArray(this.chart?.notes) ? [...this.chart.notes].sort((a,b)=>a.tMs-b.tMs) : [];
       const out = {
         bpm: this.chart?.bpm || 120,
+        timingPoints: getTimingPoints(this.chart),
+        scrollVelocities: getScrollVelocities(this.chart),
         lanes: this.chart?.lanes || 4,
         durationMs: this.chart?.durationMs || (this.audioBuffer ? Math.floor(this.audioBuffer.duration * 1000) : 180000),
         notes,
         title: this.manifest?.title || "Editor Preview",
         difficulty: this.difficulty || "normal",
         trackId: (this.manifest?.title ? this.manifest.title.toLowerCase().replace(/[^a-z0-9]+/g, "-") : "editor-preview"),
-        audioUrl: this.audioUrl || this.manifest?.audio?.wav || this.manifest?.audio?.mp3
+        audioUrl: this.audioUrl || this.manifest?.audio?.wav || this.manifest?.audio?.mp3 || this.manifest?.audio?.ogg
       };
       if (!out.audioUrl) {
         alert("Load an audio file/URL or a manifest with audio before testing in game.");
@@ -2607,6 +3510,12 @@ export class Editor {
               newKeyframes[prop] = [{ time: 0, value: val, easing: 'instant' }, ...shifted];
             } catch {}
           }
+          // Overlay enter/exit times move with the keyframes; elements that already left are dropped
+          if (Array.isArray(set.properties.overlays)) {
+            set.properties.overlays = set.properties.overlays
+              .filter(o => o.end > offset)
+              .map(o => ({ ...o, start: Math.max(0, o.start - offset), end: o.end - offset }));
+          }
           // Replace export set for active diff only (others untouched)
           vfxExport.byDifficulty[diff].keyframes = newKeyframes;
           // Also sync legacy single-set copy if used by runtime
@@ -2623,7 +3532,8 @@ export class Editor {
         isEditorPreview: true,
         returnTo: "editor",
         vfx: vfxExport.vfx,
-        byDifficulty: vfxExport.byDifficulty
+        byDifficulty: vfxExport.byDifficulty,
+        overlayBase: this._vfxOverlayBase()
       });
     } catch (e) {
       console.error("VFX Test in Game failed:", e);
@@ -2651,6 +3561,12 @@ export class Editor {
     reader.onload = (e) => {
       try {
         const vfxData = JSON.parse(e.target.result);
+        const checked = validateVfx(vfxData);
+        if (!checked.ok) {
+          alert(`${file.name} is not a valid VFX file:\n\n${formatSchemaErrors(checked.errors)}`);
+          return;
+        }
+        if (checked.warnings.length) console.warn("VFX schema warnings:\n" + formatSchemaErrors(checked.warnings, 50));
         this._loadVFXData(vfxData, vfx);
       } catch (error) {
         console.error("Failed to import VFX:", error);
@@ -2866,6 +3782,18 @@ export class Editor {
     
   if (laneOpacity) laneOpacity.value = vfx.data.lanes.opacity;
   if (laneOpacityValue) laneOpacityValue.textContent = vfx.data.lanes.opacity + "%";
+    this._syncVFXLaneUI(vfx);
+    this._syncVFXOverlayUI(vfx);
+    this._syncVFXTriggerUI(vfx);
+
+    // Post-processing
+    const post = this._vfxPost(vfx);
+    for (const spec of POST_FX_PROPS) {
+      const el = document.getElementById(`vfx-post-${spec.key}`);
+      if (el) el.value = post[spec.key];
+      const display = document.getElementById(`vfx-post-${spec.key}-value`);
+      if (display) display.textContent = this._fmtVfxSpecValue(spec, post[spec.key]);
+    }
   }
 
   // ===== History (Undo/Redo) =====
@@ -2985,7 +3913,10 @@ export class Editor {
       },
       camera: { x: 0, y: 0, z: 0, rotateX: 0, rotateY: 0, rotateZ: 0, shakeAmp: 0, shakeFreq: 5 },
       notes: { colors: ["#19cdd0", "#8A5CFF", "#C8FF4D", "#FFA94D"], glow: 0, size: 1.0, trails: false },
-      lanes: { opacity: 100 }
+      lanes: { opacity: 100 },
+      overlays: [],
+      post: postFxDefaults(),
+      triggers: []
     };
   }
 
@@ -3011,7 +3942,7 @@ export class Editor {
   _normalizeEasing(easing) {
     try {
       const { curve, style } = this._unpackEasing(easing || "linear");
-      return this._packEasing(curve, style);
+      return this._packEasing(curve, style, DEFAULT_BEZIER); // a bare legacy "bezier" keeps the default curve
     } catch {
       return "linear";
     }
@@ -3083,6 +4014,28 @@ export class Editor {
       // Lanes
       const l = src.lanes || {};
       outProps.lanes.opacity = this._clamp(l.opacity, 0, 100);
+      for (const spec of LANE_VFX_PROPS) {
+        if (!Array.isArray(l[spec.key])) continue;
+        outProps.lanes[spec.key] = l[spec.key].slice(0, LANE_VFX_MAX_LANES).map(v => clampLaneVfx(spec, v));
+      }
+
+      // Post-processing
+      const post = src.post || {};
+      for (const spec of POST_FX_PROPS) {
+        if (post[spec.key] != null) outProps.post[spec.key] = clampPostFx(spec, post[spec.key]);
+      }
+
+      // Overlays
+      outProps.overlays = normalizeOverlays(src.overlays);
+      if (Array.isArray(src.overlays) && outProps.overlays.length !== src.overlays.length) {
+        warnings.push(`Dropped ${src.overlays.length - outProps.overlays.length} invalid overlay element(s).`);
+      }
+
+      // Trigger rules
+      outProps.triggers = normalizeTriggers(src.triggers);
+      if (Array.isArray(src.triggers) && outProps.triggers.length !== src.triggers.length) {
+        warnings.push(`Dropped ${src.triggers.length - outProps.triggers.length} invalid trigger rule(s).`);
+      }
     } catch (e) {
       warnings.push("Failed to normalize properties object; using defaults for some fields.");
     }
@@ -3102,7 +4055,9 @@ export class Editor {
       "notes.colors.1","notes.colors.2","notes.colors.3","notes.colors.4",
   "notes.glow","notes.size",
       // Lanes
-      "lanes.opacity"
+      "lanes.opacity",
+      // Post-processing
+      ...POST_FX_PROPS.map(spec => postFxProperty(spec.key))
     ]);
     const outKfs = {};
     const srcKfs = setObj?.keyframes || {};
@@ -3119,7 +4074,9 @@ export class Editor {
     }
 
     for (const prop of Object.keys(srcKfs)) {
-      if (!allowedKFProps.has(prop)) {
+      const overlayProp = parseOverlayProperty(prop);
+      const knownOverlay = !!overlayProp && outProps.overlays.some(o => o.id === overlayProp.id);
+      if (!allowedKFProps.has(prop) && !parseLaneVfxProperty(prop) && !knownOverlay) {
         warnings.push(`Removed unknown timeline property '${prop}'.`);
         continue;
       }
@@ -3144,6 +4101,12 @@ export class Editor {
           v = !!v;
         } else if (prop === "lanes.opacity") {
           v = this._clamp(v, 0, 100);
+        } else if (parseLaneVfxProperty(prop)) {
+          v = clampLaneVfx(parseLaneVfxProperty(prop).spec, v);
+        } else if (overlayProp) {
+          v = clampOverlayValue(overlayProp.spec, v);
+        } else if (postFxSpec(prop)) {
+          v = clampPostFx(postFxSpec(prop), v);
         } else if (prop === "background.angle") {
           v = this._clamp(v, 0, 360);
         } else if (prop === "background.gradient") {
@@ -3198,6 +4161,59 @@ export class Editor {
   }
 
   // ===== Wire HTML controls =====
+  _wireTimingPoints() {
+    if (this._wiredTiming) return;
+    this._wiredTiming = true;
+    const bpmEl = document.getElementById(this.ids.bpm);
+    const meterEl = document.getElementById(this.ids.meter);
+
+    meterEl?.addEventListener("change", () => {
+      const meter = Math.max(1, Math.min(16, Math.round(Number(meterEl.value) || 4)));
+      this._pushUndo("Meter change");
+      if (!Array.isArray(this.chart.timingPoints) || !this.chart.timingPoints.length) {
+        this.chart.timingPoints = getTimingPoints(this.chart);
+      }
+      const tps = this.chart.timingPoints;
+      tps[timingPointIndexAt(tps, this.currentTimeMs())].meter = meter;
+    });
+
+    // Add a tempo change at the playhead (snapped to the current grid) using the BPM/Meter inputs
+    document.getElementById(this.ids.timingAdd)?.addEventListener("click", () => {
+      if (!this.chart) return;
+      const bpm = Number(bpmEl?.value) || this.chart.bpm || 120;
+      const meter = Math.max(1, Math.min(16, Math.round(Number(meterEl?.value) || 4)));
+      const tps = getTimingPoints(this.chart);
+      const time = Math.max(0, Math.round(snapMsToGrid(tps, this.currentTimeMs(), this.subdiv)));
+      this._pushUndo("Add timing point");
+      const existing = tps.findIndex(p => Math.abs(p.time - time) < 1);
+      if (existing >= 0) tps[existing] = { time: tps[existing].time, bpm, meter };
+      else tps.push({ time, bpm, meter });
+      this.chart.timingPoints = getTimingPoints({ ...this.chart, timingPoints: tps });
+      this.chart.bpm = this.chart.timingPoints[0].bpm;
+      this._syncInputs();
+      this._help(`Timing point: ${bpm} BPM ${meter}/4 at ${this._fmtTimeMsShort(time)}`);
+    });
+
+    // Remove the timing point in effect at the playhead (the first one only goes when it is the last)
+    document.getElementById(this.ids.timingDel)?.addEventListener("click", () => {
+      const tps = this.chart?.timingPoints;
+      if (!Array.isArray(tps) || !tps.length) { this._help("Chart has a single BPM; no timing points to remove."); return; }
+      const idx = timingPointIndexAt(tps, this.currentTimeMs());
+      if (tps.length > 1 && idx === 0) {
+        this._help("The first timing point sets the base tempo; edit its BPM instead.");
+        return;
+      }
+      this._pushUndo("Remove timing point");
+      if (tps.length === 1) {
+        this.chart.bpm = tps[0].bpm;
+        delete this.chart.timingPoints;
+      } else {
+        tps.splice(idx, 1);
+      }
+      this._syncInputs();
+      this._help("Removed timing point.");
+    });
+  }
   _wireFollowToggle() {
     if (this._wiredFollow) return;
     const el = document.getElementById(this.ids.followToggle);
@@ -3220,6 +4236,25 @@ export class Editor {
     });
     this._wiredMetro = true;
   }
+  _wireAudioViewSelect() {
+    if (this._wiredAudioView) return;
+    const el = document.getElementById(this.ids.audioView);
+    if (!el) return;
+    el.value = this.waveform.mode;
+    el.addEventListener("change", () => {
+      this.waveform.setMode(el.value);
+      try { localStorage.setItem("pf:editorAudioView", this.waveform.mode); } catch {}
+      this._help(`Audio column: ${el.options[el.selectedIndex]?.text || this.waveform.mode}`);
+    });
+    this._wiredAudioView = true;
+  }
+  _getSavedAudioView() {
+    try {
+      const v = localStorage.getItem("pf:editorAudioView");
+      if (AUDIO_VIEW_MODES.includes(v)) return v;
+    } catch {}
+    return "off";
+  }
   _wireTestButton() {
     if (this._wiredTest) return;
     const btn = document.getElementById(this.ids.testBtn);
@@ -3254,6 +4289,8 @@ export class Editor {
       durationMs: init.durationMs ?? 180000,
       notes: Array.isArray(init.notes) ? init.notes.slice() : []
     };
+    if (Array.isArray(init.timingPoints) && init.timingPoints.length) this.chart.timingPoints = getTimingPoints(init);
+    if (Array.isArray(init.scrollVelocities) && init.scrollVelocities.length) this.chart.scrollVelocities = getScrollVelocities(init);
     this.subdiv = 4;
     this.selection.clear();
     this.scrollY = 0;
@@ -3263,6 +4300,8 @@ export class Editor {
     this._updateScrubMax();
     this._wireFollowToggle();
     this._wireMetronomeControl();
+    this._wireAudioViewSelect();
+    this._wireLintPanel();
     this._wireZoomIndicator();
     // Wire speed slider if present
     try {
@@ -3300,26 +4339,39 @@ export class Editor {
   }
 
   /** Load a manifest + chart (optional) and wire toolbars. */
-  async loadManifest(manifestUrl, difficulty = "normal") {
+  async loadManifest(manifestUrl, difficulty = "normal", { loadAudio = true } = {}) {
+    // Fetch and check both documents before touching the open chart
+    const m = await fetch(manifestUrl).then(r => r.json());
+    const checkedManifest = validateManifest(m);
+    if (!checkedManifest.ok) throw new Error(`manifest.json is invalid:\n${formatSchemaErrors(checkedManifest.errors)}`);
+    const chartUrl = m.charts?.[difficulty];
+    const loaded = chartUrl ? await fetch(chartUrl).then(r => r.json()) : null;
+    if (loaded) this._assertChartSchema(loaded, chartUrl);
+
     if (this.chart) this._pushUndo("Load manifest");
     this.manifestUrl = manifestUrl;
     this.difficulty = difficulty;
-    const m = await fetch(manifestUrl).then(r => r.json());
     this.manifest = m;
 
-    const chartUrl = m.charts?.[difficulty];
     if (!chartUrl) {
       this.chartUrl = null;
       this.chart = { bpm: m.bpm || 120, durationMs: m.durationMs || 180000, lanes: 4, notes: [] };
     } else {
       this.chartUrl = chartUrl;
-      const loaded = await fetch(chartUrl).then(r => r.json());
       this.chart = {
         bpm: loaded.bpm || m.bpm || 120,
         lanes: loaded.lanes || 4,
         durationMs: loaded.durationMs || m.durationMs || 180000,
         notes: Array.isArray(loaded.notes) ? loaded.notes : []
       };
+      // Tempo map is optional; single-bpm charts stay as they are
+      if (Array.isArray(loaded.timingPoints) && loaded.timingPoints.length) {
+        this.chart.timingPoints = getTimingPoints(loaded);
+        this.chart.bpm = this.chart.timingPoints[0].bpm;
+      }
+      if (Array.isArray(loaded.scrollVelocities) && loaded.scrollVelocities.length) {
+        this.chart.scrollVelocities = getScrollVelocities(loaded);
+      }
     }
 
     this.subdiv = 4;
@@ -3327,8 +4379,8 @@ export class Editor {
     this._syncInputs();
 
     await this._ensureAudioCtx();
-    const audioUrl = this.manifest?.audio?.wav || this.manifest?.audio?.mp3;
-    if (audioUrl) {
+    const audioUrl = this.manifest?.audio?.wav || this.manifest?.audio?.mp3 || this.manifest?.audio?.ogg;
+    if (audioUrl && loadAudio) {
       await this._loadAudio(audioUrl);
       this.audioUrl = audioUrl;
       const urlBox = document.getElementById(this.ids.audioUrl);
@@ -3341,6 +4393,8 @@ export class Editor {
     this._wireFileToolbar();
     this._wireFollowToggle();
     this._wireMetronomeControl();
+    this._wireAudioViewSelect();
+    this._wireLintPanel();
     this._wireZoomIndicator();
     this._wireTestButton();
     this._wireHistoryButtons();
@@ -3409,9 +4463,22 @@ export class Editor {
     const zoomEl = document.getElementById(this.ids.zoom);
     const scrubEl = document.getElementById(this.ids.scrub);
 
-    bpmEl?.addEventListener("change", () => { this._pushUndo("BPM change"); this.chart.bpm = Number(bpmEl.value) || 120; });
+    bpmEl?.addEventListener("change", () => {
+      this._pushUndo("BPM change");
+      const bpm = Number(bpmEl.value) || 120;
+      // With a tempo map, edit the timing point under the playhead; otherwise the chart-wide bpm
+      const tps = this.chart.timingPoints;
+      if (Array.isArray(tps) && tps.length) {
+        const idx = timingPointIndexAt(tps, this.currentTimeMs());
+        tps[idx].bpm = bpm;
+        if (idx === 0) this.chart.bpm = bpm;
+      } else {
+        this.chart.bpm = bpm;
+      }
+    });
+    this._wireTimingPoints();
     subEl?.addEventListener("change", () => { this.subdiv = Math.max(1, Number(subEl.value) || 4); });
-    lanesEl?.addEventListener("change", () => { this._pushUndo("Lanes change"); this.chart.lanes = Math.max(1, Number(lanesEl.value) || 4); });
+    lanesEl?.addEventListener("change", () => { this._pushUndo("Lanes change"); this.chart.lanes = Math.max(1, Math.min(CHART_LANES_MAX, Math.round(Number(lanesEl.value)) || 4)); });
     zoomEl?.addEventListener("input", () => {
       this.zoomY = Math.max(0.25, Math.min(3, Number(zoomEl.value)));
       this._updateZoomIndicator();
@@ -3431,17 +4498,14 @@ export class Editor {
       if (!txt) return;
       try {
         const obj = JSON.parse(txt);
-        if (Array.isArray(obj.notes)) {
-          this._pushUndo("Import chart");
-          this.chart = { ...this.chart, ...obj };
-          this._syncInputs();
-          this._updateScrubMax();
-          this._help("Imported chart.");
-        } else {
-          alert("Invalid chart JSON.");
-        }
+        this._assertChartSchema(obj, "Pasted chart");
+        this._pushUndo("Import chart");
+        this.chart = { ...this.chart, ...obj };
+        this._syncInputs();
+        this._updateScrubMax();
+        this._help("Imported chart.");
       } catch (e) {
-        alert("Parse error: " + e.message);
+        alert("Import failed: " + e.message);
       }
     });
     document.getElementById("ed-export")?.addEventListener("click", () => this._downloadChart(this._suggestChartFilename()));
@@ -3450,6 +4514,8 @@ export class Editor {
     scrubEl?.addEventListener("input", () => {
       const ms = Number(scrubEl.value);
       this.seek(ms); // seek updates playStartMs; if playing, it will restart from here
+      // BPM/Meter inputs show the timing point under the playhead
+      this._syncInputs();
       // Recenter VFX timeline if present
       if (this.vfx) {
         this._centerVFXTimelineOnPlayhead(this.vfx);
@@ -3462,6 +4528,8 @@ export class Editor {
     this._wireFileToolbar();
     this._wireFollowToggle();
     this._wireMetronomeControl();
+    this._wireAudioViewSelect();
+    this._wireLintPanel();
     this._wireZoomIndicator();
     this._wireTestButton();
 
@@ -3491,11 +4559,12 @@ export class Editor {
       const diff = diffSelect?.value || "normal";
       if (!url) { alert("Enter a manifest URL first."); return; }
       try {
-        await this.loadManifest(url, diff);
+        // blob: manifests come from simfile imports; their audio is picked in the Audio panel
+        await this.loadManifest(url, diff, { loadAudio: !url.startsWith("blob:") });
         this._help(`Loaded manifest: ${url} [${diff}]`);
       } catch (e) {
         console.error(e);
-        alert("Failed to load manifest. Check the path and CORS.");
+        alert(`Failed to load manifest. Check the path and CORS.\n\n${e.message}`);
       }
     });
 
@@ -3503,11 +4572,13 @@ export class Editor {
     const fileInput = document.getElementById(this.ids.fileOpenFileInput);
     document.getElementById(this.ids.fileOpenUseBtn)?.addEventListener("click", async () => {
       const f = fileInput?.files?.[0];
-      if (!f) { alert("Choose a chart JSON file first."); return; }
+      if (!f) { alert("Choose a chart JSON, .osu or .sm/.ssc file first."); return; }
       try {
         const text = await f.text();
+        if (looksLikeOsu(text)) { this._importOsu(text, f.name); return; }
+        if (/\.(sm|ssc)$/i.test(f.name)) { await this._importSimfile(text, f.name); return; }
         const obj = JSON.parse(text);
-        if (!Array.isArray(obj.notes)) throw new Error("Invalid chart JSON (missing notes array).");
+        this._assertChartSchema(obj, f.name);
         this._pushUndo("Open chart file");
         this.chart = {
           bpm: obj.bpm || this.chart?.bpm || 120,
@@ -3515,6 +4586,13 @@ export class Editor {
           durationMs: obj.durationMs || this.chart?.durationMs || 180000,
           notes: obj.notes
         };
+        if (Array.isArray(obj.timingPoints) && obj.timingPoints.length) {
+          this.chart.timingPoints = getTimingPoints(obj);
+          this.chart.bpm = this.chart.timingPoints[0].bpm;
+        }
+        if (Array.isArray(obj.scrollVelocities) && obj.scrollVelocities.length) {
+          this.chart.scrollVelocities = getScrollVelocities(obj);
+        }
         this.selection.clear();
         this.playStartMs = 0;
         this._syncInputs();
@@ -3529,6 +4607,212 @@ export class Editor {
     document.getElementById(this.ids.fileSaveAs)?.addEventListener("click", () => {
       this._downloadChart(this._suggestChartFilename());
     });
+
+    document.getElementById(this.ids.fileExportOsu)?.addEventListener("click", () => this._exportOsu());
+
+    document.getElementById(this.ids.filePublish)?.addEventListener("click", () => this._publishChart());
+  }
+
+  // ===== osu!mania =====
+  // .osu -> chart (notes, timing points, green-line SV). Title/artist fill in only where we have none.
+  _importOsu(text, name) {
+    const { chart, meta, warnings } = parseOsuMania(text, { lanes: this.chart?.lanes || 4 });
+    this._assertChartSchema(chart, name);
+    this._pushUndo("Import .osu");
+    const audioMs = this.audioBuffer ? Math.floor(this.audioBuffer.duration * 1000) : 0;
+    this.chart = { ...chart, durationMs: Math.max(chart.durationMs, audioMs) };
+    this.manifest = {
+      ...(this.manifest || {}),
+      title: this.manifest?.title || meta.title,
+      artist: this.manifest?.artist || meta.artist
+    };
+    this.selection.clear();
+    this.playStartMs = 0;
+    this._syncInputs();
+    this._updateScrubMax();
+    if (warnings.length) console.warn(`[PF] ${name}: .osu import warnings\n` + warnings.join("\n"));
+    const audioHint = meta.audioFilename && !this.audioBuffer ? ` Load its audio (${meta.audioFilename}) from the Audio panel.` : "";
+    const warnHint = warnings.length ? ` ${warnings.length} warning(s), see console.` : "";
+    this._help(`Imported ${chart.notes.length} notes from ${name} [${meta.version || "osu!mania"}].${audioHint}${warnHint}`);
+  }
+
+  _exportOsu() {
+    if (!this.chart) { alert("Nothing to export yet."); return; }
+    const diff = this.difficulty || "normal";
+    const text = chartToOsuMania(this.chart, {
+      title: this.manifest?.title,
+      artist: this.manifest?.artist,
+      version: diff.charAt(0).toUpperCase() + diff.slice(1),
+      audioFilename: this._audioFileName()
+    });
+    const blob = new Blob([text], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url; a.download = this._suggestChartFilename().replace(/\.json$/, ".osu"); a.click();
+    URL.revokeObjectURL(url);
+    this._help(`Exported ${this.chart.notes?.length || 0} notes as osu!mania ${this.chart.lanes || 4}K.`);
+  }
+
+  // ===== StepMania =====
+  // .sm/.ssc -> one chart per difficulty plus a manifest, served from blob: URLs and opened through
+  // loadManifest like any track (Open Manifest with another difficulty switches between them).
+  async _importSimfile(text, name) {
+    const { meta, charts, report } = importSimfile(text);
+    for (const [diff, chart] of Object.entries(charts)) this._assertChartSchema(chart, `${name} [${diff}]`);
+
+    for (const u of this._simfileUrls || []) { try { URL.revokeObjectURL(u); } catch {} }
+    const jsonUrl = (obj) => URL.createObjectURL(new Blob([JSON.stringify(obj)], { type: "application/json" }));
+    const chartUrls = {};
+    for (const [diff, chart] of Object.entries(charts)) chartUrls[diff] = jsonUrl(chart);
+    const title = meta.title || name.replace(/\.(sm|ssc)$/i, "");
+    const ext = (meta.music.split(".").pop() || "").toLowerCase();
+    const manifest = {
+      trackId: title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 64) || "simfile",
+      title,
+      artist: meta.artist || "Unknown",
+      bpm: Object.values(charts)[0].bpm,
+      audio: { [["wav", "mp3", "ogg"].includes(ext) ? ext : "mp3"]: meta.music || "audio.mp3" },
+      charts: chartUrls
+    };
+    const manifestUrl = jsonUrl(manifest);
+    this._simfileUrls = [...Object.values(chartUrls), manifestUrl];
+
+    const diffs = Object.keys(charts);
+    // Open a playable chart first (other widths are editor-only)
+    const playable = diffs.filter(d => charts[d].lanes === PLAYABLE_LANES);
+    const first = playable.includes("normal") ? "normal" : playable[0] || diffs[0];
+    const diffSelect = document.getElementById(this.ids.fileDifficulty);
+    if (diffSelect) {
+      for (const d of diffs) {
+        if ([...diffSelect.options].some(o => o.value === d)) continue;
+        const opt = document.createElement("option");
+        opt.value = d; opt.textContent = d;
+        diffSelect.appendChild(opt);
+      }
+      diffSelect.value = first;
+    }
+    const urlBox = document.getElementById(this.ids.fileLoadManifestUrl);
+    if (urlBox) urlBox.value = manifestUrl;
+
+    await this.loadManifest(manifestUrl, first, { loadAudio: false });
+    const summary = simfileReportText(report);
+    const audioHint = meta.music && !this.audioBuffer ? ` Load its audio (${meta.music}) from the Audio panel.` : "";
+    this._help(`Imported ${diffs.length} chart(s) from ${name}: ${diffs.join(", ")} [showing ${first}].${audioHint}`);
+    if (summary) alert(`Imported ${name}.\n\n${summary}`);
+  }
+
+  // Name of the loaded audio file (picked file, else the URL's last segment)
+  _audioFileName() {
+    const picked = document.getElementById(this.ids.audioFileInput)?.files?.[0]?.name;
+    if (String(this.audioUrl || "").startsWith("blob:")) return picked || "";
+    try { return decodeURIComponent(String(this.audioUrl || "").split("/").pop() || ""); }
+    catch { return ""; }
+  }
+
+  // ===== Publish to server =====
+  // Existing track (manifest.trackId known to the server): PUT this difficulty's chart + VFX set.
+  // New track: POST chart, all VFX sets, the audio (IndexedDB blob when imported from a file) and cover.
+  async _publishChart() {
+    if (!this.chart) { alert("Nothing to publish yet."); return; }
+    const token = this._publishToken();
+    if (!token) return;
+    const btn = document.getElementById(this.ids.filePublish);
+    const diff = this.difficulty || "normal";
+    let vfxExport = null;
+    try { vfxExport = this._generateVFXExport(this.vfx); } catch {}
+
+    let trackId = this.manifest?.trackId || "";
+    let existing = null;
+    try {
+      const tracks = await fetch("/api/tracks").then(r => r.json());
+      existing = Array.isArray(tracks) && trackId ? tracks.find(t => t.trackId === trackId) : null;
+    } catch {}
+
+    const headers = { "Content-Type": "application/json", Authorization: `Bearer ${token}` };
+    let url, method, body;
+    if (existing) {
+      if (!confirm(`Publish the ${diff} chart to "${existing.title}" (${trackId})? The server copy is replaced.`)) return;
+      url = `/api/tracks/${encodeURIComponent(trackId)}/charts/${encodeURIComponent(diff)}`;
+      method = "PUT";
+      body = { chart: this.chart, vfx: vfxExport?.byDifficulty?.[diff] };
+    } else {
+      const title = (prompt("Track title", this.manifest?.title || "") || "").trim();
+      if (!title) return;
+      const artist = (prompt("Artist", this.manifest?.artist || "") || "").trim();
+      const suggested = trackId || title.replace(/[^A-Za-z0-9]+/g, "-").replace(/^-+|-+$/g, "").toLowerCase();
+      trackId = (prompt("Track id (letters, numbers, - and _)", suggested) || "").trim();
+      if (!trackId) return;
+      const audio = await this._publishAudioPayload();
+      if (!audio) { alert("Load the song audio (URL or file) before publishing a new track."); return; }
+      url = "/api/tracks";
+      method = "POST";
+      body = {
+        manifest: { trackId, title, artist, bpm: this.chart.bpm },
+        charts: { [diff]: this.chart },
+        vfx: vfxExport ? { byDifficulty: vfxExport.byDifficulty } : undefined,
+        audio,
+        cover: await this._publishCoverPayload()
+      };
+    }
+
+    if (btn) { btn.disabled = true; btn.textContent = "Publishing…"; }
+    try {
+      const res = await fetch(url, { method, headers, body: JSON.stringify(body) });
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 401) {
+        try { localStorage.removeItem("pf:publishToken"); } catch {}
+        alert("Publish token was rejected.");
+        return;
+      }
+      if (!res.ok || !data?.ok) {
+        alert(`Publish failed: ${data?.error || res.status}${data?.detail ? `\n\n${data.detail}` : ""}`);
+        return;
+      }
+      // Keep the server's manifest so the next publish updates this track instead of creating one
+      this.manifest = { ...(this.manifest || {}), ...data.manifest };
+      this._help(method === "POST" ? `Published new track "${data.manifest?.title}" (${trackId}).` : `Published ${diff} chart to ${trackId}.`);
+    } catch (e) {
+      console.error(e);
+      alert("Publish failed: " + e.message);
+    } finally {
+      if (btn) { btn.disabled = false; btn.textContent = "Publish…"; }
+    }
+  }
+
+  _publishToken() {
+    let token = "";
+    try { token = localStorage.getItem("pf:publishToken") || ""; } catch {}
+    if (!token) {
+      token = (prompt("Publish token (ask the server admin)") || "").trim();
+      if (token) { try { localStorage.setItem("pf:publishToken", token); } catch {} }
+    }
+    return token;
+  }
+
+  // { name, data(base64) } for the loaded song: stored blob, last decoded bytes, or a refetch of its URL
+  async _publishAudioPayload() {
+    let blob = null;
+    let name = "audio";
+    try {
+      if (this.audioStoreId) {
+        const rec = await audioStore.get(this.audioStoreId);
+        if (rec?.blob) { blob = rec.blob; name = rec.meta?.name || name; }
+      }
+      if (!blob && this._lastAudioArrayBuffer) blob = new Blob([this._lastAudioArrayBuffer]);
+      if (!blob && this.audioUrl) blob = await fetch(this.audioUrl).then(r => r.ok ? r.blob() : null);
+    } catch (e) {
+      console.warn("[PF] Could not read audio for publish:", e);
+    }
+    return blob ? { name, data: await blobToBase64(blob) } : null;
+  }
+
+  async _publishCoverPayload() {
+    const url = this.manifest?.cover;
+    if (!url) return undefined;
+    try {
+      const blob = await fetch(url).then(r => r.ok ? r.blob() : null);
+      return blob ? { name: url.split("/").pop(), data: await blobToBase64(blob) } : undefined;
+    } catch { return undefined; }
   }
 
   _suggestChartFilename() {
@@ -3560,6 +4844,15 @@ export class Editor {
     const useFileBtn = document.getElementById(this.ids.audioUseFileBtn);
     const applyManifest = document.getElementById(this.ids.audioApplyManifest);
 
+    document.getElementById(this.ids.tempoDetect)?.addEventListener("click", () => this._detectTempo());
+    document.getElementById(this.ids.draftGenerate)?.addEventListener("click", () => this._generateDraft());
+    const snapOnsetsEl = document.getElementById(this.ids.snapOnsets);
+    snapOnsetsEl?.addEventListener("change", () => {
+      this.tempo.snapOnsets = !!snapOnsetsEl.checked;
+      if (this.tempo.snapOnsets && !this.tempo.analysis) this._help("Snap to onsets: run Detect BPM first.");
+      else this._help(`Snap to onsets: ${this.tempo.snapOnsets ? "On" : "Off"}`);
+    });
+
     loadUrlBtn?.addEventListener("click", async () => {
       const url = (urlInput?.value || "").trim();
       if (!url) { alert("Enter an audio URL first."); return; }
@@ -3570,10 +4863,12 @@ export class Editor {
         this.audioStoreId = null;
         this._updateScrubMax();
         this._help("Loaded audio from URL.");
+        this._detectTempo();
         if (applyManifest?.checked) {
           if (!this.manifest) this.manifest = { charts: {} };
           if (!this.manifest.audio) this.manifest.audio = {};
           if (url.toLowerCase().endsWith(".wav")) this.manifest.audio.wav = url;
+          else if (url.toLowerCase().endsWith(".ogg")) this.manifest.audio.ogg = url;
           else this.manifest.audio.mp3 = url;
         }
       } catch (e) {
@@ -3608,6 +4903,7 @@ export class Editor {
         }
         this._updateScrubMax();
         this._help("Loaded audio from file (preview via blob URL).");
+        this._detectTempo();
         if (applyManifest?.checked) {
           if (!this.manifest) this.manifest = { charts: {} };
           if (!this.manifest.audio) this.manifest.audio = {};
@@ -3624,6 +4920,281 @@ export class Editor {
     });
   }
 
+  // ===== Tempo detection =====
+  async _detectTempo() {
+    const buffer = this.audioBuffer;
+    const out = document.getElementById(this.ids.tempoResult);
+    if (!buffer) { this._help("Load audio first."); return; }
+    this.tempo.analysis = null;
+    if (out) out.textContent = "Analyzing audio…";
+    try {
+      const result = await analyzeAudioBuffer(buffer);
+      if (this.audioBuffer !== buffer) return; // audio changed while analyzing
+      this.tempo.analysis = result;
+      this._renderTempoResult();
+    } catch (e) {
+      console.warn("[PF] Tempo detection failed:", e);
+      if (out) out.textContent = "Tempo detection failed.";
+    }
+  }
+
+  _renderTempoResult() {
+    const out = document.getElementById(this.ids.tempoResult);
+    const res = this.tempo.analysis;
+    if (!out || !res) return;
+    out.textContent = "";
+    if (!res.candidates.length) {
+      out.textContent = "No steady beat found.";
+      return;
+    }
+    const label = document.createElement("span");
+    label.textContent = "Detected:";
+    out.appendChild(label);
+    for (const c of res.candidates) {
+      const btn = document.createElement("button");
+      btn.className = "ghost";
+      btn.textContent = `${c.bpm} BPM · ${c.offsetMs}ms`;
+      btn.title = `${Math.round(c.confidence * 100)}% confidence. Click to set the BPM and put the first beat at ${c.offsetMs}ms.`;
+      btn.addEventListener("click", () => this._applyTempoCandidate(c));
+      out.appendChild(btn);
+    }
+    const onsets = document.createElement("span");
+    onsets.textContent = `${res.onsets.length} onsets`;
+    out.appendChild(onsets);
+  }
+
+  // Single tempo from the detected BPM; the first timing point carries the offset
+  _applyTempoCandidate(c) {
+    if (!this.chart) return;
+    const tps = this.chart.timingPoints;
+    if (Array.isArray(tps) && tps.length > 1 && !confirm("Replace the chart's tempo map with the detected BPM?")) return;
+    this._pushUndo("Apply detected tempo");
+    this._setTempoFromCandidate(c);
+    this._syncInputs();
+    this._help(`Tempo: ${c.bpm} BPM, first beat at ${this._fmtTimeMsShort(c.offsetMs)}.`);
+  }
+
+  _setTempoFromCandidate(c) {
+    const meter = getTimingPoints(this.chart)[0].meter;
+    this.chart.bpm = c.bpm;
+    if (c.offsetMs > 0) this.chart.timingPoints = [{ time: c.offsetMs, bpm: c.bpm, meter }];
+    else if (meter !== 4) this.chart.timingPoints = [{ time: 0, bpm: c.bpm, meter }];
+    else delete this.chart.timingPoints;
+  }
+
+  // ===== Draft generator (autochart.js) =====
+  async _generateDraft() {
+    if (!this.chart) return;
+    if (!this.audioBuffer) { alert("Load audio first (Audio tab)."); return; }
+    if (!this.tempo.analysis) {
+      await this._detectTempo();
+      if (!this.tempo.analysis) return;
+    }
+    const res = this.tempo.analysis;
+    const num = (id, def) => { const v = Number(document.getElementById(id)?.value); return Number.isFinite(v) && v > 0 ? v : def; };
+    const opts = {
+      nps: Math.min(20, num(this.ids.draftNps, DRAFT_DEFAULTS.nps)),
+      minGapMs: Math.max(40, num(this.ids.draftGap, DRAFT_DEFAULTS.minGapMs)),
+      holds: document.getElementById(this.ids.draftHolds)?.checked ?? DRAFT_DEFAULTS.holds,
+      subdiv: this.subdiv,
+      durationMs: this.chart.durationMs
+    };
+
+    // A chart still on a single default tempo gets the detected one (same undo step)
+    const top = res.candidates[0];
+    const useTempo = top && !this.chart.timingPoints?.length && Math.abs((Number(this.chart.bpm) || 120) - top.bpm) > 0.01 &&
+      confirm(`Use the detected tempo for the draft?\n${top.bpm} BPM, first beat at ${top.offsetMs}ms`);
+    const n = this.chart.notes.length;
+    if (n && !confirm(`Replace the chart's ${n} notes with a generated draft?`)) return;
+
+    this._pushUndo("Generate draft");
+    if (useTempo) this._setTempoFromCandidate(top);
+    const { notes, stats } = generateDraft(res, this.chart, opts);
+    this.chart.notes = notes;
+    this.selection.clear();
+    this._syncInputs();
+    this._help(notes.length
+      ? `Draft: ${stats.placed} notes (${stats.chords} chords, ${stats.holds} holds) from ${stats.onsets} onsets. Ctrl+Z undoes it.`
+      : "No usable onsets found; the chart is empty (Ctrl+Z restores it).");
+  }
+
+  // Detected onsets as ticks beside and faint lines across the lanes
+  _drawOnsets(ctx, startX, totalW, startMs, endMs, pxPerMs) {
+    const onsets = this.tempo.analysis?.onsets;
+    if (!onsets?.length) return;
+    let i = 0, hi = onsets.length;
+    while (i < hi) {
+      const mid = (i + hi) >> 1;
+      if (onsets[mid] < startMs) i = mid + 1; else hi = mid;
+    }
+    ctx.save();
+    ctx.lineWidth = 1;
+    for (; i < onsets.length && onsets[i] <= endMs; i++) {
+      const y = Math.floor(onsets[i] * pxPerMs - this.scrollY) + 0.5;
+      ctx.strokeStyle = "rgba(255,209,102,0.18)";
+      ctx.beginPath();
+      ctx.moveTo(startX, y);
+      ctx.lineTo(startX + totalW, y);
+      ctx.stroke();
+      ctx.strokeStyle = "#ffd166";
+      ctx.beginPath();
+      ctx.moveTo(startX - 10, y);
+      ctx.lineTo(startX - 2, y);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // ===== Playability check (chartlint.js) =====
+  _wireLintPanel() {
+    if (this._wiredLint) return;
+    this._wiredLint = true;
+    document.getElementById(this.ids.lintRun)?.addEventListener("click", () => this._runLint());
+    document.getElementById(this.ids.lintFixAll)?.addEventListener("click", () => this._fixLintRule(null));
+    // Re-check whenever the tab is opened so the list matches the chart
+    window.addEventListener("pf-editor-tab-activated", (e) => {
+      if (e?.detail?.tab === "lint") this._runLint();
+    });
+  }
+
+  _lintOpts() {
+    return { subdiv: this.subdiv, minGapMs: this.minGapMs };
+  }
+
+  _runLint() {
+    const list = document.getElementById(this.ids.lintList);
+    const summary = document.getElementById(this.ids.lintSummary);
+    if (!list) return [];
+    list.textContent = "";
+    if (!this.chart) {
+      if (summary) summary.textContent = "No chart loaded.";
+      return [];
+    }
+    const issues = lintChart(this.chart, this._lintOpts());
+    const counts = { error: 0, warning: 0, info: 0 };
+    for (const i of issues) counts[i.severity]++;
+    if (summary) {
+      summary.textContent = issues.length
+        ? `${counts.error} errors · ${counts.warning} warnings · ${counts.info} notes`
+        : "No problems found.";
+    }
+    const fixAllBtn = document.getElementById(this.ids.lintFixAll);
+    if (fixAllBtn) fixAllBtn.disabled = !issues.some(i => i.fixable);
+
+    // One group per rule, in LINT_RULES order
+    for (const rule of Object.keys(LINT_RULES)) {
+      const group = issues.filter(i => i.rule === rule);
+      if (!group.length) continue;
+      const meta = LINT_RULES[rule];
+      const head = document.createElement("div");
+      head.style.cssText = "display:flex; align-items:center; gap:8px; margin:10px 0 4px; font-weight:600;";
+      head.appendChild(this._lintDot(meta.severity));
+      const title = document.createElement("span");
+      title.textContent = `${meta.label} (${group.length})`;
+      title.style.flex = "1";
+      head.appendChild(title);
+      const fixable = group.filter(i => i.fixable).length;
+      if (meta.fix && fixable > 1) {
+        const btn = document.createElement("button");
+        btn.className = "ghost";
+        btn.textContent = `${meta.fix} all ${fixable}`;
+        btn.addEventListener("click", () => this._fixLintRule(rule));
+        head.appendChild(btn);
+      }
+      list.appendChild(head);
+
+      for (const issue of group) {
+        const row = document.createElement("div");
+        row.style.cssText = "display:flex; align-items:center; gap:8px; padding:3px 6px; border-radius:6px; cursor:pointer;";
+        row.title = "Click to jump here";
+        row.addEventListener("mouseenter", () => { row.style.background = "rgba(255,255,255,0.05)"; });
+        row.addEventListener("mouseleave", () => { row.style.background = ""; });
+        row.addEventListener("click", () => this._jumpToLintIssue(issue));
+        const time = document.createElement("code");
+        time.textContent = this._fmtLintTime(issue.tMs);
+        time.style.minWidth = "64px";
+        row.appendChild(time);
+        const msg = document.createElement("span");
+        msg.className = "muted";
+        msg.textContent = issue.message;
+        msg.style.flex = "1";
+        row.appendChild(msg);
+        if (issue.fixable && meta.fix) {
+          const btn = document.createElement("button");
+          btn.className = "secondary";
+          btn.textContent = meta.fix;
+          btn.addEventListener("click", (e) => { e.stopPropagation(); this._fixLintIssue(issue); });
+          row.appendChild(btn);
+        }
+        list.appendChild(row);
+      }
+    }
+    return issues;
+  }
+
+  _lintDot(severity) {
+    const dot = document.createElement("span");
+    const color = severity === "error" ? "#ff4d6d" : severity === "warning" ? "#ffd166" : "#9bb0c9";
+    dot.style.cssText = `display:inline-block; width:8px; height:8px; border-radius:50%; background:${color};`;
+    dot.title = severity;
+    return dot;
+  }
+
+  // m:ss.mmm — issues are often a few ms apart, so seconds alone aren't enough
+  _fmtLintTime(ms) {
+    ms = Math.max(0, Math.round(ms));
+    return `${this._fmtTimeMsShort(ms)}.${String(ms % 1000).padStart(3, "0")}`;
+  }
+
+  _jumpToLintIssue(issue) {
+    if (!this.chart) return;
+    this.seek(Math.max(0, issue.tMs));
+    const sEl = document.getElementById(this.ids.scrub);
+    if (sEl) sEl.value = String(Math.floor(this.playStartMs));
+    // Center the issue on screen
+    const pxPerMs = this._pxPerMsNow();
+    const h = this.canvas.height / (window.devicePixelRatio || 1);
+    const maxScroll = Math.max(0, (this.chart.durationMs || 0) * pxPerMs - h);
+    this.scrollY = Math.max(0, Math.min(maxScroll, issue.tMs * pxPerMs - h / 2));
+    this.selection.clear();
+    for (const i of issue.indices || []) if (this.chart.notes[i]) this.selection.add(i);
+    this._help(`${LINT_RULES[issue.rule]?.label || issue.rule} at ${this._fmtLintTime(issue.tMs)}: ${issue.message}`);
+  }
+
+  _fixLintIssue(issue) {
+    if (!this.chart) return;
+    // Indices may be stale if the chart changed since the list was drawn; find the issue again
+    const current = lintChart(this.chart, this._lintOpts()).find(i => i.key === issue.key);
+    if (!current) {
+      this._help("That issue is no longer present.");
+      this._runLint();
+      return;
+    }
+    this._pushUndo(`Fix: ${LINT_RULES[current.rule].label}`);
+    const changed = fixIssue(this.chart, current, this._lintOpts());
+    this.selection.clear();
+    this._runLint();
+    this._help(`${LINT_RULES[current.rule].fix}: ${changed} note${changed === 1 ? "" : "s"} changed.`);
+  }
+
+  // rule = null fixes every fixable rule; one undo step either way
+  _fixLintRule(rule) {
+    if (!this.chart) return;
+    const rules = rule ? [rule] : Object.keys(LINT_RULES).filter(r => LINT_RULES[r].fix);
+    const issues = lintChart(this.chart, this._lintOpts());
+    if (!issues.some(i => i.fixable && rules.includes(i.rule))) {
+      this._help("Nothing to fix.");
+      this._runLint();
+      return;
+    }
+    this._pushUndo(rule ? `Fix all: ${LINT_RULES[rule].label}` : "Fix all check issues");
+    let changed = 0;
+    for (const r of rules) changed += fixRule(this.chart, r, this._lintOpts());
+    this.selection.clear();
+    const left = this._runLint().length;
+    this._help(`Fixed: ${changed} note${changed === 1 ? "" : "s"} changed${left ? `, ${left} item${left === 1 ? "" : "s"} left to review` : ""}.`);
+  }
+
   // ===== Playback & Metronome =====
   async _ensureAudioCtx() {
     // Recreate if missing or closed
@@ -3674,6 +5245,10 @@ export class Editor {
     this._lastAudioArrayBuffer = arr;
 
     this.audioBuffer = await this.audioCtx.decodeAudioData(arr.slice(0)); // slice to detach
+    // Detected tempo/onsets belong to the previous song
+    this.tempo.analysis = null;
+    const tempoOut = document.getElementById(this.ids.tempoResult);
+    if (tempoOut) tempoOut.textContent = "";
     const audioMs = Math.floor(this.audioBuffer.duration * 1000);
     if (!this.chart) this.newChart({ durationMs: audioMs });
     if (!this.chart.durationMs || audioMs > this.chart.durationMs) {
@@ -3779,9 +5354,10 @@ export class Editor {
 
   _metroStart() {
     if (!this.audioCtx || this.audioCtx.state === "closed") return;
-    const beatMs = 60000 / (this.chart?.bpm || 120);
     const nowMs = this.currentTimeMs();
-    this.metronome.nextBeatMs = Math.ceil(nowMs / beatMs) * beatMs;
+    const next = nextBeatAtOrAfter(getTimingPoints(this.chart), nowMs);
+    this.metronome.nextBeatMs = next.ms;
+    this.metronome.nextIsBar = next.isBar;
     if (this.metronome.timer) clearInterval(this.metronome.timer);
     this.metronome.timer = setInterval(this._metroSchedulerTick, 25);
   }
@@ -3791,18 +5367,18 @@ export class Editor {
   }
   _metroSchedulerTick() {
     if (!this.playing || !this.metronome.enabled || !this.audioCtx || this.audioCtx.state === "closed") return;
-    const bpm = this.chart?.bpm || 120;
-    const beatMs = 60000 / bpm;
+    const points = getTimingPoints(this.chart);
     const lookahead = this.metronome.lookaheadMs;
     const nowMs = this.currentTimeMs();
     const ctxNow = this.audioCtx.currentTime;
 
     while (this.metronome.nextBeatMs <= nowMs + lookahead) {
-      const beatIdx = Math.round(this.metronome.nextBeatMs / beatMs);
-      const isBar = (beatIdx % 4) === 0;
       const when = ctxNow + Math.max(0, (this.metronome.nextBeatMs - nowMs) / 1000);
-      this._scheduleClick(when, isBar);
-      this.metronome.nextBeatMs += beatMs;
+      this._scheduleClick(when, !!this.metronome.nextIsBar);
+      // Step past the current beat; the timing map decides the next beat length and bar accent
+      const next = nextBeatAtOrAfter(points, this.metronome.nextBeatMs + 1);
+      this.metronome.nextBeatMs = next.ms;
+      this.metronome.nextIsBar = next.isBar;
     }
   }
   _scheduleClick(when, strong = false) {
@@ -3834,10 +5410,13 @@ export class Editor {
   _screenToMsRaw(y) { return this._yToTime(y); }
   _screenToMs(y) { return this._snapMs(this._screenToMsRaw(y)); }
   _snapMs(ms) {
+    // Detected onsets win when one is within ~10px
+    if (this.tempo.snapOnsets && this.tempo.analysis) {
+      const hit = nearestOnset(this.tempo.analysis.onsets, ms, 10 / this._pxPerMsNow());
+      if (hit != null) return hit;
+    }
     if (!this.snap) return ms;
-    const beatMs = 60000 / (this.chart.bpm || 120);
-    const step = beatMs / Math.max(1, this.subdiv);
-    return Math.round(ms / step) * step;
+    return snapMsToGrid(getTimingPoints(this.chart), ms, this.subdiv);
   }
 
   _pointerMove(e) {
@@ -3946,6 +5525,24 @@ export class Editor {
       return;
     }
 
+    // Scroll-velocity track beside the lanes
+    const sv = this._svTrackRect();
+    if (this.mouse.x >= sv.x && this.mouse.x <= sv.x + sv.w) {
+      this._svTrackClick(e);
+      return;
+    }
+
+    // Audio column: click to move the playhead there
+    if (this.waveform.mode !== "off") {
+      const col = this._audioColumnRect();
+      if (this.mouse.x >= col.x && this.mouse.x <= col.x + col.w) {
+        this.seek(Math.max(0, this._screenToMsRaw(this.mouse.y))); // unsnapped, to land on transients
+        const sEl = document.getElementById(this.ids.scrub);
+        if (sEl) sEl.value = String(Math.floor(this.playStartMs));
+        return;
+      }
+    }
+
     if (this.tool === "create") {
       this._pushUndo("Create note");
       const chk = this._canPlaceNote(lane, tMsSnap, 0, new Set());
@@ -4305,6 +5902,29 @@ export class Editor {
     }
     this._autosaveStatusEl = status;
   }
+  // Difficulty rating next to the time; recomputed at most once a second while drawing
+  _updateDifficultyReadout() {
+    const now = performance.now();
+    if (this._ratingCheckedAt && now - this._ratingCheckedAt < 1000) return;
+    this._ratingCheckedAt = now;
+    try {
+      let el = document.getElementById("ed-rating");
+      if (!el) {
+        const timeWrap = document.querySelector(".ed-header .ed-time");
+        if (!timeWrap) return;
+        el = document.createElement("span");
+        el.id = "ed-rating";
+        el.className = "muted";
+        el.style.marginLeft = "14px";
+        timeWrap.appendChild(el);
+      }
+      const r = rateChart(this.chart);
+      el.textContent = r.rating ? `Rating ${r.rating.toFixed(2)} ${ratingStars(r.rating)}` : "Rating —";
+      el.title = hardestSections(r, 3)
+        .map(sec => `${this._fmtTimeMsShort(sec.startMs)}–${this._fmtTimeMsShort(sec.endMs)}  strain ${sec.strain.toFixed(1)}${sec.pattern ? ` (${sec.pattern})` : ""}`)
+        .join("\n") || "No notes yet";
+    } catch {}
+  }
   _updateAutosaveStatus(prefix = "Autosaved") {
     try {
       if (!this._autosaveStatusEl) return;
@@ -4519,6 +6139,7 @@ export class Editor {
         const lower = String(val).toLowerCase();
         if (lower.endsWith(".wav")) this.manifest.audio.wav = val;
         else if (lower.endsWith(".mp3")) this.manifest.audio.mp3 = val;
+        else if (lower.endsWith(".ogg")) this.manifest.audio.ogg = val;
         else {
           // Fallback: store under mp3 if unknown
           this.manifest.audio.mp3 = val;
@@ -4669,6 +6290,8 @@ export class Editor {
       const trackTitle = (this.manifest?.title || 'Editor Preview');
       const out = {
         bpm: chart.bpm || this.chart?.bpm || 120,
+        timingPoints: getTimingPoints(chart),
+        scrollVelocities: getScrollVelocities(chart),
         lanes: chart.lanes || this.chart?.lanes || 4,
         durationMs: chart.durationMs || this.chart?.durationMs || 180000,
         notes: [...chart.notes].sort((a,b)=>a.tMs-b.tMs),
@@ -4709,6 +6332,23 @@ export class Editor {
   _laneW() { return Math.max(110, Math.min(160, Math.floor((this.canvas.width / (window.devicePixelRatio || 1)) / 10))); }
   _laneGap() { return Math.max(18, Math.min(28, Math.floor((this.canvas.width / (window.devicePixelRatio || 1)) / 80))); }
 
+  // Per-lane VFX state for the preview, or null while every lane is at its defaults
+  _laneVfxPreviewAt(t, lanes) {
+    try {
+      const state = laneVfxState(lanes, (p) => this._getVFXPropertyAtTime(p, t, this.vfx));
+      const idle = state.every(s => !s.x && !s.y && !s.rotate && s.alpha === 1 && s.receptorScale === 1 && s.speed === 1);
+      return idle ? null : state;
+    } catch { return null; }
+  }
+
+  // Move/rotate around (cx, cy) — the lane's point on the playhead — and fade by the lane alpha
+  _applyLaneVfxPreview(ctx, fx, cx, cy) {
+    ctx.translate(cx + fx.x, cy + fx.y);
+    ctx.rotate(fx.rotate);
+    ctx.translate(-cx, -cy);
+    ctx.globalAlpha *= fx.alpha;
+  }
+
   _draw() {
     const ctx = this.ctx;
     const w = this.canvas.width / (window.devicePixelRatio || 1);
@@ -4796,8 +6436,12 @@ export class Editor {
     // removed legacy view.rotateX/Y preview approximation
   }
   const depth = viewBlend;
+    // Per-lane VFX (lanes.<key>.<lane>): each lane moves around its point on the playhead
+    const laneFx = previewOn ? this._laneVfxPreviewAt(this.currentTimeMs(), L) : null;
+    const laneFxY = () => (this.currentTimeMs() + this.editorLatencyMs) * this._pxPerMsNow() - this.scrollY;
     for (let i = 0; i < L; i++) {
       const x = startX + i * (laneW + gap);
+      if (laneFx) { ctx.save(); this._applyLaneVfxPreview(ctx, laneFx[i], x + laneW / 2, laneFxY()); }
       ctx.fillStyle = this.colors.laneFill;
       ctx.strokeStyle = this.colors.laneStroke;
       ctx.lineWidth = 2;
@@ -4819,43 +6463,72 @@ export class Editor {
       } else {
         this._roundRect(ctx, x, 16, laneW, h - 32, 16, true);
       }
+      if (laneFx) ctx.restore();
     }
 
     if (saved) ctx.restore();
     // restore the preview rotation if applied
     // nothing to restore for removed legacy rotation
 
-    // timing/grid
-    const bpm = this.chart.bpm || 120;
-    const beatMs = 60000 / bpm;
-    const stepMs = beatMs / Math.max(1, this.subdiv);
+    // timing/grid (follows the chart's timing points; bar lines use each point's meter).
+    // Single-BPM charts keep the old look: a heavy line every 10 beats.
+    const timingPoints = getTimingPoints(this.chart);
+    const hasTempoMap = Array.isArray(this.chart.timingPoints) && this.chart.timingPoints.length > 0;
     const pxPerMs = this._pxPerMsNow();
 
     const startMs = this.scrollY / pxPerMs;
     const endMs   = startMs + h / pxPerMs;
-    const firstBeat = Math.floor(startMs / beatMs);
-    const lastBeat  = Math.ceil(endMs / beatMs);
 
-    for (let b = firstBeat; b <= lastBeat; b++) {
-      const y = Math.floor(b * beatMs * pxPerMs - this.scrollY);
-      ctx.strokeStyle = (b % 10 === 0) ? this.colors.gridDecade : this.colors.gridMajor;
-      ctx.lineWidth = (b % 10 === 0) ? 2 : 1;
+    forEachBeat(timingPoints, startMs, endMs, (beatStartMs, beat) => {
+      const y = Math.floor(beatStartMs * pxPerMs - this.scrollY);
+      const heavy = hasTempoMap ? beat.isBar : Math.round(beatStartMs / beat.beatMs) % 10 === 0;
+      ctx.strokeStyle = heavy ? this.colors.gridDecade : this.colors.gridMajor;
+      ctx.lineWidth = heavy ? 2 : 1;
       ctx.beginPath();
       ctx.moveTo(startX - 12, y);
       ctx.lineTo(startX + totalW + 12, y);
       ctx.stroke();
 
-      if (b < lastBeat) {
-        for (let s = 1; s < this.subdiv; s++) {
-          const yy = Math.floor((b * beatMs + s * stepMs) * pxPerMs - this.scrollY);
-          ctx.strokeStyle = this.colors.gridMinor;
-          ctx.lineWidth = 1;
-          ctx.beginPath();
-          ctx.moveTo(startX, yy);
-          ctx.lineTo(startX + totalW, yy);
-          ctx.stroke();
-        }
+      const stepMs = beat.beatMs / Math.max(1, this.subdiv);
+      for (let s = 1; s < this.subdiv; s++) {
+        const tLine = beatStartMs + s * stepMs;
+        if (tLine >= beat.endMs - 0.5) break; // a tempo change cuts this beat short
+        const yy = Math.floor(tLine * pxPerMs - this.scrollY);
+        ctx.strokeStyle = this.colors.gridMinor;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(startX, yy);
+        ctx.lineTo(startX + totalW, yy);
+        ctx.stroke();
+      }
+    });
+
+    // Timing point markers (only when the chart actually has a tempo map)
+    if (hasTempoMap) {
+      ctx.save();
+      ctx.font = "11px ui-sans-serif, system-ui";
+      ctx.textAlign = "right";
+      for (const tp of timingPoints) {
+        if (tp.time < startMs - 50 || tp.time > endMs + 50) continue;
+        const y = Math.floor(tp.time * pxPerMs - this.scrollY);
+        ctx.strokeStyle = "#FF2E88";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(startX - 24, y);
+        ctx.lineTo(startX - 4, y);
+        ctx.stroke();
+        ctx.fillStyle = "#FF2E88";
+        ctx.fillText(`${+tp.bpm.toFixed(2)} BPM ${tp.meter}/4`, startX - 28, y + 4);
       }
+      ctx.restore();
+    }
+
+    if (this.tempo.snapOnsets) this._drawOnsets(ctx, startX, totalW, startMs, endMs, pxPerMs);
+
+    this._drawSvTrack(ctx, h, startMs, endMs, pxPerMs);
+    if (this.waveform.mode !== "off") {
+      this.waveform.setBuffer(this.audioBuffer);
+      this.waveform.draw(ctx, this._audioColumnRect(), h, pxPerMs, this.scrollY);
     }
 
     // --- Stride guides (equal spacing helper) ---
@@ -4917,31 +6590,35 @@ export class Editor {
       } catch {}
     }
 
+    const phFx = laneFx ? laneFxY() : 0;
     for (let i = 0; i < this.chart.notes.length; i++) {
       const n = this.chart.notes[i];
       const x = startX + n.lane * (laneW + gap) + (laneW - headW) / 2;
+      const fx = laneFx ? laneFx[n.lane] : null;
+      const spd = fx ? fx.speed : 1;
 
-      // center of the note = exact musical time
-      const yCenter = n.tMs * pxPerMs - this.scrollY;
+      // center of the note = exact musical time (lane scroll speed scales its distance from the playhead)
+      const yCenter = fx ? phFx + (n.tMs * pxPerMs - this.scrollY - phFx) * spd : n.tMs * pxPerMs - this.scrollY;
       const yHead   = Math.floor(yCenter - headH / 2);  // top of head from center
 
-      // Quick vertical cull (consider head and tail if any)
+      // Quick vertical cull (consider head and tail if any); moved/rotated lanes are never culled
       let minY = yHead;
       let maxY = yHead + headH;
       if (n.dMs && n.dMs > 0) {
-        const len = Math.max(6, n.dMs * pxPerMs);
+        const len = Math.max(6, n.dMs * pxPerMs * spd);
         const by = yHead + headH - 2;
         const tailEnd = by + len;
         if (tailEnd > maxY) maxY = tailEnd;
       }
-      if (maxY < -50 || minY > h + 50) continue;
+      if ((!fx || (!fx.y && !fx.rotate)) && (maxY < -50 || minY > h + 50)) continue;
+      if (fx) { ctx.save(); this._applyLaneVfxPreview(ctx, fx, startX + n.lane * (laneW + gap) + laneW / 2, phFx); }
 
   // Head flash when its center is near the playhead
   const flashHead = Math.abs(n.tMs - now) <= flashWindow;
 
       // Hold body extends *after* the head (downwards)
       if (n.dMs && n.dMs > 0) {
-        const len = Math.max(6, n.dMs * pxPerMs);
+        const len = Math.max(6, n.dMs * pxPerMs * spd);
         const bx = x + (headW - stemW) / 2;
         const by = yHead + headH - 2;
         // Base body color: match lane color (VFX if enabled), with hold alpha
@@ -4992,10 +6669,28 @@ export class Editor {
         // selection box not scaled for simplicity
         ctx.strokeRect(x - 2, yHead - 2, headW + 4, headH + 4);
       }
+      if (fx) ctx.restore();
     }
 
   // playhead (also lines up with note centers)
     const phY = Math.floor(now * pxPerMs - this.scrollY);
+    // Per-lane receptors, so lane moves and receptor scale are visible on the judge line
+    if (laneFx) {
+      for (let i = 0; i < L; i++) {
+        const fx = laneFx[i];
+        const cx = startX + i * (laneW + gap) + laneW / 2;
+        const rw = headW * fx.receptorScale, rh = Math.max(4, headH * 0.35) * fx.receptorScale;
+        ctx.save();
+        this._applyLaneVfxPreview(ctx, fx, cx, phFx);
+        ctx.globalAlpha *= 0.8;
+        ctx.strokeStyle = (laneColors && laneColors[i]) || this.colors.playhead;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.ellipse(cx, phFx, rw / 2, rh, 0, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+      }
+    }
   ctx.strokeStyle = this.colors.playhead;
     ctx.lineWidth = 2;
     ctx.beginPath();
@@ -5006,15 +6701,16 @@ export class Editor {
   // End camera transform
     if (camSaved) ctx.restore();
 
+    // Overlay track (screen space, like the game's overlay layer)
+    if (previewOn) this._drawEditorOverlays(ctx, w, h, this.currentTimeMs());
+
   // Beat flash overlay (render last, above everything; not camera-affected)
     if (this.vfx?.previewEnabled) {
       try {
         const t = this.currentTimeMs();
         const flashOn = !!(this._getVFXPropertyAtTime('background.flashEnable', t, this.vfx) ?? this.vfx?.data?.background?.flashEnable);
         if (flashOn) {
-          const bpm = this.chart?.bpm || 120;
-          const beatMs = Math.max(1, 60000 / Math.max(1, bpm));
-          const timeIntoBeat = t % beatMs;
+          const timeIntoBeat = Math.max(0, t - beatInfoAt(getTimingPoints(this.chart), t).startMs);
           const flashColor = this._getVFXPropertyAtTime('background.flashColor', t, this.vfx) || this.vfx?.data?.background?.flashColor || '#ffffff';
           const flashIntensity = Number(this._getVFXPropertyAtTime('background.flashIntensity', t, this.vfx) ?? this.vfx?.data?.background?.flashIntensity ?? 30);
           const flashDuration = Math.max(20, Number(this._getVFXPropertyAtTime('background.flashDuration', t, this.vfx) ?? this.vfx?.data?.background?.flashDuration ?? 200));
@@ -5034,6 +6730,9 @@ export class Editor {
       } catch {}
     }
 
+    // Post-processing preview (cleared when the VFX preview is off)
+    try { this._applyPostFxPreview(ctx, w, h, previewOn ? this._postFxPreviewAt(this.currentTimeMs()) : null); } catch {}
+
     // --- Gap badges for selected notes (same-lane Δprev/Δnext) ---
     ctx.font = "11px ui-sans-serif, system-ui";
     for (const idx of (this._previewSelection ?? this.selection)) {
@@ -5087,11 +6786,98 @@ export class Editor {
     // footer info
     const t = document.getElementById(this.ids.time);
     if (t) t.textContent = `${Math.floor((this.currentTimeMs()) / 1000)}s / ${Math.floor((this.chart.durationMs || 0) / 1000)}s`;
+    this._updateDifficultyReadout();
 
     const s = document.getElementById(this.ids.scrub);
     if (s && !s.matches(":active")) s.value = String(Math.floor(this.currentTimeMs()));
   }
 
+  // ===== Scroll-velocity track =====
+  _svTrackRect() {
+    const w = this.canvas.width / (window.devicePixelRatio || 1);
+    const L = this.chart?.lanes || 4;
+    const totalW = L * this._laneW() + (L - 1) * this._laneGap();
+    const startX = (w - totalW) / 2;
+    return { x: startX + totalW + 18, w: 44 };
+  }
+
+  // Waveform/spectrogram column, right of the SV track
+  _audioColumnRect() {
+    const sv = this._svTrackRect();
+    const w = this.canvas.width / (window.devicePixelRatio || 1);
+    const x = sv.x + sv.w + 12;
+    return { x, w: Math.max(40, Math.min(96, w - x - 12)) };
+  }
+
+  _drawSvTrack(ctx, h, startMs, endMs, pxPerMs) {
+    const { x, w } = this._svTrackRect();
+    const segs = getScrollVelocities(this.chart);
+    ctx.save();
+    ctx.fillStyle = "rgba(255,255,255,0.03)";
+    ctx.strokeStyle = this.colors.laneStroke;
+    ctx.lineWidth = 1;
+    this._roundRect(ctx, x, 16, w, h - 32, 8, true);
+    ctx.stroke();
+
+    const durMs = this.chart?.durationMs || endMs;
+    ctx.font = "10px ui-sans-serif, system-ui";
+    ctx.textAlign = "center";
+    for (let i = 0; i < segs.length; i++) {
+      const s = segs[i];
+      const segEnd = segs[i + 1]?.time ?? durMs;
+      if (segEnd < startMs || s.time > endMs) continue;
+      const y0 = Math.floor(s.time * pxPerMs - this.scrollY);
+      const y1 = Math.floor(segEnd * pxPerMs - this.scrollY);
+      // Bar width shows the multiplier (full width = 2x and above)
+      const barW = Math.max(2, Math.min(1, s.multiplier / 2) * (w - 8));
+      const color = s.multiplier < 1 ? "#47A3FF" : (s.multiplier > 1 ? "#FF9F43" : "#9BB0C9");
+      ctx.globalAlpha = 0.25;
+      ctx.fillStyle = color;
+      ctx.fillRect(x + (w - barW) / 2, y0, barW, Math.max(1, y1 - y0));
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x, y0);
+      ctx.lineTo(x + w, y0);
+      ctx.stroke();
+      ctx.fillStyle = color;
+      ctx.fillText(`${+s.multiplier.toFixed(2)}x`, x + w / 2, y0 + 12);
+    }
+    ctx.fillStyle = "#9bb0c9";
+    ctx.fillText("SV", x + w / 2, 12);
+    ctx.restore();
+  }
+
+  // Click: add/edit the SV segment at the snapped time. Shift+click or the Delete tool removes one.
+  _svTrackClick(e) {
+    const pxPerMs = this._pxPerMsNow();
+    const list = getScrollVelocities(this.chart);
+    const hitIdx = list.findIndex(s => Math.abs((s.time * pxPerMs - this.scrollY) - this.mouse.y) <= 6);
+
+    if (hitIdx >= 0 && (e.shiftKey || this.tool === "delete")) {
+      this._pushUndo("Remove scroll velocity");
+      list.splice(hitIdx, 1);
+      if (list.length) this.chart.scrollVelocities = list;
+      else delete this.chart.scrollVelocities;
+      this._help("Removed SV segment.");
+      return;
+    }
+
+    const time = hitIdx >= 0 ? list[hitIdx].time : Math.max(0, Math.round(this._screenToMs(this.mouse.y)));
+    const cur = hitIdx >= 0 ? list[hitIdx].multiplier : scrollMultiplierAt(list, time);
+    const raw = prompt(`Scroll velocity at ${this._fmtTimeMsShort(time)} (0 = stop, 1 = normal, 2 = double):`, String(cur));
+    if (raw == null || !raw.trim()) return;
+    const mult = Number(raw);
+    if (!Number.isFinite(mult) || mult < 0) { alert("Enter a multiplier of 0 or more."); return; }
+
+    this._pushUndo("Set scroll velocity");
+    if (hitIdx >= 0) list[hitIdx].multiplier = mult;
+    else list.push({ time, multiplier: mult });
+    this.chart.scrollVelocities = getScrollVelocities({ scrollVelocities: list });
+    this._help(`SV ${mult}x at ${this._fmtTimeMsShort(time)}`);
+  }
+
   _drawNoteHeadShape(ctx, shape, x, y, w, h) {
     switch (shape) {
       case "triangleUp":
@@ -5333,13 +7119,15 @@ export class Editor {
     const notes = Array.isArray(this.chart?.notes) ? [...this.chart.notes].sort((a,b)=>a.tMs-b.tMs) : [];
     const out = {
       bpm: this.chart?.bpm || 120,
+      timingPoints: getTimingPoints(this.chart),
+      scrollVelocities: getScrollVelocities(this.chart),
       lanes: this.chart?.lanes || 4,
       durationMs: this.chart?.durationMs || (this.audioBuffer ? Math.floor(this.audioBuffer.duration * 1000) : 180000),
       notes,
       title: this.manifest?.title || "Editor Preview",
       difficulty: this.difficulty || "normal",
       trackId: (this.manifest?.title ? this.manifest.title.toLowerCase().replace(/[^a-z0-9]+/g, "-") : "editor-preview"),
-      audioUrl: this.audioUrl || this.manifest?.audio?.wav || this.manifest?.audio?.mp3
+      audioUrl: this.audioUrl || this.manifest?.audio?.wav || this.manifest?.audio?.mp3 || this.manifest?.audio?.ogg
     };
     if (!out.audioUrl) {
       alert("Load an audio file/URL or a manifest with audio before playtesting.");
@@ -5357,7 +7145,12 @@ export class Editor {
     const bpmEl = document.getElementById(this.ids.bpm);
     const subEl = document.getElementById(this.ids.subdiv);
     const lanesEl = document.getElementById(this.ids.lanes);
-    if (bpmEl) bpmEl.value = String(this.chart?.bpm ?? 120);
+    const meterEl = document.getElementById(this.ids.meter);
+    const tps = this.chart ? getTimingPoints(this.chart) : null;
+    // Same time source as the BPM/Meter handlers, so the inputs show the point they edit
+    const tp = tps ? tps[timingPointIndexAt(tps, this.currentTimeMs())] : null;
+    if (bpmEl) bpmEl.value = String(tp?.bpm ?? this.chart?.bpm ?? 120);
+    if (meterEl) meterEl.value = String(tp?.meter ?? 4);
     if (subEl) subEl.value = String(this.subdiv);
     if (lanesEl) lanesEl.value = String(this.chart?.lanes ?? 4);
   }
@@ -5367,6 +7160,14 @@ export class Editor {
     if (el) el.textContent = msg || "";
   }
 
+  /** Throws a readable error (note index, field, reason) when chart JSON doesn't match the schema. */
+  _assertChartSchema(obj, label = "Chart") {
+    const checked = validateChart(obj);
+    if (checked.warnings.length) console.warn(`[PF] ${label}: chart warnings\n` + formatSchemaErrors(checked.warnings, 50));
+    if (!checked.ok) throw new Error(`${label} is invalid:\n${formatSchemaErrors(checked.errors)}`);
+    return checked;
+  }
+
   // ===== Overlap / lane helpers =====
   _rangesOverlap(start, end, s, e) {
     const A0 = Math.min(start, end);
@@ -5423,4 +7224,13 @@ export class Editor {
     this._volume = vol;
     if (this.masterGain) this.masterGain.gain.value = vol;
   }
-} 
\ No newline at end of file
+} 
+// Base64 body of a Blob (no data: prefix), for JSON uploads
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const fr = new FileReader();
+    fr.onload = () => resolve(String(fr.result || "").replace(/^data:[^,]*,/, ""));
+    fr.onerror = () => reject(fr.error || new Error("Blob read failed"));
+    fr.readAsDataURL(blob);
+  });
+}
@@ -0,0 +1,54 @@
+// public/js/modules/fft.js
+// Small FFT helpers shared by the audio workers (waveform/spectrogram tiles, tempo analysis).
+
+/** Hann window of length n. */
+export function hannWindow(n) {
+  const w = new Float32Array(n);
+  for (let i = 0; i < n; i++) w[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1));
+  return w;
+}
+
+/** In-place iterative radix-2 FFT; length must be a power of two. */
+export function fft(xr, xi) {
+  const n = xr.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let t = xr[i]; xr[i] = xr[j]; xr[j] = t;
+      t = xi[i]; xi[i] = xi[j]; xi[j] = t;
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = -2 * Math.PI / len;
+    const wr = Math.cos(ang), wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k, b = a + len / 2;
+        const tr = xr[b] * cr - xi[b] * ci;
+        const ti = xr[b] * ci + xi[b] * cr;
+        xr[b] = xr[a] - tr; xi[b] = xi[a] - ti;
+        xr[a] += tr; xi[a] += ti;
+        const nr = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = nr;
+      }
+    }
+  }
+}
+
+/** Mix channels down to one (reuses the first channel's array). */
+export function mixToMono(channels) {
+  const mono = channels[0] || new Float32Array(0);
+  const n = channels.length;
+  if (n > 1) {
+    for (let i = 0; i < mono.length; i++) {
+      let s = 0;
+      for (let c = 0; c < n; c++) s += channels[c][i];
+      mono[i] = s / n;
+    }
+  }
+  return mono;
+}
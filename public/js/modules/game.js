@@ -1,10 +1,15 @@
 /* global PIXI */ 
 import { AudioPlayer } from "./audio.js";
-
-/** Timing windows (ms) */
-const PERFECT_MS = 30;
-const GREAT_MS   = 65;
-const GOOD_MS    = 100;
+import { getTimingPoints, beatInfoAt, shiftTimingPoints, getScrollVelocities, buildScrollMap, scrollPositionAt } from "./timing.js";
+import { ReplayRecorder, chartHash, decodeReplayEvents } from "./replay.js";
+import { Judge, getJudgeProfile, judgeProfileName, healthOptions, isDefaultHealth } from "./judge.js";
+import { normalizeMods, modsKey, modsLabel, isRankedMods, applyLaneMods, randomModSeed } from "./mods.js";
+import { validateChart, formatSchemaErrors, PLAYABLE_LANES } from "./schema.js";
+import { bezierEasing } from "./easing.js";
+import { laneVfxState, usesLaneVfx, parseLaneVfxProperty } from "./lanevfx.js";
+import { normalizeOverlays, overlayState, overlayImageUrl, isOverlayActive, OVERLAY_REF_HEIGHT } from "./overlays.js";
+import { usesPostFx, postFxSpec, postFxState, postFxColorMatrix, POST_FX_VERTEX, POST_FX_FRAGMENT } from "./postfx.js";
+import { normalizeTriggers, triggerMatches, triggerOnBeat, comboMilestoneCrossed, triggerPulse, triggerTargetDefault } from "./triggers.js";
 
 /** Visual tuning */
 const WHITE_FLASH_MS = 140;      // taps only (placeholder for potential flash effect)
@@ -12,9 +17,14 @@ const WHITE_FLASH_MS = 140;      // taps only (placeholder for potential flash e
 const HIT_FADE_RATE  = 0.025;    // tap head fade speed
 const HOLD_FADE_RATE = 0.018;    // hold success fade speed
 const MISS_FADE_RATE = 0.08;     // miss fade speed (broken hold head / optional)
-// Miss windows (ms after scheduled head time)
-const TAP_MISS_LATE_MS  = 120;
-const HOLD_MISS_LATE_MS = 150;
+// Hidden / Sudden fade zones, as fractions of lane height above the judge line (fully visible -> gone)
+const HIDDEN_FADE = { from: 0.45, to: 0.2 };
+const SUDDEN_FADE = { from: 0.55, to: 0.75 };
+// Section loop practice: shortest window, and how far before the wrap holds are cut to end
+const LOOP_MIN_MS = 1000;
+const LOOP_HOLD_TAIL_MS = 60;
+// Trigger rules resync (no firing) when the clock jumps back further than this (loop wrap, clock fallback)
+const TRIGGER_REWIND_MS = 100;
 
 /** Visual options */
 const VIS = {
@@ -28,6 +38,19 @@ export class Game {
     this.runtime = runtime;
     this.settings = settings || {};
 
+    // Replay playback (runtime.replay): inputs come from the recording instead of the keyboard
+    this.replay = runtime?.replay || null;
+    this.lastReplay = null;
+
+    // Modifiers (runtime.mods, or whatever the replay was recorded with)
+    this.mods = normalizeMods(this.replay ? this.replay.mods : runtime?.mods);
+    if (this.mods.random && !this.mods.seed) this.mods.seed = randomModSeed();
+
+    // Section loop practice (runtime.practice = { startMs, endMs }): loops that window, never submits
+    this.practice = this.replay ? null : practiceWindow(runtime?.practice);
+    this._loopPass = 0;
+    this._loopStats = [];
+
     // tail behavior
     this.holdTailClipsAtJudge = true;
 
@@ -56,7 +79,7 @@ export class Game {
 
     // Tuning
     this.leadInMs = 3000;
-    this.pixelsPerMs = 0.35;
+    this.pixelsPerMs = 0.35 * this.mods.speed;
 
     // Inputs / holds
     this.keyDown = new Set();
@@ -93,6 +116,9 @@ export class Game {
     this.progressBg = null;
     this.progressFill = null;
     this._progressGeom = null;
+    this.healthBg = null;
+    this.healthFill = null;
+    this._healthGeom = null;
 
     this.spriteByNote = new Map();
 
@@ -108,13 +134,12 @@ export class Game {
     };
     this._fxStyles = null;
     this._fxPool = [];
-    this._lastHud = { combo: null, acc: null, score: null };
+    this._lastHud = { combo: null, acc: null, score: null, health: null };
 
     this.vis = VIS;
     this.receptors = [];
 
-    this.notesByLane = [];
-    this.nextIdxByLane = [];
+    this.judge = null;
 
     this._resultsShown = false;
     this._resultsOverlay = null;
@@ -137,6 +162,8 @@ export class Game {
     this._flashMaxAlpha = 0;
     this._flashColor = 0xffffff;
     this._lastBeatIndex = -1;
+    this._postFx = null;         // post-processing filters on the stage (see _buildPostFx)
+    this._trig = null;           // trigger rule state (see _resetTriggers)
 
     // For restoring global key handlers
     this._prevOnKeyDown = undefined;
@@ -173,7 +200,21 @@ export class Game {
     if (!set) return null;
     const props = set.properties || {};
     const keyframes = set.keyframes || {};
-    return { props, keyframes };
+    const triggers = normalizeTriggers(props.triggers);
+    // A trigger pulsing a per-lane or post-processing property needs that path running too
+    return {
+      props, keyframes, triggers,
+      laneFx: usesLaneVfx(props.lanes, keyframes) || triggers.some(r => parseLaneVfxProperty(r.target)),
+      overlays: normalizeOverlays(props.overlays),
+      postFx: usesPostFx(props.post, keyframes) || triggers.some(r => postFxSpec(r.target))
+    };
+  }
+
+  // Numeric path steps are 1-based into arrays (notes.colors.1 is lane 0), matching the editor;
+  // other steps into arrays match an element id (overlays.<id>.x)
+  _vfxPropStep(v, key) {
+    if (!Array.isArray(v)) return v[key];
+    return /^\d+$/.test(key) ? v[Number(key) - 1] : v.find(e => e?.id === key);
   }
 
   _vfxUnpack(easing) {
@@ -195,11 +236,11 @@ export class Game {
       back: { in:(t)=>{const c1=1.70158,c3=c1+1;return c3*t*t*t-c1*t*t;}, out:(t)=>{const c1=1.70158,c3=c1+1;return 1+c3*Math.pow(t-1,3)+c1*Math.pow(t-1,2);}, inOut:(t)=>{const c1=1.70158,c2=c1*1.525;return t<.5?(Math.pow(2*t,2)*((c2+1)*2*t-c2))/2:(Math.pow(2*t-2,2)*((c2+1)*(2*t-2)+c2)+2)/2;} },
       elastic:{ in:(t)=>{const c4=(2*Math.PI)/3;return t===0?0:t===1?1:-Math.pow(2,10*t-10)*Math.sin((t*10-10.75)*c4);}, out:(t)=>{const c4=(2*Math.PI)/3;return t===0?0:t===1?1:Math.pow(2,-10*t)*Math.sin((t*10-0.75)*c4)+1;}, inOut:(t)=>{const c5=(2*Math.PI)/4.5;return t===0?0:t===1?1:t<.5?-(Math.pow(2,20*t-10)*Math.sin((20*t-11.125)*c5))/2:(Math.pow(2,-20*t+10)*Math.sin((20*t-11.125)*c5))/2+1;} },
       bounce:{ out:(t)=>{const n1=7.5625,d1=2.75; if(t<1/d1)return n1*t*t; else if(t<2/d1)return n1*(t-=1.5/d1)*t+.75; else if(t<2.5/d1)return n1*(t-=2.25/d1)*t+.9375; else return n1*(t-=2.625/d1)*t+.984375;}, in:(t)=>1-(E.bounce.out(1-t)), inOut:(t)=>t<.5?(1-E.bounce.out(1-2*t))/2:(1+E.bounce.out(2*t-1))/2 },
-      bezier: ()=> (t)=>t
+      bezier: (pts)=> bezierEasing(pts) // style carries the control points ("bezier:x1,y1,x2,y2")
     };
     if (curve === "linear") return E.linear();
     if (curve === "instant") return ()=>0;
-    if (curve === "bezier") return E.bezier();
+    if (curve === "bezier") return E.bezier(style);
     return (E[curve]?.[style || "inOut"]) || E.cubic.inOut;
   }
   _vfxInterpolateColor(a, b, t) {
@@ -231,8 +272,21 @@ export class Game {
     const stops = out.sort((x,y)=>x.pos-y.pos).filter(s=>{ const k = `${s.pos.toFixed(3)}_${s.color}`; if (seen.has(k)) return false; seen.add(k); return true; });
     return { type, stops };
   }
+  // Keyframed/static value plus any trigger pulse on the property
   _vfxValueAt(property, timeMs) {
+    const v = this._vfxBaseValueAt(property, timeMs);
+    const tr = this._trig;
+    if (!tr || !tr.targets.has(property)) return v;
+    const pulse = triggerPulse(tr.rules, tr.firedAt, property, timeMs);
+    if (!pulse) return v;
+    const base = Number(v);
+    return (v != null && Number.isFinite(base) ? base : triggerTargetDefault(property)) + pulse;
+  }
+
+  _vfxBaseValueAt(property, timeMs) {
     if (!this.vfx) return null;
+    // Practice windows run on a clock that starts at A; keyframes are in song time
+    if (this._vfxTimeBaseMs) timeMs += this._vfxTimeBaseMs;
     // Per-frame memoization
     const cache = this._vfxFrameCache;
     const cacheKey = property + '|' + (timeMs|0);
@@ -240,7 +294,7 @@ export class Game {
     const kfs = this.vfx.keyframes?.[property];
     if (!Array.isArray(kfs) || !kfs.length) {
       const parts = property.split('.');
-      let v = this.vfx.props; for (const p of parts) { if (v==null) { v = null; break; } v = v[p]; }
+      let v = this.vfx.props; for (const p of parts) { if (v==null) { v = null; break; } v = this._vfxPropStep(v, p); }
       if (cache) cache.set(cacheKey, v);
       return v;
     }
@@ -250,7 +304,7 @@ export class Game {
       let startVal;
       if (first && Math.abs(first.time) < 1) startVal = first.value; else {
         const parts = property.split('.');
-        let v = this.vfx.props; for (const p of parts) { if (v==null) { v = null; break; } v = v[p]; }
+        let v = this.vfx.props; for (const p of parts) { if (v==null) { v = null; break; } v = this._vfxPropStep(v, p); }
         startVal = v;
       }
       if (timeMs <= 0) { if (cache) cache.set(cacheKey, startVal); return startVal; }
@@ -312,8 +366,7 @@ export class Game {
     this.held = new Array(4).fill(false);
     this.activeHoldsByLane?.clear?.();
     this.spriteByNote?.clear?.();
-    this.notesByLane = [];
-    this.nextIdxByLane = [];
+    this.judge = null;
     this.maxCombo = 0;
     this._resultsShown = false;
 
@@ -365,7 +418,11 @@ export class Game {
     return [
       { label: "Score", value: this.state.score.toString() },
       { label: "Accuracy", value: Math.round(this.state.acc * 100) + "%" },
-      { label: "Max Combo", value: this.maxCombo || this.state.combo }
+      { label: "Max Combo", value: this.maxCombo || this.state.combo },
+      { label: "Judge", value: cap(this._judgeProfileName()) },
+      ...(isRankedMods(this.mods) ? [] : [{ label: "Mods", value: modsLabel(this.mods) }]),
+      ...(this._customHealth() ? [{ label: "Life gauge", value: this._healthLabel() }] : []),
+      ...(this.state.failed ? [{ label: "Result", value: `FAILED at ${this._failPointText()}` }] : [])
     ];
   }
 
@@ -442,7 +499,7 @@ export class Game {
     grid.zIndex = 0;
 
     // Layout
-    this.laneCount = 4;
+    this.laneCount = PLAYABLE_LANES;
     this.held = new Array(this.laneCount).fill(false);
 
     // Lane sizing
@@ -515,9 +572,10 @@ export class Game {
         g.stroke({ width: 2, color, alpha });
         hw.addChild(g);
       };
-      drawGuide(PERFECT_MS, 0x25f4ee, 0.35);
-      drawGuide(GREAT_MS,   0xC8FF4D, 0.28);
-      drawGuide(GOOD_MS,    0x8A5CFF, 0.22);
+      const jw = getJudgeProfile(this._judgeProfileName());
+      drawGuide(jw.perfect, 0x25f4ee, 0.35);
+      drawGuide(jw.great,   0xC8FF4D, 0.28);
+      drawGuide(jw.good,    0x8A5CFF, 0.22);
       this.cameraLayer.addChild(hw);
       this.hitWindowsLayer = hw;
     }
@@ -606,8 +664,9 @@ export class Game {
     this.$acc = document.getElementById("hud-acc");
     this.$score = document.getElementById("hud-score");
 
-  // Progress bar
+  // Progress bar + life gauge
   this._buildProgressBar(totalW);
+  this._buildHealthBar(totalW);
 
   // Full-screen flash overlay (UI space; not affected by camera)
   this._flashOverlay = new PIXI.Graphics();
@@ -618,6 +677,12 @@ export class Game {
   this._flashOverlay.zIndex = 20; // above gameplay, below HUD
   this.app.stage.addChild(this._flashOverlay);
 
+  // VFX overlay track (lyrics, titles, logos)
+  this._buildOverlayLayer();
+
+  // Post-processing chain on the whole stage (shader VFX)
+  this._buildPostFx();
+
     // Text styles
     this._fxStyles = {
       Perfect: new PIXI.TextStyle({
@@ -644,6 +709,10 @@ export class Game {
         fill: 0x25F4EE, fontSize: 48, fontFamily: "Arial", fontWeight: "bold",
         stroke: { color: 0x000000, width: 5, join: 'round' },
         dropShadow: true, dropShadowColor: "#000000", dropShadowBlur: 3, dropShadowDistance: 2
+      }),
+      LoopInfo: new PIXI.TextStyle({
+        fill: 0xCFD8EA, fontSize: 18, fontFamily: "Arial", fontWeight: "bold",
+        stroke: { color: 0x000000, width: 4, join: 'round' }
       })
     };
 
@@ -658,6 +727,13 @@ export class Game {
     this.countdownText.alpha = 0;
     this.hudLayer.addChild(this.countdownText);
 
+    // Practice loop info (pass count + per-pass accuracy)
+    this.loopText = new PIXI.Text({ text: "", style: this._fxStyles.LoopInfo });
+    this.loopText.anchor.set(0.5, 0);
+    this.loopText.position.set(this.width / 2, 14);
+    this.loopText.alpha = this.practice ? 1 : 0;
+    this.hudLayer.addChild(this.loopText);
+
   // Debug overlay (opt-in) shows timing/stall info if window.PF_DEBUG
   if (typeof window !== 'undefined' && window.PF_DEBUG && !this._debugOverlay) {
     const dbg = new PIXI.Text({ text: 'debug', style: new PIXI.TextStyle({ fill: 0x25F4EE, fontSize: 14, fontFamily: 'Arial' }) });
@@ -1069,7 +1145,42 @@ export class Game {
     this._progressGeom = { x, y, barW, barH };
   }
 
+  _buildHealthBar(totalW) {
+    // Vertical life gauge to the right of the lanes (UI space, like the progress bar)
+    const barW = 8;
+    const barH = this._laneHeight;
+    const x = this.startX + totalW + 18;
+    const y = this._laneTop;
+
+    try {
+      if (this.healthBg) { this.app.stage.removeChild(this.healthBg); this.healthBg.destroy({ children:true }); }
+      if (this.healthFill) { this.app.stage.removeChild(this.healthFill); this.healthFill.destroy({ children:true }); }
+    } catch {}
+
+    this.healthBg = new PIXI.Graphics();
+    this.healthBg.roundRect(x, y, barW, barH, 4);
+    this.healthBg.fill({ color: 0xffffff, alpha: 0.08 });
+    this.healthBg.zIndex = 8;
+    this.app.stage.addChild(this.healthBg);
+
+    this.healthFill = new PIXI.Graphics();
+    this.healthFill.zIndex = 8;
+    this.app.stage.addChild(this.healthFill);
+
+    this._healthGeom = { x, y, barW, barH };
+    this._lastHud.health = null;
+  }
+
   async _playSolo(manifest) {
+    // Refuse charts that don't match the schema up front (bad notes otherwise break mid-song)
+    const checked = validateChart(manifest, { playable: true });
+    if (checked.warnings.length) console.warn("[PF] Chart warnings:\n" + formatSchemaErrors(checked.warnings, 50));
+    if (!checked.ok) {
+      const msg = `Chart failed validation\n${formatSchemaErrors(checked.errors, 5)}`;
+      this._setLoading(true, msg);
+      throw new Error(msg);
+    }
+
     const player = new AudioPlayer();
     // Master volume only
     this._applyVolume(player);
@@ -1086,10 +1197,21 @@ export class Game {
       ...manifest,
       notes: Array.isArray(manifest.notes) ? manifest.notes.map(n => ({ ...n })) : []
     };
+    // Hash the full chart (before any mid-song trim) so replays can be matched to it
+    this._chartHash = chartHash(this.chart);
+    if (this.replay?.chartHash && this.replay.chartHash !== this._chartHash) {
+      console.warn("[PF] Replay was recorded on a different version of this chart; judgments may differ.");
+    }
 
     // honor editor playhead offset (runtime.startAtMs) by trimming notes/time
-    const offsetMs = Math.max(0, Number(this.runtime?.startAtMs) || 0);
+    const offsetMs = this.practice ? 0 : Math.max(0, Number(this.runtime?.startAtMs) || 0);
     if (offsetMs > 0) this._applyStartOffset(offsetMs);
+    if (this.practice) this._applyPracticeWindow(this.practice);
+
+  // Tempo map (legacy single-bpm charts become one implicit point)
+  this._timingPoints = getTimingPoints({ ...this.chart, bpm: this.chart.bpm || this.runtime?.manifest?.bpm });
+  // Scroll-velocity map: note y comes from integrated scroll distance instead of raw time
+  this._scrollMap = buildScrollMap(this.chart);
 
   // Phase 3: prepare notes/inputs
   this._setLoading(true, "Preparing notes & inputs…");
@@ -1098,6 +1220,13 @@ export class Game {
   this._prepareInputs();
   await this._snapshotLeaderboardBefore();
 
+  // Practice rate with pitch kept: stretch the song now rather than on the first frame
+  if (this.mods.rate !== 1 && this.mods.keepPitch) {
+    this._setLoading(true, "Preparing practice rate…");
+    await new Promise(r => setTimeout(r, 0)); // let the message paint before the (blocking) stretch
+    try { player.prepareRate(this.mods.rate, true); } catch (e) { console.warn("[PF] time-stretch failed; pitch will follow rate", e); }
+  }
+
   // Phase 4: prewarm VFX (gradient textures etc.)
   this._setLoading(true, "Preparing visual effects…");
   try { await this._prewarmVFX(); }
@@ -1108,12 +1237,23 @@ export class Game {
     const useLeadIn = offsetMs === 0;
     const leadInMs = useLeadIn ? this.leadInMs : 0;
     const audioCtx = player.ctx;
-    const audioStartAtSec = audioCtx.currentTime + (leadInMs / 1000);
+    // Song time runs `rate` x real time (practice rate); lead-in is counted in song time too
+    const rate = this.mods.rate;
+    const audioStartAtSec = audioCtx.currentTime + (leadInMs / 1000 / rate);
     // Start the buffer at offset (if playtesting mid-song) exactly at the scheduled time
-    const source = player.playAt(audioStartAtSec, { offsetSec: offsetMs / 1000 });
+    // (practice: start at A and let the source loop A..B; the clock folds into the window to match)
+    const practice = this.practice;
+    const source = player.playAt(audioStartAtSec, {
+      offsetSec: (practice ? practice.startMs : offsetMs) / 1000,
+      rate,
+      preservePitch: this.mods.keepPitch,
+      loop: practice ? { startSec: practice.startMs / 1000, endSec: practice.endMs / 1000 } : null
+    });
 
     // Store timing anchors
-    this._audio = { player, source, startAtSec: audioStartAtSec, offsetMs };
+    const loopMs = practice ? practice.endMs - practice.startMs : 0;
+    this._audio = { player, source, startAtSec: audioStartAtSec, offsetMs, rate, loopMs };
+    if (practice) this._updateLoopHud();
     // Negative time phase (countdown) ends when audio actually starts
     // We'll compute game time each frame from audioCtx.currentTime; before start, we show -(remaining lead-in)
 
@@ -1122,6 +1262,7 @@ export class Game {
 
     // loop (pass audio clock metadata instead of perf start)
     await this._gameLoop(null, () => {});
+    this._finishReplay();
     await this._reportScoreAndNotify();
 
     // wait for user to close the results before returning control
@@ -1168,6 +1309,7 @@ export class Game {
         label.style.fontSize = '15px';
         label.style.maxWidth = '320px';
         label.style.opacity = '0.9';
+        label.style.whiteSpace = 'pre-line';
         el.appendChild(spinner);
         el.appendChild(label);
         document.body.appendChild(el);
@@ -1213,7 +1355,10 @@ export class Game {
     if (!this.chart || !Array.isArray(this.chart.notes)) return;
     for (const n of this.chart.notes) {
       if ("hit" in n) delete n.hit;
+      if ("result" in n) delete n.result;
       if ("_pf" in n) delete n._pf;
+      delete n.__pfHitTimeMs;
+      delete n.__pfCenterLocked;
     }
   }
 
@@ -1246,25 +1391,116 @@ export class Game {
     const oldDuration = Number(this.chart.durationMs) || 0;
     const newDuration = Math.max(0, oldDuration - offsetMs);
 
-    this.chart = { ...this.chart, notes: out, durationMs: newDuration };
+    // Keep the tempo map aligned with the trimmed timeline (beat phase must not drift)
+    const timingPoints = shiftTimingPoints(getTimingPoints(this.chart), -offsetMs);
+    const scrollVelocities = shiftTimingPoints(getScrollVelocities(this.chart), -offsetMs);
+
+    this.chart = { ...this.chart, notes: out, durationMs: newDuration, timingPoints, scrollVelocities };
   }
 
-  _prepareNotes() {
-    this.chart.notes.sort((a, b) => a.tMs - b.tMs);
-    this.notesByLane = Array.from({ length: this.laneCount }, () => []);
+  // Practice: trim the chart to A..B on a clock starting at A (tempo map follows via _applyStartOffset)
+  _applyPracticeWindow({ startMs, endMs }) {
+    this._applyStartOffset(startMs);
+    const lenMs = endMs - startMs;
+    const notes = [];
     for (const n of this.chart.notes) {
-      if (typeof n.lane === "number" && n.lane >= 0 && n.lane < this.laneCount) {
-        this.notesByLane[n.lane].push(n);
+      if ((n.tMs || 0) >= lenMs) continue;
+      // holds running past B are cut so they finish before the wrap
+      if (n.dMs > 0) {
+        const maxDur = lenMs - LOOP_HOLD_TAIL_MS - n.tMs;
+        if (maxDur <= 0) delete n.dMs;
+        else n.dMs = Math.min(n.dMs, maxDur);
       }
+      notes.push(n);
     }
-    this.nextIdxByLane = Array.from({ length: this.laneCount }, () => 0);
+    this.chart = { ...this.chart, notes, durationMs: lenMs };
+    this._vfxTimeBaseMs = startMs;
+  }
+
+  // A practice pass ended: keep its accuracy, then reset notes/sprites/judge for the next one
+  _onLoopWrap(pass) {
+    if (this.judge && pass > this._loopPass) {
+      // anything left open counts as missed, quietly (no miss text burst at the wrap)
+      this.judge.onEvent = null;
+      this.judge.update(Infinity);
+      const js = this.judge.state;
+      this._loopStats.push({ pass: this._loopPass + 1, acc: js.acc, judges: { ...js.judges }, maxCombo: js.maxCombo });
+    }
+    this._loopPass = pass;
+
+    this._resetNoteRuntimeFlags();
+    for (const rec of this.noteSprites || []) {
+      try { rec.cont.destroy({ children: true }); } catch {}
+    }
+    this.activeHoldsByLane.clear();
+    this._createJudge();
+    if (this.spriteByNote) this.spriteByNote.clear();
+    this._buildNoteSprites();
+    // logic clock restarts from the folded time
+    this._logicLastGameMs = null;
+    this._logicAccumMs = 0;
+    this._updateLoopHud();
+  }
+
+  _updateLoopHud() {
+    if (!this.loopText || !this.practice) return;
+    const fmt = (ms) => { const sec = Math.floor(ms / 1000); return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`; };
+    const parts = [`Loop ${fmt(this.practice.startMs)}–${fmt(this.practice.endMs)}`, `Pass ${this._loopPass + 1}`];
+    const last = this._loopStats[this._loopStats.length - 1];
+    if (last) {
+      const best = Math.max(...this._loopStats.map(s => s.acc));
+      parts.push(`Last ${(last.acc * 100).toFixed(1)}%`, `Best ${(best * 100).toFixed(1)}%`);
+    }
+    this.loopText.text = parts.join("  •  ");
+  }
+
+  _prepareNotes() {
+    this.chart.notes.sort((a, b) => a.tMs - b.tMs);
+    // Mirror / random: the chart is a clone, so lanes can be remapped in place
+    applyLaneMods(this.chart.notes, this.mods, this.laneCount);
+    this._createJudge();
+  }
+
+  // Judging + scoring live in the headless Judge; the Game only turns its events into visuals
+  _createJudge() {
+    this.judge = new Judge(this.chart.notes, {
+      laneCount: this.laneCount,
+      latencyMs: this._inputLatencyMs(),
+      profile: this._judgeProfileName(),
+      health: this._healthOptions(),
+      onEvent: (ev) => this._onJudgeEvent(ev)
+    });
+    this._syncJudgeState();
   }
 
   _prepareInputs() {
+    // Playback: recorded events are fed from the ticker (_feedReplay); keyboard stays unbound
+    if (this.replay) {
+      this._replayEvents = decodeReplayEvents(this.replay);
+      this._replayIdx = 0;
+      this._recorder = null;
+      return;
+    }
+
     const keys = this.settings.keys || ["D", "F", "J", "K"];
     const map = {}; for (let i = 0; i < keys.length; i++) map[keys[i].toUpperCase()] = i;
     this.keyMap = map;
 
+    // Practice loops rewind song time every pass, so they aren't recorded
+    this._recorder = this.practice ? null : new ReplayRecorder({
+      trackId: this.chart?.trackId || this.runtime?.manifest?.trackId,
+      difficulty: this.runtime?.difficulty || this.chart?.difficulty,
+      chartHash: this._chartHash,
+      startAtMs: this.runtime?.startAtMs,
+      name: this._getUserName(),
+      latencyMs: this.settings.latencyMs || 0,
+      keys,
+      judgeProfile: this._judgeProfileName(),
+      health: this._healthOptions(),
+      mods: this.mods,
+      settings: this.settings
+    });
+
     // Save previous handlers so we can restore them on destroy()
     this._prevOnKeyDown = window.onkeydown;
     this._prevOnKeyUp   = window.onkeyup;
@@ -1275,6 +1511,7 @@ export class Game {
       this.keyDown.add(k);
       const lane = map[k];
       this.held[lane] = true;
+      this._recorder?.push(this.state.timeMs, lane, true);
       this._flashReceptor(lane, 0.8);
       this._attemptHit(lane, true);
     };
@@ -1283,58 +1520,179 @@ export class Game {
       const lane = map[k];
       this.keyDown.delete(k);
       this.held[lane] = false;
+      this._recorder?.push(this.state.timeMs, lane, false);
       this._attemptHoldRelease(lane);
     };
   }
 
-  _attemptHoldRelease(lane) {
-    if (this.state.timeMs < 0) return;
-    const nowMs = this.state.timeMs + (this.settings.latencyMs || 0);
-    const hold = this.activeHoldsByLane.get(lane);
-    if (!hold || hold.broken) return;
-
-    if (nowMs < hold.endMs - 80) {
-      hold.broken = true;
-      this.state.combo = 0;
-      this._recordJudge("Miss");
-      this._judgment("Miss", true);
-      if (hold.bodyRef) {
-        hold.bodyRef.__pfHoldActive = false;
-        this._beginFadeOut(hold.bodyRef, HOLD_FADE_RATE, true);
-      }
-      if (hold.headRef) {
-        hold.headRef.__pfHoldActive = false;
-        this._beginFadeOut(hold.headRef, MISS_FADE_RATE, false);
+  // Replay playback: run every recorded input due by `nowMs` through the same path as the keyboard,
+  // judged at the song time it was originally pressed rather than this frame's time.
+  _feedReplay(nowMs) {
+    const evs = this._replayEvents;
+    if (!evs) return;
+    const frameMs = this.state.timeMs;
+    while (this._replayIdx < evs.length && evs[this._replayIdx].t <= nowMs) {
+      const ev = evs[this._replayIdx++];
+      this.state.timeMs = ev.t;
+      if (ev.down) {
+        this.held[ev.lane] = true;
+        this._flashReceptor(ev.lane, 0.8);
+        this._attemptHit(ev.lane, true);
+      } else {
+        this.held[ev.lane] = false;
+        this._attemptHoldRelease(ev.lane);
       }
-      this.activeHoldsByLane.delete(lane);
     }
+    this.state.timeMs = frameMs;
+  }
+
+  _finishReplay() {
+    if (!this._recorder || this._quitting || this.lastReplay) return;
+    this.lastReplay = this._recorder.finish({
+      score: this.state.score,
+      acc: this.state.acc,
+      maxCombo: this.maxCombo || this.state.combo,
+      judges: { ...this.state.judges }
+    });
+    try { window.__pfLastReplay = this.lastReplay; } catch {}
+  }
+
+  // Judge profile for this run (a replay always uses the one it was recorded with)
+  _judgeProfileName() {
+    return judgeProfileName(this.replay ? this.replay.judgeProfile : this.settings.judgeProfile);
+  }
+
+  // Life gauge rules: runtime.noFail / runtime.healthRates (editor previews default to no-fail).
+  // A custom gauge keeps the run off the leaderboard (see _reportScoreAndNotify).
+  _healthOptions() {
+    if (this.replay) return healthOptions(this.replay.health || {});
+    const rt = this.runtime || {};
+    if (this.practice) return healthOptions({ noFail: true, rates: rt.healthRates });
+    return healthOptions({ noFail: rt.noFail ?? (rt.isEditorPreview === true), rates: rt.healthRates });
+  }
+
+  _customHealth() {
+    return !isDefaultHealth(this._healthOptions());
+  }
+
+  _healthLabel() {
+    return this._healthOptions().noFail ? "No fail" : "Custom drain";
+  }
+
+  // Latency is real time; at a practice rate it covers rate x as much song time
+  _inputLatencyMs() {
+    const ms = this.replay ? (Number(this.replay.latencyMs) || 0) : (this.settings.latencyMs || 0);
+    return ms * this.mods.rate;
+  }
+
+  // Head alpha for Hidden / Sudden given its distance (px) above the judge line
+  _modHeadAlpha(distPx) {
+    const h = this._laneHeight || this.height || 1;
+    const f = distPx / h;
+    let a = 1;
+    if (this.mods.hidden) a = Math.min(a, fadeBetween(f, HIDDEN_FADE.to, HIDDEN_FADE.from));
+    if (this.mods.sudden) a = Math.min(a, 1 - fadeBetween(f, SUDDEN_FADE.from, SUDDEN_FADE.to));
+    return a;
+  }
+
+  _attemptHoldRelease(lane) {
+    this.judge?.release(lane, this.state.timeMs);
+    this._syncJudgeState();
   }
 
   _attemptHit(lane, isDown) {
     if (!isDown) return;
-    if (this.state.timeMs < 0) return;
-    const nowMs = this.state.timeMs + (this.settings.latencyMs || 0);
+    this.judge?.press(lane, this.state.timeMs);
+    this._syncJudgeState();
+  }
 
-    const arr = this.notesByLane[lane] || [];
-    let idx = this.nextIdxByLane[lane] || 0;
+  // Mirror the Judge's counters into the HUD/results state
+  _syncJudgeState() {
+    const js = this.judge?.state;
+    if (!js) return;
+    this.state.score = js.score;
+    this.state.combo = js.combo;
+    this.state.hits = js.hits;
+    this.state.total = js.total;
+    this.state.acc = js.acc;
+    this.state.judges = { ...js.judges };
+    this.state.health = js.health;
+    this.state.failed = js.failed;
+    this.state.failedAtMs = js.failedAtMs;
+    this.maxCombo = js.maxCombo;
+  }
 
-    for (let i = idx; i < arr.length; i++) {
-      const n = arr[i]; if (n.hit) { idx = i + 1; continue; }
-      const dt = nowMs - n.tMs, adt = Math.abs(dt);
-      const isHold = (n.dMs && n.dMs > 0);
+  // Life gauge ran out: stop the song, freeze the field and go straight to results
+  _failRun() {
+    if (this._resultsShown || this._quitting) return;
+    this._syncJudgeState();
+    try { this._audio?.source?.stop?.(); } catch {}
+    try { this.app?.ticker?.stop(); } catch {}
+    this._resultsShown = true;
+    this._showResultsOverlay();
+  }
 
-      if (adt <= PERFECT_MS) { this._registerHit(n, lane, "Perfect", isHold); idx = i + 1; break; }
-      else if (adt <= GREAT_MS) { this._registerHit(n, lane, "Great", isHold); idx = i + 1; break; }
-      else if (adt <= GOOD_MS) { this._registerHit(n, lane, "Good", isHold); idx = i + 1; break; }
-      else if (dt < -120) { break; }
-      else { idx = i + 1; continue; }
+  _onJudgeEvent(ev) {
+    if (ev.type === "hit") {
+      this._registerHit(ev.note, ev.lane, ev.label, ev.note.dMs > 0);
+      if (ev.label === "Perfect") this._fireTriggers("perfect", ev.lane);
+    } else if (ev.type === "miss") {
+      this._judgment("Miss", true);
+      this._fireTriggers("miss", ev.lane);
+      const hold = this.activeHoldsByLane.get(ev.lane);
+      if (ev.reason === "late") {
+        // Hold head never pressed: make sure it isn't drawn as active
+        const vis = this.spriteByNote?.get(ev.note);
+        if (vis?.head?.__pfHoldActive) vis.head.__pfHoldActive = false;
+        if (vis?.body?.__pfHoldActive) vis.body.__pfHoldActive = false;
+      } else if (hold && ev.reason === "release") {
+        if (hold.bodyRef) {
+          hold.bodyRef.__pfHoldActive = false;
+          this._beginFadeOut(hold.bodyRef, HOLD_FADE_RATE, true);
+        }
+        if (hold.headRef) {
+          hold.headRef.__pfHoldActive = false;
+          this._beginFadeOut(hold.headRef, MISS_FADE_RATE, false);
+        }
+        this.activeHoldsByLane.delete(ev.lane);
+      } else if (hold && ev.reason === "drop") {
+        if (hold.bodyRef) {
+          hold.bodyRef.__pfHoldActive = false;
+          hold.bodyRef.__pfMaskPersist = false;
+          // Unmask so tail scrolls off-screen; do not fade
+          if (hold.bodyRef.__pfMask) { hold.bodyRef.mask = null; hold.bodyRef.__pfMask.removeFromParent(); hold.bodyRef.__pfMask = null; }
+        }
+        if (hold.headRef) {
+          hold.headRef.__pfHoldActive = false;
+          // Do not fade; it will scroll and be culled
+        }
+        this.activeHoldsByLane.delete(ev.lane);
+      }
+    } else if (ev.type === "fail") {
+      this._failRun();
+    } else if (ev.type === "holdEnd") {
+      const hold = this.activeHoldsByLane.get(ev.lane);
+      if (!hold) return;
+      if (hold.bodyRef) {
+        hold.bodyRef.__pfHoldActive = false;
+        // Keep masking after successful end so the remaining tail stays clipped at judge line
+        if (hold.bodyRef.__pfMask) {
+          hold.bodyRef.__pfMaskPersist = true;
+          hold.bodyRef.mask = hold.bodyRef.__pfMask;
+        }
+        // Optional: small fade; remove if you want no fade on success
+        this._beginFadeOut(hold.bodyRef, HOLD_FADE_RATE, true);
+      }
+      if (hold.headRef) {
+        hold.headRef.__pfHoldActive = false;
+        this._beginFadeOut(hold.headRef, HOLD_FADE_RATE, false);
+      }
+      this.activeHoldsByLane.delete(ev.lane);
     }
-
-    this.nextIdxByLane[lane] = idx;
   }
 
+  // Visuals for a hit the Judge has already scored
   _registerHit(note, lane, label, isHold) {
-    note.hit = true;
     // Capture actual hit time (game time) for later drain timing logic (especially for early/late offsets)
     if (note.__pfHitTimeMs == null) note.__pfHitTimeMs = this.state.timeMs;
     // Reset simplified hold drain markers (new logic does direct time math each frame)
@@ -1342,21 +1700,15 @@ export class Game {
       note.__pfCenterLocked = false; // will lock when head center reaches judge line the first time
     }
 
-    // scoring + counters
-    const base = label === "Perfect" ? 100 : label === "Great" ? 80 : 50;
-    this.state.score += base + Math.floor(this.state.combo * 0.1);
-    this.state.combo += 1;
-    this.maxCombo = Math.max(this.maxCombo || 0, this.state.combo);
-    this.state.hits += 1;
-    this._recordJudge(label);
     this._judgment(label);
 
     // receptor pulse + ring
     const lc = this.vis.laneColors[lane % this.vis.laneColors.length];
     this._flashReceptor(lane, label === "Perfect" ? 1.0 : 0.7);
     if (label === "Perfect") {
-      const cx = this._laneX(lane) + this.laneWidth / 2;
-      this._spawnRing(cx, this.judgeY, lc);
+      // At the receptor, which per-lane VFX may have moved
+      const rec = this.receptors[lane];
+      this._spawnRing(rec ? rec.x : this._laneX(lane) + this.laneWidth / 2, rec ? rec.y : this.judgeY, lc);
     }
 
     // visuals
@@ -1384,10 +1736,8 @@ export class Game {
       const endMs = (note.tMs || 0) + (note.dMs || 0);
       this.activeHoldsByLane.set(lane, {
         endMs,
-        broken: false,
         headRef: vis.head,
-        bodyRef: vis.body,
-        lastHeldMs: this.state.timeMs || 0 // track last frame we saw the key down for grace handling
+        bodyRef: vis.body
       });
 
       // Head flash then fade
@@ -1405,11 +1755,6 @@ export class Game {
     }
   }
 
-  _recordJudge(label) {
-    if (!this.state.judges) this.state.judges = { Perfect: 0, Great: 0, Good: 0, Miss: 0 };
-    if (label in this.state.judges) this.state.judges[label] += 1;
-  }
-
   _paintHeadWhite(head) {
     head.texture = this._getHeadTexture(true);
     head.tint = 0xFFFFFF;
@@ -1472,77 +1817,8 @@ export class Game {
     this._resultsShown = false;
     this.state.judges = { Perfect: 0, Great: 0, Good: 0, Miss: 0 };
 
-    const headH = 32;
-    const headW = Math.max(28, this.laneWidth - 16);
-    this._ensureHeadTextures(headW, headH);
-
-    // Build sprites
-    this.noteSprites = this.chart.notes.map(n => {
-      const cont = new PIXI.Container();
-      const isHold = (n.dMs && n.dMs > 0);
-
-  const head = new PIXI.Sprite(this._getHeadTexture(false));
-  head.width = headW;
-  head.height = headH;
-  head.__pfBaseW = headW;
-  // Apply VFX per-lane color override if available at t=0 (will update per-frame below)
-  const laneColorHex = this._vfxColorForLaneAt(0, n.lane) || this.vis.laneColors[n.lane % this.vis.laneColors.length];
-  head.tint = laneColorHex;
-
-      // optional gloss
-      let gloss = null;
-      if (this._texCache.headGloss) {
-        gloss = new PIXI.Sprite(this._texCache.headGloss);
-        gloss.alpha = 0.45;
-        gloss.__pfBaseW = headW;
-      }
-
-      // place in lane container
-      cont.x = this._laneX(n.lane) + (this.laneWidth - headW) / 2;
-      cont.y = -60;
-
-      let body = null;
-      if (isHold) {
-        const lengthPx = Math.max(10, n.dMs * this.pixelsPerMs);
-        body = new PIXI.Sprite(this._getBodyTexture(lengthPx, false));
-  const stemX = (headW - 12) / 2;
-  body.__pfBaseW = 12;
-  body.__pfStemX = stemX;
-        body.x = stemX;
-        body.y = -(lengthPx - 2);
-        body.tint = this.vis.laneColors[n.lane % this.vis.laneColors.length];
-        body.alpha = 1.0;
-        body.__pfLen = lengthPx;
-        body.__pfHoldActive = false;
-
-        if (this.holdTailClipsAtJudge) {
-          const bm = new PIXI.Graphics();
-          bm.isMask = true;
-          bm.visible = false; // never render as a visible beam unless actively used as a mask
-          // Do not activate the mask yet; only enable once the hold is actually hit/active
-          cont.addChild(bm);
-          body.__pfMask = bm;
-        }
-        cont.addChild(body);
-      }
-
-      cont.addChild(head);
-      if (gloss) cont.addChild(gloss);
-
-      head.__pfFlashUntil = null;
-  head.__pfFadeRate   = HIT_FADE_RATE;
-      head.__pfHoldActive = false;
-  head.__pfWhiteSticky = false;
-
-      this.laneNoteLayers[n.lane].addChild(cont);
-      const rec = { cont, head, body, n, gloss };
-      this.spriteByNote.set(n, rec);
-      return rec;
-  });
-  // Reset active window iteration structures
-  this._laneSpriteListsBuilt = false;
-  this._noteSpritesByLane = null;
-  this._laneHeadIndex = null;
+    this._buildNoteSprites();
+    this._resetTriggers();
 
     // Canvas countdown helpers
     const showCountdown = (msLeft) => {
@@ -1593,15 +1869,23 @@ export class Game {
         const _perfNow = performance.now();
         // -----------------------------------------------------------------------------------
         const startAtSec = this._audio?.startAtSec || 0;
+        const songRate = this._audio?.rate || 1;
         // If audio not started yet, audioTimeSec < startAtSec
         const untilStartSec = startAtSec - audioTimeSec;
         let gameTimeMs;
         if (untilStartSec > 0) {
           // still in countdown phase
-            gameTimeMs = -Math.max(0, Math.round(untilStartSec * 1000));
+            gameTimeMs = -Math.max(0, Math.round(untilStartSec * 1000 * songRate));
         } else {
-          const elapsedAudioMs = (audioTimeSec - startAtSec) * 1000;
+          const elapsedAudioMs = (audioTimeSec - startAtSec) * 1000 * songRate;
           gameTimeMs = elapsedAudioMs + (this._audio?.offsetMs || 0);
+          // Section loop: fold song time into the window; each wrap starts a fresh pass
+          const loopMs = this._audio?.loopMs || 0;
+          if (loopMs > 0) {
+            const pass = Math.floor(gameTimeMs / loopMs);
+            gameTimeMs -= pass * loopMs;
+            if (pass !== this._loopPass) this._onLoopWrap(pass);
+          }
         }
   this.state.timeMs = gameTimeMs; // authoritative audio time
   // Reset per-frame VFX memo cache
@@ -1671,6 +1955,9 @@ export class Game {
           }
         } catch {}
 
+        // Replay playback: feed recorded inputs before this frame's miss / hold checks
+        if (this._replayEvents) this._feedReplay(this.state.timeMs);
+
         if (this._debugOverlay) {
           try {
             this._debugOverlay.text = `a:${(audioTimeSec*1000).toFixed(0)} g:${gameTimeMs.toFixed(0)} vis:${this._visualTimeMs.toFixed(0)} stall:${this._audioStallFallbackActive?'Y':'N'}`;
@@ -1767,6 +2054,9 @@ export class Game {
           if (this.vfx) {
             const t = this.state.timeMs;
 
+            // Trigger rules fire before anything reads VFX values this frame
+            this._updateTriggers(t);
+
             // Background gradient rendering via cached sprite
             this._ensureGradientLayer();
             this._updateGradientSprite(t);
@@ -1776,6 +2066,10 @@ export class Game {
             const laneAlpha = Number.isFinite(laneOpacityPct) ? Math.max(0, Math.min(1, laneOpacityPct/100)) : 0.95;
             if (this.laneBackboardLayer) this.laneBackboardLayer.alpha = laneAlpha;
 
+            // Per-lane transforms (lanes.<key>.<lane>); only evaluated when the set uses them
+            this._laneVfx = this.vfx.laneFx ? laneVfxState(this.laneCount, (p) => this._vfxValueAt(p, t)) : null;
+            if (this._laneVfx) this._applyLaneVfx(this._laneVfx);
+
             // Camera transforms (position x/y, zoom, rotation) + shake
             if (this.cameraLayer) {
               const cx = Number(this._vfxValueAt('camera.x', t) ?? this.vfx.props?.camera?.x ?? 0);
@@ -1835,9 +2129,7 @@ export class Game {
               const flashColor = this._vfxValueAt('background.flashColor', t) || this.vfx.props?.background?.flashColor || '#ffffff';
               const flashIntensity = Number(this._vfxValueAt('background.flashIntensity', t) ?? this.vfx.props?.background?.flashIntensity ?? 30);
               const flashDuration = Math.max(20, Number(this._vfxValueAt('background.flashDuration', t) ?? this.vfx.props?.background?.flashDuration ?? 200));
-              const bpm = Number(this.chart?.bpm || this.runtime?.manifest?.bpm || 120);
-              const beatLenMs = Math.max(1, 60000 / Math.max(1, bpm));
-              const beatIndex = Math.floor(t / beatLenMs);
+              const beatIndex = beatInfoAt(this._timingPoints || getTimingPoints(this.chart), t).index;
               if (beatIndex !== this._lastBeatIndex) {
                 this._lastBeatIndex = beatIndex;
                 this._flashUntilMs = t + flashDuration;
@@ -1858,18 +2150,29 @@ export class Game {
             } else if (this._flashOverlay) {
               this._flashOverlay.alpha = 0;
             }
+
+            this._updateOverlays(t);
+            this._updatePostFx(t);
           }
         } catch {}
 
         // ===== Notes (Simplified Legacy Iteration) =====
+        const scrollNow = scrollPositionAt(this._scrollMap, tMs);
         for (let i = 0; i < this.noteSprites.length; i++) {
           const obj = this.noteSprites[i];
             if (!obj) continue;
-            const { n, cont, body, head, gloss } = obj;
+            const { n, cont, body, head, gloss, scrollPos } = obj;
             if (!head || !cont) continue;
-            // Position: head center hits judge at n.tMs
-            const yCenter = this.judgeY - ((n.tMs || 0) - tMs) * this.pixelsPerMs;
+            const laneSpeed = this._laneVfx ? this._laneVfx[n.lane]?.speed ?? 1 : 1;
+            // Position: head center hits judge at n.tMs (distance integrated over SV segments)
+            const yCenter = this.judgeY - (scrollPos - scrollNow) * this.pixelsPerMs * laneSpeed;
             cont.y = yCenter - head.height / 2;
+            // Hidden / Sudden: only unjudged notes (the hold body goes with its head);
+            // hit/miss feedback keeps its own alpha
+            if ((this.mods.hidden || this.mods.sudden) && !n.hit && !head.__pfFade) {
+              head.alpha = this._modHeadAlpha(this.judgeY - yCenter);
+              if (body && !body.__pfFade) body.alpha = head.alpha;
+            }
 
             // Basic scaling (retain existing VFX size logic if any later needed)
             if (body) body.scale.x = 1;
@@ -1909,11 +2212,16 @@ export class Game {
               if (!body.__pfLastLen || body.__pfLastLen !== body.__pfLen || !body.texture) {
                 try { body.texture = this._getBodyTexture(body.__pfLen, false); body.__pfLastLen = body.__pfLen; } catch {}
               }
+              // Per-lane scroll speed stretches the tail with the note spacing
+              if (this._laneVfx) {
+                const len = body.__pfLen * laneSpeed;
+                if (body.height !== len) { body.height = len; body.y = -(len - 2); }
+              }
             }
 
             // Legacy hold mask: only clip while actively held (or persist flag) at judge line
             if (body && this.holdTailClipsAtJudge) {
-              const totalLen = body.__pfLen || 0;
+              const totalLen = (body.__pfLen || 0) * laneSpeed;
               if (body.height !== totalLen) body.height = totalLen;
               const desiredY = -(totalLen - 2);
               if (body.y !== desiredY) body.y = desiredY;
@@ -1978,93 +2286,23 @@ export class Game {
               }
             }
 
-            // Simple miss handling for taps (do not classify hold bodies here)
-            if (!body && !n.hit && n.result !== 'Miss' && (tMs - (n.tMs || 0) > TAP_MISS_LATE_MS)) {
-              n.result = 'Miss';
-              n.hit = true; // legacy compatibility: other systems treat hit=true as judged; keep but mark result
-              this.state.combo = 0;
-              this._recordJudge('Miss');
-              this._judgment('Miss', true);
-            }
-
-            // Miss handling for HOLD head never pressed: if it has a body (hold), was not hit, and we are beyond a late window.
-            // Use a slightly larger window than taps to allow human reaction; e.g., 150ms.
-            if (body && !n.hit && n.result !== 'Miss') {
-              const lateMs = tMs - (n.tMs || 0);
-              if (lateMs > 150) {
-                // Mark as miss, break combo, no white/fade success.
-                n.result = 'Miss';
-                n.hit = true;
-                this.state.combo = 0;
-                this._recordJudge('Miss');
-                this._judgment('Miss', true);
-                // Ensure active hold tracking does not treat it as started.
-                if (head.__pfHoldActive) head.__pfHoldActive = false;
-                if (body.__pfHoldActive) body.__pfHoldActive = false;
-              }
-            }
-
             // Cull when well below lane
             const laneBottom = this._laneTop + this._laneHeight + 80;
-            if (cont.y - (body?.__pfLen || 0) > laneBottom) {
+            if (cont.y - (body?.__pfLen || 0) * laneSpeed > laneBottom) {
               if (body?.__pfMask) { body.mask = null; body.__pfMask.removeFromParent(); }
               cont.parent?.removeChild(cont);
               continue;
             }
         }
 
-        // Maintain active holds (success/early release)
+        // Late misses + hold completion/drops (visuals come back through _onJudgeEvent)
         if (tMs >= 0) {
-          const RELEASE_GRACE_MS = 50; // short grace so tiny key wobble doesn't break hold
-          for (const [lane, hold] of this.activeHoldsByLane) {
-            if (hold.broken) continue;
-            if (tMs < hold.endMs) {
-              // update lastHeldMs if still held
-              if (this.held[lane]) {
-                hold.lastHeldMs = tMs;
-              }
-              const idleFor = tMs - (hold.lastHeldMs || 0);
-              if (!this.held[lane] && idleFor > RELEASE_GRACE_MS) {
-                hold.broken = true;
-                this.state.combo = 0;
-                this._recordJudge("Miss");
-                this._judgment("Miss", true);
-                if (hold.bodyRef) {
-                  hold.bodyRef.__pfHoldActive = false;
-                  hold.bodyRef.__pfMaskPersist = false;
-                  // Unmask so tail scrolls off-screen; do not fade
-                  if (hold.bodyRef.__pfMask) { hold.bodyRef.mask = null; hold.bodyRef.__pfMask.removeFromParent(); hold.bodyRef.__pfMask = null; }
-                }
-                if (hold.headRef) {
-                  hold.headRef.__pfHoldActive = false;
-                  // Do not fade; it will scroll and be culled
-                }
-                this.activeHoldsByLane.delete(lane);
-              }
-            } else {
-              if (hold.bodyRef) {
-                hold.bodyRef.__pfHoldActive = false;
-                // Keep masking after successful end so the remaining tail stays clipped at judge line
-                if (hold.bodyRef.__pfMask) {
-                  hold.bodyRef.__pfMaskPersist = true;
-                  hold.bodyRef.mask = hold.bodyRef.__pfMask;
-                }
-                // Optional: small fade; remove if you want no fade on success
-                this._beginFadeOut(hold.bodyRef, HOLD_FADE_RATE, true);
-              }
-              if (hold.headRef) {
-                hold.headRef.__pfHoldActive = false;
-                this._beginFadeOut(hold.headRef, HOLD_FADE_RATE, false);
-              }
-              this.activeHoldsByLane.delete(lane);
-            }
-          }
+          this.judge?.update(tMs);
+          this._syncJudgeState();
         }
 
         // HUD
-        this.state.total = this.chart.notes.length;
-        const acc = this.state.total ? this.state.hits / this.state.total : 1;
-        this.state.acc = acc;
+        const acc = this.state.acc;
 
         if (this.$combo && this._lastHud.combo !== this.state.combo) {
           this.$combo.textContent = this.state.combo + "x";
@@ -2089,6 +2327,19 @@ export class Game {
           this.progressFill.fill({ color: 0xFFFFFF, alpha: 0.9 * p + 0.05 });
         }
 
+        // Life gauge (fills from the bottom; shifts toward red when low)
+        if (this._healthGeom && this._lastHud.health !== this.state.health) {
+          const { x, y, barW, barH } = this._healthGeom;
+          const hp = Math.max(0, Math.min(1, this.state.health ?? 1));
+          const h = barH * hp;
+          this.healthFill.clear();
+          if (h > 0.5) {
+            this.healthFill.roundRect(x, y + barH - h, barW, h, 4);
+            this.healthFill.fill({ color: hp > 0.5 ? 0x25F4EE : hp > 0.25 ? 0xC8FF4D : 0xFF4D6D, alpha: 0.9 });
+          }
+          this._lastHud.health = this.state.health;
+        }
+
         // One-shot keyframe verification (debug use only)
         if (this._enableKeyframeVerify && !this._keyframeVerifyRan && this.vfx) {
           this._keyframeVerifyRan = true;
@@ -2129,18 +2380,98 @@ export class Game {
       });
 
       // if something goes wrong and results never show, soft timeout fallback (very generous)
-      this._showResultsTimeout = setTimeout(() => {
+      // (practice loops run until the player quits)
+      if (!this.practice) this._showResultsTimeout = setTimeout(() => {
         if (!this._resultsShown && !this._quitting) {
           this._resultsShown = true;
           this._showResultsOverlay();
         }
-      }, (this.chart?.durationMs || 20000) + 10000);
+      }, ((this.chart?.durationMs || 20000) + 10000) / (this._audio?.rate || 1));
 
       // allow external resolver to end the loop
       this._setResultsCloseResolver(() => resolve());
     });
   }
 
+  // Note containers for the current chart (also rebuilt at each practice loop pass)
+  _buildNoteSprites() {
+    const headH = 32;
+    const headW = Math.max(28, this.laneWidth - 16);
+    this._ensureHeadTextures(headW, headH);
+
+    // Build sprites
+    this.noteSprites = this.chart.notes.map(n => {
+      const cont = new PIXI.Container();
+      const isHold = (n.dMs && n.dMs > 0);
+
+  const head = new PIXI.Sprite(this._getHeadTexture(false));
+  head.width = headW;
+  head.height = headH;
+  head.__pfBaseW = headW;
+  // Apply VFX per-lane color override if available at t=0 (will update per-frame below)
+  const laneColorHex = this._vfxColorForLaneAt(0, n.lane) || this.vis.laneColors[n.lane % this.vis.laneColors.length];
+  head.tint = laneColorHex;
+
+      // optional gloss
+      let gloss = null;
+      if (this._texCache.headGloss) {
+        gloss = new PIXI.Sprite(this._texCache.headGloss);
+        gloss.alpha = 0.45;
+        gloss.__pfBaseW = headW;
+      }
+
+      // place in lane container
+      cont.x = this._laneX(n.lane) + (this.laneWidth - headW) / 2;
+      cont.y = -60;
+
+      // Integrated SV distance of the head (fixed per note, so only the "now" value changes per frame)
+      const scrollPos = scrollPositionAt(this._scrollMap, n.tMs || 0);
+
+      let body = null;
+      if (isHold) {
+        const holdScroll = scrollPositionAt(this._scrollMap, (n.tMs || 0) + n.dMs) - scrollPos;
+        const lengthPx = Math.max(10, holdScroll * this.pixelsPerMs);
+        body = new PIXI.Sprite(this._getBodyTexture(lengthPx, false));
+  const stemX = (headW - 12) / 2;
+  body.__pfBaseW = 12;
+  body.__pfStemX = stemX;
+        body.x = stemX;
+        body.y = -(lengthPx - 2);
+        body.tint = this.vis.laneColors[n.lane % this.vis.laneColors.length];
+        body.alpha = 1.0;
+        body.__pfLen = lengthPx;
+        body.__pfHoldActive = false;
+
+        if (this.holdTailClipsAtJudge) {
+          const bm = new PIXI.Graphics();
+          bm.isMask = true;
+          bm.visible = false; // never render as a visible beam unless actively used as a mask
+          // Do not activate the mask yet; only enable once the hold is actually hit/active
+          cont.addChild(bm);
+          body.__pfMask = bm;
+        }
+        cont.addChild(body);
+      }
+
+      cont.addChild(head);
+      if (gloss) cont.addChild(gloss);
+
+      head.__pfFlashUntil = null;
+  head.__pfFadeRate   = HIT_FADE_RATE;
+      head.__pfHoldActive = false;
+  head.__pfWhiteSticky = false;
+
+      this.laneNoteLayers[n.lane].addChild(cont);
+      const rec = { cont, head, body, n, gloss, scrollPos };
+      this.spriteByNote.set(n, rec);
+      return rec;
+  });
+  // Reset active window iteration structures
+  this._laneSpriteListsBuilt = false;
+  this._noteSpritesByLane = null;
+  this._laneHeadIndex = null;
+  }
+
   _vfxColorForLaneAt(tMs, lane) {
     // notes.colors are 1-based in editor key path: notes.colors.1..4
     const prop = `notes.colors.${(lane|0)+1}`;
@@ -2237,6 +2568,197 @@ export class Game {
     this._fxPool.push(t);
   }
 
+  // Overlay elements in screen space: above the camera layer (not moved by it), below the HUD
+  _buildOverlayLayer() {
+    const list = this.vfx?.overlays;
+    if (!list?.length) return;
+    this.overlayLayer = new PIXI.Container();
+    this.overlayLayer.zIndex = 2;
+    this.app.stage.addChild(this.overlayLayer);
+    // Plain image names live in the track folder (the editor passes its own base for Test in Game)
+    const trackId = this.runtime?.manifest?.trackId;
+    const base = this.runtime?.overlayBase ?? (trackId ? `/tracks/${encodeURIComponent(trackId)}/` : "");
+    this._overlayObjs = list.map(o => {
+      let obj;
+      if (o.type === "text") {
+        obj = new PIXI.Text({ text: o.text, style: new PIXI.TextStyle({ fill: o.color, fontSize: o.size, fontFamily: o.font, align: "center" }) });
+      } else {
+        obj = new PIXI.Sprite(PIXI.Texture.EMPTY);
+        const url = overlayImageUrl(o.src, base);
+        if (!url && o.src) console.warn("[PF] Overlay image not loaded (only track files and site paths are allowed):", o.src);
+        if (url) {
+          const img = new Image();
+          img.onload = () => { try { if (!obj.destroyed) obj.texture = PIXI.Texture.from(img); } catch {} };
+          img.onerror = () => console.warn("[PF] Overlay image failed to load:", url);
+          img.src = url;
+        }
+      }
+      obj.anchor.set(0.5, 0.5);
+      obj.visible = false;
+      this.overlayLayer.addChild(obj);
+      return { o, obj };
+    });
+  }
+
+  _updateOverlays(t) {
+    if (!this._overlayObjs) return;
+    const k = this.height / OVERLAY_REF_HEIGHT;
+    for (const { o, obj } of this._overlayObjs) {
+      obj.visible = isOverlayActive(o, t);
+      if (!obj.visible) continue;
+      const s = overlayState(o, (p) => this._vfxValueAt(p, t));
+      obj.position.set(s.x / 100 * this.width, s.y / 100 * this.height);
+      obj.scale.set(s.scale * k, s.scale * k);
+      obj.rotation = s.rotate;
+      obj.alpha = s.alpha;
+    }
+  }
+
+  // ===== Trigger rules (triggers.js) =====
+  // Beat and note rules fire from the song clock, perfect/miss rules from judge events and combo rules
+  // from the synced combo. _vfxValueAt adds the pulses.
+  _resetTriggers() {
+    const rules = this.vfx?.triggers;
+    if (!rules?.length) { this._trig = null; return; }
+    const notes = (this.chart?.notes || []).map(n => ({ tMs: Number(n.tMs) || 0, lane: n.lane })).sort((a, b) => a.tMs - b.tMs);
+    this._trig = {
+      rules,
+      targets: new Set(rules.map(r => r.target)),
+      firedAt: rules.map(() => -Infinity),
+      notes,
+      noteIdx: 0,
+      beat: -1,
+      combo: 0,
+      lastT: null
+    };
+  }
+
+  _fireTriggers(event, lane, timeMs = this.state.timeMs) {
+    const tr = this._trig;
+    if (!tr) return;
+    for (let i = 0; i < tr.rules.length; i++) {
+      if (triggerMatches(tr.rules[i], event, lane)) tr.firedAt[i] = timeMs;
+    }
+  }
+
+  _updateTriggers(t) {
+    const tr = this._trig;
+    if (!tr) return;
+    const points = this._timingPoints || getTimingPoints(this.chart);
+    const combo = this.state.combo | 0;
+    if (tr.lastT == null || t < tr.lastT - TRIGGER_REWIND_MS) {
+      // First frame, or the clock jumped back (section loop): catch up without firing
+      tr.firedAt.fill(-Infinity);
+      tr.beat = t >= 0 ? beatInfoAt(points, t).index : -1;
+      tr.noteIdx = 0;
+      while (tr.noteIdx < tr.notes.length && tr.notes[tr.noteIdx].tMs <= t) tr.noteIdx++;
+      tr.combo = combo;
+      tr.lastT = t;
+      return;
+    }
+    tr.lastT = t;
+
+    if (t >= 0) {
+      const info = beatInfoAt(points, t);
+      if (info.index !== tr.beat) {
+        tr.beat = info.index;
+        tr.rules.forEach((r, i) => { if (triggerOnBeat(r, info.index)) tr.firedAt[i] = info.startMs; });
+      }
+    }
+    while (tr.noteIdx < tr.notes.length && tr.notes[tr.noteIdx].tMs <= t) {
+      const n = tr.notes[tr.noteIdx++];
+      this._fireTriggers("note", n.lane, n.tMs);
+    }
+    if (combo !== tr.combo) {
+      tr.rules.forEach((r, i) => { if (comboMilestoneCrossed(r, tr.combo, combo)) tr.firedAt[i] = t; });
+      tr.combo = combo;
+    }
+  }
+
+  // Filters are built once per run; _updatePostFx() swaps stage.filters only when the set of active ones
+  // changes. Skipped when the chart never uses post FX or Settings turned them off (low-end hardware).
+  _buildPostFx() {
+    this._postFx = null;
+    if (!this.vfx?.postFx) return;
+    const perf = (typeof this.settings.getPerformance === "function") ? this.settings.getPerformance() : this.settings;
+    if (perf?.postFx === false) return;
+    try {
+      const fx = { key: "", color: new PIXI.ColorMatrixFilter(), blur: new PIXI.BlurFilter({ strength: 0, quality: 3 }), lens: null };
+      // The lens pass is GLSL only; on other renderers the chain runs without it
+      if (this.app.renderer.type === PIXI.RendererType.WEBGL) {
+        fx.lens = new PIXI.Filter({
+          glProgram: PIXI.GlProgram.from({ vertex: POST_FX_VERTEX, fragment: POST_FX_FRAGMENT, name: "pf-post-fx" }),
+          resources: {
+            postUniforms: {
+              uChromatic: { value: 0, type: "f32" },
+              uBloom: { value: 0, type: "f32" },
+              uPixel: { value: 1, type: "f32" },
+              uVignette: { value: 0, type: "f32" }
+            }
+          }
+        });
+      }
+      // Fixed filter area: skips a bounds pass every frame and keeps edge effects on the screen edges
+      this.app.stage.filterArea = new PIXI.Rectangle(0, 0, this.width, this.height);
+      this._postFx = fx;
+    } catch (e) {
+      console.warn("[PF] Post FX unavailable:", e);
+    }
+  }
+
+  _updatePostFx(t) {
+    const fx = this._postFx;
+    if (!fx) return;
+    const s = postFxState((p) => this._vfxValueAt(p, t));
+    const active = [];
+    if (s.saturation !== 1 || s.invert > 0) {
+      fx.color.matrix = postFxColorMatrix(s.saturation, s.invert);
+      active.push(fx.color);
+    }
+    if (s.blur > 0) {
+      fx.blur.strength = s.blur;
+      active.push(fx.blur);
+    }
+    if (fx.lens && (s.chromatic > 0 || s.bloom > 0 || s.pixelate > 1 || s.vignette > 0)) {
+      const u = fx.lens.resources.postUniforms.uniforms;
+      u.uChromatic = s.chromatic;
+      u.uBloom = s.bloom;
+      u.uPixel = s.pixelate;
+      u.uVignette = s.vignette;
+      active.push(fx.lens);
+    }
+    const key = active.map(f => f === fx.color ? "c" : f === fx.blur ? "b" : "l").join("");
+    if (key !== fx.key) {
+      fx.key = key;
+      this.app.stage.filters = active.length ? active : null;
+    }
+  }
+
+  // Move each lane (notes, mask, backboard) and its receptor around the receptor's resting point
+  _applyLaneVfx(state) {
+    for (let i = 0; i < this.laneCount; i++) {
+      const s = state[i];
+      if (!s) continue;
+      const cx = this._laneX(i) + this.laneWidth / 2;
+      const cy = this.judgeY;
+      for (const obj of [this.laneNoteLayers[i], this.laneMasks?.[i], this.laneBackboards?.[i]]) {
+        if (!obj) continue;
+        obj.pivot.set(cx, cy);
+        obj.position.set(cx + s.x, cy + s.y);
+        obj.rotation = s.rotate;
+      }
+      if (this.laneNoteLayers[i]) this.laneNoteLayers[i].alpha = s.alpha;
+      if (this.laneBackboards?.[i]) this.laneBackboards[i].alpha = s.alpha;
+      const rec = this.receptors[i];
+      if (rec) {
+        rec.position.set(cx + s.x, cy + s.y);
+        rec.rotation = s.rotate;
+        rec.scale.set(rec.scale.x * s.receptorScale, rec.scale.y * s.receptorScale); // on top of the hit pulse
+        rec.alpha = 0.95 * s.alpha;
+      }
+    }
+  }
+
   _flashReceptor(lane, strength = 1.0) {
     const rec = this.receptors[lane]; if (!rec) return;
     rec.__pulse = Math.max(rec.__pulse, Math.floor(10 * strength));
@@ -2264,6 +2786,8 @@ export class Game {
   // ===== Results Overlay =====
   _showResultsOverlay() {
     if (this._quitting) return;
+    // Seal the replay now so the overlay can offer it (the loop only resolves once this closes)
+    this._finishReplay();
     const overlayId = "pf-results-overlay";
     let el = document.getElementById(overlayId);
     if (el) el.remove();
@@ -2296,11 +2820,16 @@ export class Game {
           <div class="pf-results-pie"></div>
         </div>
         <div class="pf-results-right">
-          <div class="pf-results-title">Results</div>
+          <div class="pf-results-title">${this.replay ? `Replay • ${escapeHtml(this.replay.name || "Player")}` : "Results"}</div>
+          ${this.state.failed ? `<div class="pf-results-title" style="color:#FF4D6D;">FAILED</div>` : ""}
           <div class="pf-results-metrics">
             <div class="pf-metric"><span class="muted">Score:</span> <b>${this.state.score.toLocaleString()}</b></div>
             <div class="pf-metric"><span class="muted">Accuracy:</span> <b>${accPct}%</b></div>
             <div class="pf-metric"><span class="muted">Max Combo:</span> <b>${this.maxCombo}x</b></div>
+            <div class="pf-metric"><span class="muted">Judge:</span> <b>${cap(this._judgeProfileName())}</b></div>
+            ${isRankedMods(this.mods) ? "" : `<div class="pf-metric"><span class="muted">Mods:</span> <b>${escapeHtml(modsLabel(this.mods))}</b> <span class="muted">(unranked)</span></div>`}
+            ${this._customHealth() ? `<div class="pf-metric"><span class="muted">Life gauge:</span> <b>${this._healthLabel()}</b> <span class="muted">(unranked)</span></div>` : ""}
+            ${this.state.failed ? `<div class="pf-metric"><span class="muted">Failed at:</span> <b>${this._failPointText()}</b></div>` : ""}
           </div>
 
           <div class="pf-results-chips">
@@ -2317,6 +2846,8 @@ export class Game {
           </div>
 
           <div class="pf-actions">
+            ${this.lastReplay ? `<button id="pf-results-watch" class="ghost">Watch Replay</button>
+            <button id="pf-results-save-replay" class="ghost">Save Replay</button>` : ""}
             <button id="pf-results-close" class="primary">Close</button>
           </div>
         </div>
@@ -2350,6 +2881,13 @@ export class Game {
     try { document.addEventListener('keydown', onKeyDown, true); } catch {}
 
     el.querySelector("#pf-results-close")?.addEventListener("click", () => closeOverlay());
+    el.querySelector("#pf-results-save-replay")?.addEventListener("click", () => this._downloadReplay(this.lastReplay));
+    el.querySelector("#pf-results-watch")?.addEventListener("click", () => {
+      const replay = this.lastReplay;
+      closeOverlay();
+      // Let the launcher finish tearing this run down before starting playback
+      setTimeout(() => window.PF_startGame?.({ ...this.runtime, replay }), 0);
+    });
 
     document.body.appendChild(el);
     this._resultsOverlay = el;
@@ -2357,6 +2895,28 @@ export class Game {
     try { el.querySelector('#pf-results-close')?.focus?.(); } catch {}
   }
 
+  // "1:23 (45%)" — song time of the failure and how far into the chart that was
+  _failPointText() {
+    const ms = Math.max(0, Number(this.state.failedAtMs) || 0);
+    const total = Number(this.chart?.durationMs) || 0;
+    const sec = Math.floor(ms / 1000);
+    const pct = total > 0 ? ` (${Math.round(Math.min(1, ms / total) * 100)}%)` : "";
+    return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}${pct}`;
+  }
+
+  _downloadReplay(replay) {
+    if (!replay) return;
+    try {
+      const blob = new Blob([JSON.stringify(replay)], { type: "application/json" });
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = `${replay.trackId || "run"}-${replay.difficulty || "normal"}-replay.json`;
+      document.body.appendChild(a);
+      a.click();
+      setTimeout(() => { URL.revokeObjectURL(a.href); a.remove(); }, 0);
+    } catch (e) { console.warn("[PF] replay download failed", e); }
+  }
+
   _setProjectedRankText(text) {
     const el = this._resultsOverlay?.querySelector("#pf-lb-projected");
     if (el) el.innerHTML = `Projected rank: <b>${text}</b>`;
@@ -2414,13 +2974,22 @@ export class Game {
       (this.chart?.title === "Editor Preview") ||
       (this.chart?.trackId === "editor-preview");
 
-    if (this.runtime?.autoSubmit === false || isEditorPreview) {
+    // Failed runs and practice loops never reach the leaderboard
+    if (this.runtime?.autoSubmit === false || isEditorPreview || this.state.failed || this.practice) {
       try {
         this._setProjectedRankText("—");
         this._setOfficialRankText("—");
       } catch {}
       return;
     }
+    // No-fail / custom drain runs aren't comparable with the default gauge, so they aren't posted
+    if (this._customHealth()) {
+      try {
+        this._setProjectedRankText("Unranked (life gauge)");
+        this._setOfficialRankText("Unranked (life gauge)");
+      } catch {}
+      return;
+    }
 
     const name = this._getUserName();
     const trackId =
@@ -2438,9 +3007,33 @@ export class Game {
       name,
       score: this.state.score,
       acc: Number(this.state.acc || 0),
-      combo: this.maxCombo || this.state.combo || 0
+      combo: this.maxCombo || this.state.combo || 0,
+      judge: this._judgeProfileName(),
+      // Modded scores are stored but kept off the ranked board
+      mods: modsKey(this.mods),
+      // Server re-simulates this to verify the score
+      replay: this.lastReplay || undefined
     };
 
+    if (!isRankedMods(this.mods)) {
+      try {
+        this._setProjectedRankText("Unranked (mods)");
+        this._setOfficialRankText("Unranked (mods)");
+      } catch {}
+      try {
+        const res = await fetch("/api/leaderboard/submit", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(payload)
+        });
+        if (res.status === 422) {
+          const data = await res.json().catch(() => ({}));
+          console.warn("[PF] score rejected by server:", data?.error, data);
+        }
+      } catch {}
+      return;
+    }
+
     try {
       const rows = await this._fetchLeaderboard(200);
       const myRow = { name, score: payload.score, acc: payload.acc, combo: payload.combo };
@@ -2463,6 +3056,12 @@ export class Game {
         const data = await res.json().catch(() => ({}));
         if (Number.isFinite(data?.rank)) serverNewRank = Number(data.rank);
         if (Number.isFinite(data?.total)) serverTotal = Number(data.total);
+      } else if (res.status === 422) {
+        const data = await res.json().catch(() => ({}));
+        console.warn("[PF] score rejected by server:", data?.error, data);
+        this._toast(data?.error === "replay_required"
+          ? "Score not accepted: no replay was recorded"
+          : "Score not accepted: replay check failed", "info");
       }
     } catch {}
 
@@ -2498,7 +3097,8 @@ export class Game {
   async _fetchLeaderboard(limit = 50) {
     const trackId = this.chart?.trackId || this.runtime?.track?.trackId || (this.chart?.title || "unknown").toString().toLowerCase().replace(/[^a-z0-9]+/g,"-");
     const diff = this.chart?.difficulty || this.runtime?.difficulty || "normal";
-    const url = `/api/leaderboard/${encodeURIComponent(trackId)}?diff=${encodeURIComponent(diff)}&limit=${encodeURIComponent(limit)}`;
+    const judge = this._judgeProfileName();
+    const url = `/api/leaderboard/${encodeURIComponent(trackId)}?diff=${encodeURIComponent(diff)}&judge=${encodeURIComponent(judge)}&limit=${encodeURIComponent(limit)}`;
     const rows = await fetch(url).then(r => r.json());
     return Array.isArray(rows) ? rows : [];
   }
@@ -2595,3 +3195,28 @@ export class Game {
     return null;
   }
 }
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({
+    "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"
+  }[c]));
+}
+
+function cap(s) {
+  s = String(s || "");
+  return s ? s[0].toUpperCase() + s.slice(1) : s;
+}
+
+// 0 at or below `lo`, 1 at or above `hi`, linear between
+function fadeBetween(x, lo, hi) {
+  if (hi <= lo) return x >= hi ? 1 : 0;
+  return Math.max(0, Math.min(1, (x - lo) / (hi - lo)));
+}
+
+// { startMs, endMs } for a usable practice window, else null
+function practiceWindow(p) {
+  if (!p || typeof p !== "object") return null;
+  const startMs = Math.max(0, Math.round(Number(p.startMs) || 0));
+  const endMs = Math.round(Number(p.endMs) || 0);
+  return endMs - startMs >= LOOP_MIN_MS ? { startMs, endMs } : null;
+}
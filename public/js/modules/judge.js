@@ -0,0 +1,259 @@
+// public/js/modules/judge.js
+// Headless judging + scoring. No DOM / PIXI, so the Game, the server replay check
+// and plain Node scripts all run the exact same rules.
+//
+// Feed it key presses/releases (song time, ms) and call update(timeMs) once per frame;
+// it marks notes (`hit`, `result`) and emits events for anything that was judged:
+//   { type: "hit",       lane, note, label: "Perfect"|"Great"|"Good", dtMs, timeMs }
+//   { type: "holdStart", lane, note, endMs, timeMs }
+//   { type: "holdEnd",   lane, note, timeMs }
+//   { type: "miss",      lane, note, reason: "late"|"release"|"drop", timeMs }
+//   { type: "fail",      timeMs }   life gauge hit zero (not with noFail); judging stops there
+// "release" = hold let go well before its end, "drop" = key stayed up past the grace window.
+
+/** Timing windows (ms) of the "standard" profile */
+export const JUDGE_WINDOWS = Object.freeze({
+  perfect: 30,
+  great: 65,
+  good: 100,
+  earlyStop: 120,     // presses earlier than this never reach a note
+  tapMissLate: 120,   // tap counts as missed this long after its time
+  holdMissLate: 150,  // hold head gets a slightly larger window for reaction
+  holdBreakEarly: 80, // releasing a hold more than this before its end breaks it
+  releaseGrace: 50    // short grace so tiny key wobble doesn't break a hold
+});
+
+/**
+ * Named judge profiles: every window plus the hold release tolerance.
+ * Scores from different profiles are ranked separately.
+ */
+export const JUDGE_PROFILES = Object.freeze({
+  lenient: Object.freeze({
+    perfect: 40, great: 85, good: 130, earlyStop: 150,
+    tapMissLate: 150, holdMissLate: 180, holdBreakEarly: 120, releaseGrace: 80
+  }),
+  standard: JUDGE_WINDOWS,
+  strict: Object.freeze({
+    perfect: 22, great: 45, good: 75, earlyStop: 100,
+    tapMissLate: 90, holdMissLate: 110, holdBreakEarly: 50, releaseGrace: 30
+  })
+});
+
+export const DEFAULT_JUDGE_PROFILE = "standard";
+
+/** Known profile name for `name`, falling back to the default. */
+export function judgeProfileName(name) {
+  const key = String(name || "").toLowerCase();
+  return Object.prototype.hasOwnProperty.call(JUDGE_PROFILES, key) ? key : DEFAULT_JUDGE_PROFILE;
+}
+
+export function getJudgeProfile(name) {
+  return JUDGE_PROFILES[judgeProfileName(name)];
+}
+
+export const JUDGE_SCORE = Object.freeze({ Perfect: 100, Great: 80, Good: 50 });
+
+/** Life gauge change per judgement (gauge runs 0..1, starts full). */
+export const HEALTH_RATES = Object.freeze({ Perfect: 0.02, Great: 0.015, Good: 0.005, Miss: -0.08 });
+
+/** Normalized { noFail, rates } from run options (unknown/invalid rates fall back to defaults). */
+export function healthOptions(opts = {}) {
+  const rates = { ...HEALTH_RATES };
+  for (const k of Object.keys(HEALTH_RATES)) {
+    const v = Number(opts?.rates?.[k]);
+    if (Number.isFinite(v)) rates[k] = Math.max(-1, Math.min(1, v));
+  }
+  return { noFail: !!opts?.noFail, rates };
+}
+
+/** True when run options leave the life gauge at the ranked rules (can fail, default rates). */
+export function isDefaultHealth(opts) {
+  const h = healthOptions(opts);
+  return !h.noFail && Object.keys(HEALTH_RATES).every(k => h.rates[k] === HEALTH_RATES[k]);
+}
+
+export class Judge {
+  /**
+   * @param {Array} notes chart notes; judged in place (sorted by tMs here)
+   * @param {{ laneCount?: number, latencyMs?: number, profile?: string, windows?: object,
+   *           health?: { noFail?: boolean, rates?: object }, onEvent?: Function }} opts
+   */
+  constructor(notes, opts = {}) {
+    this.notes = Array.isArray(notes) ? notes : [];
+    this.notes.sort((a, b) => (a.tMs || 0) - (b.tMs || 0));
+    this.laneCount = opts.laneCount || 4;
+    this.latencyMs = Number(opts.latencyMs) || 0;
+    this.profile = judgeProfileName(opts.profile);
+    this.windows = { ...getJudgeProfile(this.profile), ...(opts.windows || {}) };
+    this.onEvent = typeof opts.onEvent === "function" ? opts.onEvent : null;
+    this.health = healthOptions(opts.health);
+
+    this.notesByLane = Array.from({ length: this.laneCount }, () => []);
+    for (const n of this.notes) {
+      if (typeof n.lane === "number" && n.lane >= 0 && n.lane < this.laneCount) {
+        this.notesByLane[n.lane].push(n);
+      }
+    }
+    this.nextIdxByLane = new Array(this.laneCount).fill(0);
+    this.held = new Array(this.laneCount).fill(false);
+    this.activeHolds = new Map(); // lane -> { note, endMs, lastHeldMs }
+    this._missIdx = 0;
+
+    this.state = {
+      score: 0, combo: 0, maxCombo: 0, hits: 0,
+      total: this.notes.length, acc: this.notes.length ? 0 : 1,
+      judges: { Perfect: 0, Great: 0, Good: 0, Miss: 0 },
+      health: 1, failed: false, failedAtMs: null
+    };
+  }
+
+  /** Key down on `lane` at song time `timeMs` (before latency). */
+  press(lane, timeMs) {
+    if (this.state.failed || lane < 0 || lane >= this.laneCount) return;
+    this.held[lane] = true;
+    const hold = this.activeHolds.get(lane);
+    if (hold) hold.lastHeldMs = Math.max(hold.lastHeldMs, timeMs);
+    if (timeMs < 0) return;
+
+    const nowMs = timeMs + this.latencyMs;
+    const w = this.windows;
+    const arr = this.notesByLane[lane];
+    let idx = this.nextIdxByLane[lane] || 0;
+
+    for (let i = idx; i < arr.length; i++) {
+      const n = arr[i]; if (n.hit) { idx = i + 1; continue; }
+      const dt = nowMs - (n.tMs || 0), adt = Math.abs(dt);
+      const label = adt <= w.perfect ? "Perfect" : adt <= w.great ? "Great" : adt <= w.good ? "Good" : null;
+      if (label) { this._hit(n, lane, label, dt, timeMs); idx = i + 1; break; }
+      if (dt < -w.earlyStop) break;
+      idx = i + 1; // too late (or just outside early): skip, it will be missed
+    }
+    this.nextIdxByLane[lane] = idx;
+  }
+
+  /** Key up on `lane` at song time `timeMs` (before latency). */
+  release(lane, timeMs) {
+    if (this.state.failed || lane < 0 || lane >= this.laneCount) return;
+    this.held[lane] = false;
+    if (timeMs < 0) return;
+    const hold = this.activeHolds.get(lane);
+    if (!hold) return;
+    hold.lastHeldMs = Math.max(hold.lastHeldMs, Math.min(timeMs, hold.endMs)); // down right up to now
+    if (timeMs + this.latencyMs < hold.endMs - this.windows.holdBreakEarly) {
+      this.activeHolds.delete(lane);
+      this._miss(hold.note, lane, "release", timeMs);
+    }
+  }
+
+  /**
+   * Settle everything due by `timeMs`: late misses, hold completion and hold drops.
+   * Works per frame (Game) or only at input times (replays): a hold drop is measured
+   * from the last time the key was seen down.
+   */
+  update(timeMs) {
+    if (timeMs < 0 || this.state.failed) return;
+    const w = this.windows;
+
+    // Late misses (notes are time-sorted; skip the judged prefix)
+    while (this._missIdx < this.notes.length && this.notes[this._missIdx].hit) this._missIdx++;
+    for (let i = this._missIdx; i < this.notes.length; i++) {
+      const n = this.notes[i];
+      if (timeMs - (n.tMs || 0) <= w.tapMissLate) break;
+      if (n.hit || n.result === "Miss") continue;
+      const late = (n.dMs > 0) ? w.holdMissLate : w.tapMissLate;
+      if (timeMs - (n.tMs || 0) > late) {
+        n.hit = true; // other systems treat hit=true as judged; result marks the miss
+        // the miss happened when its window closed, not at this (possibly much later) update
+        this._miss(n, n.lane, "late", Math.min(timeMs, (n.tMs || 0) + late));
+        if (this.state.failed) return;
+      }
+    }
+
+    for (const [lane, hold] of this.activeHolds) {
+      if (this.held[lane]) hold.lastHeldMs = Math.min(timeMs, hold.endMs);
+      const idleFor = Math.min(timeMs, hold.endMs) - hold.lastHeldMs;
+      if (!this.held[lane] && idleFor > w.releaseGrace) {
+        this.activeHolds.delete(lane);
+        this._miss(hold.note, lane, "drop", timeMs);
+        if (this.state.failed) return;
+      } else if (timeMs >= hold.endMs) {
+        this.activeHolds.delete(lane);
+        this._emit({ type: "holdEnd", lane, note: hold.note, timeMs });
+      }
+    }
+  }
+
+  /** End of song: everything left unjudged is missed. */
+  finish(timeMs = Infinity) {
+    this.update(timeMs);
+    return this.result();
+  }
+
+  result() {
+    const s = this.state;
+    return {
+      score: s.score, acc: s.acc, combo: s.maxCombo, hits: s.hits, total: s.total,
+      judges: { ...s.judges }, profile: this.profile,
+      failed: s.failed, failedAtMs: s.failedAtMs
+    };
+  }
+
+  _hit(note, lane, label, dtMs, timeMs) {
+    const s = this.state;
+    note.hit = true;
+    note.result = label;
+    s.score += JUDGE_SCORE[label] + Math.floor(s.combo * 0.1);
+    s.combo += 1;
+    s.maxCombo = Math.max(s.maxCombo, s.combo);
+    s.hits += 1;
+    s.judges[label] += 1;
+    s.acc = s.total ? s.hits / s.total : 1;
+    this._emit({ type: "hit", lane, note, label, dtMs, timeMs });
+    this._applyHealth(label, timeMs);
+
+    if (note.dMs && note.dMs > 0) {
+      const endMs = (note.tMs || 0) + note.dMs;
+      this.activeHolds.set(lane, { note, endMs, lastHeldMs: timeMs });
+      this._emit({ type: "holdStart", lane, note, endMs, timeMs });
+    }
+  }
+
+  _miss(note, lane, reason, timeMs) {
+    const s = this.state;
+    if (reason === "late") note.result = "Miss";
+    s.combo = 0;
+    s.judges.Miss += 1;
+    this._emit({ type: "miss", lane, note, reason, timeMs });
+    this._applyHealth("Miss", timeMs);
+  }
+
+  _applyHealth(label, timeMs) {
+    const s = this.state;
+    if (s.failed) return;
+    s.health = Math.max(0, Math.min(1, s.health + (this.health.rates[label] || 0)));
+    if (s.health <= 0 && !this.health.noFail) {
+      s.failed = true;
+      s.failedAtMs = timeMs;
+      this.activeHolds.clear();
+      this._emit({ type: "fail", timeMs });
+    }
+  }
+
+  _emit(ev) {
+    try { this.onEvent?.(ev); } catch (e) { console.warn("[Judge] event handler failed", e); }
+  }
+}
+
+/**
+ * Run a whole input stream through a Judge (replays, tests, server checks).
+ * `events` are { t, lane, down } in song time order; returns the final result.
+ */
+export function judgeInputs(notes, events, opts = {}) {
+  const judge = new Judge(notes.map(n => ({ tMs: Number(n.tMs) || 0, lane: n.lane, dMs: Number(n.dMs) || 0 })), opts);
+  for (const ev of events) {
+    judge.update(ev.t);
+    if (ev.down) judge.press(ev.lane, ev.t);
+    else judge.release(ev.lane, ev.t);
+  }
+  return judge.finish();
+}
@@ -0,0 +1,80 @@
+// public/js/modules/lanevfx.js
+// Per-lane VFX properties, shared by the game and the editor. Pure module (no DOM).
+//
+// Keyframed as "lanes.<key>.<lane>" with a 1-based lane (same as notes.colors.N); static values live in
+// properties.lanes.<key>[lane - 1]. Lanes move around their receptor (lane center, judge line).
+
+export const LANE_VFX_PROPS = Object.freeze([
+  { key: "x",             label: "X Offset",       def: 0,   min: -600, max: 600, step: 1,    unit: "px" },
+  { key: "y",             label: "Y Offset",       def: 0,   min: -600, max: 600, step: 1,    unit: "px" },
+  { key: "rotate",        label: "Rotation",       def: 0,   min: -360, max: 360, step: 1,    unit: "°" },
+  { key: "alpha",         label: "Alpha",          def: 100, min: 0,    max: 100, step: 1,    unit: "%" },
+  { key: "receptorScale", label: "Receptor Scale", def: 1,   min: 0.25, max: 3,   step: 0.05, unit: "x" },
+  { key: "speed",         label: "Scroll Speed",   def: 1,   min: 0,    max: 4,   step: 0.05, unit: "x" }
+]);
+
+export const LANE_VFX_MAX_LANES = 10;
+
+const BY_KEY = new Map(LANE_VFX_PROPS.map(p => [p.key, p]));
+const PROP_RE = /^lanes\.([A-Za-z]+)\.(\d+)$/;
+
+/** Property path for a 0-based lane. */
+export function laneVfxProperty(key, lane) {
+  return `lanes.${key}.${lane + 1}`;
+}
+
+/** "lanes.x.3" -> { spec, key, lane: 2 }, or null for anything else (including lanes.opacity). */
+export function parseLaneVfxProperty(prop) {
+  const m = PROP_RE.exec(String(prop || ""));
+  if (!m) return null;
+  const spec = BY_KEY.get(m[1]);
+  const lane = Number(m[2]) - 1;
+  if (!spec || lane < 0 || lane >= LANE_VFX_MAX_LANES) return null;
+  return { spec, key: spec.key, lane };
+}
+
+export function clampLaneVfx(spec, v) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return spec.def;
+  return Math.max(spec.min, Math.min(spec.max, n));
+}
+
+/** Static (unkeyframed) value from properties.lanes, or the default. */
+export function laneVfxValue(lanesData, key, lane) {
+  const spec = BY_KEY.get(key);
+  if (!spec) return undefined;
+  const v = lanesData?.[key]?.[lane];
+  return v != null && Number.isFinite(Number(v)) ? clampLaneVfx(spec, v) : spec.def;
+}
+
+/** True when a set uses any per-lane property (so the game can skip the per-frame work otherwise). */
+export function usesLaneVfx(lanesData, keyframes) {
+  for (const prop of Object.keys(keyframes || {})) {
+    if (parseLaneVfxProperty(prop) && keyframes[prop]?.length) return true;
+  }
+  for (const spec of LANE_VFX_PROPS) {
+    const arr = lanesData?.[spec.key];
+    if (Array.isArray(arr) && arr.some(v => v != null && Number(v) !== spec.def)) return true;
+  }
+  return false;
+}
+
+/**
+ * Per-lane state at one moment: [{ x, y, rotate, alpha, receptorScale, speed }] for lanes 0..count-1.
+ * valueAt(prop) returns the keyframed value of a "lanes.<key>.<lane>" property (or null/undefined
+ * to use the default). alpha comes back as 0..1 and rotate in radians.
+ */
+export function laneVfxState(count, valueAt) {
+  const out = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const s = {};
+    for (const spec of LANE_VFX_PROPS) {
+      const v = valueAt(laneVfxProperty(spec.key, i));
+      s[spec.key] = v == null ? spec.def : clampLaneVfx(spec, v);
+    }
+    s.alpha /= 100;
+    s.rotate *= Math.PI / 180;
+    out[i] = s;
+  }
+  return out;
+}
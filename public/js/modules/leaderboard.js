@@ -9,6 +9,9 @@ export class Leaderboard {
 
     // difficulty select (create if missing)
     this.$diff = document.getElementById("lb-diff") || this._ensureDiffSelect();
+    // judge profile select (each profile has its own board); defaults to the player's setting
+    this.$judge = document.getElementById("lb-judge");
+    if (this.$judge) this.$judge.value = this.settings?.judgeProfile || "standard";
 
     // header (cover + meta) will be created on mount if missing
     this.$header = document.getElementById("lb-header") || null;
@@ -32,6 +35,10 @@ export class Leaderboard {
       }
       this._lastDiff = this.$diff?.value || this._lastDiff;
     });
+
+    this.$judge?.addEventListener("change", () => {
+      if (this.selected) this._loadBoard(this.selected.trackId, this.$diff?.value);
+    });
   }
 
   _ensureDiffSelect() {
@@ -136,7 +143,8 @@ export class Leaderboard {
     if (!this.$table) return;
     this.$table.innerHTML = `<tr><td class="muted" colspan="4">Loading…</td></tr>`;
     try {
-      const url = `/api/leaderboard/${encodeURIComponent(trackId)}?limit=${this._limit}${diff ? `&diff=${encodeURIComponent(diff)}` : ""}`;
+      const judge = this.$judge?.value || this.settings?.judgeProfile || "standard";
+      const url = `/api/leaderboard/${encodeURIComponent(trackId)}?limit=${this._limit}${diff ? `&diff=${encodeURIComponent(diff)}` : ""}&judge=${encodeURIComponent(judge)}`;
       let rows = await fetch(url).then(r => r.json());
 
       // if server mixes difficulties, filter client-side
@@ -153,7 +161,7 @@ export class Leaderboard {
       this.$table.innerHTML = rows.map((r, i) => `
         <tr>
           <td>#${i + 1}</td>
-          <td>${escapeHtml(r.name)}</td>
+          <td data-name="${escapeHtml(r.name)}">${escapeHtml(r.name)}${r.verified ? ` <span class="muted" title="Verified by replay">✓</span>` : ""}</td>
           <td class="num">${Number(r.score || 0).toLocaleString()}</td>
           <td class="num">${Math.round((r.acc || 0) * 100)}% • ${r.combo || 0}x</td>
         </tr>
@@ -215,7 +223,7 @@ export class Leaderboard {
     try {
       const chartUrl = this.selected.charts[diff];
       const chart = await fetch(chartUrl).then(r => r.json());
-      chart.audioUrl = this.selected.audio?.wav || this.selected.audio?.mp3;
+      chart.audioUrl = this.selected.audio?.wav || this.selected.audio?.mp3 || this.selected.audio?.ogg;
       chart.title = this.selected.title;
       chart.trackId = this.selected.trackId;
       chart.difficulty = diff; // <<< important: pass difficulty through
@@ -258,7 +266,7 @@ export class Leaderboard {
     const rows = Array.from(this.$table.querySelectorAll("tr"));
     for (const tr of rows) {
       const nameCell = tr.children?.[1];
-      if (nameCell && nameCell.textContent?.trim() === playerName) {
+      if (nameCell && (nameCell.dataset?.name ?? nameCell.textContent)?.trim() === playerName) {
         tr.style.background = "rgba(37,244,238,0.07)";
         tr.style.outline = "1px solid rgba(37,244,238,0.25)";
         break;
@@ -0,0 +1,128 @@
+// public/js/modules/mods.js
+// Gameplay modifiers (mirror, random, note speed, hidden, sudden, song rate). Pure module so
+// the server can apply the same lane remap when it re-simulates a replay.
+//
+// Mods shape: { mirror, random, seed, speed, hidden, sudden, rate, keepPitch }
+// Lane mods change which key hits which note; speed/hidden/sudden only change what you see;
+// rate plays the song faster/slower (practice) with keepPitch choosing a pitch-preserving stretch.
+// Any active mod keeps a score off the ranked boards.
+
+export const MOD_DEFAULTS = Object.freeze({
+  mirror: false,
+  random: false,
+  seed: 0,
+  speed: 1,
+  hidden: false,
+  sudden: false,
+  rate: 1,
+  keepPitch: false
+});
+
+export const SPEED_MIN = 0.5;
+export const SPEED_MAX = 4;
+export const RATE_MIN = 0.5;
+export const RATE_MAX = 1.5;
+
+/** Clean mods object from anything (runtime opts, saved prefs, a replay). */
+export function normalizeMods(m = {}) {
+  const speed = Number(m?.speed);
+  const rate = Number(m?.rate);
+  const out = {
+    mirror: !!m?.mirror,
+    random: !!m?.random,
+    seed: 0,
+    speed: Number.isFinite(speed) && speed > 0
+      ? Math.round(Math.max(SPEED_MIN, Math.min(SPEED_MAX, speed)) * 100) / 100
+      : 1,
+    hidden: !!m?.hidden,
+    sudden: !!m?.sudden,
+    rate: Number.isFinite(rate) && rate > 0
+      ? Math.round(Math.max(RATE_MIN, Math.min(RATE_MAX, rate)) * 20) / 20
+      : 1,
+    keepPitch: false
+  };
+  if (out.random) out.seed = (Number(m?.seed) >>> 0) || 0;
+  if (out.rate !== 1) out.keepPitch = !!m?.keepPitch;
+  return out;
+}
+
+/** Short code stored with scores, e.g. "MR+RD+x1.5+HD+RT0.75P"; "" when nothing is on. */
+export function modsKey(m) {
+  const n = normalizeMods(m);
+  const parts = [];
+  if (n.mirror) parts.push("MR");
+  if (n.random) parts.push("RD");
+  if (n.speed !== 1) parts.push(`x${n.speed}`);
+  if (n.hidden) parts.push("HD");
+  if (n.sudden) parts.push("SD");
+  if (n.rate !== 1) parts.push(`RT${n.rate}${n.keepPitch ? "P" : ""}`);
+  return parts.join("+");
+}
+
+/** Human readable list for the results screen. */
+export function modsLabel(m) {
+  const n = normalizeMods(m);
+  const parts = [];
+  if (n.mirror) parts.push("Mirror");
+  if (n.random) parts.push("Random");
+  if (n.speed !== 1) parts.push(`Speed ×${n.speed}`);
+  if (n.hidden) parts.push("Hidden");
+  if (n.sudden) parts.push("Sudden");
+  if (n.rate !== 1) parts.push(`Rate ${n.rate}x${n.keepPitch ? " (pitch kept)" : ""}`);
+  return parts.length ? parts.join(", ") : "None";
+}
+
+export function isRankedMods(m) {
+  return modsKey(m) === "";
+}
+
+/**
+ * Lane permutation for the mods: map[originalLane] = playedLane.
+ * Random is a seeded shuffle (same seed, same layout), mirror flips the result.
+ */
+export function laneMapForMods(m, laneCount = 4) {
+  const n = normalizeMods(m);
+  const count = Math.max(1, laneCount | 0);
+  const map = Array.from({ length: count }, (_, i) => i);
+  if (n.random) {
+    const rnd = mulberry32(n.seed);
+    for (let i = count - 1; i > 0; i--) {
+      const j = Math.floor(rnd() * (i + 1));
+      [map[i], map[j]] = [map[j], map[i]];
+    }
+  }
+  if (n.mirror) {
+    for (let i = 0; i < count; i++) map[i] = count - 1 - map[i];
+  }
+  return map;
+}
+
+/** Remap `note.lane` in place; returns the notes. */
+export function applyLaneMods(notes, m, laneCount = 4) {
+  const list = Array.isArray(notes) ? notes : [];
+  const n = normalizeMods(m);
+  if (!n.mirror && !n.random) return list;
+  const map = laneMapForMods(n, laneCount);
+  for (const note of list) {
+    if (typeof note?.lane === "number" && note.lane >= 0 && note.lane < map.length) {
+      note.lane = map[note.lane];
+    }
+  }
+  return list;
+}
+
+/** Fresh seed for a random run. */
+export function randomModSeed() {
+  return (Math.floor(Math.random() * 0xffffffff) >>> 0) || 1;
+}
+
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,214 @@
+// public/js/modules/osumania.js
+// osu!mania (.osu, Mode 3) <-> PulseForge chart conversion. Pure module (no DOM).
+//
+// Import: HitObjects -> { tMs, lane, dMs } notes (column from x, holds from type bit 128),
+// uninherited TimingPoints -> timingPoints, inherited (green) points -> scrollVelocities.
+// Export writes a v14 .osu with the same mapping back.
+import { getTimingPoints, getScrollVelocities } from "./timing.js";
+
+export const OSU_MANIA_MODE = 3;
+
+const PLAYFIELD_W = 512;
+const TYPE_CIRCLE = 1;
+const TYPE_HOLD = 128;
+const SV_MIN = 0.01;          // osu! clamps green lines to 0.01x..10x
+const SV_MAX = 10;
+const TAIL_PAD_MS = 2000;     // chart duration = last note end + this when nothing better is known
+
+/**
+ * Parse .osu text into { chart, meta, warnings }.
+ * Throws (with a readable message) for non-mania maps or a key count other than `opts.lanes`.
+ */
+export function parseOsuMania(text, opts = {}) {
+  const lanes = Number(opts.lanes) || 4;
+  const src = String(text || "").replace(/^﻿/, "");
+  if (!/^\s*osu file format v\d+/i.test(src)) throw new Error("Not an .osu file (missing \"osu file format\" header).");
+  const sections = readSections(src);
+  const general = keyValues(sections.General);
+  const metadata = keyValues(sections.Metadata);
+  const difficulty = keyValues(sections.Difficulty);
+
+  const mode = Number(general.Mode ?? 0);
+  if (mode !== OSU_MANIA_MODE) throw new Error(`Only osu!mania maps can be imported (this map is Mode ${mode}).`);
+  const keys = Math.round(Number(difficulty.CircleSize));
+  if (keys !== lanes) throw new Error(`This is a ${keys}K map; PulseForge charts have ${lanes} lanes.`);
+
+  const warnings = [];
+  const notes = [];
+  (sections.HitObjects || []).forEach((line, i) => {
+    const parts = line.split(",");
+    const x = Number(parts[0]);
+    const t = Number(parts[2]);
+    const type = Number(parts[3]) | 0;
+    if (!Number.isFinite(x) || !Number.isFinite(t)) { warnings.push(`HitObjects line ${i + 1}: unreadable, skipped`); return; }
+    const lane = Math.max(0, Math.min(keys - 1, Math.floor(x * keys / PLAYFIELD_W)));
+    if (type & TYPE_HOLD) {
+      const end = Number(String(parts[5] || "").split(":")[0]);
+      if (Number.isFinite(end) && end > t) { notes.push({ tMs: t, lane, dMs: end - t }); return; }
+      warnings.push(`HitObjects line ${i + 1}: hold without a valid end, imported as a tap`);
+    } else if (!(type & TYPE_CIRCLE)) {
+      warnings.push(`HitObjects line ${i + 1}: object type ${type} is not a mania note, imported as a tap`);
+    }
+    notes.push({ tMs: t, lane });
+  });
+  notes.sort((a, b) => (a.tMs - b.tMs) || (a.lane - b.lane));
+
+  const timingPoints = [];
+  const scrollVelocities = [];
+  let svActive = false;
+  for (const line of sections.TimingPoints || []) {
+    const p = line.split(",");
+    const time = Number(p[0]);
+    const beatLength = Number(p[1]);
+    if (!Number.isFinite(time) || !Number.isFinite(beatLength)) continue;
+    const meter = Number(p[2]) || 4;
+    const uninherited = p[6] == null ? true : p[6].trim() === "1";
+    if (uninherited) {
+      if (beatLength <= 0) continue;
+      timingPoints.push({ time: Math.round(time), bpm: round3(60000 / beatLength), meter });
+      // A red line resets scroll speed in osu!
+      if (svActive) { scrollVelocities.push({ time: Math.round(time), multiplier: 1 }); svActive = false; }
+    } else if (beatLength < 0) {
+      const multiplier = round3(Math.max(SV_MIN, Math.min(SV_MAX, -100 / beatLength)));
+      scrollVelocities.push({ time: Math.round(time), multiplier });
+      svActive = multiplier !== 1;
+    }
+  }
+  if (!timingPoints.length) warnings.push("No timing points; BPM defaults to 120");
+
+  const lastEnd = notes.reduce((m, n) => Math.max(m, n.tMs + (n.dMs || 0)), 0);
+  const chart = {
+    bpm: timingPoints[0]?.bpm || 120,
+    lanes,
+    durationMs: Math.ceil(lastEnd + TAIL_PAD_MS),
+    notes
+  };
+  if (timingPoints.length) chart.timingPoints = timingPoints;
+  if (scrollVelocities.some(s => s.multiplier !== 1)) chart.scrollVelocities = scrollVelocities;
+
+  return {
+    chart,
+    meta: {
+      title: metadata.Title || "",
+      artist: metadata.Artist || "",
+      creator: metadata.Creator || "",
+      version: metadata.Version || "",
+      audioFilename: general.AudioFilename || "",
+      previewTime: Number(general.PreviewTime) >= 0 ? Number(general.PreviewTime) : null
+    },
+    warnings
+  };
+}
+
+/**
+ * Write a PulseForge chart as .osu text (Mode 3, CircleSize = lane count).
+ * meta: { title, artist, creator, version, audioFilename, od, hp }
+ */
+export function chartToOsuMania(chart, meta = {}) {
+  const lanes = Number(chart?.lanes) || 4;
+  const notes = (Array.isArray(chart?.notes) ? chart.notes : []).slice()
+    .sort((a, b) => (a.tMs - b.tMs) || (a.lane - b.lane));
+  const clean = (s) => String(s ?? "").replace(/[\r\n]/g, " ").trim();
+
+  const timing = getTimingPoints(chart).map(p => ({ time: p.time, line: `${Math.round(p.time)},${fmt(60000 / p.bpm)},${p.meter},1,0,100,1,0`, meter: p.meter }));
+  const meterAt = (ms) => {
+    let m = timing[0]?.meter || 4;
+    for (const p of timing) { if (p.time <= ms) m = p.meter; else break; }
+    return m;
+  };
+  const sv = getScrollVelocities(chart).map(s => {
+    const mult = Math.max(SV_MIN, Math.min(SV_MAX, s.multiplier));
+    return { time: s.time, line: `${Math.round(s.time)},${fmt(-100 / mult)},${meterAt(s.time)},1,0,100,0,0` };
+  });
+  // Red before green at the same time so the green line applies
+  const timingLines = [...timing.map(p => ({ ...p, order: 0 })), ...sv.map(s => ({ ...s, order: 1 }))]
+    .sort((a, b) => (a.time - b.time) || (a.order - b.order))
+    .map(p => p.line);
+
+  const hitLines = notes.map(n => {
+    const lane = Math.max(0, Math.min(lanes - 1, n.lane | 0));
+    const x = Math.floor((lane + 0.5) * PLAYFIELD_W / lanes);
+    const t = Math.round(Number(n.tMs) || 0);
+    const d = Math.round(Number(n.dMs) || 0);
+    return d > 0 ? `${x},192,${t},${TYPE_HOLD},0,${t + d}:0:0:0:0:` : `${x},192,${t},${TYPE_CIRCLE},0,0:0:0:0:`;
+  });
+
+  return [
+    "osu file format v14",
+    "",
+    "[General]",
+    `AudioFilename: ${clean(meta.audioFilename) || "audio.mp3"}`,
+    "AudioLeadIn: 0",
+    "PreviewTime: -1",
+    "Countdown: 0",
+    "SampleSet: Normal",
+    "StackLeniency: 0.7",
+    `Mode: ${OSU_MANIA_MODE}`,
+    "LetterboxInBreaks: 0",
+    "SpecialStyle: 0",
+    "WidescreenStoryboard: 0",
+    "",
+    "[Metadata]",
+    `Title:${clean(meta.title) || "Untitled"}`,
+    `Artist:${clean(meta.artist) || "Unknown"}`,
+    `Creator:${clean(meta.creator) || "PulseForge"}`,
+    `Version:${clean(meta.version) || "Normal"}`,
+    "Source:",
+    "Tags:pulseforge",
+    "",
+    "[Difficulty]",
+    `HPDrainRate:${Number(meta.hp) || 8}`,
+    `CircleSize:${lanes}`,
+    `OverallDifficulty:${Number(meta.od) || 8}`,
+    "ApproachRate:5",
+    "SliderMultiplier:1.4",
+    "SliderTickRate:1",
+    "",
+    "[Events]",
+    "//Background and Video events",
+    "",
+    "[TimingPoints]",
+    ...timingLines,
+    "",
+    "",
+    "[HitObjects]",
+    ...hitLines,
+    ""
+  ].join("\r\n");
+}
+
+/** True when text looks like a .osu file (used to route file opens). */
+export function looksLikeOsu(text) {
+  return /^﻿?\s*osu file format v\d+/i.test(String(text || ""));
+}
+
+// { SectionName: [non-empty, non-comment lines] }
+function readSections(src) {
+  const out = {};
+  let cur = null;
+  for (const raw of src.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith("//")) continue;
+    const m = /^\[(\w+)\]$/.exec(line);
+    if (m) { cur = m[1]; out[cur] = out[cur] || []; continue; }
+    if (cur) out[cur].push(line);
+  }
+  return out;
+}
+
+function keyValues(lines = []) {
+  const out = {};
+  for (const line of lines) {
+    const i = line.indexOf(":");
+    if (i > 0) out[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+  }
+  return out;
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+function fmt(x) {
+  return String(Math.round(x * 1e6) / 1e6);
+}
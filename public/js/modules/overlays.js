@@ -0,0 +1,136 @@
+// public/js/modules/overlays.js
+// VFX overlay track: timed text and image elements above the playfield (lyrics, section titles, logo
+// flashes). Shared by the game and the editor. Pure module (no DOM).
+//
+// Elements live in properties.overlays:
+//   [{ id, type: "text"|"image", start, end, text?, font?, size?, color?, src?, x, y, scale, rotate, alpha }]
+// An element shows from start (inclusive) to end (exclusive), in ms. x/y are percent of the screen, size
+// is px at a 720px-high screen, src is a file in the track folder or a /path on this site. The transform and alpha are
+// keyframed as "overlays.<id>.<key>"; without keyframes the element's own value is used.
+
+export const OVERLAY_PROPS = Object.freeze([
+  { key: "x",      label: "X",        def: 50,  min: -50,  max: 150, step: 0.5,  unit: "%" },
+  { key: "y",      label: "Y",        def: 50,  min: -50,  max: 150, step: 0.5,  unit: "%" },
+  { key: "scale",  label: "Scale",    def: 1,   min: 0,    max: 8,   step: 0.05, unit: "x" },
+  { key: "rotate", label: "Rotation", def: 0,   min: -360, max: 360, step: 1,    unit: "°" },
+  { key: "alpha",  label: "Alpha",    def: 100, min: 0,    max: 100, step: 1,    unit: "%" }
+]);
+
+export const OVERLAY_FONTS = Object.freeze(["Inter", "Arial", "Georgia", "Impact", "Courier New", "Trebuchet MS"]);
+export const OVERLAY_REF_HEIGHT = 720;
+export const OVERLAY_MAX = 200;
+export const OVERLAY_DEFAULT_MS = 2000;
+
+const BY_KEY = new Map(OVERLAY_PROPS.map(p => [p.key, p]));
+const ID_RE = /^[A-Za-z][A-Za-z0-9_-]{0,31}$/;
+const PROP_RE = /^overlays\.([A-Za-z][A-Za-z0-9_-]{0,31})\.([A-Za-z]+)$/;
+const HEX_RE = /^#[0-9a-fA-F]{6}$/;
+const SAME_SITE = "https://pulseforge.invalid";
+
+export function overlayProperty(id, key) {
+  return `overlays.${id}.${key}`;
+}
+
+/** "overlays.ov2.alpha" -> { spec, key, id }, or null. */
+export function parseOverlayProperty(prop) {
+  const m = PROP_RE.exec(String(prop || ""));
+  if (!m) return null;
+  const spec = BY_KEY.get(m[2]);
+  return spec ? { spec, key: spec.key, id: m[1] } : null;
+}
+
+export function clampOverlayValue(spec, v) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return spec.def;
+  return Math.max(spec.min, Math.min(spec.max, n));
+}
+
+/** New element at startMs with an id not used in `list`. */
+export function makeOverlay(type, startMs, list = []) {
+  const used = new Set(list.map(o => o?.id));
+  let n = list.length + 1;
+  while (used.has(`ov${n}`)) n++;
+  const start = Math.max(0, Math.round(Number(startMs) || 0));
+  const o = { id: `ov${n}`, type: type === "image" ? "image" : "text", start, end: start + OVERLAY_DEFAULT_MS };
+  if (o.type === "text") Object.assign(o, { text: "Text", font: OVERLAY_FONTS[0], size: 48, color: "#ffffff" });
+  else o.src = "";
+  for (const spec of OVERLAY_PROPS) o[spec.key] = spec.def;
+  return o;
+}
+
+/**
+ * Sanitized copy of a properties.overlays list: drops non-objects, clamps values, and gives missing or
+ * duplicate ids a fresh one (keyframes can only name valid ids, so they stay with the first owner).
+ */
+export function normalizeOverlays(list) {
+  const overlays = [];
+  if (!Array.isArray(list)) return overlays;
+  const ids = new Set();
+  for (const raw of list) {
+    if (overlays.length >= OVERLAY_MAX) break;
+    if (!raw || typeof raw !== "object") continue;
+    const o = makeOverlay(raw.type, raw.start, overlays);
+    if (typeof raw.id === "string" && ID_RE.test(raw.id) && !ids.has(raw.id)) o.id = raw.id;
+    ids.add(o.id);
+    const end = Math.round(Number(raw.end));
+    o.end = Number.isFinite(end) && end > o.start ? end : o.start + OVERLAY_DEFAULT_MS;
+    if (o.type === "text") {
+      o.text = String(raw.text ?? "").slice(0, 500);
+      const font = String(raw.font ?? "").replace(/[^\w \-]/g, "").trim().slice(0, 64);
+      o.font = font || OVERLAY_FONTS[0];
+      const size = Number(raw.size);
+      o.size = Number.isFinite(size) ? Math.max(6, Math.min(300, size)) : 48;
+      o.color = HEX_RE.test(String(raw.color)) ? raw.color.toLowerCase() : "#ffffff";
+    } else {
+      o.src = String(raw.src ?? "").trim().slice(0, 500);
+    }
+    for (const spec of OVERLAY_PROPS) o[spec.key] = raw[spec.key] == null ? spec.def : clampOverlayValue(spec, raw[spec.key]);
+    overlays.push(o);
+  }
+  return overlays;
+}
+
+export function isOverlayActive(o, t) {
+  return t >= o.start && t < o.end;
+}
+
+/** Short label for lists and the timeline row. */
+export function overlayLabel(o) {
+  if (o.type === "image") return o.src ? o.src.split("/").pop() : "(no image)";
+  const line = String(o.text || "").split("\n")[0].trim();
+  return line ? (line.length > 24 ? line.slice(0, 23) + "…" : line) : "(empty text)";
+}
+
+/**
+ * Image URL for an element's src, or "" when it isn't allowed. Plain file names resolve inside the track
+ * folder (baseUrl, e.g. "/tracks/<trackId>/") and "/"-rooted paths stay on this site. Anything that
+ * leaves the site (http:, data:, "//host", ...) is refused: a published vfx.json must not make every
+ * player fetch third-party files, and cross-origin images can't become WebGL textures anyway.
+ */
+export function overlayImageUrl(src, baseUrl) {
+  const s = String(src || "").trim();
+  if (!s || /^[a-z][a-z0-9+.-]*:/i.test(s)) return "";
+  if (!/^[\/\\]/.test(s)) return (baseUrl || "") + s.split("/").map(encodeURIComponent).join("/");
+  // Let the URL parser resolve tricks like "/\host", then keep the path only if it stayed on this site
+  try {
+    const u = new URL(s, SAME_SITE);
+    return u.origin === SAME_SITE ? u.pathname + u.search : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Transform at one moment: { x, y (percent), scale, rotate (radians), alpha (0..1) }.
+ * valueAt(prop) returns the keyframed value of an "overlays.<id>.<key>" property, or null/undefined.
+ */
+export function overlayState(o, valueAt) {
+  const s = {};
+  for (const spec of OVERLAY_PROPS) {
+    const v = valueAt ? valueAt(overlayProperty(o.id, spec.key)) : null;
+    s[spec.key] = clampOverlayValue(spec, v ?? o[spec.key] ?? spec.def);
+  }
+  s.alpha /= 100;
+  s.rotate *= Math.PI / 180;
+  return s;
+}
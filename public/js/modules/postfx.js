@@ -0,0 +1,170 @@
+// public/js/modules/postfx.js
+// Post-processing VFX (shader effects on the whole game stage). Shared by the game and the editor.
+// Pure module (no DOM, no PIXI): specs, per-frame state and the lens shader source.
+//
+// Keyframed as "post.<key>"; static values live in properties.post. Every strength is a percent so the
+// editor sliders stay uniform; postFxState() turns them into shader units.
+//
+// Chain (game): color matrix (invert + saturation) -> blur -> lens (pixelate, chromatic aberration,
+// bloom, vignette in one pass). Effects at their defaults are left out of the chain.
+
+export const POST_FX_PROPS = Object.freeze([
+  { key: "chromatic",  label: "Chromatic Aberration", def: 0,   min: 0, max: 100, step: 1, unit: "%" },
+  { key: "blur",       label: "Blur",                 def: 0,   min: 0, max: 100, step: 1, unit: "%" },
+  { key: "bloom",      label: "Bloom",                def: 0,   min: 0, max: 100, step: 1, unit: "%" },
+  { key: "invert",     label: "Invert",               def: 0,   min: 0, max: 100, step: 1, unit: "%" },
+  { key: "saturation", label: "Saturation",           def: 100, min: 0, max: 300, step: 1, unit: "%" },
+  { key: "pixelate",   label: "Pixelate",             def: 0,   min: 0, max: 100, step: 1, unit: "%" },
+  { key: "vignette",   label: "Vignette",             def: 0,   min: 0, max: 100, step: 1, unit: "%" }
+]);
+
+const CHROMATIC_MAX_PX = 12;
+const BLUR_MAX_PX = 16;
+const PIXEL_MAX_PX = 32;
+
+const BY_KEY = new Map(POST_FX_PROPS.map(p => [p.key, p]));
+
+/** Static values at their defaults ({ chromatic: 0, ..., saturation: 100, ... }). */
+export function postFxDefaults() {
+  return Object.fromEntries(POST_FX_PROPS.map(p => [p.key, p.def]));
+}
+
+export function postFxProperty(key) {
+  return `post.${key}`;
+}
+
+/** "post.blur" -> spec, or null. */
+export function postFxSpec(prop) {
+  const m = /^post\.([A-Za-z]+)$/.exec(String(prop || ""));
+  return m ? BY_KEY.get(m[1]) || null : null;
+}
+
+export function clampPostFx(spec, v) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return spec.def;
+  return Math.max(spec.min, Math.min(spec.max, n));
+}
+
+/** True when a set moves any effect off its default (so the game can skip the chain otherwise). */
+export function usesPostFx(postData, keyframes) {
+  for (const spec of POST_FX_PROPS) {
+    if (keyframes?.[postFxProperty(spec.key)]?.length) return true;
+    const v = postData?.[spec.key];
+    if (v != null && clampPostFx(spec, v) !== spec.def) return true;
+  }
+  return false;
+}
+
+/**
+ * Effect strengths at one moment, in shader units: { chromatic (px), blur (px), bloom (0..1),
+ * invert (0..1), saturation (0..3, 1 = unchanged), pixelate (block px, 1 = off), vignette (0..1) }.
+ * valueAt(prop) returns the value of a "post.<key>" property (or null/undefined for the default).
+ */
+export function postFxState(valueAt) {
+  const pct = {};
+  for (const spec of POST_FX_PROPS) {
+    const v = valueAt(postFxProperty(spec.key));
+    pct[spec.key] = v == null ? spec.def : clampPostFx(spec, v);
+  }
+  return {
+    chromatic: pct.chromatic / 100 * CHROMATIC_MAX_PX,
+    blur: pct.blur / 100 * BLUR_MAX_PX,
+    bloom: pct.bloom / 100,
+    invert: pct.invert / 100,
+    saturation: pct.saturation / 100,
+    pixelate: Math.max(1, Math.round(1 + pct.pixelate / 100 * (PIXEL_MAX_PX - 1))),
+    vignette: pct.vignette / 100
+  };
+}
+
+/** 5x4 color matrix (PIXI ColorMatrixFilter layout): saturation, then a partial invert. */
+export function postFxColorMatrix(saturation, invert) {
+  const x = 1 + (saturation - 1) * 2 / 3; // same curve as ColorMatrixFilter.saturate
+  const y = (x - 1) * -0.5;
+  const k = Math.max(0, Math.min(1, invert));
+  const m = 1 - 2 * k;
+  // Invert offset rides on the alpha column (colors are premultiplied)
+  return [
+    m * x, m * y, m * y, k, 0,
+    m * y, m * x, m * y, k, 0,
+    m * y, m * y, m * x, k, 0,
+    0,     0,     0,     1, 0
+  ];
+}
+
+export const POST_FX_VERTEX = `
+in vec2 aPosition;
+out vec2 vTextureCoord;
+
+uniform vec4 uInputSize;
+uniform vec4 uOutputFrame;
+uniform vec4 uOutputTexture;
+
+vec4 filterVertexPosition(void)
+{
+    vec2 position = aPosition * uOutputFrame.zw + uOutputFrame.xy;
+    position.x = position.x * (2.0 / uOutputTexture.x) - 1.0;
+    position.y = position.y * (2.0 * uOutputTexture.z / uOutputTexture.y) - uOutputTexture.z;
+    return vec4(position, 0.0, 1.0);
+}
+
+void main(void)
+{
+    gl_Position = filterVertexPosition();
+    vTextureCoord = aPosition * (uOutputFrame.zw * uInputSize.zw);
+}
+`;
+
+// Lens pass: pixelate -> chromatic aberration (radial) -> bloom (24 taps over bright areas) -> vignette
+export const POST_FX_FRAGMENT = `
+in vec2 vTextureCoord;
+out vec4 finalColor;
+
+uniform sampler2D uTexture;
+uniform vec4 uInputSize;
+uniform vec4 uOutputFrame;
+uniform vec4 uInputClamp;
+
+uniform float uChromatic;
+uniform float uBloom;
+uniform float uPixel;
+uniform float uVignette;
+
+vec4 tex(vec2 uv)
+{
+    return texture(uTexture, clamp(uv, uInputClamp.xy, uInputClamp.zw));
+}
+
+void main(void)
+{
+    vec2 px = uInputSize.zw;
+    vec2 pos = vTextureCoord * uInputSize.xy / uOutputFrame.zw; // 0..1 across the screen
+    vec2 uv = vTextureCoord;
+    if (uPixel > 1.0) {
+        vec2 block = px * uPixel;
+        uv = (floor(uv / block) + 0.5) * block;
+    }
+    vec4 c = tex(uv);
+    if (uChromatic > 0.0) {
+        vec2 shift = (pos - 0.5) * 2.0 * uChromatic * px;
+        c.r = tex(uv + shift).r;
+        c.b = tex(uv - shift).b;
+    }
+    if (uBloom > 0.0) {
+        vec3 glow = vec3(0.0);
+        float radius = 4.0 + 12.0 * uBloom;
+        for (int i = 0; i < 12; i++) {
+            float a = float(i) * 0.5235988;
+            vec2 dir = vec2(cos(a), sin(a)) * radius * px;
+            glow += max(tex(uv + dir * 0.5).rgb - 0.55, 0.0);
+            glow += max(tex(uv + dir).rgb - 0.55, 0.0);
+        }
+        c.rgb += glow * (uBloom * 0.25);
+    }
+    if (uVignette > 0.0) {
+        float d = distance(pos, vec2(0.5));
+        c.rgb *= 1.0 - uVignette * smoothstep(0.3, 0.8, d);
+    }
+    finalColor = c;
+}
+`;
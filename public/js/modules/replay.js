@@ -0,0 +1,95 @@
+// public/js/modules/replay.js
+// Compact input replays for solo runs. Pure module (no DOM) so the server can read them too.
+//
+// Replay shape (v1):
+// {
+//   v: 1, trackId, difficulty, chartHash, startAtMs, recordedAt, name,
+//   latencyMs, keys: ["D","F","J","K"], judgeProfile: "standard", health: { noFail, rates },
+//   mods: { mirror, random, seed, speed, hidden, sudden } | null,
+//   settings: { ... },
+//   events: [dt, code, dt, code, ...],   // dt = delta song time in 1/10 ms, code = lane*2 + (down ? 1 : 0)
+//   result: { score, acc, maxCombo, judges }
+// }
+// Event times are the game's `state.timeMs` when the key was handled (latency is applied at judge time).
+
+export const REPLAY_VERSION = 1;
+
+// Settings worth keeping for review (latency + keys are stored at the top level).
+const RECORDED_SETTINGS = ["volume", "maxFps", "renderScale"];
+
+/**
+ * Stable hash of what judging depends on (lanes + notes), so a replay can be matched to its chart.
+ * FNV-1a 32-bit over a canonical string; synchronous so it works the same in the browser and Node.
+ */
+export function chartHash(chart) {
+  const notes = Array.isArray(chart?.notes) ? chart.notes : [];
+  const rows = notes
+    .map(n => [Math.round(Number(n?.tMs) || 0), n?.lane | 0, Math.round(Number(n?.dMs) || 0)])
+    .sort((a, b) => (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]));
+  const src = `${chart?.lanes || 4}|` + rows.map(r => r.join(",")).join(";");
+  let h = 0x811c9dc5;
+  for (let i = 0; i < src.length; i++) {
+    h ^= src.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, "0");
+}
+
+export class ReplayRecorder {
+  constructor(meta = {}) {
+    this.meta = meta;
+    this.events = [];
+    this._lastT = 0;
+  }
+
+  push(timeMs, lane, down) {
+    const t = Math.round((Number(timeMs) || 0) * 10);
+    this.events.push(t - this._lastT, (lane | 0) * 2 + (down ? 1 : 0));
+    this._lastT = t;
+  }
+
+  finish(result = null) {
+    const settings = {};
+    for (const k of RECORDED_SETTINGS) {
+      if (this.meta.settings && this.meta.settings[k] != null) settings[k] = this.meta.settings[k];
+    }
+    return {
+      v: REPLAY_VERSION,
+      trackId: this.meta.trackId || null,
+      difficulty: this.meta.difficulty || null,
+      chartHash: this.meta.chartHash || null,
+      startAtMs: Math.max(0, Number(this.meta.startAtMs) || 0),
+      recordedAt: new Date().toISOString(),
+      name: this.meta.name || "",
+      latencyMs: Number(this.meta.latencyMs) || 0,
+      keys: Array.isArray(this.meta.keys) ? this.meta.keys.slice() : ["D", "F", "J", "K"],
+      judgeProfile: this.meta.judgeProfile || "standard",
+      health: this.meta.health || null,
+      mods: this.meta.mods || null,
+      settings,
+      events: this.events.slice(),
+      result
+    };
+  }
+}
+
+/** Expand the packed event list into time-ordered { t, lane, down } objects. */
+export function decodeReplayEvents(replay) {
+  const src = Array.isArray(replay?.events) ? replay.events : [];
+  const out = [];
+  let t = 0;
+  for (let i = 0; i + 1 < src.length; i += 2) {
+    t += Number(src[i]) || 0;
+    const code = src[i + 1] | 0;
+    out.push({ t: t / 10, lane: code >> 1, down: (code & 1) === 1 });
+  }
+  return out;
+}
+
+/** Throws on replays we can't play back; returns the replay otherwise. */
+export function assertReplay(replay) {
+  if (!replay || typeof replay !== "object") throw new Error("Replay is not an object");
+  if (replay.v !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${replay.v}`);
+  if (!Array.isArray(replay.events) || replay.events.length % 2 !== 0) throw new Error("Replay events are malformed");
+  return replay;
+}
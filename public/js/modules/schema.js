@@ -0,0 +1,281 @@
+// public/js/modules/schema.js
+// Versioned schemas for track documents: manifest.json, chart JSON and vfx.json.
+// Pure module (no DOM) so the server, the editor and the game check files the same way.
+//
+// Every validator returns { ok, version, errors, warnings }. An issue looks like
+//   { path: "notes[12].lane", index: 12, field: "lane", reason: "must be an integer 0-3 (got 7)" }
+// Errors mean the document can't be used; warnings are things the loaders already tolerate.
+// Documents without `schemaVersion` are read as the oldest version of their kind.
+
+export const SCHEMA_VERSIONS = Object.freeze({ manifest: 1, chart: 1, vfx: 2 });
+
+export const CHART_LANES = 4;       // lanes of a chart that doesn't say
+export const CHART_LANES_MAX = 10;
+export const PLAYABLE_LANES = 4;    // what the game can play; other widths only open in the editor
+export const TRACK_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+export const DIFFICULTY_RE = /^[A-Za-z0-9_-]{1,24}$/;
+
+const AUDIO_KEYS = ["wav", "mp3", "ogg"];
+const BPM_MAX = 1000;
+const METER_MAX = 16;
+const SV_MAX = 10;
+
+/** manifest.json: { trackId, title, artist?, bpm?, audio: { wav|mp3|ogg }, charts: { [diff]: url }, cover? } */
+export function validateManifest(doc) {
+  const v = new Issues();
+  if (!isObject(doc)) return v.fatal("", "must be an object");
+  const version = v.version(doc, "manifest");
+
+  if (typeof doc.trackId !== "string" || !TRACK_ID_RE.test(doc.trackId)) {
+    v.error("trackId", "must be 1-64 letters, digits, _ or -");
+  }
+  if (typeof doc.title !== "string" || !doc.title.trim()) v.error("title", "is required");
+  if (doc.artist != null && typeof doc.artist !== "string") v.warn("artist", "should be a string");
+  if (doc.bpm != null) v.bpm("bpm", doc.bpm);
+
+  if (!isObject(doc.audio)) {
+    v.error("audio", `must be an object with one of ${AUDIO_KEYS.join("/")}`);
+  } else if (!AUDIO_KEYS.some(k => isUrl(doc.audio[k]))) {
+    v.error("audio", "needs a wav, mp3 or ogg URL");
+  }
+
+  if (doc.charts == null) {
+    v.warn("charts", "is missing (track has no playable difficulties)");
+  } else if (!isObject(doc.charts)) {
+    v.error("charts", "must be an object of difficulty -> chart URL");
+  } else {
+    for (const [diff, url] of Object.entries(doc.charts)) {
+      if (!DIFFICULTY_RE.test(diff)) v.error(`charts.${diff}`, "is not a valid difficulty name");
+      else if (!isUrl(url)) v.error(`charts.${diff}`, "must be a chart URL");
+    }
+  }
+  if (doc.cover != null && !isUrl(doc.cover)) v.warn("cover", "should be an image URL");
+  return v.result(version);
+}
+
+/**
+ * Chart JSON: { lanes?, bpm?, durationMs?, notes: [{ tMs, lane, dMs? }], timingPoints?, scrollVelocities? }
+ * opts.maxNotes caps the note count (uploads); opts.playable also requires PLAYABLE_LANES lanes (the
+ * game, publish and the catalog). Other keys are ignored so runtime fields can ride along.
+ */
+export function validateChart(doc, opts = {}) {
+  const v = new Issues();
+  if (!isObject(doc)) return v.fatal("", "must be an object");
+  const version = v.version(doc, "chart");
+
+  let lanes = doc.lanes == null ? CHART_LANES : Number(doc.lanes);
+  if (!Number.isInteger(lanes) || lanes < 1 || lanes > CHART_LANES_MAX) {
+    v.error("lanes", `must be an integer 1-${CHART_LANES_MAX} (got ${show(doc.lanes)})`);
+    lanes = CHART_LANES_MAX; // still check the notes against the widest chart
+  } else if (opts.playable && lanes !== PLAYABLE_LANES) {
+    v.error("lanes", `must be ${PLAYABLE_LANES} to play (got ${lanes}; other widths can only be edited for now)`);
+  }
+  if (doc.bpm != null) v.bpm("bpm", doc.bpm);
+  if (doc.durationMs != null && !(Number(doc.durationMs) >= 0)) {
+    v.error("durationMs", `must be a number >= 0 (got ${show(doc.durationMs)})`);
+  }
+
+  if (!Array.isArray(doc.notes)) {
+    v.error("notes", "must be an array");
+  } else {
+    const maxNotes = Number(opts.maxNotes) || Infinity;
+    if (doc.notes.length > maxNotes) v.error("notes", `has ${doc.notes.length} notes (max ${maxNotes})`);
+    const seen = new Set();
+    doc.notes.forEach((n, i) => {
+      if (!isObject(n)) { v.error("notes", "must be an object", i); return; }
+      const tMs = n.tMs;
+      if (typeof tMs !== "number" || !Number.isFinite(tMs) || tMs < 0) {
+        v.error("notes", `must be a number >= 0 (got ${show(tMs)})`, i, "tMs");
+      }
+      if (!Number.isInteger(n.lane) || n.lane < 0 || n.lane >= lanes) {
+        v.error("notes", `must be an integer 0-${lanes - 1} (got ${show(n.lane)})`, i, "lane");
+      }
+      if (n.dMs != null && (typeof n.dMs !== "number" || !Number.isFinite(n.dMs) || n.dMs < 0)) {
+        v.error("notes", `must be a number >= 0 (got ${show(n.dMs)})`, i, "dMs");
+      }
+      const key = `${Math.round(Number(tMs))}|${n.lane}`;
+      if (Number.isFinite(tMs) && seen.has(key)) v.warn("notes", `stacks on another note in lane ${n.lane} at ${Math.round(tMs)}ms`, i);
+      seen.add(key);
+    });
+  }
+
+  if (doc.timingPoints != null) {
+    if (!Array.isArray(doc.timingPoints)) v.error("timingPoints", "must be an array");
+    else doc.timingPoints.forEach((p, i) => {
+      if (!isObject(p)) { v.error("timingPoints", "must be an object", i); return; }
+      v.time("timingPoints", p.time, i);
+      v.bpm("timingPoints", p.bpm, i);
+      if (p.meter != null && !(Number.isInteger(p.meter) && p.meter >= 1 && p.meter <= METER_MAX)) {
+        v.warn("timingPoints", `should be an integer 1-${METER_MAX} (got ${show(p.meter)})`, i, "meter");
+      }
+    });
+  }
+  if (doc.scrollVelocities != null) {
+    if (!Array.isArray(doc.scrollVelocities)) v.error("scrollVelocities", "must be an array");
+    else doc.scrollVelocities.forEach((s, i) => {
+      if (!isObject(s)) { v.error("scrollVelocities", "must be an object", i); return; }
+      v.time("scrollVelocities", s.time, i);
+      const m = s.multiplier;
+      if (typeof m !== "number" || !Number.isFinite(m)) {
+        v.error("scrollVelocities", `must be a number (got ${show(m)})`, i, "multiplier");
+      } else if (m < 0 || m > SV_MAX) {
+        v.warn("scrollVelocities", `is clamped to 0-${SV_MAX} (got ${m})`, i, "multiplier");
+      }
+    });
+  }
+  return v.result(version);
+}
+
+/**
+ * vfx.json. v2: { schemaVersion: 2, byDifficulty: { [diff]: set }, vfx?: set }.
+ * v1 (legacy): { vfx: set } or a bare set. A set is { properties, keyframes: { [prop]: [{ time, value, easing? }] } }.
+ */
+export function validateVfx(doc) {
+  const v = new Issues();
+  if (!isObject(doc)) return v.fatal("", "must be an object");
+  const version = v.version(doc, "vfx");
+
+  if (doc.byDifficulty != null) {
+    if (!isObject(doc.byDifficulty)) v.error("byDifficulty", "must be an object of difficulty -> VFX set");
+    else for (const [diff, set] of Object.entries(doc.byDifficulty)) {
+      if (!DIFFICULTY_RE.test(diff)) v.error(`byDifficulty.${diff}`, "is not a valid difficulty name");
+      else checkVfxSet(v, set, `byDifficulty.${diff}`);
+    }
+    if (doc.vfx != null) checkVfxSet(v, doc.vfx, "vfx");
+  } else if (doc.vfx != null) {
+    checkVfxSet(v, doc.vfx, "vfx");
+  } else if (doc.properties != null || doc.keyframes != null) {
+    checkVfxSet(v, doc, "");
+  } else {
+    v.error("", "has no byDifficulty, vfx or properties");
+  }
+  return v.result(version);
+}
+
+/** Validate a single VFX set ({ properties, keyframes }). */
+export function validateVfxSet(set) {
+  const v = new Issues();
+  checkVfxSet(v, set, "");
+  return v.result(SCHEMA_VERSIONS.vfx);
+}
+
+/** One line per issue, e.g. "notes[12].lane: must be an integer 0-3 (got 7)"; long lists are cut at `max`. */
+export function formatSchemaErrors(issues, max = 8) {
+  const list = Array.isArray(issues) ? issues : [];
+  const lines = list.slice(0, max).map(e => e.message);
+  if (list.length > max) lines.push(`…and ${list.length - max} more`);
+  return lines.join("\n");
+}
+
+function checkVfxSet(v, set, at) {
+  const p = (k) => (at ? `${at}.${k}` : k);
+  if (!isObject(set)) { v.error(at || "", "must be an object"); return; }
+  const props = set.properties ?? set.props;
+  if (props == null) v.warn(p("properties"), "is missing (defaults are used)");
+  else if (!isObject(props)) v.error(p("properties"), "must be an object");
+  else {
+    for (const group of ["background", "camera", "notes", "lanes"]) {
+      if (props[group] != null && !isObject(props[group])) v.error(p(`properties.${group}`), "must be an object");
+    }
+    if (props.notes?.colors != null && !Array.isArray(props.notes.colors)) {
+      v.error(p("properties.notes.colors"), "must be an array of colors");
+    }
+    if (props.overlays != null && !Array.isArray(props.overlays)) {
+      v.error(p("properties.overlays"), "must be an array of overlay elements");
+    }
+    if (props.post != null && !isObject(props.post)) {
+      v.error(p("properties.post"), "must be an object of post-processing strengths");
+    }
+    if (props.triggers != null && !Array.isArray(props.triggers)) {
+      v.error(p("properties.triggers"), "must be an array of trigger rules");
+    }
+  }
+  if (set.keyframes == null) return;
+  if (!isObject(set.keyframes)) { v.error(p("keyframes"), "must be an object of property -> keyframes"); return; }
+  for (const [prop, list] of Object.entries(set.keyframes)) {
+    const at2 = p(`keyframes.${prop}`);
+    if (!Array.isArray(list)) { v.error(at2, "must be an array"); continue; }
+    list.forEach((k, i) => {
+      if (!isObject(k)) { v.error(at2, "must be an object", i); return; }
+      v.time(at2, k.time, i);
+      if (k.value === undefined) v.error(at2, "is required", i, "value");
+      if (k.easing != null && typeof k.easing !== "string") v.warn(at2, "should be a string like \"quad:inOut\"", i, "easing");
+    });
+  }
+}
+
+// Collects issues with paths built the same way everywhere
+class Issues {
+  constructor() {
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  error(path, reason, index, field) { this._push(this.errors, path, reason, index, field); }
+  warn(path, reason, index, field) { this._push(this.warnings, path, reason, index, field); }
+
+  _push(list, path, reason, index, field) {
+    let full = path || "";
+    if (index != null) full += `[${index}]`;
+    if (field) full += `.${field}`;
+    list.push({
+      path: full,
+      index: index ?? null,
+      field: field || (index == null ? lastSegment(path) : null),
+      reason,
+      message: full ? `${full}: ${reason}` : reason
+    });
+  }
+
+  fatal(path, reason) {
+    this.error(path, reason);
+    return this.result(null);
+  }
+
+  version(doc, kind) {
+    const current = SCHEMA_VERSIONS[kind];
+    if (doc.schemaVersion == null) return 1;
+    const n = Number(doc.schemaVersion);
+    if (!Number.isInteger(n) || n < 1) {
+      this.error("schemaVersion", `must be a positive integer (got ${show(doc.schemaVersion)})`);
+      return null;
+    }
+    if (n > current) this.error("schemaVersion", `${n} is newer than this build supports (${current})`);
+    return n;
+  }
+
+  bpm(path, value, index) {
+    if (typeof value !== "number" || !Number.isFinite(value) || value <= 0 || value > BPM_MAX) {
+      this.error(path, `must be a number above 0 and at most ${BPM_MAX} (got ${show(value)})`, index, index != null ? "bpm" : undefined);
+    }
+  }
+
+  time(path, value, index) {
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      this.error(path, `must be a number >= 0 (got ${show(value)})`, index, "time");
+    }
+  }
+
+  result(version) {
+    return { ok: this.errors.length === 0, version, errors: this.errors, warnings: this.warnings };
+  }
+}
+
+function isObject(x) {
+  return !!x && typeof x === "object" && !Array.isArray(x);
+}
+
+function isUrl(x) {
+  return typeof x === "string" && x.trim().length > 0;
+}
+
+function lastSegment(path) {
+  const s = String(path || "");
+  return s.slice(s.lastIndexOf(".") + 1) || null;
+}
+
+function show(x) {
+  if (x === undefined) return "nothing";
+  if (typeof x === "string") return JSON.stringify(x.length > 24 ? x.slice(0, 24) + "…" : x);
+  try { return JSON.stringify(x)?.slice(0, 32) ?? String(x); } catch { return String(x); }
+}
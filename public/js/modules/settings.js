@@ -1,11 +1,16 @@
 // public/js/modules/settings.js
 import { AudioPlayer } from "./audio.js";
+import { DEFAULT_JUDGE_PROFILE, judgeProfileName } from "./judge.js";
+
+// Performance test: below this best-case FPS the device counts as low-end (game minFps default)
+const LOW_END_FPS = 50;
 
 export class Settings {
   constructor() {
     this.name = "";
     this.latencyMs = 0;
     this.keys = ["D","F","J","K"];
+    this.judgeProfile = DEFAULT_JUDGE_PROFILE; // lenient | standard | strict
   this.volume = 1; // 0..1 master
 
   // Performance
@@ -13,6 +18,8 @@ export class Settings {
   this.renderScale = 1.0; // 0.5 .. 2
     // Optional: disable background warm-preload for very low-end devices
     this.disableWarmPreload = false;
+    // Chart post-processing shaders (blur, bloom, vignette, ...); off on low-end hardware
+    this.postFx = true;
 
     // Small, shared audio helper (routes through a master Gain)
     this._ap = new AudioPlayer();
@@ -46,10 +53,12 @@ export class Settings {
       name: this.name,
       latencyMs: this.latencyMs,
       keys: [...this.keys],
+      judgeProfile: this.judgeProfile,
       volume: this.volume,
       maxFps: this.maxFps,
       renderScale: this.renderScale,
-      disableWarmPreload: this.disableWarmPreload
+      disableWarmPreload: this.disableWarmPreload,
+      postFx: this.postFx
     };
 
     // Persist button may be on the page chrome
@@ -78,20 +87,24 @@ export class Settings {
       this.name = name || "";
       this.latencyMs = isFiniteNumber(s.latencyMs) ? s.latencyMs : this.latencyMs;
       this.keys = Array.isArray(s.keys) && s.keys.length ? s.keys : this.keys;
+      this.judgeProfile = judgeProfileName(s.judgeProfile);
       this.volume = isFiniteNumber(s.volume) ? clamp01(s.volume) : this.volume;
       this.maxFps = isFiniteNumber(s.maxFps) ? Math.max(0, Math.floor(s.maxFps)) : this.maxFps;
       this.renderScale = isFiniteNumber(s.renderScale) ? Math.max(0.5, Math.min(2, s.renderScale)) : this.renderScale;
   this.disableWarmPreload = Boolean(s.disableWarmPreload);
+      this.postFx = s.postFx !== false;
 
       // Update persisted snapshot baseline
       this._persisted = {
         name: this.name,
         latencyMs: this.latencyMs,
         keys: [...this.keys],
+        judgeProfile: this.judgeProfile,
         volume: this.volume,
         maxFps: this.maxFps,
         renderScale: this.renderScale,
-        disableWarmPreload: this.disableWarmPreload
+        disableWarmPreload: this.disableWarmPreload,
+        postFx: this.postFx
       };
     } catch {}
 
@@ -99,16 +112,19 @@ export class Settings {
     const $name = qs("#set-name");
     const $lat  = qs("#set-latency");
     const $keys = qs("#set-keys");
+    const $judge = qs("#set-judge");
   const $vol  = qs("#set-volume");
   const $volLabel = qs("#set-volume-label");
   const $maxfps = qs("#set-maxfps");
   const $renderScale = qs("#set-render-scale");
   const $renderScaleLabel = qs("#set-render-scale-label");
   const $warm = qs("#set-disable-warm-preload");
+  const $postFx = qs("#set-postfx");
 
     if ($name) $name.value = this.name || "";
     if ($lat)  $lat.value = this.latencyMs;
     if ($keys) $keys.value = (this.keys || []).join(",");
+    if ($judge) $judge.value = this.judgeProfile;
 
     // Volume range is 0..100 in HTML → map to 0..1 internally
     if ($vol) {
@@ -134,6 +150,12 @@ export class Settings {
         this.disableWarmPreload = !!$warm.checked;
       });
     }
+    if ($postFx) {
+      $postFx.checked = !!this.postFx;
+      $postFx.addEventListener("change", () => {
+        this.postFx = !!$postFx.checked;
+      });
+    }
 
 
     // Performance UI
@@ -170,6 +192,8 @@ export class Settings {
     qs("#set-perf-reset")?.addEventListener("click", () => {
       this.maxFps = 120;
       this.renderScale = 1.0;
+      this.postFx = true;
+      const $postFx = qs("#set-postfx"); if ($postFx) $postFx.checked = true;
       const $maxfps = qs("#set-maxfps");
       const $renderScale = qs("#set-render-scale");
       const $renderScaleLabel = qs("#set-render-scale-label");
@@ -178,7 +202,7 @@ export class Settings {
       if ($renderScaleLabel) $renderScaleLabel.textContent = `${this.renderScale.toFixed(1)}x`;
       window.dispatchEvent(new CustomEvent("pf-maxfps-changed", { detail: { maxFps: this.maxFps } }));
       window.dispatchEvent(new CustomEvent("pf-render-scale-changed", { detail: { renderScale: this.renderScale } }));
-      this._setPerfStatus("Reset to defaults (Max FPS 120, Render Scale 1.0x)");
+      this._setPerfStatus("Reset to defaults (Max FPS 120, Render Scale 1.0x, post-processing on)");
     });
   qs("#set-perf-test")?.addEventListener("click", () => this._runPerfTest());
   qs("#set-perf-apply")?.addEventListener("click", () => this._applySuggestedPerf());
@@ -308,7 +332,15 @@ export class Settings {
       .map(r=>`(${r.cap===0?'∞':r.cap}, ${r.rs.toFixed(1)}x → ${r.fps} FPS)`).join(' • ');
     this._perfSuggestion = { maxFps: best.cap, renderScale: best.rs };
     const applyBtn = qs('#set-perf-apply'); if (applyBtn) applyBtn.disabled = false;
-    this._setPerfStatus(`${summary}${results.length>8?' …':''} Suggested → Max FPS ${humanCap}, Render ${best.rs.toFixed(1)}x (${best.fps} FPS).`);
+    // Low-end: nothing reaches the game's minimum frame rate, so shader post FX would only make it worse
+    const lowEnd = results.length > 0 && Math.max(...results.map(r => r.fps)) < LOW_END_FPS;
+    let postFxNote = '';
+    if (lowEnd && this.postFx) {
+      this.postFx = false;
+      const $postFx = qs('#set-postfx'); if ($postFx) $postFx.checked = false;
+      postFxNote = ' Low-end hardware: post-processing effects turned off (Save to keep).';
+    }
+    this._setPerfStatus(`${summary}${results.length>8?' …':''} Suggested → Max FPS ${humanCap}, Render ${best.rs.toFixed(1)}x (${best.fps} FPS).${postFxNote}`);
   }
 
   _applySuggestedPerf() {
@@ -418,6 +450,7 @@ export class Settings {
     const $name = qs("#set-name");
     const $lat  = qs("#set-latency");
     const $keys = qs("#set-keys");
+    const $judge = qs("#set-judge");
     const $vol  = qs("#set-volume");
   const $warm = qs("#set-disable-warm-preload");
 
@@ -428,19 +461,23 @@ export class Settings {
       .map(s => s.trim().toUpperCase())
       .filter(Boolean)
       .slice(0, 4);
+    this.judgeProfile = judgeProfileName($judge?.value || this.judgeProfile);
   this.volume = clamp01(((Number($vol?.value) || 100) / 100));
   this.maxFps = Math.max(0, Math.floor(Number(qs("#set-maxfps")?.value || this.maxFps)));
   this.renderScale = Math.max(0.5, Math.min(2, Number(qs("#set-render-scale")?.value || this.renderScale)));
   this.disableWarmPreload = !!($warm?.checked);
+  this.postFx = qs("#set-postfx")?.checked ?? this.postFx;
 
     const payload = {
       name: this.name,
       latencyMs: this.latencyMs,
       keys: this.keys,
+      judgeProfile: this.judgeProfile,
       volume: this.volume,
       maxFps: this.maxFps,
       renderScale: this.renderScale,
-      disableWarmPreload: this.disableWarmPreload
+      disableWarmPreload: this.disableWarmPreload,
+      postFx: this.postFx
     };
     localStorage.setItem("pf-settings", JSON.stringify(payload));
 
@@ -459,19 +496,23 @@ export class Settings {
     const $name = qs('#set-name');
     const $lat  = qs('#set-latency');
     const $keys = qs('#set-keys');
+    const $judge = qs('#set-judge');
     const $vol  = qs('#set-volume');
     const $max  = qs('#set-maxfps');
     const $rs   = qs('#set-render-scale');
   const $warm = qs('#set-disable-warm-preload');
+    const $postFx = qs('#set-postfx');
     const name = ($name?.value || '').trim();
     const latencyMs = parseInt($lat?.value || '0', 10) || 0;
     const keys = (($keys?.value || '').trim() || 'D,F,J,K')
       .split(',').map(s=>s.trim().toUpperCase()).filter(Boolean).slice(0,4);
+    const judgeProfile = judgeProfileName($judge?.value || this.judgeProfile);
     const volume = clamp01(((Number($vol?.value) || Math.round(this.volume*100)) / 100));
     const maxFps = Math.max(0, Math.floor(Number($max?.value || this.maxFps)));
     const renderScale = Math.max(0.5, Math.min(2, Number($rs?.value || this.renderScale)));
     const disableWarmPreload = !!($warm?.checked);
-    return { name, latencyMs, keys, volume, maxFps, renderScale, disableWarmPreload };
+    const postFx = $postFx ? !!$postFx.checked : this.postFx;
+    return { name, latencyMs, keys, judgeProfile, volume, maxFps, renderScale, disableWarmPreload, postFx };
   }
 
   _hasUnsavedChanges() {
@@ -485,11 +526,13 @@ export class Settings {
       const ck = Array.isArray(cur.keys) ? cur.keys.map(s=>String(s).toUpperCase()) : [];
       if (pk.length !== ck.length) return true;
       for (let i=0;i<ck.length;i++){ if (ck[i] !== pk[i]) return true; }
+      if ((cur.judgeProfile || '') !== (p.judgeProfile || '')) return true;
       // compare volume with small tolerance
       if (Math.abs(Number(cur.volume||0) - Number(p.volume||0)) > 0.005) return true;
       if ((cur.maxFps|0) !== (p.maxFps|0)) return true;
       if (Math.abs(Number(cur.renderScale||0) - Number(p.renderScale||0)) > 0.0001) return true;
       if (!!cur.disableWarmPreload !== !!p.disableWarmPreload) return true;
+      if ((cur.postFx !== false) !== (p.postFx !== false)) return true;
       return false;
     } catch {
       return false;
@@ -499,7 +542,7 @@ export class Settings {
   // Simple getters for other modules
   getName(){ return this.name; }
   getVolumes(){ return { master: this.volume }; }
-  getPerformance(){ return { maxFps: this.maxFps, renderScale: this.renderScale }; }
+  getPerformance(){ return { maxFps: this.maxFps, renderScale: this.renderScale, postFx: this.postFx }; }
 
   // ----------------- Latency Test -----------------
   async _startLatencyTest() {
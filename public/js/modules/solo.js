@@ -1,4 +1,14 @@
 // public/js/modules/solo.js
+import { normalizeMods, modsLabel, isRankedMods } from "./mods.js";
+import { ratingStars } from "./difficulty.js";
+
+// Note speed choices offered in the mods row
+const SPEED_CHOICES = [0.5, 0.75, 1, 1.25, 1.5, 2, 2.5, 3, 4];
+// Song rate (practice) choices
+const RATE_CHOICES = [0.5, 0.6, 0.7, 0.75, 0.8, 0.9, 1, 1.1, 1.2, 1.25, 1.3, 1.4, 1.5];
+// Shortest practice loop (matches the game's minimum window)
+const LOOP_MIN_MS = 1000;
+
 export class Solo {
   constructor(settings) {
     this.settings = settings || {};
@@ -9,7 +19,6 @@ export class Solo {
 
     // caches & refs
     this._els = {};
-    this._chartCache = new Map(); // key: `${trackId}::${diff}` -> chart json
     this._topCache = new Map();   // key: `${trackId}::${diff}` -> top row or null
     this._observer = null;        // IntersectionObserver for lazy covers
 
@@ -31,6 +40,16 @@ export class Solo {
       this._lastPick = saved && typeof saved === "object" ? saved : null;
     } catch { this._lastPick = null; }
 
+    // modifiers picked in the preview panel (persisted across visits)
+    try {
+      this.mods = normalizeMods(JSON.parse(localStorage.getItem("pf:mods") || "null") || {});
+    } catch { this.mods = normalizeMods(); }
+    // No-fail is a life gauge option, not a mod, but it is picked (and unranks the run) the same way
+    try { this.noFail = localStorage.getItem("pf:noFail") === "1"; } catch { this.noFail = false; }
+
+    // practice loop points for the selected chart: { startMs, endMs? } (B unset while picking)
+    this._loop = null;
+
     // listen for volume changes from Settings
     this._onVolChanged = (e) => {
       const v = clamp01(Number((e && e.detail && e.detail.volume) != null ? e.detail.volume : this._readSavedVolume()));
@@ -117,6 +136,14 @@ export class Solo {
     if (this._handlers.onKeyDown) {
       window.removeEventListener("keydown", this._handlers.onKeyDown);
     }
+    if (this._els.mods && this._handlers.onModsChange) {
+      this._els.mods.removeEventListener("change", this._handlers.onModsChange);
+    }
+    if (this._handlers.onLoopBarClick) {
+      this._els.loopBar?.removeEventListener("click", this._handlers.onLoopBarClick);
+      this._els.loopStart?.removeEventListener("click", this._handlers.onLoopStart);
+      this._els.loopClear?.removeEventListener("click", this._handlers.onLoopClear);
+    }
 
     // Stop gamepad loop
     this._gpRunning = false;
@@ -187,6 +214,8 @@ export class Solo {
       if (!this._handlers.onPreviewClick) this._handlers.onPreviewClick = () => this._togglePreviewAudio();
       this._els.previewBtn.removeEventListener("click", this._handlers.onPreviewClick);
       this._els.previewBtn.addEventListener("click", this._handlers.onPreviewClick);
+      this._bindModsUi();
+      this._bindPracticeUi();
       return;
     }
 
@@ -242,6 +271,45 @@ export class Solo {
         <div id="tp-top">Top: —</div>
       </div>
 
+      <div id="tp-mods" role="group" aria-label="Modifiers"
+           style="display:flex;gap:10px;flex-wrap:wrap;align-items:center;margin-top:10px;">
+        <span class="muted">Mods:</span>
+        <label><input type="checkbox" data-mod="mirror"> Mirror</label>
+        <label><input type="checkbox" data-mod="random"> Random</label>
+        <label><input type="checkbox" data-mod="hidden"> Hidden</label>
+        <label><input type="checkbox" data-mod="sudden"> Sudden</label>
+        <label>Speed
+          <select data-mod="speed">
+            ${SPEED_CHOICES.map(v => `<option value="${v}">${v}x</option>`).join("")}
+          </select>
+        </label>
+        <label>Rate
+          <select data-mod="rate">
+            ${RATE_CHOICES.map(v => `<option value="${v}">${v}x</option>`).join("")}
+          </select>
+        </label>
+        <label><input type="checkbox" data-mod="keepPitch"> Keep pitch</label>
+        <label title="The life gauge can't fail the run; the score isn't posted"><input type="checkbox" data-run="noFail"> No fail</label>
+        <span id="tp-mods-note" class="muted" style="opacity:.8;"></span>
+      </div>
+
+      <div id="tp-practice" style="margin-top:12px;">
+        <div style="display:flex;justify-content:space-between;gap:8px;">
+          <span class="muted">Practice loop</span>
+          <span id="tp-loop-label" class="muted" style="opacity:.8;"></span>
+        </div>
+        <div id="tp-loop-bar" title="Click to set A, click again to set B"
+             style="position:relative;height:14px;margin-top:4px;border-radius:7px;background:#1b2335;border:1px solid #2a3142;cursor:pointer;overflow:hidden;">
+          <div id="tp-loop-range" style="position:absolute;top:0;bottom:0;background:rgba(25,205,208,.35);display:none;"></div>
+          <div id="tp-loop-a" style="position:absolute;top:0;bottom:0;width:2px;background:#19cdd0;display:none;"></div>
+          <div id="tp-loop-b" style="position:absolute;top:0;bottom:0;width:2px;background:#19cdd0;display:none;"></div>
+        </div>
+        <div style="display:flex;gap:8px;margin-top:6px;">
+          <button id="tp-loop-start" class="ghost" type="button" disabled>Practice A–B</button>
+          <button id="tp-loop-clear" class="ghost" type="button">Clear</button>
+        </div>
+      </div>
+
       <div id="tp-actions" style="display:flex;gap:8px;margin-top:10px;">
         <button id="tp-preview" class="ghost" type="button">Preview 10s</button>
       </div>
@@ -257,6 +325,110 @@ export class Solo {
     if (!this._handlers.onPreviewClick) this._handlers.onPreviewClick = () => this._togglePreviewAudio();
     this._els.previewBtn.removeEventListener("click", this._handlers.onPreviewClick);
     this._els.previewBtn.addEventListener("click", this._handlers.onPreviewClick);
+    this._bindModsUi();
+    this._bindPracticeUi();
+  }
+
+  // A/B loop picker on the song bar: first click sets A, second sets B, a third starts over
+  _bindPracticeUi() {
+    const { loopBar, loopStart, loopClear } = this._els;
+    if (!loopBar) return;
+    if (!this._handlers.onLoopBarClick) {
+      this._handlers.onLoopBarClick = (e) => {
+        const durMs = this._practiceDurationMs();
+        if (!durMs) { this._inlineError("Choose a difficulty first."); return; }
+        const rect = loopBar.getBoundingClientRect();
+        const ms = Math.round(clamp01((e.clientX - rect.left) / (rect.width || 1)) * durMs);
+        if (!this._loop || this._loop.endMs != null) {
+          this._loop = { startMs: ms };
+        } else {
+          const a = Math.min(this._loop.startMs, ms), b = Math.max(this._loop.startMs, ms);
+          this._loop = { startMs: a, endMs: Math.max(b, Math.min(durMs, a + LOOP_MIN_MS)) };
+        }
+        this._renderLoopUi();
+      };
+      this._handlers.onLoopStart = () => this._startSelected({ practice: true });
+      this._handlers.onLoopClear = () => { this._loop = null; this._renderLoopUi(); };
+    }
+    loopBar.removeEventListener("click", this._handlers.onLoopBarClick);
+    loopBar.addEventListener("click", this._handlers.onLoopBarClick);
+    loopStart?.removeEventListener("click", this._handlers.onLoopStart);
+    loopStart?.addEventListener("click", this._handlers.onLoopStart);
+    loopClear?.removeEventListener("click", this._handlers.onLoopClear);
+    loopClear?.addEventListener("click", this._handlers.onLoopClear);
+    this._renderLoopUi();
+  }
+
+  _renderLoopUi() {
+    const { loopRange, loopA, loopB, loopLabel, loopStart } = this._els;
+    if (!loopRange) return;
+    const durMs = this._practiceDurationMs();
+    const pct = (ms) => `${(clamp01(ms / (durMs || 1)) * 100).toFixed(2)}%`;
+    const loop = durMs ? this._loop : null;
+    const ready = !!(loop && loop.endMs != null && this.selectedDiff);
+
+    loopA.style.display = loop ? "block" : "none";
+    if (loop) loopA.style.left = pct(loop.startMs);
+    loopB.style.display = loop?.endMs != null ? "block" : "none";
+    loopRange.style.display = loop?.endMs != null ? "block" : "none";
+    if (loop?.endMs != null) {
+      loopB.style.left = pct(loop.endMs);
+      loopRange.style.left = pct(loop.startMs);
+      loopRange.style.width = `${(clamp01((loop.endMs - loop.startMs) / (durMs || 1)) * 100).toFixed(2)}%`;
+    }
+
+    loopLabel.textContent = !durMs ? ""
+      : !loop ? "Click the bar to set A"
+      : loop.endMs == null ? `A ${formatDuration(loop.startMs)} • click to set B`
+      : `A ${formatDuration(loop.startMs)} → B ${formatDuration(loop.endMs)}`;
+    loopStart.disabled = !ready;
+  }
+
+  // Song length for the loop bar: the selected chart's duration (from /api/tracks stats), else the track's
+  _practiceDurationMs() {
+    const track = this.selected;
+    if (!track || !this.selectedDiff) return 0;
+    return Number(track.stats?.[this.selectedDiff]?.durationMs || track.durationMs) || 0;
+  }
+
+  // Reflect this.mods in the mods row and keep it in sync (the panel outlives Solo instances, so rebind)
+  _bindModsUi() {
+    const wrap = this._els.mods;
+    if (!wrap) return;
+    this._syncModsUi();
+    if (!this._handlers.onModsChange) {
+      this._handlers.onModsChange = (e) => {
+        if (e.target?.dataset?.run === "noFail") {
+          this.noFail = !!e.target.checked;
+          try { localStorage.setItem("pf:noFail", this.noFail ? "1" : "0"); } catch {}
+          this._syncModsUi();
+          return;
+        }
+        const key = e.target?.dataset?.mod;
+        if (!key) return;
+        const next = { ...this.mods, [key]: e.target.tagName === "SELECT" ? Number(e.target.value) : !!e.target.checked };
+        this.mods = normalizeMods(next);
+        try { localStorage.setItem("pf:mods", JSON.stringify(this.mods)); } catch {}
+        this._syncModsUi();
+      };
+    }
+    wrap.removeEventListener("change", this._handlers.onModsChange);
+    wrap.addEventListener("change", this._handlers.onModsChange);
+  }
+
+  _syncModsUi() {
+    const wrap = this._els.mods;
+    if (!wrap) return;
+    wrap.querySelectorAll("input[data-mod]").forEach(el => { el.checked = !!this.mods[el.dataset.mod]; });
+    wrap.querySelectorAll("select[data-mod]").forEach(el => { el.value = String(this.mods[el.dataset.mod]); });
+    // pitch only matters when the rate is changed
+    const pitch = wrap.querySelector('input[data-mod="keepPitch"]');
+    if (pitch) pitch.disabled = this.mods.rate === 1;
+    const noFail = wrap.querySelector('input[data-run="noFail"]');
+    if (noFail) noFail.checked = this.noFail;
+    const note = wrap.querySelector("#tp-mods-note");
+    const picks = [...(isRankedMods(this.mods) ? [] : [modsLabel(this.mods)]), ...(this.noFail ? ["No fail"] : [])];
+    if (note) note.textContent = picks.length ? `${picks.join(" + ")} • unranked` : "";
   }
 
   _cachePreviewRefs(preview) {
@@ -269,6 +441,15 @@ export class Solo {
     // stats (Top only)
     this._els.stats = preview.querySelector("#tp-stats");
     this._els.top = preview.querySelector("#tp-top");
+    this._els.mods = preview.querySelector("#tp-mods");
+    // practice loop
+    this._els.loopBar = preview.querySelector("#tp-loop-bar");
+    this._els.loopRange = preview.querySelector("#tp-loop-range");
+    this._els.loopA = preview.querySelector("#tp-loop-a");
+    this._els.loopB = preview.querySelector("#tp-loop-b");
+    this._els.loopLabel = preview.querySelector("#tp-loop-label");
+    this._els.loopStart = preview.querySelector("#tp-loop-start");
+    this._els.loopClear = preview.querySelector("#tp-loop-clear");
     // actions
     this._els.previewBtn = preview.querySelector("#tp-preview");
     this._els.playBtn = document.getElementById("btn-play-solo");
@@ -377,6 +558,7 @@ export class Solo {
 
     // state
     this.selected = track;
+    this._loop = null;
 
     // preview cover
     this._els.cover.style.visibility = "hidden";
@@ -407,6 +589,7 @@ export class Solo {
 
     // render pills (and optionally activate default)
     this._renderDiffPills(track, diffs, { activate: auto, defaultKey: def });
+    this._renderLoopUi();
 
     // Top teaser if we have an active diff
     if (auto && def) this._updateTop(track, def);
@@ -439,11 +622,11 @@ export class Solo {
       btn.type = "button";
       btn.setAttribute("role", "option");
       btn.setAttribute("aria-label", `${d} difficulty`);
-      btn.textContent = cap(d);
+      const rating = track.stats?.[d]?.rating;
+      btn.textContent = rating ? `${cap(d)} ${Number(rating).toFixed(1)}` : cap(d);
 
       Object.assign(btn.style, pillStyle());
-      btn.addEventListener("mouseenter", () => this._ensureDiffHint(track, d, btn));
-      btn.addEventListener("focus", () => this._ensureDiffHint(track, d, btn));
+      btn.title = diffHintText(track, d);
       btn.addEventListener("click", async (e) => {
         e.stopPropagation();
         await this._setDiff(track, d, btn);
@@ -460,6 +643,7 @@ export class Solo {
       this.selectedDiff = null;
       this._els.playBtn.disabled = true;
       this._els.top.textContent = "Top: —";
+      this._renderLoopUi();
     }
   }
 
@@ -473,8 +657,9 @@ export class Solo {
     this.selectedDiff = diff;
     this._els.playBtn.disabled = false;
 
-    // preload chart + hint
-    this._ensureDiffHint(track, diff, btn);
+    // loop points belong to one chart
+    this._loop = null;
+    this._renderLoopUi();
 
     // Top for this selection
     this._updateTop(track, diff);
@@ -487,37 +672,17 @@ export class Solo {
     if (!silent) this._els.playBtn.focus({ preventScroll: true });
   }
 
-  async _ensureDiffHint(track, diff, btn) {
-    const key = `${track.trackId || track.title}::${diff}`;
-    if (!this._chartCache.has(key)) {
-      const url = track?.charts?.[diff];
-      if (!url) return;
-      try {
-        const chart = await fetch(url).then(r => r.json());
-        this._chartCache.set(key, chart);
-      } catch { /* ignore */ }
-    }
-
-    const chart = this._chartCache.get(key);
-    if (chart && !btn.title) {
-      const n = Array.isArray(chart.notes) ? chart.notes.length : 0;
-      const durMs = chart.durationMs || track.durationMs || 0;
-      const nps = durMs ? (n / (durMs / 1000)) : 0;
-      const stars = starText(nps);
-      btn.title = `${cap(diff)} • ~${n} notes • ~${nps.toFixed(2)} NPS ${stars ? "• " + stars : ""}`;
-    }
-  }
-
   // ---------- Leaderboard Top-only ----------
   async _updateTop(track, diff) {
-    const key = `${track.trackId || track.title}::${diff}`;
+    const judge = this.settings?.judgeProfile || "standard";
+    const key = `${track.trackId || track.title}::${diff}::${judge}`;
 
     // Reset UI quickly while fetching
     if (this._els.top) this._els.top.textContent = "Top: —";
 
     if (!this._topCache.has(key)) {
       try {
-        const urlTop = `/api/leaderboard/${encodeURIComponent(track.trackId || track.title)}?limit=1&diff=${encodeURIComponent(diff)}`;
+        const urlTop = `/api/leaderboard/${encodeURIComponent(track.trackId || track.title)}?limit=1&diff=${encodeURIComponent(diff)}&judge=${encodeURIComponent(judge)}`;
         const rowsTop = await fetch(urlTop).then(r => r.json());
         const topRow = Array.isArray(rowsTop) && rowsTop.length ? rowsTop[0] : null;
         this._topCache.set(key, topRow);
@@ -530,9 +695,11 @@ export class Solo {
   }
 
   // ---------- Actions ----------
-  async _startSelected() {
+  async _startSelected({ practice = false } = {}) {
     if (!this.selected) { this._inlineError("Pick a track first."); return; }
     if (!this.selectedDiff) { this._inlineError("Choose a difficulty."); return; }
+    const loop = practice ? this._loop : null;
+    if (practice && loop?.endMs == null) { this._inlineError("Set A and B on the practice bar."); return; }
 
     const play = this._els.playBtn;
     play.disabled = true;
@@ -543,7 +710,7 @@ export class Solo {
       const chartUrl = this.selected.charts[diff];
       const chart = await fetch(chartUrl).then(r => r.json());
 
-      chart.audioUrl = this.selected.audio?.wav || this.selected.audio?.mp3;
+      chart.audioUrl = this.selected.audio?.wav || this.selected.audio?.mp3 || this.selected.audio?.ogg;
       chart.title = this.selected.title;
       chart.bpm = this.selected.bpm;
       chart.difficulty = diff;
@@ -562,7 +729,11 @@ export class Solo {
       } catch {}
 
       if (typeof window.PF_startGame === "function") {
-        PF_startGame({ mode: "solo", manifest: chart, allowExit: false, difficulty: diff, byDifficulty });
+        PF_startGame({
+          mode: "solo", manifest: chart, allowExit: false, difficulty: diff, byDifficulty, mods: { ...this.mods },
+          ...(this.noFail ? { noFail: true } : {}),
+          ...(loop ? { practice: { startMs: loop.startMs, endMs: loop.endMs }, autoSubmit: false } : {})
+        });
       }
     } catch (e) {
       console.error(e);
@@ -584,7 +755,7 @@ export class Solo {
       return;
     }
 
-    const url = (this.selected.audio && (this.selected.audio.mp3 || this.selected.audio.wav)) || "";
+    const url = (this.selected.audio && (this.selected.audio.mp3 || this.selected.audio.wav || this.selected.audio.ogg)) || "";
     if (!url) return;
 
     try {
@@ -723,6 +894,8 @@ export class Solo {
     this._els.diffWrap.innerHTML = "";
     this._els.top.textContent = "Top: —";
     this._els.playBtn.style.display = "none";
+    this._loop = null;
+    this._renderLoopUi();
     document.querySelectorAll("#track-list .track").forEach(el => {
       el.classList.remove("sel");
       el.setAttribute("aria-selected", "false");
@@ -800,15 +973,14 @@ function formatDuration(ms) {
   const r = s % 60;
   return `${m}:${r.toString().padStart(2, "0")}`;
 }
-function starText(nps) {
-  if (!nps) return "";
-  const stars =
-    nps < 1.5 ? 1 :
-    nps < 3.0 ? 2 :
-    nps < 4.5 ? 3 :
-    nps < 6.0 ? 4 :
-    nps < 8.0 ? 5 : 6;
-  return "★".repeat(stars);
+// Pill tooltip from the catalog's per-difficulty stats (rating from difficulty.js)
+function diffHintText(track, diff) {
+  const st = track?.stats?.[diff];
+  if (!st) return `${cap(diff)} difficulty`;
+  const holds = st.holds ? ` (${st.holds} holds)` : "";
+  const peak = st.peak ? ` • hardest at ${formatDuration(st.peak.startMs)}${st.peak.pattern ? ` (${st.peak.pattern})` : ""}` : "";
+  return `${cap(diff)} • rating ${Number(st.rating || 0).toFixed(2)} ${ratingStars(st.rating)}\n`
+    + `${st.notes} notes${holds} • ${Number(st.nps).toFixed(2)} NPS • peak ${st.peakNps}/s${peak}`;
 }
 function pillStyle() {
   return {
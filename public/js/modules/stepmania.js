@@ -0,0 +1,295 @@
+// public/js/modules/stepmania.js
+// StepMania simfile (.sm / .ssc) import. Pure module (no DOM).
+//
+// importSimfile(text, { lanes? }) -> {
+//   meta: { title, artist, music, offsetSec },
+//   charts: { [difficulty]: chart },               // one PulseForge chart per playable #NOTES block
+//                                                  // (each keeps its own width; non-4-key keys get "-6k" etc.
+//                                                  // and are editor-only until the game plays other widths)
+//   report: { dropped: { mines, lifts, fakes, early }, rolls, skipped: [{ difficulty, stepsType, reason }], warnings }
+// }
+// Timing: #BPMS -> timingPoints; a #STOPS / #DELAYS pause becomes a scroll-velocity 0 span plus a
+// timing point where the beat grid resumes. Holds and rolls become dMs.
+
+import { CHART_LANES, CHART_LANES_MAX, PLAYABLE_LANES } from "./schema.js";
+
+// Columns per steps type (anything else falls back to the note row width)
+const STEPS_LANES = {
+  "dance-single": 4, "dance-solo": 6, "dance-double": 8, "dance-couple": 8,
+  "pump-single": 5, "pump-halfdouble": 6, "pump-double": 10, "kb7-single": 7
+};
+
+// SM difficulty names -> PulseForge difficulty keys
+const DIFF_NAMES = {
+  beginner: "beginner", easy: "easy", medium: "normal", hard: "hard", challenge: "expert", edit: "edit"
+};
+
+const TAIL_PAD_MS = 2000;
+const BEAT_EPS = 1e-6;
+
+/**
+ * Parse a simfile into PulseForge charts; throws when nothing in it can be read.
+ * opts.lanes keeps only blocks of that width; by default every width up to CHART_LANES_MAX is imported.
+ */
+export function importSimfile(text, opts = {}) {
+  const lanes = Number(opts.lanes) || 0;
+  const { header, blocks } = readSimfile(String(text || ""));
+  if (!blocks.length) throw new Error("No #NOTES found in this simfile.");
+
+  const meta = {
+    title: header.TITLE || "",
+    artist: header.ARTIST || "",
+    music: header.MUSIC || "",
+    offsetSec: Number(header.OFFSET) || 0
+  };
+  const report = { dropped: { mines: 0, lifts: 0, fakes: 0, early: 0 }, rolls: 0, skipped: [], warnings: [] };
+  const charts = {};
+
+  for (const block of blocks) {
+    const label = `${block.difficulty || "?"} (${block.stepsType || "unknown"})`;
+    const width = STEPS_LANES[block.stepsType] || rowWidth(block.notes);
+    if (lanes ? width !== lanes : !(width >= 1 && width <= CHART_LANES_MAX)) {
+      const reason = lanes ? `${width}-key chart; only ${lanes}-key charts were asked for` : `${width}-key chart; PulseForge charts have at most ${CHART_LANES_MAX} lanes`;
+      report.skipped.push({ difficulty: block.difficulty, stepsType: block.stepsType, reason });
+      continue;
+    }
+    if (/&/.test(block.notes)) report.warnings.push(`${label}: routine (multi-player) data after the first part ignored`);
+
+    // .ssc charts may carry their own timing; otherwise the song's
+    const timing = readTiming({
+      OFFSET: block.OFFSET ?? header.OFFSET,
+      BPMS: block.BPMS ?? header.BPMS,
+      STOPS: block.STOPS ?? header.STOPS ?? header.FREEZES,
+      DELAYS: block.DELAYS ?? header.DELAYS,
+      WARPS: block.WARPS ?? header.WARPS
+    }, label, report);
+    if (!timing) continue;
+
+    const chart = buildChart(block.notes, width, timing, label, report);
+    const key = uniqueKey(charts, width === CHART_LANES ? diffKey(block) : `${diffKey(block)}-${width}k`);
+    charts[key] = chart;
+    if (width !== PLAYABLE_LANES) {
+      report.warnings.push(`${key}: ${width}-key chart is editor-only (Solo and Test in Game play ${PLAYABLE_LANES} lanes)`);
+    }
+  }
+
+  if (!Object.keys(charts).length) {
+    const why = report.skipped.map(s => `${s.difficulty}: ${s.reason}`).join("; ");
+    throw new Error(`No ${lanes ? `${lanes}-key ` : ""}charts to import${why ? ` (${why})` : ""}.`);
+  }
+  return { meta, charts, report };
+}
+
+/** One-paragraph summary of what was dropped/skipped, for alerts and help text. */
+export function simfileReportText(report) {
+  const parts = [];
+  const d = report?.dropped || {};
+  if (d.mines) parts.push(`${d.mines} mine(s) dropped`);
+  if (d.lifts) parts.push(`${d.lifts} lift(s) dropped`);
+  if (d.fakes) parts.push(`${d.fakes} fake note(s) dropped`);
+  if (d.early) parts.push(`${d.early} note(s) before the song start dropped`);
+  if (report?.rolls) parts.push(`${report.rolls} roll(s) imported as holds`);
+  for (const s of report?.skipped || []) parts.push(`skipped ${s.difficulty} ${s.stepsType}: ${s.reason}`);
+  for (const w of report?.warnings || []) parts.push(w);
+  return parts.join("\n");
+}
+
+// ---------- reading ----------
+
+// Tags in file order. .sm: every #NOTES holds its own metadata (6 colon fields).
+// .ssc: #NOTEDATA starts a chart and the tags after it belong to that chart.
+function readSimfile(src) {
+  const clean = src.replace(/^﻿/, "").replace(/\/\/[^\n]*/g, "");
+  const header = {};
+  const blocks = [];
+  let cur = null;
+  const re = /#([A-Za-z0-9]+):([^;]*);/g;
+  let m;
+  while ((m = re.exec(clean))) {
+    const tag = m[1].toUpperCase();
+    const value = m[2];
+    if (tag === "NOTEDATA") {
+      cur = { stepsType: "", difficulty: "", meter: null, description: "", notes: "" };
+      blocks.push(cur);
+      continue;
+    }
+    if (tag === "NOTES" || tag === "NOTES2") {
+      if (cur) { cur.notes = value; continue; }
+      const f = value.split(":");
+      if (f.length < 6) continue;
+      blocks.push({
+        stepsType: f[0].trim().toLowerCase(),
+        description: f[1].trim(),
+        difficulty: f[2].trim(),
+        meter: Number(f[3]) || null,
+        notes: f.slice(5).join(":")
+      });
+      continue;
+    }
+    if (cur) {
+      if (tag === "STEPSTYPE") cur.stepsType = value.trim().toLowerCase();
+      else if (tag === "DIFFICULTY") cur.difficulty = value.trim();
+      else if (tag === "METER") cur.meter = Number(value) || null;
+      else if (tag === "DESCRIPTION") cur.description = value.trim();
+      else cur[tag] = value.trim();
+    } else {
+      header[tag] = value.trim();
+    }
+  }
+  return { header, blocks: blocks.filter(b => b.notes && b.notes.trim()) };
+}
+
+function readTiming(tags, label, report) {
+  const bpms = pairs(tags.BPMS).filter(p => p.value > 0).map(p => ({ beat: p.beat, bpm: p.value }));
+  if (!bpms.length) {
+    report.skipped.push({ difficulty: label, stepsType: "", reason: "no valid #BPMS" });
+    return null;
+  }
+  bpms.sort((a, b) => a.beat - b.beat);
+  const pauses = [
+    ...pairs(tags.STOPS).map(p => ({ beat: p.beat, ms: p.value * 1000, delay: false })),
+    ...pairs(tags.DELAYS).map(p => ({ beat: p.beat, ms: p.value * 1000, delay: true }))
+  ].filter(p => {
+    if (p.ms > 0) return true;
+    if (p.ms < 0) report.warnings.push(`${label}: negative stop at beat ${p.beat} ignored`);
+    return false;
+  }).sort((a, b) => a.beat - b.beat);
+  if (pairs(tags.WARPS).length) report.warnings.push(`${label}: #WARPS are not supported; timing after a warp will be off`);
+  return { offsetMs: (Number(tags.OFFSET) || 0) * 1000, bpms, pauses };
+}
+
+// "beat=value,beat=value"
+function pairs(s) {
+  if (!s) return [];
+  return String(s).split(",").map(part => {
+    const [b, v] = part.split("=");
+    return { beat: Number(b), value: Number(v) };
+  }).filter(p => Number.isFinite(p.beat) && Number.isFinite(p.value));
+}
+
+// ---------- timing ----------
+
+// Song time (ms) of a beat. Stops count once passed (a note on a stop's beat is hit before it);
+// delays count on their own beat (the note waits for the delay).
+function timeAtBeat(timing, beat) {
+  const { bpms, pauses } = timing;
+  let t = -timing.offsetMs;
+  if (beat < bpms[0].beat) t += (beat - bpms[0].beat) * 60000 / bpms[0].bpm;
+  for (let i = 0; i < bpms.length; i++) {
+    const from = bpms[i].beat;
+    if (beat <= from) break;
+    const to = Math.min(beat, i + 1 < bpms.length ? bpms[i + 1].beat : Infinity);
+    t += (to - from) * 60000 / bpms[i].bpm;
+  }
+  for (const p of pauses) {
+    if (p.delay ? p.beat <= beat + BEAT_EPS : p.beat < beat - BEAT_EPS) t += p.ms;
+    else if (p.beat > beat) break;
+  }
+  return t;
+}
+
+function bpmAtBeat(timing, beat) {
+  let bpm = timing.bpms[0].bpm;
+  for (const p of timing.bpms) { if (p.beat <= beat + BEAT_EPS) bpm = p.bpm; else break; }
+  return bpm;
+}
+
+// Tempo map + SV for the chart: BPM changes, and for each pause an SV 0 span and a re-anchored grid
+function timingData(timing) {
+  const points = timing.bpms.map(p => ({ time: timeAtBeat(timing, p.beat), bpm: p.bpm, meter: 4 }));
+  const sv = [];
+  for (const p of timing.pauses) {
+    const start = p.delay ? timeAtBeat(timing, p.beat) - p.ms : timeAtBeat(timing, p.beat);
+    sv.push({ time: start, multiplier: 0 }, { time: start + p.ms, multiplier: 1 });
+    points.push({ time: start + p.ms, bpm: bpmAtBeat(timing, p.beat), meter: 4 });
+  }
+  points.sort((a, b) => a.time - b.time);
+  // The grid may start before 0 (positive #OFFSET); move its anchor forward by whole beats
+  if (points[0].time < 0) {
+    const beatMs = 60000 / points[0].bpm;
+    points[0].time += Math.ceil(-points[0].time / beatMs) * beatMs;
+  }
+  const timingPoints = points
+    .filter((p, i) => p.time >= 0 && (i === 0 || p.time > points[0].time))
+    .map(p => ({ time: round3(p.time), bpm: p.bpm, meter: p.meter }));
+  const scrollVelocities = sv.filter(s => s.time >= 0).map(s => ({ time: round3(s.time), multiplier: s.multiplier }));
+  return { timingPoints, scrollVelocities };
+}
+
+// ---------- notes ----------
+
+function buildChart(data, width, timing, label, report) {
+  const notes = [];
+  const openHeads = new Array(width).fill(null);
+  const measures = String(data).split("&")[0].split(",");
+  measures.forEach((measure, mi) => {
+    const rows = measure.split(/\r?\n/).map(r => r.trim()).filter(r => r.length >= width);
+    rows.forEach((row, ri) => {
+      const beat = mi * 4 + (4 * ri) / rows.length;
+      for (let c = 0; c < width; c++) {
+        const ch = row[c].toUpperCase();
+        if (ch === "0") continue;
+        if (ch === "1") notes.push({ beat, lane: c });
+        else if (ch === "2" || ch === "4") {
+          if (openHeads[c]) notes.push({ beat: openHeads[c].beat, lane: c }); // unterminated hold -> tap
+          openHeads[c] = { beat, roll: ch === "4" };
+        } else if (ch === "3") {
+          const head = openHeads[c];
+          if (!head) continue;
+          notes.push({ beat: head.beat, lane: c, endBeat: beat });
+          if (head.roll) report.rolls++;
+          openHeads[c] = null;
+        } else if (ch === "M") report.dropped.mines++;
+        else if (ch === "L") report.dropped.lifts++;
+        else if (ch === "F") report.dropped.fakes++;
+        else notes.push({ beat, lane: c }); // keysounded/unknown taps ("K", etc.)
+      }
+    });
+  });
+  openHeads.forEach((head, c) => {
+    if (!head) return;
+    notes.push({ beat: head.beat, lane: c });
+    report.warnings.push(`${label}: hold in lane ${c + 1} never ends; imported as a tap`);
+  });
+
+  const out = [];
+  for (const n of notes) {
+    const tMs = timeAtBeat(timing, n.beat);
+    if (tMs < 0) { report.dropped.early++; continue; }
+    const note = { tMs: round3(tMs), lane: n.lane };
+    if (n.endBeat != null) {
+      const dMs = timeAtBeat(timing, n.endBeat) - tMs;
+      if (dMs > 0) note.dMs = round3(dMs);
+    }
+    out.push(note);
+  }
+  out.sort((a, b) => (a.tMs - b.tMs) || (a.lane - b.lane));
+
+  const { timingPoints, scrollVelocities } = timingData(timing);
+  const lastEnd = out.reduce((m, n) => Math.max(m, n.tMs + (n.dMs || 0)), 0);
+  const chart = { bpm: timing.bpms[0].bpm, lanes: width, durationMs: Math.ceil(lastEnd + TAIL_PAD_MS), notes: out };
+  if (timingPoints.length > 1 || timingPoints[0]?.time > 0) chart.timingPoints = timingPoints;
+  if (scrollVelocities.length) chart.scrollVelocities = scrollVelocities;
+  return chart;
+}
+
+function rowWidth(data) {
+  const row = String(data).split(/\r?\n/).map(r => r.trim()).find(r => /^[0-9A-Za-z]+$/.test(r));
+  return row ? row.length : 0;
+}
+
+function diffKey(block) {
+  const name = String(block.difficulty || "").trim().toLowerCase();
+  return DIFF_NAMES[name] || (name.replace(/[^a-z0-9_-]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 20) || "chart");
+}
+
+function uniqueKey(taken, key) {
+  if (!taken[key]) return key;
+  let i = 2;
+  while (taken[`${key}-${i}`]) i++;
+  return `${key}-${i}`;
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
@@ -0,0 +1,289 @@
+// public/js/modules/tempo.js
+// Onset detection and BPM / first-beat estimation for a decoded song.
+//
+// 1. Onset envelope: spectral flux (log-magnitude increase per bin) every HOP_MS.
+// 2. Onsets: local maxima of the envelope above a moving average.
+// 3. Tempo: autocorrelation of the envelope picks candidate beat lengths; each is refined by
+//    sweeping the BPM and measuring how strongly the envelope repeats at it (weighted toward
+//    ~120 BPM), and the phase of that repetition gives the first beat (the chart offset).
+//
+// analyzeTempo(channels, sampleRate) -> {
+//   candidates: [{ bpm, offsetMs, confidence }],   // best first; confidence 0..1 across candidates
+//   onsets: [ms],                                   // ascending
+//   onsetStrength: [n],                             // envelope height per onset (std devs above mean)
+//   onsetPitch: [0..1],                             // spectral centroid per onset, low -> high
+//   energy: { startMs, hopMs, values },             // loudness per frame, 0..1 of the loudest
+//   durationMs
+// }
+import { fft, hannWindow, mixToMono } from "./fft.js?v=19";
+
+const TARGET_RATE = 22050;   // analysis runs on a downsampled copy
+const FFT_SIZE = 512;
+const HOP_MS = 10;
+const BPM_MIN = 60;
+const BPM_MAX = 240;
+const PRIOR_BPM = 120;        // octave prior: tempos near this are preferred
+const PRIOR_OCTAVES = 1;
+const MAX_CANDIDATES = 3;
+const SEARCH_PEAKS = 6;       // autocorrelation peaks worth refining
+const REFINE_SPAN = 0.03;     // +-3% around each autocorrelation peak
+const REFINE_COARSE = 0.1;    // BPM step of the first sweep
+const REFINE_FINE = 0.01;     // then this step within one coarse step of the best
+const ONSET_WINDOW_MS = 30;   // peak must be the max within this
+const ONSET_AVG_MS = 100;     // and above the mean over this (each side)
+const ONSET_DELTA = 0.35;     // in envelope standard deviations
+const ONSET_GAP_MS = 40;      // minimum spacing between onsets
+const PITCH_LO_HZ = 60;       // onsetPitch 0..1 spans this range (log scale)
+const PITCH_HI_HZ = 8000;
+
+/** Full analysis; channels are Float32Arrays (the first one is overwritten by the mono mix). */
+export function analyzeTempo(channels, sampleRate) {
+  const { samples, rate } = downsample(mixToMono(channels), sampleRate);
+  const env = onsetEnvelope(samples, rate);
+  const durationMs = samples.length / rate * 1000;
+  const energy = { startMs: env.latencyMs, hopMs: env.hopMs, values: env.energy };
+  if (env.values.length < 8) return { candidates: [], onsets: [], onsetStrength: [], onsetPitch: [], energy, durationMs };
+  const frames = pickOnsets(env);
+  return {
+    candidates: tempoCandidates(env),
+    onsets: frames.map(n => Math.round(n * env.hopMs + env.latencyMs)),
+    onsetStrength: frames.map(n => Math.round(env.values[n] * 100) / 100),
+    onsetPitch: frames.map(n => Math.round(env.pitch[Math.min(n + 1, env.pitch.length - 1)] * 1000) / 1000),
+    energy,
+    durationMs
+  };
+}
+
+/** Nearest onset to `ms` within `maxDistMs`, or null. `onsets` must be ascending. */
+export function nearestOnset(onsets, ms, maxDistMs) {
+  if (!Array.isArray(onsets) || !onsets.length) return null;
+  let lo = 0, hi = onsets.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (onsets[mid] < ms) lo = mid + 1;
+    else hi = mid;
+  }
+  let best = onsets[lo];
+  if (lo > 0 && Math.abs(onsets[lo - 1] - ms) < Math.abs(best - ms)) best = onsets[lo - 1];
+  return Math.abs(best - ms) <= maxDistMs ? best : null;
+}
+
+/** Run analyzeTempo in a worker for an AudioBuffer. Resolves to the result; rejects on worker errors. */
+export function analyzeAudioBuffer(buffer) {
+  return new Promise((resolve, reject) => {
+    let worker;
+    try {
+      worker = new Worker(new URL("./tempo.worker.js?v=19", import.meta.url), { type: "module" });
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    worker.onmessage = (e) => {
+      worker.terminate();
+      if (e.data?.error) reject(new Error(e.data.error));
+      else resolve(e.data);
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || "Tempo analysis failed"));
+    };
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c).slice());
+    worker.postMessage({ sampleRate: buffer.sampleRate, channels }, channels.map(ch => ch.buffer));
+  });
+}
+
+// Box-filter decimation to roughly TARGET_RATE (plenty for onsets)
+function downsample(mono, sampleRate) {
+  const factor = Math.max(1, Math.floor(sampleRate / TARGET_RATE));
+  if (factor === 1) return { samples: mono, rate: sampleRate };
+  const out = new Float32Array(Math.floor(mono.length / factor));
+  for (let i = 0, j = 0; i < out.length; i++) {
+    let s = 0;
+    for (let k = 0; k < factor; k++) s += mono[j++];
+    out[i] = s / factor;
+  }
+  return { samples: out, rate: sampleRate / factor };
+}
+
+// Spectral flux, normalized to zero mean / unit variance. values[n] belongs to time n*hopMs + latencyMs.
+// Also per frame: energy (RMS, 0..1 of the loudest) and pitch (log spectral centroid, 0..1).
+function onsetEnvelope(samples, rate) {
+  const hop = Math.max(1, Math.round(rate * HOP_MS / 1000));
+  const frames = Math.max(0, Math.floor((samples.length - FFT_SIZE) / hop) + 1);
+  const bins = FFT_SIZE / 2;
+  const hann = hannWindow(FFT_SIZE);
+  const re = new Float32Array(FFT_SIZE), im = new Float32Array(FFT_SIZE);
+  let prev = new Float32Array(bins), cur = new Float32Array(bins);
+  const values = new Float32Array(frames);
+  const energy = new Float32Array(frames);
+  const pitch = new Float32Array(frames);
+  const binHz = rate / FFT_SIZE;
+  const kLo = Math.max(1, Math.floor(PITCH_LO_HZ / binHz));
+  const kHi = Math.min(bins - 1, Math.ceil(PITCH_HI_HZ / binHz));
+  const logSpan = Math.log2(PITCH_HI_HZ / PITCH_LO_HZ);
+  let loudest = 0;
+  for (let n = 0; n < frames; n++) {
+    const start = n * hop;
+    let sq = 0;
+    for (let i = 0; i < FFT_SIZE; i++) {
+      const v = samples[start + i];
+      sq += v * v;
+      re[i] = v * hann[i];
+      im[i] = 0;
+    }
+    energy[n] = Math.sqrt(sq / FFT_SIZE);
+    if (energy[n] > loudest) loudest = energy[n];
+    fft(re, im);
+    let flux = 0, wSum = 0, mSum = 0;
+    for (let k = 1; k < bins; k++) {
+      const mag = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+      cur[k] = Math.log1p(100 * mag);
+      const d = cur[k] - prev[k];
+      if (d > 0 && n > 0) flux += d;
+      if (k >= kLo && k <= kHi) { wSum += mag * Math.log2(k * binHz / PITCH_LO_HZ); mSum += mag; }
+    }
+    values[n] = flux;
+    pitch[n] = mSum > 0 ? Math.max(0, Math.min(1, wSum / mSum / logSpan)) : 0;
+    const t = prev; prev = cur; cur = t;
+  }
+  normalize(values);
+  if (loudest > 0) for (let n = 0; n < frames; n++) energy[n] /= loudest;
+  // Flux rises once a sound has filled about half the window
+  return { values, energy, pitch, hopMs: hop / rate * 1000, latencyMs: FFT_SIZE / 2 / rate * 1000 };
+}
+
+function normalize(a) {
+  let mean = 0;
+  for (let i = 0; i < a.length; i++) mean += a[i];
+  mean /= a.length || 1;
+  let sd = 0;
+  for (let i = 0; i < a.length; i++) sd += (a[i] - mean) ** 2;
+  sd = Math.sqrt(sd / (a.length || 1)) || 1;
+  for (let i = 0; i < a.length; i++) a[i] = (a[i] - mean) / sd;
+}
+
+// Frame indices of onsets
+function pickOnsets({ values, hopMs }) {
+  const w = Math.max(1, Math.round(ONSET_WINDOW_MS / hopMs));
+  const avgW = Math.max(1, Math.round(ONSET_AVG_MS / hopMs));
+  const gap = ONSET_GAP_MS / hopMs;
+  const out = [];
+  let last = -Infinity;
+  // Running sum for the moving average
+  const prefix = new Float64Array(values.length + 1);
+  for (let i = 0; i < values.length; i++) prefix[i + 1] = prefix[i] + values[i];
+  for (let n = 0; n < values.length; n++) {
+    const v = values[n];
+    if (v <= 0) continue;
+    let isMax = true;
+    for (let k = Math.max(0, n - w); k <= Math.min(values.length - 1, n + w); k++) {
+      if (values[k] > v) { isMax = false; break; }
+    }
+    if (!isMax) continue;
+    const a = Math.max(0, n - avgW), b = Math.min(values.length, n + avgW + 1);
+    const mean = (prefix[b] - prefix[a]) / (b - a);
+    if (v < mean + ONSET_DELTA || n - last < gap) continue;
+    out.push(n);
+    last = n;
+  }
+  return out;
+}
+
+function tempoCandidates(env) {
+  const { values, hopMs } = env;
+  // Half-wave rectified envelope: only rises count
+  const e = new Float32Array(values.length);
+  for (let i = 0; i < e.length; i++) e[i] = Math.max(0, values[i]);
+
+  // Autocorrelation over beat lengths in range, with a log-Gaussian tempo prior
+  const minLag = Math.floor(60000 / BPM_MAX / hopMs);
+  const maxLag = Math.ceil(60000 / BPM_MIN / hopMs);
+  const ac = new Float64Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let s = 0;
+    for (let i = 0; i + lag < e.length; i++) s += e[i] * e[i + lag];
+    ac[lag] = s / Math.max(1, e.length - lag);
+  }
+  const peaks = [];
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (ac[lag] <= 0 || ac[lag] < ac[lag - 1] || ac[lag] < ac[lag + 1]) continue;
+    peaks.push({ bpm: 60000 / (lag * hopMs), ac: ac[lag] });
+  }
+  peaks.sort((a, b) => b.ac - a.ac);
+
+  // Autocorrelation can't tell a tempo from its half (beats also repeat every two beats), but the
+  // Fourier magnitude can: evenly spaced beats cancel out at half the tempo. Rank on that.
+  const refined = [];
+  const add = (bpm) => {
+    if (bpm < BPM_MIN || bpm > BPM_MAX) return;
+    const r = refineTempo(e, env, bpm);
+    if (refined.some(c => Math.abs(c.bpm - r.bpm) / c.bpm < 0.02)) return;
+    const prior = Math.exp(-0.5 * (Math.log2(r.bpm / PRIOR_BPM) / PRIOR_OCTAVES) ** 2);
+    refined.push({ ...r, score: r.strength * prior });
+  };
+  for (const p of peaks.slice(0, SEARCH_PEAKS)) add(p.bpm);
+  refined.sort((a, b) => b.score - a.score);
+  // Always offer the double/half of the winner next (same phase); charts are often written at either
+  const top = refined[0];
+  const octaves = [];
+  if (top) {
+    for (const bpm of [top.bpm * 2, top.bpm / 2]) {
+      if (bpm < BPM_MIN || bpm > BPM_MAX) continue;
+      const at = sweep(e, env.hopMs, bpm, bpm, 1);
+      const prior = Math.exp(-0.5 * (Math.log2(bpm / PRIOR_BPM) / PRIOR_OCTAVES) ** 2);
+      octaves.push({ bpm: tidyBpm(bpm), offsetMs: Math.round(mod(top.offsetMs, 60000 / bpm)), score: Math.sqrt(at.mag) / e.length * prior });
+    }
+  }
+  const rest = refined.filter(c => c !== top && !octaves.some(o => Math.abs(o.bpm - c.bpm) / o.bpm < 0.02));
+
+  const out = [top, ...octaves, ...rest].filter(Boolean).slice(0, MAX_CANDIDATES);
+  const total = out.reduce((s, c) => s + c.score, 0) || 1;
+  return out.map(c => ({ bpm: c.bpm, offsetMs: c.offsetMs, confidence: Math.round(c.score / total * 100) / 100 }));
+}
+
+// Sweep the BPM near `bpm`; the strongest periodicity of the envelope wins, its phase is the offset
+function refineTempo(e, { hopMs, latencyMs }, bpm) {
+  let best = sweep(e, hopMs, bpm * (1 - REFINE_SPAN), bpm * (1 + REFINE_SPAN), REFINE_COARSE);
+  best = sweep(e, hopMs, best.bpm - REFINE_COARSE, best.bpm + REFINE_COARSE, REFINE_FINE);
+  const beatMs = 60000 / best.bpm;
+  const phaseMs = (-Math.atan2(best.im, best.re) / (2 * Math.PI)) * beatMs;
+  let offsetMs = Math.round(mod(phaseMs + latencyMs, beatMs));
+  if (beatMs - offsetMs < 2) offsetMs = 0; // a hair before the next beat is really on it
+  return { bpm: tidyBpm(best.bpm), offsetMs, strength: Math.sqrt(best.mag) / e.length };
+}
+
+// Fourier coefficient of the envelope at each BPM in [lo, hi]; keeps the strongest
+function sweep(e, hopMs, lo, hi, step) {
+  let best = { bpm: lo, mag: -1, re: 0, im: 0 };
+  for (let b = lo; b <= hi + 1e-9; b += step) {
+    const w = 2 * Math.PI * hopMs * b / 60000; // radians per frame
+    let sr = 0, si = 0;
+    // Rotate a unit phasor instead of calling cos/sin per frame
+    const cw = Math.cos(w), sw = Math.sin(w);
+    let c = 1, s = 0;
+    for (let n = 0; n < e.length; n++) {
+      const v = e[n];
+      if (v) { sr += v * c; si -= v * s; }
+      const nc = c * cw - s * sw;
+      s = c * sw + s * cw;
+      c = nc;
+    }
+    const mag = sr * sr + si * si;
+    if (mag > best.mag) best = { bpm: b, mag, re: sr, im: si };
+  }
+  return best;
+}
+
+// Songs are nearly always on a whole (or half) BPM; snap when the estimate is that close
+function tidyBpm(bpm) {
+  const whole = Math.round(bpm);
+  if (Math.abs(bpm - whole) <= 0.06) return whole;
+  const half = Math.round(bpm * 2) / 2;
+  if (Math.abs(bpm - half) <= 0.03) return half;
+  return Math.round(bpm * 100) / 100;
+}
+
+function mod(a, m) {
+  return ((a % m) + m) % m;
+}
@@ -0,0 +1,12 @@
+// public/js/modules/tempo.worker.js
+// One-shot worker for tempo.js: { sampleRate, channels } in, analyzeTempo(...) result (or { error }) out.
+import { analyzeTempo } from "./tempo.js?v=19";
+
+self.onmessage = (e) => {
+  try {
+    const { sampleRate, channels } = e.data || {};
+    self.postMessage(analyzeTempo(channels || [], sampleRate));
+  } catch (err) {
+    self.postMessage({ error: err?.message || String(err) });
+  }
+};
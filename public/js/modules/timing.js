@@ -0,0 +1,207 @@
+// public/js/modules/timing.js
+// Timing-point map and scroll-velocity helpers shared by the editor and the game.
+// A chart may carry `timingPoints: [{ time, bpm, meter }]` (time in ms). Charts that only
+// have a single `bpm` are treated as one implicit point at t=0 so they behave exactly as before.
+// Each timing point restarts the beat/bar phase at its own time (osu!-style red lines).
+
+const DEFAULT_BPM = 120;
+const DEFAULT_METER = 4;
+
+/** Normalized, time-sorted timing points for a chart (never empty). */
+export function getTimingPoints(chart) {
+  const fallbackBpm = clampBpm(chart?.bpm);
+  const src = Array.isArray(chart?.timingPoints) ? chart.timingPoints : [];
+  const out = [];
+  for (const p of src) {
+    if (!p || typeof p !== "object") continue;
+    const time = Number(p.time);
+    const bpm = Number(p.bpm);
+    if (!Number.isFinite(time) || !Number.isFinite(bpm) || bpm <= 0) continue;
+    out.push({ time, bpm: clampBpm(bpm), meter: clampMeter(p.meter) });
+  }
+  if (!out.length) return [{ time: 0, bpm: fallbackBpm, meter: DEFAULT_METER }];
+  out.sort((a, b) => a.time - b.time);
+  // Drop points stacked on the same ms (last one wins)
+  const dedup = [];
+  for (const p of out) {
+    const prev = dedup[dedup.length - 1];
+    if (prev && Math.abs(prev.time - p.time) < 1) dedup[dedup.length - 1] = p;
+    else dedup.push(p);
+  }
+  return dedup;
+}
+
+/** Index of the timing point in effect at `ms` (points before the first one use the first). */
+export function timingPointIndexAt(points, ms) {
+  let lo = 0, hi = points.length - 1, best = 0;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].time <= ms) { best = mid; lo = mid + 1; }
+    else hi = mid - 1;
+  }
+  return best;
+}
+
+export function timingPointAt(points, ms) {
+  return points[timingPointIndexAt(points, ms)];
+}
+
+export function bpmAt(points, ms) {
+  return timingPointAt(points, ms).bpm;
+}
+
+/**
+ * Beat containing `ms`: global integer beat index (monotonic across tempo changes),
+ * the ms where that beat started, its length, and its position in the bar.
+ */
+export function beatInfoAt(points, ms) {
+  const seg = timingPointIndexAt(points, ms);
+  const p = points[seg];
+  const beatMs = 60000 / p.bpm;
+  const local = Math.floor((ms - p.time) / beatMs + 1e-6);
+  const beatInBar = ((local % p.meter) + p.meter) % p.meter;
+  return {
+    index: beatsBefore(points, seg) + local,
+    segment: seg,
+    bpm: p.bpm,
+    meter: p.meter,
+    beatMs,
+    startMs: p.time + local * beatMs,
+    beatInBar,
+    isBar: beatInBar === 0
+  };
+}
+
+/** First beat at or after `ms` (snaps to the next timing point if that comes first). */
+export function nextBeatAtOrAfter(points, ms) {
+  const info = beatInfoAt(points, ms);
+  if (info.startMs >= ms - 1e-6) return { ms: info.startMs, isBar: info.isBar };
+  const next = points[info.segment + 1];
+  const cand = info.startMs + info.beatMs;
+  if (next && cand >= next.time - 1e-6) return { ms: next.time, isBar: true };
+  return { ms: cand, isBar: ((info.beatInBar + 1) % info.meter) === 0 };
+}
+
+/** Snap `ms` to the nearest 1/subdiv beat line of the timing point in effect. */
+export function snapMsToGrid(points, ms, subdiv = 4) {
+  const seg = timingPointIndexAt(points, ms);
+  const p = points[seg];
+  const step = (60000 / p.bpm) / Math.max(1, subdiv);
+  let snapped = p.time + Math.round((ms - p.time) / step) * step;
+  const next = points[seg + 1];
+  // Never snap across a tempo change: the next point's own grid starts there
+  if (next && snapped > next.time) snapped = next.time;
+  return snapped;
+}
+
+/**
+ * Visit every beat line in [startMs, endMs]. `fn(ms, info)` gets the beat start and
+ * { bpm, meter, beatMs, isBar, endMs } where endMs is where that beat's grid stops.
+ */
+export function forEachBeat(points, startMs, endMs, fn) {
+  let cur = nextBeatAtOrAfter(points, startMs);
+  let guard = 0;
+  while (cur.ms <= endMs && guard++ < 20000) {
+    const seg = timingPointIndexAt(points, cur.ms + 1e-6);
+    const p = points[seg];
+    const beatMs = 60000 / p.bpm;
+    const next = points[seg + 1];
+    const beatEnd = next ? Math.min(cur.ms + beatMs, next.time) : cur.ms + beatMs;
+    fn(cur.ms, { bpm: p.bpm, meter: p.meter, beatMs, isBar: cur.isBar, endMs: beatEnd });
+    cur = nextBeatAtOrAfter(points, beatEnd);
+    if (cur.ms <= beatEnd - 1e-6) break;
+  }
+}
+
+/** Copy of timing points / SV segments moved by `deltaMs` (used when a run starts mid-song). */
+export function shiftTimingPoints(points, deltaMs) {
+  return points.map(p => ({ ...p, time: p.time + deltaMs }));
+}
+
+// ===== Scroll velocity (SV) =====
+// `scrollVelocities: [{ time, multiplier }]` scales how fast the playfield scrolls from `time`
+// until the next segment (0 = stop, 2 = double speed). Before the first segment it scrolls at 1x.
+// Note positions come from the integrated scroll distance so heads and hold bodies stay in step.
+
+/** Normalized, time-sorted SV segments (may be empty). */
+export function getScrollVelocities(chart) {
+  const src = Array.isArray(chart?.scrollVelocities) ? chart.scrollVelocities : [];
+  const out = [];
+  for (const s of src) {
+    if (!s || typeof s !== "object") continue;
+    const time = Number(s.time);
+    const multiplier = Number(s.multiplier);
+    if (!Number.isFinite(time) || !Number.isFinite(multiplier)) continue;
+    out.push({ time, multiplier: clampMultiplier(multiplier) });
+  }
+  out.sort((a, b) => a.time - b.time);
+  const dedup = [];
+  for (const s of out) {
+    const prev = dedup[dedup.length - 1];
+    if (prev && Math.abs(prev.time - s.time) < 1) dedup[dedup.length - 1] = s;
+    else dedup.push(s);
+  }
+  return dedup;
+}
+
+/** Precompute cumulative scroll distance at each SV segment start. */
+export function buildScrollMap(chart) {
+  const segs = getScrollVelocities(chart);
+  let pos = segs.length ? segs[0].time : 0;
+  const out = segs.map((s, i) => {
+    if (i > 0) pos += (s.time - segs[i - 1].time) * segs[i - 1].multiplier;
+    return { time: s.time, multiplier: s.multiplier, pos };
+  });
+  return { segments: out };
+}
+
+/** Scroll distance (in "1x ms") at song time `ms`; only differences between two values matter. */
+export function scrollPositionAt(map, ms) {
+  const segs = map?.segments;
+  if (!segs || !segs.length || ms < segs[0].time) return ms;
+  let lo = 0, hi = segs.length - 1, best = 0;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (segs[mid].time <= ms) { best = mid; lo = mid + 1; }
+    else hi = mid - 1;
+  }
+  const s = segs[best];
+  return s.pos + (ms - s.time) * s.multiplier;
+}
+
+/** SV multiplier in effect at `ms` (1 when the chart has none). */
+export function scrollMultiplierAt(segments, ms) {
+  let m = 1;
+  for (const s of segments) {
+    if (s.time > ms) break;
+    m = s.multiplier;
+  }
+  return m;
+}
+
+// Whole beats contained in all segments before `seg` (a partial beat at a tempo change counts as one)
+function beatsBefore(points, seg) {
+  let total = 0;
+  for (let i = 0; i < seg; i++) {
+    const p = points[i];
+    const beatMs = 60000 / p.bpm;
+    total += Math.ceil((points[i + 1].time - p.time) / beatMs - 1e-6);
+  }
+  return total;
+}
+
+function clampBpm(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_BPM;
+  return Math.max(1, Math.min(1000, n));
+}
+
+function clampMultiplier(v) {
+  return Math.max(0, Math.min(10, Number(v) || 0));
+}
+
+function clampMeter(v) {
+  const n = Math.round(Number(v));
+  if (!Number.isFinite(n) || n < 1) return DEFAULT_METER;
+  return Math.min(16, n);
+}
@@ -0,0 +1,142 @@
+// public/js/modules/triggers.js
+// Trigger rules: short VFX pulses fired by the beat or by gameplay events. Shared by the game and the
+// editor. Pure module (no DOM).
+//
+// Rules live in properties.triggers:
+//   [{ id, on, every, lane, target, amount, attackMs, releaseMs }]
+// on:     "beat" (every Nth beat), "note" (each note in `lane` reaching the judge line), "perfect",
+//         "miss", or "combo" (each multiple of `every`)
+// lane:   0-based lane for note/perfect/miss, -1 = any lane
+// target: a numeric VFX property ("camera.z", "lanes.receptorScale.2", "post.bloom", ...); the pulse
+//         adds `amount` (in the target's units) on top of its keyframed value
+// The envelope ramps up over attackMs, then eases back to 0 over releaseMs. A rule that fires again
+// restarts its envelope.
+
+import { parseLaneVfxProperty } from "./lanevfx.js";
+import { postFxSpec } from "./postfx.js";
+
+export const TRIGGER_EVENTS = Object.freeze([
+  { key: "beat",    label: "Every Nth beat" },
+  { key: "note",    label: "Notes in lane" },
+  { key: "perfect", label: "Perfect hits" },
+  { key: "combo",   label: "Combo milestone" },
+  { key: "miss",    label: "Misses" }
+]);
+
+// Fixed numeric targets (per-lane and post-processing properties are accepted too, e.g. a receptor
+// kick on lanes.receptorScale.<lane> or a glow on post.bloom)
+export const TRIGGER_TARGETS = Object.freeze([
+  { prop: "camera.z",        label: "Camera Zoom (Z)", def: 0 },
+  { prop: "camera.rotateZ",  label: "Camera Rotation", def: 0 },
+  { prop: "camera.x",        label: "Camera X",        def: 0 },
+  { prop: "camera.y",        label: "Camera Y",        def: 0 },
+  { prop: "camera.shakeAmp", label: "Camera Shake",    def: 0 },
+  { prop: "lanes.opacity",   label: "Lane Opacity",    def: 100 }
+]);
+
+export const TRIGGER_MAX = 64;
+
+const EVENT_KEYS = new Set(TRIGGER_EVENTS.map(e => e.key));
+const FIXED = new Map(TRIGGER_TARGETS.map(t => [t.prop, t]));
+const ID_RE = /^[A-Za-z][A-Za-z0-9_-]{0,31}$/;
+
+export function isTriggerTarget(prop) {
+  return FIXED.has(prop) || !!parseLaneVfxProperty(prop) || !!postFxSpec(prop);
+}
+
+/** Value a target has when nothing sets it (the pulse is added to this when there is no base value). */
+export function triggerTargetDefault(prop) {
+  return FIXED.get(prop)?.def ?? parseLaneVfxProperty(prop)?.spec.def ?? postFxSpec(prop)?.def ?? 0;
+}
+
+const num = (v, min, max, def) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : def;
+};
+
+/** New rule (a zoom punch on every beat) with an id not used in `list`. */
+export function makeTrigger(list = []) {
+  const used = new Set(list.map(r => r?.id));
+  let n = list.length + 1;
+  while (used.has(`tr${n}`)) n++;
+  return { id: `tr${n}`, on: "beat", every: 1, lane: -1, target: "camera.z", amount: 8, attackMs: 0, releaseMs: 180 };
+}
+
+/** Sanitized copy of a properties.triggers list: unknown events/targets are dropped, numbers clamped. */
+export function normalizeTriggers(list) {
+  const rules = [];
+  if (!Array.isArray(list)) return rules;
+  const ids = new Set();
+  for (const raw of list) {
+    if (rules.length >= TRIGGER_MAX) break;
+    if (!raw || typeof raw !== "object") continue;
+    if (!EVENT_KEYS.has(raw.on) || !isTriggerTarget(raw.target)) continue;
+    const r = makeTrigger(rules);
+    if (typeof raw.id === "string" && ID_RE.test(raw.id) && !ids.has(raw.id)) r.id = raw.id;
+    ids.add(r.id);
+    r.on = raw.on;
+    r.target = raw.target;
+    r.every = Math.round(num(raw.every, 1, 10000, r.on === "combo" ? 50 : 1));
+    r.lane = Math.round(num(raw.lane, -1, 9, -1));
+    r.amount = num(raw.amount, -1000, 1000, 0);
+    r.attackMs = Math.round(num(raw.attackMs, 0, 2000, 0));
+    r.releaseMs = Math.round(num(raw.releaseMs, 10, 5000, 180));
+    rules.push(r);
+  }
+  return rules;
+}
+
+/** Does `rule` fire for this event? lane is the note's lane (note/perfect/miss). */
+export function triggerMatches(rule, event, lane) {
+  if (rule.on !== event) return false;
+  if (event === "note" || event === "perfect" || event === "miss") return rule.lane < 0 || rule.lane === lane;
+  return true;
+}
+
+/** Beat rules fire on beats whose index is a multiple of `every` (beat 0 is the first beat of the song). */
+export function triggerOnBeat(rule, beatIndex) {
+  return rule.on === "beat" && ((beatIndex % rule.every) + rule.every) % rule.every === 0;
+}
+
+/** Combo rules fire when the combo reaches the next multiple of `every`. */
+export function comboMilestoneCrossed(rule, prevCombo, combo) {
+  return rule.on === "combo" && combo > prevCombo && Math.floor(combo / rule.every) > Math.floor(prevCombo / rule.every);
+}
+
+/** 0..1 envelope dtMs after the rule fired (0 before it and after the release). */
+export function triggerEnvelope(rule, dtMs) {
+  if (!(dtMs >= 0)) return 0;
+  if (dtMs < rule.attackMs) return dtMs / rule.attackMs;
+  const k = 1 - (dtMs - rule.attackMs) / rule.releaseMs;
+  return k > 0 ? k * k : 0;
+}
+
+/** Sum of the pulses on `prop` at timeMs; firedAt[i] is when rules[i] last fired (or -Infinity). */
+export function triggerPulse(rules, firedAt, prop, timeMs) {
+  let sum = 0;
+  for (let i = 0; i < rules.length; i++) {
+    if (rules[i].target !== prop) continue;
+    const env = triggerEnvelope(rules[i], timeMs - firedAt[i]);
+    if (env > 0) sum += rules[i].amount * env;
+  }
+  return sum;
+}
+
+/** Short label for the rule list, e.g. "Every 2nd beat → Camera Zoom (Z) +8". */
+export function triggerLabel(rule, targetLabel) {
+  const lane = rule.lane < 0 ? "any lane" : `lane ${rule.lane + 1}`;
+  const when = {
+    beat: rule.every === 1 ? "Every beat" : `Every ${ordinal(rule.every)} beat`,
+    note: `Notes in ${lane}`,
+    perfect: `Perfect (${lane})`,
+    miss: `Miss (${lane})`,
+    combo: `Every ${rule.every} combo`
+  }[rule.on];
+  const amt = (rule.amount >= 0 ? "+" : "") + (Math.round(rule.amount * 100) / 100);
+  return `${when} → ${targetLabel || rule.target} ${amt}`;
+}
+
+function ordinal(n) {
+  const s = n % 100 >= 11 && n % 100 <= 13 ? "th" : ({ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th");
+  return n + s;
+}
@@ -0,0 +1,243 @@
+// public/js/modules/waveform.js
+// Audio column for the chart editor: a waveform or log-frequency spectrogram of the loaded song,
+// scrolling with the lanes. Tiles (TILE_ROWS screen px tall) are computed by waveform.worker.js
+// per zoom level and cached; while a new zoom level is computing, the last complete one is
+// stretched into place so the column never flashes empty.
+
+export const AUDIO_VIEW_MODES = ["off", "waveform", "spectrogram"];
+
+const TILE_ROWS = 512;
+const PREFETCH_TILES = 1;   // extra tiles requested above and below the view
+const MAX_TILES = 64;       // LRU cap across modes and zoom levels
+
+// Spectrogram colors, quiet -> loud
+const SPECTRO_STOPS = [
+  [0, [10, 12, 16]],
+  [0.35, [25, 60, 120]],
+  [0.6, [25, 205, 208]],
+  [0.85, [255, 209, 102]],
+  [1, [255, 255, 255]]
+];
+
+export class WaveformView {
+  constructor() {
+    this.mode = "off";
+    this._worker = null;
+    this._buffer = null;   // AudioBuffer currently loaded into the worker
+    this._id = 0;          // bumps per buffer so late tiles for an old song are dropped
+    this._ready = false;
+    this._tiles = new Map(); // key -> { canvas, mode, zoomKey, startMs, endMs }
+    this._pending = new Set();
+    this._focusKey = null;
+    this._fallbackKey = null; // last zoom level whose visible tiles were all ready
+    this._lut = null;
+  }
+
+  setMode(mode) {
+    this.mode = AUDIO_VIEW_MODES.includes(mode) ? mode : "off";
+    if (this.mode === "off") this._pending.clear();
+  }
+
+  /** Hand the decoded song to the worker (no-op when it's the same buffer). */
+  setBuffer(buffer) {
+    if (buffer === this._buffer) return;
+    this._buffer = buffer;
+    this._id++;
+    this._ready = false;
+    this._tiles.clear();
+    this._pending.clear();
+    this._fallbackKey = null;
+    if (!buffer) return;
+    const worker = this._ensureWorker();
+    if (!worker) return;
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c).slice());
+    worker.postMessage({ type: "audio", id: this._id, sampleRate: buffer.sampleRate, channels }, channels.map(ch => ch.buffer));
+  }
+
+  /**
+   * Draw the column into rect { x, w } between y=16 and y=h-16.
+   * pxPerMs/scrollY are the editor's, so tiles line up with the lanes.
+   */
+  draw(ctx, rect, h, pxPerMs, scrollY) {
+    if (this.mode === "off") return;
+    const { x, w } = rect;
+    const top = 16, bottom = h - 16;
+    ctx.save();
+    ctx.fillStyle = "rgba(255,255,255,0.03)";
+    ctx.strokeStyle = "#2a3142";
+    ctx.lineWidth = 1;
+    roundRectPath(ctx, x, top, w, bottom - top, 8);
+    ctx.fill();
+    ctx.stroke();
+    ctx.font = "10px ui-sans-serif, system-ui";
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#9bb0c9";
+    ctx.fillText(this.mode === "spectrogram" ? "SPEC" : "WAVE", x + w / 2, 12);
+
+    if (!this._buffer || !this._ready) {
+      ctx.fillText(this._buffer ? "…" : "no audio", x + w / 2, top + 16);
+      ctx.restore();
+      return;
+    }
+
+    roundRectPath(ctx, x + 1, top + 1, w - 2, bottom - top - 2, 7);
+    ctx.clip();
+
+    const cols = Math.max(8, Math.floor(w - 4));
+    const msPerPx = 1 / pxPerMs;
+    const zoomKey = `${this.mode}:${cols}:${msPerPx.toFixed(4)}`;
+    if (zoomKey !== this._focusKey) {
+      this._focusKey = zoomKey;
+      // The worker drops queued tiles for other zoom levels, so forget them here too
+      for (const k of this._pending) if (!k.startsWith(`${zoomKey}|`)) this._pending.delete(k);
+      this._worker?.postMessage({ type: "focus", zoomKey });
+    }
+
+    const durMs = this._buffer.duration * 1000;
+    const lastTile = Math.floor(durMs * pxPerMs / TILE_ROWS);
+    const first = Math.max(0, Math.floor(scrollY / TILE_ROWS));
+    const last = Math.min(lastTile, Math.floor((scrollY + h) / TILE_ROWS));
+
+    let complete = true;
+    for (let i = first; i <= last; i++) {
+      if (!this._tiles.has(`${zoomKey}|${i}`)) { complete = false; break; }
+    }
+    if (!complete && this._fallbackKey && this._fallbackKey !== zoomKey) {
+      const startMs = scrollY / pxPerMs, endMs = (scrollY + h) / pxPerMs;
+      for (const t of this._tiles.values()) {
+        if (t.zoomKey !== this._fallbackKey || t.endMs < startMs || t.startMs > endMs) continue;
+        const y0 = t.startMs * pxPerMs - scrollY;
+        const y1 = t.endMs * pxPerMs - scrollY;
+        ctx.drawImage(t.canvas, x + 2, y0, w - 4, y1 - y0);
+      }
+    }
+
+    for (let i = first - PREFETCH_TILES; i <= last + PREFETCH_TILES; i++) {
+      if (i < 0 || i > lastTile) continue;
+      const key = `${zoomKey}|${i}`;
+      const tile = this._tiles.get(key);
+      if (tile) {
+        if (i >= first && i <= last) {
+          // Refresh LRU position
+          this._tiles.delete(key);
+          this._tiles.set(key, tile);
+          ctx.drawImage(tile.canvas, x + 2, Math.floor(i * TILE_ROWS - scrollY), cols, TILE_ROWS);
+        }
+      } else if (!this._pending.has(key)) {
+        this._pending.add(key);
+        this._worker.postMessage({ type: "tile", id: this._id, key, zoomKey, mode: this.mode, msPerPx, index: i, rows: TILE_ROWS, cols });
+      }
+    }
+    if (complete) this._fallbackKey = zoomKey;
+    ctx.restore();
+  }
+
+  dispose() {
+    try { this._worker?.terminate(); } catch {}
+    this._worker = null;
+    this._buffer = null;
+    this._tiles.clear();
+    this._pending.clear();
+  }
+
+  _ensureWorker() {
+    if (this._worker) return this._worker;
+    try {
+      this._worker = new Worker(new URL("./waveform.worker.js?v=19", import.meta.url), { type: "module" });
+      this._worker.onmessage = (e) => this._onMessage(e.data || {});
+      this._worker.onerror = (e) => console.warn("[PF] waveform worker error:", e.message || e);
+    } catch (e) {
+      console.warn("[PF] waveform worker unavailable:", e);
+      this._worker = null;
+    }
+    return this._worker;
+  }
+
+  _onMessage(msg) {
+    if (msg.id !== this._id) return;
+    if (msg.type === "ready") { this._ready = true; return; }
+    if (msg.type !== "tile") return;
+    this._pending.delete(msg.key);
+    const [zoomKey, idx] = msg.key.split("|");
+    const index = Number(idx);
+    const msPerPx = Number(zoomKey.split(":")[2]);
+    const canvas = msg.mode === "spectrogram"
+      ? this._paintSpectrogram(msg.data, msg.rows, msg.cols)
+      : paintWaveform(msg.data, msg.rows, msg.cols);
+    this._tiles.set(msg.key, {
+      canvas,
+      mode: msg.mode,
+      zoomKey,
+      startMs: index * msg.rows * msPerPx,
+      endMs: (index + 1) * msg.rows * msPerPx
+    });
+    while (this._tiles.size > MAX_TILES) this._tiles.delete(this._tiles.keys().next().value);
+  }
+
+  _paintSpectrogram(data, rows, cols) {
+    if (!this._lut) this._lut = buildLut(SPECTRO_STOPS);
+    const canvas = document.createElement("canvas");
+    canvas.width = cols;
+    canvas.height = rows;
+    const g = canvas.getContext("2d");
+    const img = g.createImageData(cols, rows);
+    const px = img.data;
+    for (let i = 0; i < data.length; i++) {
+      const v = data[i];
+      const o = i * 4;
+      px[o] = this._lut[v * 3];
+      px[o + 1] = this._lut[v * 3 + 1];
+      px[o + 2] = this._lut[v * 3 + 2];
+      px[o + 3] = v < 8 ? v * 24 : 255; // let the column background show through silence
+    }
+    g.putImageData(img, 0, 0);
+    return canvas;
+  }
+}
+
+// Symmetric min/max envelope with a brighter RMS core, centred in the column
+function paintWaveform(data, rows, cols) {
+  const canvas = document.createElement("canvas");
+  canvas.width = cols;
+  canvas.height = rows;
+  const g = canvas.getContext("2d");
+  const half = cols / 2;
+  g.fillStyle = "rgba(25,205,208,0.45)";
+  for (let r = 0; r < rows; r++) {
+    const lo = data[r * 3], hi = data[r * 3 + 1];
+    if (lo === 0 && hi === 0) continue;
+    const x0 = half + lo * half, x1 = half + hi * half;
+    g.fillRect(x0, r, Math.max(1, x1 - x0), 1);
+  }
+  g.fillStyle = "rgba(37,244,238,0.9)";
+  for (let r = 0; r < rows; r++) {
+    const rms = data[r * 3 + 2];
+    if (!rms) continue;
+    g.fillRect(half - rms * half, r, Math.max(1, rms * cols), 1);
+  }
+  return canvas;
+}
+
+function buildLut(stops) {
+  const lut = new Uint8Array(256 * 3);
+  for (let v = 0; v < 256; v++) {
+    const t = v / 255;
+    let i = 1;
+    while (i < stops.length - 1 && stops[i][0] < t) i++;
+    const [t0, c0] = stops[i - 1], [t1, c1] = stops[i];
+    const k = Math.max(0, Math.min(1, (t - t0) / (t1 - t0)));
+    for (let c = 0; c < 3; c++) lut[v * 3 + c] = Math.round(c0[c] + (c1[c] - c0[c]) * k);
+  }
+  return lut;
+}
+
+function roundRectPath(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
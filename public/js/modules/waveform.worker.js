@@ -0,0 +1,150 @@
+// public/js/modules/waveform.worker.js
+// Renders tiles for the editor's audio column off the main thread.
+//
+// Messages in:
+//   { type: "audio", id, sampleRate, channels: [Float32Array] }   (channels are transferred; mixed to mono here)
+//   { type: "tile", id, key, zoomKey, mode, msPerPx, index, rows, cols }
+//   { type: "focus", zoomKey }                                    (drop queued tiles for other zoom levels)
+// Messages out:
+//   { type: "ready", id, durationMs }
+//   { type: "tile", id, key, mode, rows, cols, data }
+//     waveform: Float32Array rows*3 (min, max, rms per row, normalized to the song's peak)
+//     spectrogram: Uint8Array rows*cols (0..255 per log-frequency bin, low -> high)
+import { fft, hannWindow, mixToMono } from "./fft.js?v=19";
+
+const FFT_SIZE = 1024;
+const F_MIN = 40;
+const F_MAX = 16000;
+const DB_FLOOR = -80;
+
+let audio = null; // { id, sampleRate, mono, peak }
+let queue = [];
+let focus = null;
+let scheduled = false;
+
+const hann = hannWindow(FFT_SIZE);
+const re = new Float32Array(FFT_SIZE);
+const im = new Float32Array(FFT_SIZE);
+let bandCache = { key: "", lo: null, hi: null };
+
+self.onmessage = (e) => {
+  const msg = e.data || {};
+  if (msg.type === "audio") {
+    queue = [];
+    audio = loadAudio(msg);
+    self.postMessage({ type: "ready", id: audio.id, durationMs: audio.mono.length / audio.sampleRate * 1000 });
+  } else if (msg.type === "tile") {
+    queue.push(msg);
+    schedule();
+  } else if (msg.type === "focus") {
+    focus = msg.zoomKey;
+    queue = queue.filter(t => t.zoomKey === focus);
+  }
+};
+
+// Tiles are worked one per task so "focus" messages get a chance to prune the queue in between
+function schedule() {
+  if (scheduled) return;
+  scheduled = true;
+  setTimeout(() => {
+    scheduled = false;
+    const job = queue.shift();
+    if (job) runTile(job);
+    if (queue.length) schedule();
+  }, 0);
+}
+
+function runTile(job) {
+  if (!audio || job.id !== audio.id) return;
+  if (focus != null && job.zoomKey !== focus) return;
+  const data = job.mode === "spectrogram" ? spectrogramTile(job) : waveformTile(job);
+  self.postMessage({ type: "tile", id: job.id, key: job.key, mode: job.mode, rows: job.rows, cols: job.cols, data }, [data.buffer]);
+}
+
+function loadAudio({ id, sampleRate, channels }) {
+  const mono = mixToMono(channels);
+  let peak = 0;
+  for (let i = 0; i < mono.length; i++) {
+    const a = Math.abs(mono[i]);
+    if (a > peak) peak = a;
+  }
+  return { id, sampleRate, mono, peak: peak || 1 };
+}
+
+// Row r covers [ (index*rows + r) * msPerPx, +msPerPx )
+function rowSpan(job, r) {
+  const sr = audio.sampleRate;
+  const ms = (job.index * job.rows + r) * job.msPerPx;
+  const s0 = Math.floor(ms * sr / 1000);
+  const s1 = Math.max(s0 + 1, Math.floor((ms + job.msPerPx) * sr / 1000));
+  return [s0, s1];
+}
+
+function waveformTile(job) {
+  const { mono, peak } = audio;
+  const out = new Float32Array(job.rows * 3);
+  for (let r = 0; r < job.rows; r++) {
+    const [s0, s1] = rowSpan(job, r);
+    const a = Math.max(0, s0), b = Math.min(mono.length, s1);
+    if (a >= b) continue;
+    let lo = Infinity, hi = -Infinity, sq = 0;
+    for (let i = a; i < b; i++) {
+      const v = mono[i];
+      if (v < lo) lo = v;
+      if (v > hi) hi = v;
+      sq += v * v;
+    }
+    out[r * 3] = lo / peak;
+    out[r * 3 + 1] = hi / peak;
+    out[r * 3 + 2] = Math.sqrt(sq / (b - a)) / peak;
+  }
+  return out;
+}
+
+function spectrogramTile(job) {
+  const { mono, sampleRate } = audio;
+  const cols = job.cols;
+  const out = new Uint8Array(job.rows * cols);
+  const { lo, hi } = bands(cols, sampleRate);
+  const norm = FFT_SIZE / 4; // full-scale sine under a Hann window
+  for (let r = 0; r < job.rows; r++) {
+    const [s0, s1] = rowSpan(job, r);
+    if (s0 >= mono.length) break;
+    const start = Math.floor((s0 + s1) / 2) - FFT_SIZE / 2;
+    for (let i = 0; i < FFT_SIZE; i++) {
+      const j = start + i;
+      re[i] = j >= 0 && j < mono.length ? mono[j] * hann[i] : 0;
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let c = 0; c < cols; c++) {
+      let m = 0;
+      for (let k = lo[c]; k <= hi[c]; k++) {
+        const mag = re[k] * re[k] + im[k] * im[k];
+        if (mag > m) m = mag;
+      }
+      const db = 10 * Math.log10(m / (norm * norm) + 1e-12);
+      const v = 1 - Math.min(1, Math.max(0, db / DB_FLOOR));
+      out[r * cols + c] = Math.round(v * 255);
+    }
+  }
+  return out;
+}
+
+// FFT bin range [lo, hi] for each log-spaced column
+function bands(cols, sampleRate) {
+  const key = `${cols}:${sampleRate}`;
+  if (bandCache.key === key) return bandCache;
+  const lo = new Int32Array(cols), hi = new Int32Array(cols);
+  const top = Math.min(F_MAX, sampleRate / 2);
+  const binHz = sampleRate / FFT_SIZE;
+  const maxBin = FFT_SIZE / 2 - 1;
+  for (let c = 0; c < cols; c++) {
+    const f0 = F_MIN * Math.pow(top / F_MIN, c / cols);
+    const f1 = F_MIN * Math.pow(top / F_MIN, (c + 1) / cols);
+    lo[c] = Math.min(maxBin, Math.max(1, Math.floor(f0 / binHz)));
+    hi[c] = Math.min(maxBin, Math.max(lo[c], Math.ceil(f1 / binHz) - 1));
+  }
+  bandCache = { key, lo, hi };
+  return bandCache;
+}
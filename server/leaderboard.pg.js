@@ -2,8 +2,13 @@
 import "dotenv/config";
 import express from "express";
 import pgPkg from "pg";
+import { verifySubmission } from "./replayVerify.js";
+import { judgeProfileName } from "../public/js/modules/judge.js";
+import { modsKey } from "../public/js/modules/mods.js";
 
 const router = express.Router();
+// GET /api/replays/:id (mounted separately in index.js; shares this pool)
+export const replaysRouter = express.Router();
 const RAW_URL = process.env.DATABASE_URL;
 const DATABASE_URL = typeof RAW_URL === "string" ? RAW_URL.trim() : "";
 const HAS_DB = !!DATABASE_URL;
@@ -13,6 +18,9 @@ if (!HAS_DB) {
   router.all("*", (_req, res) =>
     res.status(503).json({ ok: false, error: "Leaderboard DB not configured" })
   );
+  replaysRouter.all("*", (_req, res) =>
+    res.status(503).json({ ok: false, error: "Leaderboard DB not configured" })
+  );
 } else {
   const { Pool } = pgPkg;
   const ssl =
@@ -28,18 +36,60 @@ if (!HAS_DB) {
       CREATE TABLE IF NOT EXISTS leaderboard (
         track_id TEXT NOT NULL,
         diff SMALLINT NOT NULL,                 -- 0 easy, 1 normal, 2 hard
+        judge VARCHAR(16) NOT NULL DEFAULT 'standard', -- judge profile (lenient/standard/strict)
+        mods VARCHAR(32) NOT NULL DEFAULT '',   -- modifier key ('' = ranked, e.g. 'MR+HD' = unranked)
         name VARCHAR(16) NOT NULL,              -- display name
         score INTEGER NOT NULL CHECK (score >= 0),
         acc SMALLINT NOT NULL CHECK (acc BETWEEN 0 AND 10000), -- basis points
         combo SMALLINT NOT NULL CHECK (combo BETWEEN 0 AND 9999),
         ts TIMESTAMPTZ NOT NULL DEFAULT now(),
-        PRIMARY KEY (track_id, diff, name)
+        PRIMARY KEY (track_id, diff, judge, mods, name)
       );
     `);
 
+    // Older tables: add judge profile + mods and make them part of the key (one best row per profile/mods)
+    await pool.query(`
+      ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS judge VARCHAR(16) NOT NULL DEFAULT 'standard';
+    `);
+    await pool.query(`
+      ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS mods VARCHAR(32) NOT NULL DEFAULT '';
+    `);
+    await pool.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.key_column_usage
+          WHERE table_name = 'leaderboard' AND constraint_name = 'leaderboard_pkey' AND column_name = 'mods'
+        ) THEN
+          ALTER TABLE leaderboard DROP CONSTRAINT IF EXISTS leaderboard_pkey;
+          ALTER TABLE leaderboard ADD PRIMARY KEY (track_id, diff, judge, mods, name);
+        END IF;
+      END $$;
+    `);
+
+    await pool.query(`DROP INDEX IF EXISTS leaderboard_rank_idx;`);
+    await pool.query(`DROP INDEX IF EXISTS leaderboard_judge_rank_idx;`);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS leaderboard_mods_rank_idx
+        ON leaderboard (track_id, diff, judge, mods, score DESC, acc DESC, combo DESC, ts ASC);
+    `);
+
+    // Replays kept for review; leaderboard rows point at the replay behind their best score
     await pool.query(`
-      CREATE INDEX IF NOT EXISTS leaderboard_rank_idx
-        ON leaderboard (track_id, diff, score DESC, acc DESC, combo DESC, ts ASC);
+      CREATE TABLE IF NOT EXISTS replays (
+        id BIGSERIAL PRIMARY KEY,
+        track_id TEXT NOT NULL,
+        diff SMALLINT NOT NULL,
+        name VARCHAR(16) NOT NULL,
+        score INTEGER NOT NULL,
+        data JSONB NOT NULL,
+        ts TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    await pool.query(`
+      ALTER TABLE leaderboard
+        ADD COLUMN IF NOT EXISTS verified BOOLEAN NOT NULL DEFAULT false,
+        ADD COLUMN IF NOT EXISTS replay_id BIGINT;
     `);
   }
 
@@ -52,12 +102,23 @@ if (!HAS_DB) {
   const NAME_MAX = 16;
   const sanitizeName = (n) =>
     (String(n || "Player").slice(0, NAME_MAX)).replace(/[\n\r\t<>]/g, "");
+  // Mods key as sent by the client ("" = ranked); anything odd is still kept off the ranked board
+  const sanitizeMods = (m) => {
+    const s = String(m ?? "").trim();
+    if (!s) return "";
+    return /^[A-Za-z0-9.+]{1,32}$/.test(s) ? s : "??";
+  };
 
-  // GET /api/leaderboard/:trackId?diff=normal&limit=100
+  // GET /api/leaderboard/:trackId?diff=normal&judge=standard&limit=100[&mods=all|<key>]
+  // Ranked rows (no mods) by default; mods=all lists every row, mods=<key> one modded board.
+  // Only replay-verified rows count on the ranked board (older unverified ones stay hidden).
   router.get("/:trackId", async (req, res) => {
     try {
       const trackId = String(req.params.trackId || "").trim();
       const diffId = toDiffId(req.query.diff || "normal");
+      const judge = judgeProfileName(req.query.judge);
+      const allMods = String(req.query.mods || "") === "all";
+      const mods = allMods ? "" : sanitizeMods(req.query.mods);
       const limit = clamp(parseInt(req.query.limit || "100", 10) || 100, 1, 200);
       if (!trackId) return res.status(400).json({ ok: false, error: "trackId required" });
 
@@ -67,13 +128,18 @@ if (!HAS_DB) {
                score,
                (acc::float / 10000.0) AS acc,  -- return as 0..1
                combo,
-               ts
+               ts,
+               judge,
+               mods,
+               verified,
+               replay_id AS "replayId"
         FROM leaderboard
-        WHERE track_id = $1 AND diff = $2
+        WHERE track_id = $1 AND diff = $2 AND judge = $3 AND ($4::boolean OR mods = $5)
+          AND (verified OR mods <> '')
         ORDER BY score DESC, acc DESC, combo DESC, ts ASC
-        LIMIT $3
+        LIMIT $6
         `,
-        [trackId, diffId, limit]
+        [trackId, diffId, judge, allMods, mods, limit]
       );
 
       res.json(rows);
@@ -84,23 +150,52 @@ if (!HAS_DB) {
   });
 
   // POST /api/leaderboard/submit
-  // body: { trackId, difficulty, name, score, acc (0..1), combo }
+  // body: { trackId, difficulty, judge, mods, name, score, acc (0..1), combo, replay? }
+  // With a replay the run is re-simulated against the track's chart: mismatches are rejected,
+  // matches are stored as verified with the simulated score/acc/combo (not the claimed ones).
+  // Ranked runs (no mods) need a replay; modded rows without one are accepted but stay unverified.
   router.post("/submit", async (req, res) => {
     try {
       const tid = String(req.body?.trackId || "").trim();
-      const diffId = toDiffId(req.body?.difficulty || "normal");
+      const difficulty = String(req.body?.difficulty || "normal").toLowerCase();
+      const diffId = toDiffId(difficulty);
+      const judge = judgeProfileName(req.body?.judge);
       if (!tid) return res.status(400).json({ ok: false, error: "trackId required" });
 
       const name = sanitizeName(req.body?.name);
-      const score = clamp(Math.floor(Number(req.body?.score) || 0), 0, 10_000_000);
-      const accBps = clamp(Math.round((Number(req.body?.acc) || 0) * 10000), 0, 10000);
-      const combo = clamp(Math.floor(Number(req.body?.combo) || 0), 0, 9999);
+      let score = clamp(Math.floor(Number(req.body?.score) || 0), 0, 10_000_000);
+      let accBps = clamp(Math.round((Number(req.body?.acc) || 0) * 10000), 0, 10000);
+      let combo = clamp(Math.floor(Number(req.body?.combo) || 0), 0, 9999);
+
+      const replay = req.body?.replay ?? null;
+      // With a replay the mods it was played with are authoritative
+      const mods = replay ? modsKey(replay.mods) : sanitizeMods(req.body?.mods);
+      if (!replay && mods === "") return res.status(422).json({ ok: false, error: "replay_required" });
+      let verified = false;
+      let replayId = null;
+      if (replay) {
+        const check = verifySubmission({ trackId: tid, difficulty, judge, mods: sanitizeMods(req.body?.mods), score }, replay);
+        if (!check.ok) {
+          console.warn(`[LB] replay rejected (${check.error}) for ${tid}/${difficulty} by ${name}: claimed ${score}` +
+            (check.simulated ? `, simulated ${check.simulated.score}` : ""));
+          return res.status(422).json({ ok: false, error: check.error, simulated: check.simulated?.score ?? null });
+        }
+        verified = true;
+        score = clamp(Math.floor(check.simulated.score), 0, 10_000_000);
+        accBps = clamp(Math.round(check.simulated.acc * 10000), 0, 10000);
+        combo = clamp(Math.floor(check.simulated.combo), 0, 9999);
+        const ins = await pool.query(
+          `INSERT INTO replays (track_id, diff, name, score, data) VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+          [tid, diffId, name, score, JSON.stringify(replay)]
+        );
+        replayId = ins.rows?.[0]?.id ?? null;
+      }
 
       await pool.query(
         `
-        INSERT INTO leaderboard (track_id, diff, name, score, acc, combo)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        ON CONFLICT (track_id, diff, name)
+        INSERT INTO leaderboard (track_id, diff, judge, mods, name, score, acc, combo, verified, replay_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (track_id, diff, judge, mods, name)
         DO UPDATE SET
           score = GREATEST(EXCLUDED.score, leaderboard.score),
           acc   = CASE
@@ -120,9 +215,23 @@ if (!HAS_DB) {
                    OR (EXCLUDED.score = leaderboard.score AND EXCLUDED.acc = leaderboard.acc AND EXCLUDED.combo > leaderboard.combo)
                  THEN now()
                  ELSE leaderboard.ts
-               END
+               END,
+          verified = CASE
+                       WHEN EXCLUDED.score > leaderboard.score
+                         OR (EXCLUDED.score = leaderboard.score AND EXCLUDED.acc > leaderboard.acc)
+                         OR (EXCLUDED.score = leaderboard.score AND EXCLUDED.acc = leaderboard.acc AND EXCLUDED.combo > leaderboard.combo)
+                       THEN EXCLUDED.verified
+                       ELSE leaderboard.verified
+                     END,
+          replay_id = CASE
+                        WHEN EXCLUDED.score > leaderboard.score
+                          OR (EXCLUDED.score = leaderboard.score AND EXCLUDED.acc > leaderboard.acc)
+                          OR (EXCLUDED.score = leaderboard.score AND EXCLUDED.acc = leaderboard.acc AND EXCLUDED.combo > leaderboard.combo)
+                        THEN EXCLUDED.replay_id
+                        ELSE leaderboard.replay_id
+                      END
         `,
-        [tid, diffId, name, score, accBps, combo]
+        [tid, diffId, judge, mods, name, score, accBps, combo, verified, replayId]
       );
 
       // rank
@@ -133,26 +242,41 @@ if (!HAS_DB) {
           SELECT name,
                  RANK() OVER (ORDER BY score DESC, acc DESC, combo DESC, ts ASC) AS rank
           FROM leaderboard
-          WHERE track_id = $1 AND diff = $2
+          WHERE track_id = $1 AND diff = $2 AND judge = $3 AND mods = $4 AND (verified OR mods <> '')
         ) r
-        WHERE r.name = $3
+        WHERE r.name = $5
         LIMIT 1
         `,
-        [tid, diffId, name]
+        [tid, diffId, judge, mods, name]
       );
       const rank = rankRow.rows?.[0]?.rank ?? null;
 
       const totalRow = await pool.query(
-        `SELECT COUNT(*)::int AS c FROM leaderboard WHERE track_id=$1 AND diff=$2`,
-        [tid, diffId]
+        `SELECT COUNT(*)::int AS c FROM leaderboard WHERE track_id=$1 AND diff=$2 AND judge=$3 AND mods=$4 AND (verified OR mods <> '')`,
+        [tid, diffId, judge, mods]
       );
 
-      res.json({ ok: true, rank, total: totalRow.rows?.[0]?.c ?? null });
+      res.json({ ok: true, rank, total: totalRow.rows?.[0]?.c ?? null, judge, mods, ranked: mods === "", verified, replayId });
     } catch (e) {
       console.error("[LB] POST failed:", e);
       res.status(500).json({ ok: false, error: "submit_failed" });
     }
   });
+
+  // GET /api/replays/:id -> the stored replay JSON
+  replaysRouter.get("/:id", async (req, res) => {
+    try {
+      const id = String(req.params.id || "").trim();
+      if (!/^\d+$/.test(id)) return res.status(400).json({ ok: false, error: "invalid id" });
+
+      const { rows } = await pool.query(`SELECT data FROM replays WHERE id = $1`, [id]);
+      if (!rows.length) return res.status(404).json({ ok: false, error: "not_found" });
+      res.json(rows[0].data);
+    } catch (e) {
+      console.error("[LB] GET replay failed:", e);
+      res.status(500).json({ ok: false, error: "query_failed" });
+    }
+  });
 }
 
 export default router;
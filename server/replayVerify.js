@@ -0,0 +1,80 @@
+// server/replayVerify.js
+// Re-simulates a recorded replay against the track's chart so the leaderboard
+// doesn't have to trust the score the client claims.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { assertReplay, chartHash, decodeReplayEvents } from "../public/js/modules/replay.js";
+import { isDefaultHealth, judgeInputs, judgeProfileName } from "../public/js/modules/judge.js";
+import { applyLaneMods, modsKey, normalizeMods } from "../public/js/modules/mods.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+const TRACKS_DIR = path.join(PUBLIC_DIR, "tracks");
+
+// Frame timing on the client can move a judgment across a window edge; allow a little slack.
+const SCORE_TOLERANCE = 0.02;
+const SCORE_TOLERANCE_MIN = 300;
+
+/** Chart JSON for a track/difficulty from public/tracks, or null. */
+export function loadTrackChart(trackId, difficulty) {
+  const id = String(trackId || "");
+  if (!/^[\w-]+$/.test(id)) return null;
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(TRACKS_DIR, id, "manifest.json"), "utf8"));
+    const url = manifest?.charts?.[difficulty];
+    if (typeof url !== "string") return null;
+    const file = path.join(PUBLIC_DIR, decodeURIComponent(url.replace(/^\/+/, "")));
+    if (!file.startsWith(TRACKS_DIR + path.sep)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replays inputs through the shared Judge (same rules as the Game).
+ * Returns { score, acc, combo, hits, total, judges }.
+ */
+export function simulateReplay(chart, replay) {
+  const laneCount = Number(chart?.lanes) || 4;
+  const rate = normalizeMods(replay?.mods).rate; // latency is real time; song time runs at `rate`
+  // Mirror / random remap lanes exactly like the Game did for this run
+  const notes = applyLaneMods((Array.isArray(chart?.notes) ? chart.notes : []).map(n => ({ ...n })), replay?.mods, laneCount);
+  return judgeInputs(notes, decodeReplayEvents(replay), {
+    laneCount,
+    latencyMs: (Number(replay?.latencyMs) || 0) * rate,
+    profile: replay?.judgeProfile,
+    health: replay?.health || {}
+  });
+}
+
+/**
+ * Check a submission against its replay.
+ * Returns { ok: true, simulated } or { ok: false, error, simulated? }.
+ */
+export function verifySubmission({ trackId, difficulty, judge, mods, score }, replay) {
+  try { assertReplay(replay); }
+  catch (e) { return { ok: false, error: "bad_replay", detail: e.message }; }
+
+  if (replay.trackId !== trackId || (replay.difficulty || "normal") !== difficulty) {
+    return { ok: false, error: "replay_track_mismatch" };
+  }
+  if (Number(replay.startAtMs) > 0) return { ok: false, error: "partial_run" };
+  if (judgeProfileName(replay.judgeProfile) !== judgeProfileName(judge)) return { ok: false, error: "judge_mismatch" };
+  if (!isDefaultHealth(replay.health)) return { ok: false, error: "custom_health" };
+  if (mods !== undefined && modsKey(replay.mods) !== String(mods || "")) return { ok: false, error: "mods_mismatch" };
+
+  const chart = loadTrackChart(trackId, difficulty);
+  if (!chart) return { ok: false, error: "chart_not_found" };
+  if (replay.chartHash !== chartHash(chart)) return { ok: false, error: "chart_mismatch" };
+
+  const simulated = simulateReplay(chart, replay);
+  if (simulated.failed) return { ok: false, error: "failed_run", simulated };
+  const slack = Math.max(SCORE_TOLERANCE_MIN, simulated.score * SCORE_TOLERANCE);
+  if (Math.abs(Number(score) - simulated.score) > slack) {
+    return { ok: false, error: "score_mismatch", simulated };
+  }
+  return { ok: true, simulated };
+}
@@ -0,0 +1,256 @@
+// server/trackCatalog.js
+// In-memory catalog of public/tracks behind GET /api/tracks. Manifests and charts are parsed once,
+// re-read after the folder changes (fs.watch), and each difficulty gets stats derived from its chart.
+//
+// GET /api/tracks?q=&sort=&bpmMin=&bpmMax=
+//   q                 case-insensitive match on title / artist / trackId
+//   sort              title | artist | bpm | duration | notes | nps | rating (prefix "-" for descending)
+//   bpmMin / bpmMax   inclusive, on the track bpm (manifest bpm, else the first chart's)
+// Responses carry an ETag; a matching If-None-Match gets a 304.
+import express from "express";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { validateManifest, validateChart, formatSchemaErrors } from "../public/js/modules/schema.js";
+import { chartHash } from "../public/js/modules/replay.js";
+import { rateChart, hardestSections } from "../public/js/modules/difficulty.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+const TRACKS_DIR = path.join(PUBLIC_DIR, "tracks");
+
+// Without a working watcher the catalog is simply rebuilt when it's older than this
+const UNWATCHED_TTL_MS = 5000;
+// Peak density = most notes starting inside any window this long
+const DENSITY_WINDOW_MS = 1000;
+
+const SORTS = {
+  title: t => (t.title || "").toLowerCase(),
+  artist: t => (t.artist || "").toLowerCase(),
+  bpm: t => Number(t.bpm) || 0,
+  duration: t => Number(t.durationMs) || 0,
+  notes: t => maxStat(t, "notes"),
+  nps: t => maxStat(t, "nps"),
+  rating: t => maxStat(t, "rating")
+};
+
+let catalog = null; // { tracks, etag, builtAt }
+let dirty = true;
+let watcher = null;
+// Files that failed to load, keyed by path -> last message (so each problem is logged once)
+const rejected = new Map();
+
+const router = express.Router();
+
+router.get("/", (req, res) => {
+  const { tracks, etag } = getTrackCatalog();
+  const query = parseQuery(req.query);
+  const tag = `W/"${etag}-${shortHash(JSON.stringify(query))}"`;
+  res.set("ETag", tag);
+  res.set("Cache-Control", "no-cache");
+  const given = String(req.headers["if-none-match"] || "").split(",").map(s => s.trim());
+  if (given.includes(tag) || given.includes("*")) return res.status(304).end();
+  res.json(filterTracks(tracks, query));
+});
+
+/** Current catalog, rebuilt first if anything under public/tracks changed. */
+export function getTrackCatalog() {
+  if (!watcher) startWatcher();
+  const stale = !watcher && catalog && Date.now() - catalog.builtAt > UNWATCHED_TTL_MS;
+  if (!catalog || dirty || stale) {
+    dirty = false;
+    catalog = buildCatalog();
+  }
+  return catalog;
+}
+
+/** Force a rebuild on the next read (e.g. right after publishing, before the watcher fires). */
+export function invalidateTrackCatalog() {
+  dirty = true;
+}
+
+function startWatcher() {
+  try {
+    watcher = fs.watch(TRACKS_DIR, { recursive: true }, () => { dirty = true; });
+    watcher.on("error", (e) => {
+      console.warn("[tracks] watcher stopped:", e.message);
+      try { watcher.close(); } catch {}
+      watcher = null;
+      dirty = true;
+    });
+  } catch {
+    watcher = null; // folder missing or no recursive watch here: fall back to the TTL
+  }
+}
+
+function buildCatalog() {
+  const tracks = [];
+  if (fs.existsSync(TRACKS_DIR)) {
+    for (const dirEnt of fs.readdirSync(TRACKS_DIR, { withFileTypes: true })) {
+      if (!dirEnt.isDirectory() || dirEnt.name.startsWith(".")) continue; // skip in-progress publishes
+      const track = loadTrack(dirEnt.name);
+      if (track) tracks.push(track);
+    }
+  }
+  tracks.sort((a, b) => String(a.trackId).localeCompare(String(b.trackId)));
+  return { tracks, etag: shortHash(JSON.stringify(tracks)), builtAt: Date.now() };
+}
+
+function loadTrack(dirName) {
+  const manifestPath = path.join(TRACKS_DIR, dirName, "manifest.json");
+  if (!fs.existsSync(manifestPath)) return null;
+  const m = readJson(manifestPath);
+  if (!m) return null;
+  const checked = validateManifest(m);
+  if (!checked.ok) {
+    reject(manifestPath, formatSchemaErrors(checked.errors));
+    return null;
+  }
+  rejected.delete(manifestPath);
+
+  if (!m.cover) {
+    const jpg = path.join(TRACKS_DIR, dirName, "cover.jpg");
+    const png = path.join(TRACKS_DIR, dirName, "cover.png");
+    if (fs.existsSync(jpg)) m.cover = `/tracks/${dirName}/cover.jpg`;
+    else if (fs.existsSync(png)) m.cover = `/tracks/${dirName}/cover.png`;
+  }
+
+  const stats = {};
+  for (const [diff, url] of Object.entries(m.charts || {})) {
+    const file = chartPath(url);
+    const chart = file && readJson(file);
+    if (!chart) continue;
+    const checkedChart = validateChart(chart, { playable: true });
+    if (!checkedChart.ok) {
+      reject(file, formatSchemaErrors(checkedChart.errors));
+      continue;
+    }
+    rejected.delete(file);
+    stats[diff] = chartStats(chart);
+  }
+
+  // Fill track-level bpm/duration from the charts when the manifest leaves them out
+  const list = Object.values(stats);
+  if (!(Number(m.bpm) > 0)) {
+    const bpm = list.map(s => s.bpm).find(b => b > 0);
+    if (bpm) m.bpm = bpm;
+  }
+  if (!(Number(m.durationMs) > 0) && list.length) m.durationMs = Math.max(...list.map(s => s.durationMs));
+  m.stats = stats;
+  return m;
+}
+
+/** Derived numbers for one chart: { notes, holds, durationMs, nps, peakNps, rating, peak, bpm, hash }. */
+function chartStats(chart) {
+  const notes = chart.notes;
+  const times = notes.map(n => n.tMs).sort((a, b) => a - b);
+  const holds = notes.filter(n => Number(n.dMs) > 0).length;
+  const lastEnd = notes.reduce((m, n) => Math.max(m, n.tMs + (Number(n.dMs) || 0)), 0);
+  const durationMs = Math.max(Number(chart.durationMs) || 0, lastEnd);
+
+  // Average over the playable span (first note to last release), not the whole song
+  const span = times.length ? Math.max(DENSITY_WINDOW_MS, lastEnd - times[0]) : 0;
+  let peak = 0;
+  for (let i = 0, j = 0; j < times.length; j++) {
+    while (times[j] - times[i] >= DENSITY_WINDOW_MS) i++;
+    peak = Math.max(peak, j - i + 1);
+  }
+
+  const rated = rateChart(chart);
+  const hardest = hardestSections(rated, 1)[0] || null;
+
+  return {
+    notes: notes.length,
+    holds,
+    durationMs: Math.round(durationMs),
+    nps: span ? round2(notes.length / (span / 1000)) : 0,
+    peakNps: round2(peak * 1000 / DENSITY_WINDOW_MS),
+    rating: rated.rating,
+    peak: hardest ? { startMs: hardest.startMs, endMs: hardest.endMs, strain: hardest.strain, pattern: hardest.pattern } : null,
+    bpm: Number(chart.bpm) > 0 ? Number(chart.bpm) : null,
+    hash: chartHash(chart)
+  };
+}
+
+function parseQuery(q) {
+  const num = (v) => (v === undefined || v === "" ? null : (Number.isFinite(Number(v)) ? Number(v) : null));
+  const rawSort = String(q.sort || "").trim();
+  const desc = rawSort.startsWith("-");
+  const key = desc ? rawSort.slice(1) : rawSort;
+  return {
+    q: String(q.q || "").trim().toLowerCase().slice(0, 100),
+    sort: SORTS[key] ? key : null,
+    desc,
+    bpmMin: num(q.bpmMin),
+    bpmMax: num(q.bpmMax)
+  };
+}
+
+function filterTracks(tracks, { q, sort, desc, bpmMin, bpmMax }) {
+  let rows = tracks;
+  if (q) {
+    rows = rows.filter(t =>
+      (t.title || "").toLowerCase().includes(q) ||
+      (t.artist || "").toLowerCase().includes(q) ||
+      String(t.trackId || "").toLowerCase().includes(q));
+  }
+  if (bpmMin != null || bpmMax != null) {
+    rows = rows.filter(t => {
+      const bpm = Number(t.bpm);
+      if (!(bpm > 0)) return false;
+      return (bpmMin == null || bpm >= bpmMin) && (bpmMax == null || bpm <= bpmMax);
+    });
+  }
+  if (sort) {
+    const keyOf = SORTS[sort];
+    const dir = desc ? -1 : 1;
+    rows = rows.slice().sort((a, b) => {
+      const ak = keyOf(a), bk = keyOf(b);
+      const c = typeof ak === "string" ? ak.localeCompare(bk) : ak - bk;
+      return c * dir;
+    });
+  }
+  return rows;
+}
+
+/** Chart URL from a manifest -> file under public/tracks, or null for anything outside it. */
+function chartPath(url) {
+  if (typeof url !== "string") return null;
+  try {
+    const file = path.join(PUBLIC_DIR, decodeURIComponent(url.replace(/^\/+/, "")));
+    return file.startsWith(TRACKS_DIR + path.sep) ? file : null;
+  } catch {
+    return null;
+  }
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    reject(file, `not readable JSON (${e.message})`);
+    return null;
+  }
+}
+
+function reject(file, message) {
+  if (rejected.get(file) === message) return;
+  rejected.set(file, message);
+  console.warn(`[tracks] skipping ${path.relative(TRACKS_DIR, file)}:\n${message}`);
+}
+
+function maxStat(track, key) {
+  return Math.max(0, ...Object.values(track.stats || {}).map(s => Number(s[key]) || 0));
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function shortHash(s) {
+  return crypto.createHash("sha1").update(s).digest("hex").slice(0, 16);
+}
+
+export default router;
@@ -0,0 +1,254 @@
+// server/tracksPublish.js
+// Publishing tracks from the editor: writes the same folder layout the track catalog scans
+// (public/tracks/<trackId>/manifest.json + chart JSON + vfx.json + audio + cover).
+//
+// Auth: `Authorization: Bearer <PUBLISH_TOKEN>`; without PUBLISH_TOKEN set the endpoints return 503.
+import "dotenv/config";
+import express from "express";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  SCHEMA_VERSIONS, CHART_LANES, TRACK_ID_RE, DIFFICULTY_RE as DIFF_RE,
+  validateChart as checkChartSchema, validateVfx, validateVfxSet, formatSchemaErrors
+} from "../public/js/modules/schema.js";
+import { invalidateTrackCatalog } from "./trackCatalog.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const TRACKS_DIR = path.join(__dirname, "..", "public", "tracks");
+
+const PUBLISH_TOKEN = String(process.env.PUBLISH_TOKEN || "").trim();
+
+// Audio/cover arrive base64-encoded inside the JSON body
+const BODY_LIMIT = "80mb";
+const AUDIO_MAX_BYTES = 40 * 1024 * 1024;
+const COVER_MAX_BYTES = 5 * 1024 * 1024;
+const NOTES_MAX = 20000;
+const SCHEMA_ERRORS_SHOWN = 5;
+
+const router = express.Router();
+// Per route (not router.use) so GET /api/tracks still falls through to the listing in index.js
+const parseBody = express.json({ limit: BODY_LIMIT });
+
+// POST /api/tracks
+// body: { manifest: { trackId, title, artist?, bpm? }, charts: { [diff]: chart },
+//         vfx?: { byDifficulty } | { vfx }, audio: { name?, data(base64) }, cover?: { name?, data(base64) } }
+router.post("/", requireToken, parseBody, (req, res) => {
+  try {
+    const body = req.body || {};
+    const meta = body.manifest || {};
+    const trackId = String(meta.trackId || "").trim();
+    if (!TRACK_ID_RE.test(trackId)) return fail(res, 400, "invalid_track_id");
+    const title = cleanText(meta.title, 120);
+    if (!title) return fail(res, 400, "title_required");
+
+    const dir = path.join(TRACKS_DIR, trackId);
+    if (fs.existsSync(dir)) return fail(res, 409, "track_exists");
+
+    const charts = {};
+    for (const [diff, raw] of Object.entries(body.charts || {})) {
+      if (!DIFF_RE.test(diff)) return fail(res, 400, "invalid_difficulty", diff);
+      const checked = validateChart(raw);
+      if (!checked.ok) return fail(res, 400, "invalid_chart", `${diff}: ${checked.error}`);
+      charts[diff] = checked.chart;
+    }
+    if (!Object.keys(charts).length) return fail(res, 400, "chart_required");
+
+    const audio = decodeUpload(body.audio, AUDIO_MAX_BYTES, sniffAudio);
+    if (!audio.ok) return fail(res, 400, `audio_${audio.error}`);
+    const cover = body.cover ? decodeUpload(body.cover, COVER_MAX_BYTES, sniffImage) : null;
+    if (cover && !cover.ok) return fail(res, 400, `cover_${cover.error}`);
+
+    let vfx = null;
+    if (body.vfx) {
+      const checkedVfx = validateVfx(body.vfx);
+      if (!checkedVfx.ok) return fail(res, 400, "invalid_vfx", formatSchemaErrors(checkedVfx.errors, SCHEMA_ERRORS_SHOWN));
+      vfx = vfxByDifficulty(body.vfx);
+      if (!vfx) return fail(res, 400, "invalid_vfx");
+    }
+
+    const base = `/tracks/${trackId}`;
+    const manifest = {
+      schemaVersion: SCHEMA_VERSIONS.manifest,
+      trackId,
+      title,
+      artist: cleanText(meta.artist, 120) || "Unknown",
+      ...(Number.isFinite(Number(meta.bpm)) && Number(meta.bpm) > 0 ? { bpm: Number(meta.bpm) } : {}),
+      audio: { [audio.ext]: `${base}/audio.${audio.ext}` },
+      charts: {},
+      ...(cover ? { cover: `${base}/cover.${cover.ext}` } : {})
+    };
+    for (const diff of Object.keys(charts)) manifest.charts[diff] = `${base}/${trackId}-${diff}.json`;
+
+    // Build in a temp folder and rename so a half-written track is never discovered
+    fs.mkdirSync(TRACKS_DIR, { recursive: true });
+    const tmp = fs.mkdtempSync(path.join(TRACKS_DIR, `.publish-${trackId}-`));
+    try {
+      fs.writeFileSync(path.join(tmp, `audio.${audio.ext}`), audio.bytes);
+      if (cover) fs.writeFileSync(path.join(tmp, `cover.${cover.ext}`), cover.bytes);
+      for (const [diff, chart] of Object.entries(charts)) {
+        fs.writeFileSync(path.join(tmp, `${trackId}-${diff}.json`), JSON.stringify(chart, null, 2));
+      }
+      if (vfx) fs.writeFileSync(path.join(tmp, "vfx.json"), JSON.stringify({ schemaVersion: SCHEMA_VERSIONS.vfx, byDifficulty: vfx }, null, 2));
+      fs.writeFileSync(path.join(tmp, "manifest.json"), JSON.stringify(manifest, null, 2));
+      fs.renameSync(tmp, dir);
+      invalidateTrackCatalog();
+    } catch (e) {
+      try { fs.rmSync(tmp, { recursive: true, force: true }); } catch {}
+      throw e;
+    }
+
+    console.log(`[tracks] published ${trackId} (${Object.keys(charts).join(", ")})`);
+    res.status(201).json({ ok: true, trackId, manifest });
+  } catch (e) {
+    console.error("[tracks] POST failed:", e);
+    res.status(500).json({ ok: false, error: "publish_failed" });
+  }
+});
+
+// PUT /api/tracks/:trackId/charts/:difficulty
+// body: { chart, vfx?: { properties, keyframes } }  (adds or replaces one difficulty)
+router.put("/:trackId/charts/:difficulty", requireToken, parseBody, (req, res) => {
+  try {
+    const trackId = String(req.params.trackId || "");
+    const diff = String(req.params.difficulty || "");
+    if (!TRACK_ID_RE.test(trackId)) return fail(res, 400, "invalid_track_id");
+    if (!DIFF_RE.test(diff)) return fail(res, 400, "invalid_difficulty");
+
+    const dir = path.join(TRACKS_DIR, trackId);
+    const manifestPath = path.join(dir, "manifest.json");
+    if (!fs.existsSync(manifestPath)) return fail(res, 404, "track_not_found");
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+
+    const checked = validateChart(req.body?.chart);
+    if (!checked.ok) return fail(res, 400, "invalid_chart", checked.error);
+
+    let vfxSet = null;
+    if (req.body?.vfx) {
+      const checkedVfx = validateVfxSet(req.body.vfx);
+      if (!checkedVfx.ok) return fail(res, 400, "invalid_vfx", formatSchemaErrors(checkedVfx.errors, SCHEMA_ERRORS_SHOWN));
+      vfxSet = vfxSetOf(req.body.vfx);
+      if (!vfxSet) return fail(res, 400, "invalid_vfx");
+    }
+
+    writeFileAtomic(path.join(dir, `${trackId}-${diff}.json`), JSON.stringify(checked.chart, null, 2));
+
+    if (vfxSet) {
+      const vfxPath = path.join(dir, "vfx.json");
+      let current = {};
+      try { current = JSON.parse(fs.readFileSync(vfxPath, "utf8")); } catch {}
+      const byDifficulty = vfxByDifficulty(current) || {};
+      byDifficulty[diff] = vfxSet;
+      writeFileAtomic(vfxPath, JSON.stringify({ ...current, schemaVersion: SCHEMA_VERSIONS.vfx, byDifficulty }, null, 2));
+    }
+
+    manifest.charts = { ...(manifest.charts || {}), [diff]: `/tracks/${trackId}/${trackId}-${diff}.json` };
+    writeFileAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+    invalidateTrackCatalog();
+
+    console.log(`[tracks] updated ${trackId}/${diff}`);
+    res.json({ ok: true, trackId, difficulty: diff, manifest });
+  } catch (e) {
+    console.error("[tracks] PUT failed:", e);
+    res.status(500).json({ ok: false, error: "publish_failed" });
+  }
+});
+
+// ---------- helpers ----------
+
+function requireToken(req, res, next) {
+  if (!PUBLISH_TOKEN) return fail(res, 503, "publishing_not_configured");
+  const m = /^Bearer\s+(.+)$/i.exec(String(req.headers.authorization || ""));
+  const given = Buffer.from(m ? m[1].trim() : "");
+  const want = Buffer.from(PUBLISH_TOKEN);
+  if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) {
+    return fail(res, 401, "unauthorized");
+  }
+  next();
+}
+
+function fail(res, status, error, detail) {
+  return res.status(status).json({ ok: false, error, ...(detail ? { detail } : {}) });
+}
+
+function cleanText(s, max) {
+  return String(s ?? "").replace(/[\n\r\t<>]/g, "").trim().slice(0, max);
+}
+
+/** Checks a chart against the shared schema and returns a clean copy: { ok, chart } or { ok: false, error }. */
+function validateChart(raw) {
+  const checked = checkChartSchema(raw, { maxNotes: NOTES_MAX, playable: true });
+  if (!checked.ok) return { ok: false, error: formatSchemaErrors(checked.errors, SCHEMA_ERRORS_SHOWN) };
+
+  const notes = raw.notes.map(n => (n.dMs > 0 ? { tMs: n.tMs, lane: n.lane, dMs: n.dMs } : { tMs: n.tMs, lane: n.lane }));
+  notes.sort((a, b) => (a.tMs - b.tMs) || (a.lane - b.lane));
+
+  const chart = { ...raw, schemaVersion: SCHEMA_VERSIONS.chart, lanes: raw.lanes == null ? CHART_LANES : Number(raw.lanes), notes };
+  const lastEnd = notes.reduce((m, n) => Math.max(m, n.tMs + (n.dMs || 0)), 0);
+  const dur = Number(raw.durationMs);
+  chart.durationMs = Number.isFinite(dur) && dur > 0 ? Math.max(dur, lastEnd) : lastEnd;
+  return { ok: true, chart };
+}
+
+/** { properties, keyframes } if `v` looks like one VFX set, else null. */
+function vfxSetOf(v) {
+  if (!v || typeof v !== "object") return null;
+  const properties = v.properties ?? v.props;
+  if (!properties || typeof properties !== "object") return null;
+  const keyframes = v.keyframes && typeof v.keyframes === "object" ? v.keyframes : {};
+  return { properties, keyframes };
+}
+
+/** byDifficulty map from a vfx.json-style object ({ byDifficulty } or legacy { vfx }), else null. */
+function vfxByDifficulty(v) {
+  if (!v || typeof v !== "object") return null;
+  const out = {};
+  if (v.byDifficulty && typeof v.byDifficulty === "object") {
+    for (const [diff, set] of Object.entries(v.byDifficulty)) {
+      if (!DIFF_RE.test(diff)) continue;
+      const s = vfxSetOf(set);
+      if (s) out[diff] = s;
+    }
+  } else if (v.vfx) {
+    const s = vfxSetOf(v.vfx);
+    if (s) out.normal = s;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+/** Decode a { data: base64 } upload and check its type by magic bytes. */
+function decodeUpload(upload, maxBytes, sniff) {
+  const data = typeof upload?.data === "string" ? upload.data.replace(/^data:[^,]*,/, "") : "";
+  if (!data) return { ok: false, error: "required" };
+  const bytes = Buffer.from(data, "base64");
+  if (!bytes.length) return { ok: false, error: "empty" };
+  if (bytes.length > maxBytes) return { ok: false, error: "too_large" };
+  const ext = sniff(bytes);
+  if (!ext) return { ok: false, error: "unsupported_type" };
+  return { ok: true, bytes, ext };
+}
+
+function sniffAudio(b) {
+  if (b.length >= 12 && b.toString("ascii", 0, 4) === "RIFF" && b.toString("ascii", 8, 12) === "WAVE") return "wav";
+  if (b.length >= 4 && b.toString("ascii", 0, 4) === "OggS") return "ogg";
+  if (b.length >= 3 && b.toString("ascii", 0, 3) === "ID3") return "mp3";
+  if (b.length >= 2 && b[0] === 0xff && (b[1] & 0xe0) === 0xe0) return "mp3";
+  return null;
+}
+
+function sniffImage(b) {
+  if (b.length >= 8 && b[0] === 0x89 && b.toString("ascii", 1, 4) === "PNG") return "png";
+  if (b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) return "jpg";
+  if (b.length >= 12 && b.toString("ascii", 0, 4) === "RIFF" && b.toString("ascii", 8, 12) === "WEBP") return "webp";
+  return null;
+}
+
+function writeFileAtomic(file, contents) {
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, file);
+}
+
+export default router;
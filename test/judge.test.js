@@ -0,0 +1,101 @@
+// test/judge.test.js
+// Deterministic checks for the headless Judge and the server's replay re-simulation.
+// Run with `npm test` (node --test).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { isDefaultHealth, judgeInputs, JUDGE_SCORE } from "../public/js/modules/judge.js";
+import { ReplayRecorder, chartHash } from "../public/js/modules/replay.js";
+import { simulateReplay } from "../server/replayVerify.js";
+
+const taps = (...rows) => rows.map(([tMs, lane]) => ({ tMs, lane }));
+const tap = (t, lane) => [{ t, lane, down: true }, { t: t + 40, lane, down: false }];
+
+test("perfect taps score full accuracy and build combo", () => {
+  const notes = taps([1000, 0], [1500, 1], [2000, 2]);
+  const r = judgeInputs(notes, [...tap(1000, 0), ...tap(1505, 1), ...tap(1990, 2)]);
+  assert.equal(r.judges.Perfect, 3);
+  assert.equal(r.acc, 1);
+  assert.equal(r.combo, 3);
+  // 100 per Perfect plus a combo bonus of floor(combo * 0.1) (0, 0, 0 for the first ten)
+  assert.equal(r.score, 3 * JUDGE_SCORE.Perfect);
+});
+
+test("offsets land in the profile's windows", () => {
+  const notes = taps([1000, 0], [2000, 0], [3000, 0]);
+  const inputs = [...tap(1050, 0), ...tap(1920, 0), ...tap(3300, 0)];
+  const standard = judgeInputs(notes, inputs);
+  assert.deepEqual(standard.judges, { Perfect: 0, Great: 1, Good: 1, Miss: 1 });
+  assert.equal(standard.combo, 2);
+
+  const lenient = judgeInputs(notes, inputs, { profile: "lenient" });
+  assert.deepEqual(lenient.judges, { Perfect: 0, Great: 2, Good: 0, Miss: 1 });
+});
+
+test("latency shifts inputs before judging", () => {
+  const notes = taps([1000, 0]);
+  const r = judgeInputs(notes, tap(1080, 0), { latencyMs: -80 });
+  assert.equal(r.judges.Perfect, 1);
+});
+
+test("unplayed notes are missed at the end", () => {
+  const r = judgeInputs(taps([500, 0], [900, 3]), []);
+  assert.equal(r.judges.Miss, 2);
+  assert.equal(r.acc, 0);
+  assert.equal(r.combo, 0);
+});
+
+test("holds break when released early and complete when held", () => {
+  const notes = [{ tMs: 1000, lane: 1, dMs: 1000 }];
+  const held = judgeInputs(notes, [{ t: 1000, lane: 1, down: true }, { t: 2000, lane: 1, down: false }]);
+  assert.equal(held.judges.Perfect, 1);
+  assert.equal(held.judges.Miss, 0);
+
+  const broken = judgeInputs(notes, [{ t: 1000, lane: 1, down: true }, { t: 1400, lane: 1, down: false }]);
+  assert.equal(broken.judges.Perfect, 1);
+  assert.equal(broken.judges.Miss, 1);
+  assert.equal(broken.combo, 1);
+});
+
+test("the life gauge fails a run unless noFail is set", () => {
+  const notes = taps(...Array.from({ length: 20 }, (_, i) => [1000 + i * 250, i % 4]));
+  const failed = judgeInputs(notes, []);
+  assert.equal(failed.failed, true);
+  assert.ok(failed.failedAtMs > 0);
+  const kept = judgeInputs(notes, [], { health: { noFail: true } });
+  assert.equal(kept.failed, false);
+  assert.equal(kept.judges.Miss, 20);
+});
+
+test("only the default life gauge counts as ranked", () => {
+  assert.equal(isDefaultHealth(null), true);
+  assert.equal(isDefaultHealth({ noFail: false, rates: { Miss: -0.08 } }), true);
+  assert.equal(isDefaultHealth({ noFail: true }), false);
+  assert.equal(isDefaultHealth({ rates: { Miss: -0.01 } }), false);
+});
+
+test("simulateReplay re-judges a recorded run identically", () => {
+  const chart = { lanes: 4, notes: taps([1000, 0], [1250, 1], [1500, 2], [1750, 3]) };
+  const rec = new ReplayRecorder({ trackId: "t", difficulty: "normal", chartHash: chartHash(chart) });
+  for (const [t, lane] of [[1000, 0], [1262, 1], [1550, 2], [1850, 3]]) {
+    rec.push(t, lane, true);
+    rec.push(t + 40, lane, false);
+  }
+  const replay = rec.finish();
+  const a = simulateReplay(chart, replay);
+  const b = simulateReplay(chart, replay);
+  assert.deepEqual(a, b);
+  assert.deepEqual(a.judges, { Perfect: 2, Great: 1, Good: 1, Miss: 0 });
+  assert.equal(a.combo, 4);
+});
+
+test("simulateReplay applies mirror before judging", () => {
+  const chart = { lanes: 4, notes: taps([1000, 0], [1500, 3]) };
+  const rec = new ReplayRecorder({ mods: { mirror: true } });
+  rec.push(1000, 3, true);
+  rec.push(1040, 3, false);
+  rec.push(1500, 0, true);
+  rec.push(1540, 0, false);
+  const r = simulateReplay(chart, rec.finish());
+  assert.equal(r.judges.Perfect, 2);
+  assert.equal(r.acc, 1);
+});